@@ -0,0 +1,126 @@
+import React, { useEffect, useMemo } from "react";
+import { createPortal } from "react-dom";
+import { describeSsim } from "../lib/compressly";
+
+const GOOD_SSIM = 0.95; // "looks the same" bar when there is no size goal
+
+/* The row to recommend. With a KB target or range: the sharpest result that met it.
+   Otherwise (no goal, or an SSIM goal): the smallest result that still looks good. */
+function pickWinner(rows, goal = {}) {
+    const done = rows.filter((r) => r.status === "done");
+    const met = done.filter((r) => r.targetMet);
+    const pool = met.length ? met : done;
+    if (!pool.length) return null;
+
+    const ssim = (r) => r.similarity?.ssim ?? 0;
+    if (goal.targetBytes > 0 || goal.minBytes > 0) {
+        // within 0.002 SSIM the difference isn't visible - prefer the smaller file
+        return pool.reduce((best, r) =>
+            ssim(r) > ssim(best) + 0.002 || (Math.abs(ssim(r) - ssim(best)) <= 0.002 && r.blob.size < best.blob.size)
+                ? r
+                : best
+        );
+    }
+    const bar = goal.minSsim > 0 ? goal.minSsim : GOOD_SSIM;
+    const good = pool.filter((r) => ssim(r) >= bar);
+    if (!good.length) return pool.reduce((best, r) => (ssim(r) > ssim(best) ? r : best));
+    return good.reduce((best, r) => (r.blob.size < best.blob.size ? r : best));
+}
+
+function RaceRow({ row, winner, humanFileSize }) {
+    const url = useMemo(() => (row.blob ? URL.createObjectURL(row.blob) : ""), [row.blob]);
+    useEffect(() => () => url && URL.revokeObjectURL(url), [url]);
+
+    return (
+        <tr className={winner ? "format-race-winner" : ""}>
+            <td className="format-race-thumb">{url ? <img src={url} alt="" /> : null}</td>
+            <td>
+                <div className="font-medium">{row.label}</div>
+                {winner && <div className="format-race-badge">Recommended</div>}
+            </td>
+            {row.status === "done" ? (
+                <>
+                    <td>
+                        {humanFileSize(row.blob.size)}
+                        {!row.targetMet && <div className="format-race-miss">missed the target</div>}
+                    </td>
+                    <td>{row.width}×{row.height}</td>
+                    <td>
+                        {row.similarity ? (
+                            <span title={describeSsim(row.similarity.ssim)}>{row.similarity.ssim.toFixed(3)}</span>
+                        ) : (
+                            "-"
+                        )}
+                    </td>
+                    <td>
+                        <a href={url} download={row.name} className="format-race-download">Download</a>
+                    </td>
+                </>
+            ) : (
+                <td colSpan={4} className="small-muted" title={row.note || ""}>
+                    {row.status === "error"
+                        ? `Failed: ${row.note || "unknown error"}`
+                        : row.status === "running"
+                            ? `Encoding… ${Math.round(row.progress || 0)}%`
+                            : "Waiting"}
+                </td>
+            )}
+        </tr>
+    );
+}
+
+/* Compare formats: the same target search run per format on one image, side by side.
+   race: { name, running, goal, rows: [{ format, label, status, blob, name, width, height, similarity, targetMet, note }] } */
+export default function FormatRace({ race, onClose, humanFileSize }) {
+    useEffect(() => {
+        const onKey = (e) => e.key === "Escape" && onClose();
+        window.addEventListener("keydown", onKey);
+        return () => window.removeEventListener("keydown", onKey);
+    }, [onClose]);
+
+    const winner = race.running ? null : pickWinner(race.rows, race.goal);
+    const sizeGoal = race.goal.targetBytes > 0 || race.goal.minBytes > 0;
+
+    return createPortal(
+        <div className="image-editor-backdrop" role="dialog" aria-modal="true" aria-label="Compare formats">
+            <div className="image-editor format-race">
+                <div className="image-editor-title">Compare formats · {race.name}</div>
+
+                <table className="format-race-table text-xs">
+                    <thead>
+                        <tr>
+                            <th />
+                            <th>Format</th>
+                            <th>Size</th>
+                            <th>Dimensions</th>
+                            <th title="Structural similarity to the original (1 = identical)">SSIM</th>
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {race.rows.map((row) => (
+                            <RaceRow key={row.format} row={row} winner={row === winner} humanFileSize={humanFileSize} />
+                        ))}
+                    </tbody>
+                </table>
+
+                <div className="mt-2 text-xs small-muted">
+                    {race.running
+                        ? "Running the same search for every format…"
+                        : winner
+                            ? sizeGoal
+                                ? `${winner.label} keeps the most detail within the size goal.`
+                                : `${winner.label} is the smallest file that still looks ${race.goal.minSsim > 0 ? "as good as asked" : "good"}.`
+                            : "No format produced a result."}
+                </div>
+
+                <div className="image-editor-actions">
+                    <button type="button" className="image-editor-secondary" onClick={onClose}>
+                        {race.running ? "Cancel" : "Close"}
+                    </button>
+                </div>
+            </div>
+        </div>,
+        document.getElementById("modal-root")
+    );
+}
@@ -0,0 +1,66 @@
+import React, { useEffect, useMemo } from "react";
+
+function FrameThumb({ blob, index, label, selected, disabled, onSelect }) {
+    const url = useMemo(() => URL.createObjectURL(blob), [blob]);
+    useEffect(() => () => URL.revokeObjectURL(url), [url]);
+
+    return (
+        <button
+            type="button"
+            className={`frame-picker-thumb${selected ? " frame-picker-selected" : ""}`}
+            onClick={() => onSelect(index)}
+            disabled={disabled}
+            aria-pressed={selected}
+            title={label === "Image" && index === 0 ? "Primary image" : `${label} ${index + 1}`}
+        >
+            <img src={url} alt={`${label} ${index + 1}`} />
+        </button>
+    );
+}
+
+/* Multi-image HEIC (bursts, Live Photo stills) or multi-page TIFF: pick the image that gets
+   compressed. TIFF pages can also all be exported at once (onExportAll). */
+export default function FramePicker({
+    frames = [],
+    kind = "heic",
+    value = 0,
+    onChange = () => {},
+    onExportAll = null,
+    disabled = false,
+}) {
+    if (frames.length < 2) return null;
+    const pages = kind === "tiff";
+    return (
+        <div className="frame-picker">
+            <div className="text-xs text-slate-500">
+                {pages
+                    ? `This TIFF has ${frames.length} pages - pick the one to compress`
+                    : `This HEIC holds ${frames.length} images - pick the one to compress`}
+            </div>
+            <div className="frame-picker-list">
+                {frames.map((blob, i) => (
+                    <FrameThumb
+                        key={i}
+                        blob={blob}
+                        index={i}
+                        label={pages ? "Page" : "Image"}
+                        selected={i === value}
+                        disabled={disabled}
+                        onSelect={onChange}
+                    />
+                ))}
+            </div>
+            {pages && onExportAll && (
+                <button
+                    type="button"
+                    className="upload-edit-btn frame-picker-export"
+                    onClick={onExportAll}
+                    disabled={disabled}
+                    title="Compress every page with the current settings and download them as one ZIP"
+                >
+                    Export all pages (ZIP)
+                </button>
+            )}
+        </div>
+    );
+}
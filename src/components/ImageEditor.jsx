@@ -0,0 +1,232 @@
+import React, { useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { NO_EDIT, frameSize, drawEdited, cropForAspect } from "../lib/compressly";
+
+const RATIOS = [
+    ["free", "Free", 0],
+    ["original", "Original", -1],
+    ["1:1", "1:1", 1],
+    ["4:3", "4:3", 4 / 3],
+    ["3:4", "3:4", 3 / 4],
+    ["3:2", "3:2", 3 / 2],
+    ["2:3", "2:3", 2 / 3],
+    ["16:9", "16:9", 16 / 9],
+    ["9:16", "9:16", 9 / 16],
+];
+
+const HANDLES = ["nw", "n", "ne", "e", "se", "s", "sw", "w"];
+const MIN_CROP = 0.04; // smallest crop side, as a fraction of the frame
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/* Move / resize a normalized crop by a pointer delta. rn = fixed w/h in normalized units (0 = free). */
+function dragCrop(start, handle, dx, dy, rn) {
+    if (handle === "move") {
+        return { ...start, x: clamp(start.x + dx, 0, 1 - start.w), y: clamp(start.y + dy, 0, 1 - start.h) };
+    }
+
+    let left = start.x;
+    let top = start.y;
+    let right = start.x + start.w;
+    let bottom = start.y + start.h;
+    if (handle.includes("w")) left = clamp(left + dx, 0, right - MIN_CROP);
+    if (handle.includes("e")) right = clamp(right + dx, left + MIN_CROP, 1);
+    if (handle.includes("n")) top = clamp(top + dy, 0, bottom - MIN_CROP);
+    if (handle.includes("s")) bottom = clamp(bottom + dy, top + MIN_CROP, 1);
+
+    const next = { x: left, y: top, w: right - left, h: bottom - top };
+    if (!rn) return next;
+
+    // fixed ratio: the dragged edge leads (width for corners), the other side follows
+    if (handle === "n" || handle === "s") {
+        next.w = next.h * rn;
+        next.x = start.x + (start.w - next.w) / 2;
+    } else {
+        next.h = next.w / rn;
+        if (handle.includes("n")) next.y = bottom - next.h;
+        else if (!handle.includes("s")) next.y = start.y + (start.h - next.h) / 2;
+    }
+    const inside = next.x >= -1e-6 && next.y >= -1e-6 && next.x + next.w <= 1 + 1e-6 && next.y + next.h <= 1 + 1e-6;
+    return inside ? next : start;
+}
+
+/* Crop / rotate / flip / straighten step before compression. Works on the preview image;
+   the edit is stored in normalized form and applied to the full-resolution pixels by the engine. */
+export default function ImageEditor({ src, initial = null, onApply, onCancel }) {
+    const [img, setImg] = useState(null);
+    const [edit, setEdit] = useState(() => ({ ...NO_EDIT, ...initial }));
+    const [ratio, setRatio] = useState("free");
+    const canvasRef = useRef(null);
+    const dragRef = useRef(null);
+
+    useEffect(() => {
+        let alive = true;
+        const image = new Image();
+        image.onload = () => alive && setImg(image);
+        image.src = src;
+        return () => {
+            alive = false;
+        };
+    }, [src]);
+
+    useEffect(() => {
+        const onKey = (e) => e.key === "Escape" && onCancel();
+        window.addEventListener("keydown", onKey);
+        return () => window.removeEventListener("keydown", onKey);
+    }, [onCancel]);
+
+    const natural = img ? { width: img.naturalWidth, height: img.naturalHeight } : null;
+    const frame = natural ? frameSize(natural.width, natural.height, edit) : null;
+    const maxW = typeof window !== "undefined" ? Math.min(560, window.innerWidth - 48) : 560;
+    const scale = frame ? Math.min(maxW / frame.width, 420 / frame.height, 1) : 1;
+    const viewW = frame ? Math.max(1, Math.round(frame.width * scale)) : 0;
+    const viewH = frame ? Math.max(1, Math.round(frame.height * scale)) : 0;
+
+    // frame-pixel aspect of the selected ratio; "original" keeps the frame's own shape
+    const ratioAspect = (key, f = frame) => {
+        const entry = RATIOS.find(([value]) => value === key);
+        if (!entry || !entry[2] || !f) return 0;
+        return entry[2] < 0 ? f.width / f.height : entry[2];
+    };
+    const normalizedRatio = frame && ratioAspect(ratio) ? (ratioAspect(ratio) * frame.height) / frame.width : 0;
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || !img) return;
+        const ctx = canvas.getContext("2d");
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.imageSmoothingQuality = "high";
+        drawEdited(ctx, img, img.naturalWidth, img.naturalHeight, edit, scale);
+    }, [img, edit, scale, viewW, viewH]);
+
+    const crop = edit.crop || { x: 0, y: 0, w: 1, h: 1 };
+
+    const update = (patch) => setEdit((e) => ({ ...e, ...patch }));
+
+    // quarter turns swap the frame's sides, so the crop restarts from the chosen ratio
+    const turn = (deg) => {
+        const rotate = (((edit.rotate + deg) % 360) + 360) % 360;
+        const f = frameSize(natural.width, natural.height, { rotate });
+        const aspect = ratioAspect(ratio, f);
+        update({ rotate, crop: aspect ? cropForAspect(f.width, f.height, aspect) : null });
+    };
+
+    const chooseRatio = (key) => {
+        setRatio(key);
+        const aspect = ratioAspect(key);
+        update({ crop: aspect ? cropForAspect(frame.width, frame.height, aspect) : null });
+    };
+
+    const startDrag = (handle) => (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        dragRef.current = { handle, x: e.clientX, y: e.clientY, start: crop };
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+    };
+
+    const onDrag = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        const dx = (e.clientX - drag.x) / viewW;
+        const dy = (e.clientY - drag.y) / viewH;
+        update({ crop: dragCrop(drag.start, drag.handle, dx, dy, normalizedRatio) });
+    };
+
+    const endDrag = () => {
+        dragRef.current = null;
+    };
+
+    const pct = (v) => `${v * 100}%`;
+
+    return createPortal(
+        <div className="image-editor-backdrop" role="dialog" aria-modal="true" aria-label="Edit image">
+            <div className="image-editor">
+                <div className="image-editor-title">Crop &amp; rotate</div>
+
+                <div className="image-editor-stage" style={{ width: viewW || maxW, height: viewH || 240 }}>
+                    {img ? (
+                        <>
+                            <canvas ref={canvasRef} width={viewW} height={viewH} />
+                            <div
+                                className="image-editor-crop"
+                                style={{ left: pct(crop.x), top: pct(crop.y), width: pct(crop.w), height: pct(crop.h) }}
+                                onPointerDown={startDrag("move")}
+                                onPointerMove={onDrag}
+                                onPointerUp={endDrag}
+                                onPointerCancel={endDrag}
+                            >
+                                {HANDLES.map((h) => (
+                                    <span
+                                        key={h}
+                                        className={`image-editor-handle image-editor-handle--${h}`}
+                                        onPointerDown={startDrag(h)}
+                                        onPointerMove={onDrag}
+                                        onPointerUp={endDrag}
+                                        onPointerCancel={endDrag}
+                                    />
+                                ))}
+                            </div>
+                        </>
+                    ) : (
+                        <div className="small-muted text-xs">Loading image…</div>
+                    )}
+                </div>
+
+                <div className="image-editor-tools text-xs">
+                    <label className="image-editor-field">
+                        Aspect
+                        <select value={ratio} onChange={(e) => chooseRatio(e.target.value)} disabled={!img} aria-label="Crop aspect ratio">
+                            {RATIOS.map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+
+                    <div className="image-editor-buttons">
+                        <button type="button" onClick={() => turn(-90)} disabled={!img} title="Rotate left">⟲ 90°</button>
+                        <button type="button" onClick={() => turn(90)} disabled={!img} title="Rotate right">⟳ 90°</button>
+                        <button type="button" onClick={() => update({ flipH: !edit.flipH })} disabled={!img} aria-pressed={edit.flipH}>
+                            Flip ↔
+                        </button>
+                        <button type="button" onClick={() => update({ flipV: !edit.flipV })} disabled={!img} aria-pressed={edit.flipV}>
+                            Flip ↕
+                        </button>
+                    </div>
+
+                    <label className="image-editor-field image-editor-field--wide">
+                        Straighten {edit.straighten > 0 ? "+" : ""}{edit.straighten.toFixed(1)}°
+                        <input
+                            type="range"
+                            min={-45}
+                            max={45}
+                            step={0.1}
+                            value={edit.straighten}
+                            disabled={!img}
+                            onChange={(e) => update({ straighten: Number(e.target.value) })}
+                            onDoubleClick={() => update({ straighten: 0 })}
+                            aria-label="Straighten angle"
+                        />
+                    </label>
+                </div>
+
+                <div className="image-editor-actions">
+                    <button
+                        type="button"
+                        className="image-editor-secondary"
+                        onClick={() => {
+                            setRatio("free");
+                            setEdit(NO_EDIT);
+                        }}
+                    >
+                        Reset
+                    </button>
+                    <button type="button" className="image-editor-secondary" onClick={onCancel}>Cancel</button>
+                    <button type="button" className="image-editor-primary" onClick={() => onApply(edit)} disabled={!img}>
+                        Apply
+                    </button>
+                </div>
+            </div>
+        </div>,
+        document.getElementById("modal-root")
+    );
+}
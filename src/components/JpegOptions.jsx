@@ -0,0 +1,83 @@
+import React from "react";
+
+/* Advanced JPEG settings (built-in encoder only, except the encoder switch itself) */
+export default function JpegOptions({ options, onChange }) {
+    const set = (patch) => onChange({ ...options, ...patch });
+    const builtin = options.encoder === "builtin";
+
+    return (
+        <details className="jpeg-options mt-1 text-xs small-muted">
+            <summary>Advanced JPEG options</summary>
+
+            <label className="jpeg-options-field">
+                Encoder
+                <select
+                    value={options.encoder}
+                    onChange={(e) => set({ encoder: e.target.value })}
+                    aria-label="JPEG encoder"
+                >
+                    <option value="builtin">Built-in (smaller files)</option>
+                    <option value="browser">Browser (fastest)</option>
+                </select>
+            </label>
+
+            {builtin && (
+                <>
+                    <label className="jpeg-options-field">
+                        Chroma
+                        <select
+                            value={options.subsampling}
+                            onChange={(e) => set({ subsampling: e.target.value })}
+                            aria-label="Chroma subsampling"
+                        >
+                            <option value="auto">Auto</option>
+                            <option value="420">4:2:0 (smallest)</option>
+                            <option value="422">4:2:2</option>
+                            <option value="444">4:4:4 (sharp colour edges)</option>
+                        </select>
+                    </label>
+
+                    <label className="jpeg-options-field">
+                        Quant tables
+                        <select
+                            value={options.quantTable}
+                            onChange={(e) => set({ quantTable: e.target.value })}
+                            aria-label="Quantization tables"
+                        >
+                            <option value="standard">Standard</option>
+                            <option value="robidoux">Smooth (fewer blocks at low quality)</option>
+                        </select>
+                    </label>
+
+                    <label className="jpeg-options-field">
+                        <input
+                            type="checkbox"
+                            checked={options.progressive}
+                            onChange={(e) => set({ progressive: e.target.checked })}
+                        />
+                        Progressive
+                    </label>
+
+                    <label className="jpeg-options-field">
+                        <input
+                            type="checkbox"
+                            checked={options.optimizeHuffman || options.progressive}
+                            disabled={options.progressive}
+                            onChange={(e) => set({ optimizeHuffman: e.target.checked })}
+                        />
+                        Optimize Huffman tables
+                    </label>
+
+                    <label className="jpeg-options-field">
+                        <input
+                            type="checkbox"
+                            checked={options.trellis}
+                            onChange={(e) => set({ trellis: e.target.checked })}
+                        />
+                        Drop near-zero detail (smaller, slightly softer)
+                    </label>
+                </>
+            )}
+        </details>
+    );
+}
@@ -0,0 +1,42 @@
+import React from "react";
+
+/* What the original carried and what happened to it in the compressed file.
+   items: summarizeMetadata() output; kept: Set of kept keys, or null when everything is kept. */
+export default function MetadataReport({ items, kept }) {
+    if (!items) return null;
+
+    if (items.length === 0) {
+        return (
+            <div className="metadata-report text-xs small-muted">
+                No camera, location or colour-profile metadata found in the original.
+            </div>
+        );
+    }
+
+    const status = (item) => {
+        if (item.key === "orientation") return "Applied";
+        return !kept || kept.has(item.key) ? "Kept" : "Removed";
+    };
+
+    return (
+        <div className="metadata-report">
+            <div className="comparison-heading">Metadata</div>
+            <ul className="metadata-list">
+                {items.map((item) => {
+                    const s = status(item);
+                    return (
+                        <li key={item.key} className="metadata-row text-xs">
+                            <span className="metadata-label small-muted">{item.label}</span>
+                            <span className="metadata-value truncate" title={item.value}>{item.value}</span>
+                            <span
+                                className={`metadata-status metadata-status--${s.toLowerCase()}${item.sensitive && s === "Kept" ? " metadata-status--warn" : ""}`}
+                            >
+                                {s}
+                            </span>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,216 @@
+import React, { useState } from "react";
+
+const STATUS_LABEL = {
+    pending: "Waiting",
+    processing: "Compressing",
+    done: "Done",
+    error: "Failed",
+};
+
+const FORMAT_OPTIONS = [
+    ["", "Same as above"],
+    ["jpeg", "JPEG"],
+    ["webp", "WebP"],
+    ["png", "PNG (lossless)"],
+    ["png-optimized", "PNG (Logo & Text)"],
+    ["avif", "AVIF"],
+    ["auto", "Auto"],
+];
+
+/* Per-file override editor (format / quality / target KB) */
+function OverrideFields({ item, disabled, onOverride }) {
+    const o = item.overrides || {};
+    // Quality digits as typed; clamped to 5-98 only when the field is left, so "45" can be typed
+    const [qualityDraft, setQualityDraft] = useState(null);
+
+    const commitQuality = () => {
+        if (qualityDraft === null) return;
+        onOverride(item.id, {
+            quality: qualityDraft ? Math.min(98, Math.max(5, Number(qualityDraft))) / 100 : undefined,
+        });
+        setQualityDraft(null);
+    };
+
+    return (
+        <div className="queue-overrides">
+            <label className="queue-override-field">
+                <span>Format</span>
+                <select
+                    value={o.format || ""}
+                    disabled={disabled}
+                    onChange={(e) => onOverride(item.id, { format: e.target.value || undefined })}
+                >
+                    {FORMAT_OPTIONS.map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+            </label>
+
+            <label className="queue-override-field">
+                <span>Quality %</span>
+                <input
+                    value={qualityDraft ?? (o.quality != null ? Math.round(o.quality * 100) : "")}
+                    disabled={disabled}
+                    inputMode="numeric"
+                    placeholder="shared"
+                    onChange={(e) => setQualityDraft(e.target.value.replace(/[^\d]/g, ""))}
+                    onBlur={commitQuality}
+                    onKeyDown={(e) => {
+                        if (e.key === "Enter") e.currentTarget.blur();
+                        if (e.key === "Escape") setQualityDraft(null);
+                    }}
+                />
+            </label>
+
+            <label className="queue-override-field">
+                <span>Target KB</span>
+                <input
+                    value={o.targetKB ?? ""}
+                    disabled={disabled}
+                    inputMode="numeric"
+                    placeholder="shared"
+                    onChange={(e) => {
+                        const v = e.target.value.replace(/[^\d]/g, "");
+                        onOverride(item.id, { targetKB: v || undefined });
+                    }}
+                />
+            </label>
+        </div>
+    );
+}
+
+export default function QueueList({
+    queue,
+    activeId,
+    processing,
+    humanFileSize,
+    onSelect,
+    onRemove,
+    onRetry,
+    onOverride,
+    onDownloadZip,
+    zipBusy,
+}) {
+    const [openId, setOpenId] = useState(null);
+
+    const doneCount = queue.filter((it) => it.status === "done").length;
+    const failedCount = queue.filter((it) => it.status === "error").length;
+
+    return (
+        <div className="queue-wrap w-full">
+            <div className="queue-head">
+                <div className="text-sm font-semibold">
+                    {queue.length} images
+                    <span className="small-muted font-normal">
+                        {" "}· {doneCount} done{failedCount ? ` · ${failedCount} failed` : ""}
+                    </span>
+                </div>
+
+                <button
+                    type="button"
+                    className="secondary-pill"
+                    disabled={!doneCount || zipBusy || processing}
+                    onClick={onDownloadZip}
+                >
+                    {zipBusy ? "Preparing ZIP…" : "Download all (ZIP)"}
+                </button>
+            </div>
+
+            <ul className="queue-list">
+                {queue.map((item) => {
+                    const isActive = item.id === activeId;
+                    const hasOverrides = Object.values(item.overrides || {}).some((v) => v != null);
+
+                    return (
+                        <li
+                            key={item.id}
+                            className={`queue-row queue-row--${item.status} ${isActive ? "queue-row--active" : ""}`}
+                        >
+                            <div className="queue-row-main">
+                                <button
+                                    type="button"
+                                    className="queue-name truncate"
+                                    title={item.file.name}
+                                    onClick={() => onSelect(item.id)}
+                                >
+                                    {item.file.name}
+                                </button>
+
+                                <span className="queue-size small-muted">
+                                    {humanFileSize(item.file.size)}
+                                    {item.outSize ? ` → ${humanFileSize(item.outSize)}` : ""}
+                                </span>
+
+                                <span className={`queue-status queue-status--${item.status}`}>
+                                    {STATUS_LABEL[item.status]}
+                                </span>
+
+                                <div className="queue-actions">
+                                    <button
+                                        type="button"
+                                        className="secondary-pill"
+                                        aria-expanded={openId === item.id}
+                                        title="Per-file settings"
+                                        onClick={() => setOpenId(openId === item.id ? null : item.id)}
+                                    >
+                                        {hasOverrides ? "Custom" : "Settings"}
+                                    </button>
+
+                                    {item.status === "error" && (
+                                        <button
+                                            type="button"
+                                            className="secondary-pill"
+                                            disabled={processing}
+                                            onClick={() => onRetry(item.id)}
+                                        >
+                                            Retry
+                                        </button>
+                                    )}
+
+                                    <button
+                                        type="button"
+                                        className="secondary-pill secondary-pill--icon"
+                                        aria-label={`Remove ${item.file.name}`}
+                                        title="Remove"
+                                        disabled={processing}
+                                        onClick={() => onRemove(item.id)}
+                                    >
+                                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" aria-hidden>
+                                            <path
+                                                d="M6 6l12 12M18 6L6 18"
+                                                stroke="currentColor"
+                                                strokeWidth="1.8"
+                                                strokeLinecap="round"
+                                            />
+                                        </svg>
+                                    </button>
+                                </div>
+                            </div>
+
+                            {item.status === "processing" && (
+                                <div className="progress-track queue-progress">
+                                    <div
+                                        className="progress-fill"
+                                        style={{ width: `${Math.min(100, item.progress || 0)}%` }}
+                                    />
+                                </div>
+                            )}
+
+                            {item.note ? (
+                                <div className="progress-note">{item.note}</div>
+                            ) : null}
+
+                            {openId === item.id && (
+                                <OverrideFields
+                                    item={item}
+                                    disabled={processing}
+                                    onOverride={onOverride}
+                                />
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
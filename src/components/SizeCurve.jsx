@@ -0,0 +1,76 @@
+import React from "react";
+
+const W = 240;
+const H = 84;
+const PAD = { left: 6, right: 6, top: 6, bottom: 14 };
+
+/* Quality where the estimated size crosses `bytes` (interpolated on log size).
+   Returns -1 when even the lowest quality is larger, the top quality when all fit. */
+function qualityForBytes(points, bytes) {
+    if (bytes < points[0].bytes) return -1;
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        if (bytes <= b.bytes) {
+            const span = Math.log(b.bytes) - Math.log(a.bytes);
+            const t = span > 0 ? (Math.log(bytes) - Math.log(a.bytes)) / span : 1;
+            return a.quality + t * (b.quality - a.quality);
+        }
+    }
+    return points[points.length - 1].quality;
+}
+
+/* Estimated quality-vs-size curve for the active image, with the KB target (and range floor)
+   drawn across it, so the user sees where the limit falls before compressing.
+   estimate: { width, height, points: [{ quality, bytes }], pending } */
+export default function SizeCurve({ estimate, targetBytes, minBytes = 0, humanFileSize }) {
+    const points = estimate?.points || [];
+    if (points.length < 2 || !(targetBytes > 0)) return null;
+
+    const qMin = points[0].quality;
+    const qMax = points[points.length - 1].quality;
+    const top = Math.max(points[points.length - 1].bytes, targetBytes) * 1.15;
+    const x = (q) => PAD.left + ((q - qMin) / (qMax - qMin)) * (W - PAD.left - PAD.right);
+    const y = (bytes) => PAD.top + (1 - bytes / top) * (H - PAD.top - PAD.bottom);
+
+    const q = qualityForBytes(points, targetBytes);
+    const lowQ = minBytes > 0 ? qualityForBytes(points, minBytes) : -1;
+    const size = `${estimate.width}×${estimate.height}`;
+    const pct = (v) => `${Math.round(v * 100)}%`;
+
+    let summary;
+    if (q < 0) {
+        summary = `Even ${pct(qMin)} is ≈ ${humanFileSize(points[0].bytes)} at ${size} - the image will be made smaller to reach ${humanFileSize(targetBytes)}.`;
+    } else if (q >= qMax) {
+        summary = `Every quality fits - ${pct(qMax)} is ≈ ${humanFileSize(points[points.length - 1].bytes)} at ${size}.`;
+    } else {
+        summary = `≈ ${pct(q)} quality reaches ${humanFileSize(targetBytes)} at ${size}.`;
+    }
+
+    return (
+        <div className={`size-curve ${estimate.pending ? "size-curve--pending" : ""}`}>
+            <svg viewBox={`0 0 ${W} ${H}`} role="img" aria-label="Estimated file size by quality">
+                {minBytes > 0 && minBytes < top && (
+                    <rect
+                        className="size-curve-range"
+                        x={PAD.left}
+                        y={y(Math.min(targetBytes, top))}
+                        width={W - PAD.left - PAD.right}
+                        height={y(minBytes) - y(Math.min(targetBytes, top))}
+                    />
+                )}
+                <line className="size-curve-target" x1={PAD.left} x2={W - PAD.right} y1={y(targetBytes)} y2={y(targetBytes)} />
+                <polyline
+                    className="size-curve-line"
+                    points={points.map((p) => `${x(p.quality).toFixed(1)},${y(p.bytes).toFixed(1)}`).join(" ")}
+                />
+                {q >= qMin && q < qMax && <circle className="size-curve-mark" cx={x(q)} cy={y(targetBytes)} r="3" />}
+                {lowQ >= qMin && lowQ < qMax && <circle className="size-curve-mark" cx={x(lowQ)} cy={y(minBytes)} r="2.5" />}
+                <text className="size-curve-axis" x={PAD.left} y={H - 3}>{pct(qMin)}</text>
+                <text className="size-curve-axis" x={W - PAD.right} y={H - 3} textAnchor="end">{pct(qMax)}</text>
+                <text className="size-curve-axis" x={W / 2} y={H - 3} textAnchor="middle">quality</text>
+            </svg>
+            <div className="text-xs small-muted">{summary}</div>
+        </div>
+    );
+}
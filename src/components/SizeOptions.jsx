@@ -0,0 +1,226 @@
+import React from "react";
+
+const UNITS = [
+    ["cm", "cm"],
+    ["mm", "mm"],
+    ["in", "inches"],
+];
+
+const FITS = [
+    ["cover", "Fill (crop to shape)"],
+    ["contain", "Fit inside (keep shape)"],
+    ["pad", "Fit + pad to size"],
+    ["stretch", "Stretch"],
+];
+
+const FILTERS = [
+    ["auto", "Lanczos-3 (sharp)"],
+    ["box", "Area average (soft, no moiré)"],
+    ["browser", "Browser (fastest)"],
+];
+
+const SHARPEN = [
+    ["auto", "Auto (text & screenshots)"],
+    ["off", "Off"],
+    ["light", "Light"],
+    ["strong", "Strong"],
+];
+
+const NO_RESIZING = { filter: "auto", sharpen: "auto" };
+
+const NO_DIMENSIONS = { width: "", height: "", keepAspect: true, fit: "cover", background: "#ffffff", lock: false };
+
+const numeric = (v) => v.replace(/[^\d.]/g, "").replace(/(\..*)\./g, "$1");
+const digits = (v) => v.replace(/[^\d]/g, "").slice(0, 5);
+
+/* The side the user left empty, worked out from the active image's shape */
+function autoSide(value, from, to) {
+    const n = Number(value);
+    return n > 0 && from > 0 ? String(Math.max(1, Math.round((n * to) / from))) : "auto";
+}
+
+/* Output DPI, exact pixel size (or a physical print size, e.g. 3.5 × 4.5 cm at 300 DPI),
+   how the image fits that box, the "never resize" lock, and how resizing is done */
+export default function SizeOptions({
+    dpi,
+    setDpi,
+    printSize,
+    setPrintSize,
+    pixelSize,
+    dimensions = NO_DIMENSIONS,
+    setDimensions = () => {},
+    sourceDims = null,
+    resizing = null,
+    setResizing = () => {},
+}) {
+    const setPrint = (patch) => setPrintSize({ ...printSize, ...patch });
+    const setDims = (patch) => setDimensions({ ...dimensions, ...patch });
+    const { width, height, keepAspect, fit, background, lock } = dimensions;
+    const resize = resizing || NO_RESIZING;
+    const setResize = (patch) => setResizing({ ...resize, ...patch });
+
+    // With the ratio kept, typing one side clears the other so it follows each image's own shape
+    const setSide = (side, value) => {
+        const v = digits(value);
+        if (!keepAspect) return setDims({ [side]: v });
+        return setDims(side === "width" ? { width: v, height: "" } : { width: "", height: v });
+    };
+
+    const hasPixels = !pixelSize && (Number(width) > 0 || Number(height) > 0);
+    const hasBox = !!pixelSize || (Number(width) > 0 && Number(height) > 0);
+    const fitLabel = (FITS.find(([value]) => value === fit) || FITS[0])[1].toLowerCase();
+
+    return (
+        <details className="size-options mt-3 text-xs small-muted controls-pad">
+            <summary>Size, DPI &amp; resizing</summary>
+
+            <div className="size-options-grid">
+                <label className="size-options-field">
+                    <span>DPI</span>
+                    <input
+                        value={dpi}
+                        inputMode="numeric"
+                        placeholder="e.g. 300"
+                        onChange={(e) => setDpi(e.target.value.replace(/[^\d]/g, "").slice(0, 5))}
+                        aria-label="Output DPI"
+                    />
+                </label>
+
+                <div className="size-options-field">
+                    <span>Print size</span>
+                    <div className="size-options-row">
+                        <input
+                            value={printSize.width}
+                            inputMode="decimal"
+                            placeholder="width"
+                            onChange={(e) => setPrint({ width: numeric(e.target.value) })}
+                            aria-label="Print width"
+                        />
+                        <span aria-hidden>×</span>
+                        <input
+                            value={printSize.height}
+                            inputMode="decimal"
+                            placeholder="height"
+                            onChange={(e) => setPrint({ height: numeric(e.target.value) })}
+                            aria-label="Print height"
+                        />
+                        <select
+                            value={printSize.unit}
+                            onChange={(e) => setPrint({ unit: e.target.value })}
+                            aria-label="Print size unit"
+                        >
+                            {UNITS.map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                <div className="size-options-field">
+                    <span>Pixel size</span>
+                    <div className="size-options-row">
+                        <input
+                            value={width}
+                            inputMode="numeric"
+                            placeholder={keepAspect && sourceDims ? autoSide(height, sourceDims.height, sourceDims.width) : "width"}
+                            disabled={!!pixelSize}
+                            onChange={(e) => setSide("width", e.target.value)}
+                            aria-label="Output width in pixels"
+                        />
+                        <span aria-hidden>×</span>
+                        <input
+                            value={height}
+                            inputMode="numeric"
+                            placeholder={keepAspect && sourceDims ? autoSide(width, sourceDims.width, sourceDims.height) : "height"}
+                            disabled={!!pixelSize}
+                            onChange={(e) => setSide("height", e.target.value)}
+                            aria-label="Output height in pixels"
+                        />
+                        <span>px</span>
+                    </div>
+                    <label className="size-options-check">
+                        <input
+                            type="checkbox"
+                            checked={keepAspect}
+                            disabled={!!pixelSize}
+                            onChange={(e) => setDims({ keepAspect: e.target.checked })}
+                        />
+                        Keep aspect ratio
+                    </label>
+                </div>
+
+                <label className="size-options-field">
+                    <span>Fit</span>
+                    <select
+                        value={fit}
+                        disabled={!hasBox}
+                        onChange={(e) => setDims({ fit: e.target.value })}
+                        aria-label="How the image fits the output size"
+                    >
+                        {FITS.map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label className="size-options-field">
+                    <span>Resampling</span>
+                    <select
+                        value={resize.filter}
+                        onChange={(e) => setResize({ filter: e.target.value })}
+                        aria-label="Resize filter"
+                    >
+                        {FILTERS.map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label className="size-options-field">
+                    <span>Sharpen after resize</span>
+                    <select
+                        value={resize.sharpen}
+                        onChange={(e) => setResize({ sharpen: e.target.value })}
+                        aria-label="Sharpening after downscaling"
+                    >
+                        {SHARPEN.map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                {hasBox && fit === "pad" && (
+                    <label className="size-options-field">
+                        <span>Pad colour</span>
+                        <input
+                            type="color"
+                            value={background}
+                            onChange={(e) => setDims({ background: e.target.value })}
+                            aria-label="Padding colour"
+                        />
+                    </label>
+                )}
+            </div>
+
+            <label className="size-options-check mt-1">
+                <input
+                    type="checkbox"
+                    checked={lock || !!pixelSize || hasPixels}
+                    disabled={!!pixelSize || hasPixels}
+                    onChange={(e) => setDims({ lock: e.target.checked })}
+                />
+                Lock dimensions (never resize - only quality changes to meet a target)
+            </label>
+
+            <div className="mt-1">
+                {pixelSize
+                    ? `Output: ${pixelSize.width} × ${pixelSize.height} px at ${pixelSize.dpi} DPI (${fitLabel}).`
+                    : hasPixels
+                        ? `Output: ${width || "auto"} × ${height || "auto"} px${hasBox ? ` (${fitLabel})` : ""}. A KB target is met by quality alone.`
+                        : lock
+                            ? "Output keeps the original pixel size; if a KB target can't be met you'll be told why."
+                            : "DPI is written into the file (JPEG JFIF, PNG pHYs, WebP EXIF). Add a pixel or print size to get exact dimensions."}
+            </div>
+        </details>
+    );
+}
@@ -1,4 +1,10 @@
 import React, { useEffect, useState } from "react";
+import QueueList from "./QueueList";
+import JpegOptions from "./JpegOptions";
+import SizeOptions from "./SizeOptions";
+import SizeCurve from "./SizeCurve";
+import FramePicker from "./FramePicker";
+import { SSIM_PRESETS, CONTENT_TYPES } from "../lib/compressly";
 
 
 
@@ -60,16 +66,65 @@ export default function Uploader({
     setQuality,
     targetKB,
     setTargetKB,
+    minKB = "",
+    setMinKB = () => {},
+    ssimTarget = "", // "" = size target, otherwise the SSIM goal
+    setSsimTarget = () => {},
+    sizeEstimate = null, // live estimate for the active image (see SizeCurve)
+    contentMode = "auto",
+    setContentMode = () => {},
+    detectedContent = null, // classifyImage() type of the active image
     runCompress,
+    cancelCompress = () => {},
     processing,
     resetAll,
     progressPct,
     lastNote,
     format,
     setFormat,
+    dither = true,
+    setDither = () => {},
+    pngEffort = 6,
+    setPngEffort = () => {},
+    jpegOptions = null,
+    metadataMode = "strip",
+    colorMode = "srgb",
+    setColorMode = () => {},
+    dpi = "",
+    setDpi = () => {},
+    printSize = { width: "", height: "", unit: "cm" },
+    setPrintSize = () => {},
+    pixelSize = null,
+    dimensions = null,
+    setDimensions = () => {},
+    sourceDims = null,
+    resizing = null,
+    setResizing = () => {},
+    onEditImage = () => {},
+    edited = false,
+    onCompareFormats = () => {},
+    comparing = false,
+    frames = [], // previews of the images / pages in a HEIC or TIFF (see FramePicker)
+    frameKind = "heic",
+    frame = 0,
+    onSelectFrame = () => {},
+    onExportAllPages = null,
+    setMetadataMode = () => {},
+    setJpegOptions = () => {},
+    queue = [],
+    activeId = null,
+    onSelectItem = () => {},
+    onRemoveItem = () => {},
+    onRetryItem = () => {},
+    onOverrideItem = () => {},
+    onDownloadZip = () => {},
+    zipBusy = false,
     openPreview = () => {},  // Default handler if not provided
 }) {
     const [dragActive, setDragActive] = useState(false);
+    const [rangeMode, setRangeMode] = useState(!!minKB);
+    const detected = CONTENT_TYPES.find((t) => t.value === detectedContent) || null;
+    const content = contentMode === "auto" ? detected : CONTENT_TYPES.find((t) => t.value === contentMode);
 
     return (
         <section className="md:col-span-8 container-card p-3 uploader-shell">
@@ -103,20 +158,21 @@ export default function Uploader({
                             onClick={() => inputRef.current?.click()}
                             className="primary-upload-btn select-image-btn"
                         >
-                            Select Image
+                            Select Images
                         </button>
 
 
                         <input
                             ref={inputRef}
                             type="file"
-                            accept="image/*"
+                            accept="image/*,.heic,.heif,.tif,.tiff,.bmp,.dng,.cr2,.nef,.nrw,.arw,.pef"
+                            multiple
                             className="hidden"
                             onChange={(e) => handleFiles(e.target.files)}
                         />
 
                         <div className="small-muted text-xs trust-note">
-                               Drag &amp; drop or click Select Image to upload</div>
+                               Drag &amp; drop or click Select Images - one or many at once</div>
                     </div>
                 </div>
 
@@ -206,14 +262,56 @@ export default function Uploader({
                                             {humanFileSize(originalSize)}
                                         </div>
                                     ) : null}
+
+                                    <button
+                                        type="button"
+                                        className="upload-edit-btn"
+                                        onClick={onEditImage}
+                                        disabled={processing}
+                                    >
+                                        {edited ? "Edited · change crop & rotation" : "Crop & rotate"}
+                                    </button>
+
+                                    <button
+                                        type="button"
+                                        className="upload-edit-btn"
+                                        onClick={onCompareFormats}
+                                        disabled={processing || comparing}
+                                        title="Run the current target for every format and compare size and sharpness"
+                                    >
+                                        {comparing ? "Comparing formats…" : "Compare formats"}
+                                    </button>
                                 </div>
 
+                                <FramePicker
+                                    frames={frames}
+                                    kind={frameKind}
+                                    value={frame}
+                                    onChange={onSelectFrame}
+                                    onExportAll={onExportAllPages}
+                                    disabled={processing}
+                                />
+
                             </div>
                         </div>
                     </>
                 )}
 
-             
+                {/* batch queue (only when more than one image is selected) */}
+                {queue.length > 1 && (
+                    <QueueList
+                        queue={queue}
+                        activeId={activeId}
+                        processing={processing}
+                        humanFileSize={humanFileSize}
+                        onSelect={onSelectItem}
+                        onRemove={onRemoveItem}
+                        onRetry={onRetryItem}
+                        onOverride={onOverrideItem}
+                        onDownloadZip={onDownloadZip}
+                        zipBusy={zipBusy}
+                    />
+                )}
 
             </div>
 
@@ -236,7 +334,8 @@ export default function Uploader({
                                 <option value="webp">WebP (smaller)</option>
                                 <option value="png">PNG (Photo - lossless)</option>
                                 <option value="png-optimized">PNG (Logo & Text - smaller)</option>
-                                <option value="auto">Auto (WebP if supported)</option>
+                                <option value="avif">AVIF (smallest, slower)</option>
+                                <option value="auto">Auto (best format for the content)</option>
 
                             </select>
                           
@@ -246,14 +345,91 @@ export default function Uploader({
                                 </svg>
                             </div>
                         </div>
-                        {format === "png-optimized" && (
+                        <label className="mt-1 flex items-center gap-2 text-xs small-muted">
+                            Metadata
+                            <select
+                                value={metadataMode}
+                                onChange={(e) => setMetadataMode(e.target.value)}
+                                aria-label="Metadata to keep"
+                            >
+                                <option value="strip">Strip all (smallest, private)</option>
+                                <option value="copyright">Keep copyright &amp; date</option>
+                                <option value="all">Keep all (incl. GPS)</option>
+                            </select>
+                        </label>
+                        <label className="mt-1 flex items-center gap-2 text-xs small-muted">
+                            Colour
+                            <select
+                                value={colorMode}
+                                onChange={(e) => setColorMode(e.target.value)}
+                                aria-label="Colour profile handling"
+                            >
+                                <option value="srgb">Convert to sRGB (looks right everywhere)</option>
+                                <option value="keep">Keep original profile (P3 etc.)</option>
+                            </select>
+                        </label>
+                        <label className="mt-1 flex items-center gap-2 text-xs small-muted">
+                            Content
+                            <select
+                                value={contentMode}
+                                onChange={(e) => setContentMode(e.target.value)}
+                                aria-label="Image content type"
+                            >
+                                <option value="auto">
+                                    {detected ? `Auto - ${detected.label} detected` : "Auto-detect"}
+                                </option>
+                                {CONTENT_TYPES.map((t) => (
+                                    <option key={t.value} value={t.value}>{t.label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        {content && content.value !== "photo" && (
                             <div className="mt-1 text-xs small-muted">
-                                Note: PNG files are already compressed. For logos and text,
-                                size reductions of 20-40% are normal. For photos, use JPEG or WebP
-                                for better compression.
-
+                                {content.label}: tuned for sharp edges - no photo smoothing or size caps, full colour detail.
+                                {format !== "auto" && format !== content.format && (
+                                    <>
+                                        {" "}
+                                        <button type="button" className="link-button" onClick={() => setFormat("auto")}>
+                                            Use Auto format
+                                        </button>
+                                    </>
+                                )}
                             </div>
                         )}
+                        {(format === "png" || format === "png-optimized") && (
+                            <label className="mt-1 flex items-center gap-2 text-xs small-muted">
+                                PNG effort
+                                <select
+                                    value={pngEffort}
+                                    onChange={(e) => setPngEffort(Number(e.target.value))}
+                                    aria-label="PNG compression effort"
+                                >
+                                    <option value={3}>Fast</option>
+                                    <option value={6}>Balanced</option>
+                                    <option value={9}>Maximum (slower)</option>
+                                </select>
+                            </label>
+                        )}
+                        {(format === "jpeg" || format === "auto") && jpegOptions && (
+                            <JpegOptions options={jpegOptions} onChange={setJpegOptions} />
+                        )}
+                        {format === "png-optimized" && (
+                            <>
+                                <label className="mt-1 flex items-center gap-2 text-xs small-muted">
+                                    <input
+                                        type="checkbox"
+                                        checked={dither}
+                                        onChange={(e) => setDither(e.target.checked)}
+                                    />
+                                    Dithering (smoother gradients, slightly larger)
+                                </label>
+                                <div className="mt-1 text-xs small-muted">
+                                    Note: saves an indexed PNG-8 with up to 256 colours. Logos and
+                                    screenshots usually shrink 60-80%. For photos, use JPEG or WebP
+                                    for better compression.
+                                </div>
+                            </>
+                        )}
                     </div>
                 </div>
 
@@ -283,38 +459,128 @@ export default function Uploader({
                             {Math.round(quality * 100)}%
                         </div>
                     </div>
+                    {sizeEstimate && !sizeEstimate.curve && sizeEstimate.points[0] && (
+                        <div
+                            className={`size-estimate text-xs small-muted ${sizeEstimate.pending ? "size-estimate--pending" : ""}`}
+                            aria-live="polite"
+                        >
+                            ≈ {humanFileSize(sizeEstimate.points[0].bytes)} at {sizeEstimate.width}×{sizeEstimate.height}
+                        </div>
+                    )}
                 </div>
 
                 <div className="target-block">
-                    <label className="control-label">Target</label>
+                    <div className="flex items-center justify-between gap-2">
+                        <label className="control-label">Target</label>
+                        <div className="flex items-center gap-2 text-xs small-muted">
+                            <select
+                                value={ssimTarget ? "quality" : "size"}
+                                onChange={(e) => setSsimTarget(e.target.value === "quality" ? "0.95" : "")}
+                                aria-label="Target kind"
+                                className="target-mode-select"
+                            >
+                                <option value="size">File size</option>
+                                <option value="quality">Visual quality</option>
+                            </select>
+                            {!ssimTarget && (
+                                <label className="flex items-center gap-1">
+                                    <input
+                                        type="checkbox"
+                                        checked={rangeMode}
+                                        onChange={(e) => {
+                                            setRangeMode(e.target.checked);
+                                            if (!e.target.checked) setMinKB("");
+                                        }}
+                                    />
+                                    Min–max range
+                                </label>
+                            )}
+                        </div>
+                    </div>
 
                     <div className="mt-1">
                         <div className="target-row control-max">
-                            {/* Target input with KB suffix */}
-                            <div className="target-input-wrap">
-                                <input
-                                    value={targetKB}
-                                    onChange={(e) => setTargetKB(e.target.value.replace(/[^\d]/g, ""))}
-                                    inputMode="numeric"
-                                    placeholder="e.g. 100"
-                                    className="target-input-field"
-                                />
-                                <span className="target-input-suffix">KB</span>
-                            </div>
+                            {ssimTarget ? (
+                                /* Visual-quality mode: smallest file that still reaches the SSIM goal */
+                                <div className="target-input-wrap">
+                                    <select
+                                        value={ssimTarget}
+                                        onChange={(e) => setSsimTarget(e.target.value)}
+                                        aria-label="Visual quality goal"
+                                        className="target-input-field"
+                                    >
+                                        {SSIM_PRESETS.map((p) => (
+                                            <option key={p.value} value={String(p.value)}>
+                                                {p.label} (SSIM ≥ {p.value})
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                            ) : (
+                                <>
+                                {rangeMode && (
+                                    <div className="target-input-wrap target-input-wrap--min">
+                                        <input
+                                            value={minKB}
+                                            onChange={(e) => setMinKB(e.target.value.replace(/[^\d]/g, ""))}
+                                            inputMode="numeric"
+                                            placeholder="min"
+                                            aria-label="Minimum size in KB"
+                                            className="target-input-field"
+                                        />
+                                        <span className="target-input-suffix">KB</span>
+                                    </div>
+                                )}
+                                {/* Target input with KB suffix */}
+                                <div className="target-input-wrap">
+                                    <input
+                                        value={targetKB}
+                                        onChange={(e) => setTargetKB(e.target.value.replace(/[^\d]/g, ""))}
+                                        inputMode="numeric"
+                                        placeholder={rangeMode ? "max" : "e.g. 100"}
+                                        aria-label={rangeMode ? "Maximum size in KB" : "Target size in KB"}
+                                        className="target-input-field"
+                                    />
+                                    <span className="target-input-suffix">KB</span>
+                                </div>
+                                </>
+                            )}
 
                             <button
                                 onClick={runCompress}
                                 disabled={!file || processing}
                                 className="primary-upload-btn compress-btn-main disabled:opacity-60 text-sm"
                             >
-                                Compress
+                                {queue.length > 1 ? "Compress all" : "Compress"}
                             </button>
                         </div>
                     </div>
+
+                    {sizeEstimate?.curve && !ssimTarget && (
+                        <SizeCurve
+                            estimate={sizeEstimate}
+                            targetBytes={Number(targetKB) * 1024}
+                            minBytes={rangeMode ? Number(minKB) * 1024 : 0}
+                            humanFileSize={humanFileSize}
+                        />
+                    )}
                 </div>
 
             </div>
 
+            <SizeOptions
+                dpi={dpi}
+                setDpi={setDpi}
+                printSize={printSize}
+                setPrintSize={setPrintSize}
+                pixelSize={pixelSize}
+                dimensions={dimensions}
+                setDimensions={setDimensions}
+                sourceDims={sourceDims}
+                resizing={resizing}
+                setResizing={setResizing}
+            />
+
             {/* Progress area (reserved space, no layout jump) */}
             <div className="mt-3 control-max range-wrap controls-pad">
                 {processing ? (
@@ -327,12 +593,21 @@ export default function Uploader({
                                 />
                             </div>
                             <Spinner className="w-3.5 h-3.5 text-slate-400 opacity-60" />
+                            <button
+                                type="button"
+                                onClick={cancelCompress}
+                                className="secondary-pill cancel-compress-btn"
+                            >
+                                Cancel
+                            </button>
                         </div>
 
                         <div className="progress-note">
                             {lastNote || "Processing image…"}
                         </div>
                     </>
+                ) : lastNote ? (
+                    <div className="progress-note">{lastNote}</div>
                 ) : null}
             </div>
 
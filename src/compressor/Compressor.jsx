@@ -1,15 +1,61 @@
 // App.jsx - with HEIC input support (converts HEIC->JPEG before compressing)
-// Minimal, lazy-loaded heic2any usage. If browser natively supports HEIC (createImageBitmap or <img>), we use that first.
+// HEIC goes through compressly's heicFrames(): the bundled converter runs once per file and every
+// image in it is offered in a frame picker. Multi-page TIFFs get the same picker (tiffPages
+// previews; the chosen page is decoded at full size) plus "export all pages". Camera RAWs show
+// and compress the JPEG preview embedded in them (cameraPreview).
 
 import React, { useRef, useState, useEffect } from "react";
 import Header from "../components/Header";
 import Uploader from "../components/Uploader";
+import ImageEditor from "../components/ImageEditor";
+import FormatRace from "../components/FormatRace";
+import MetadataReport from "../components/MetadataReport";
 import { createPortal } from "react-dom";
+import { createZipBlob } from "./zip";
+import {
+    throwIfAborted,
+    isAbortError,
+    isHeicFile,
+    heicFrames,
+    isTiffFile,
+    tiffPages,
+    isRawFile,
+    cameraPreview,
+    isAvifAvailable,
+    readMetadata,
+    summarizeMetadata,
+    keptKeys,
+    printSizeToPixels,
+    isIdentityEdit,
+    describeSsim,
+    describeColor,
+    CONTENT_TYPES,
+    canvasPixelBudget,
+} from "../lib/compressly";
+import { compressImage, estimateImage, detectContent } from "./workerClient";
 import "../index.css";
 
 
 
 
+/* Live size estimate: wait for the slider to settle, then sample these qualities for the curve */
+const ESTIMATE_DELAY = 300;
+const CURVE_QUALITIES = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 0.95];
+
+/* Formats entered in "Compare formats" (WebP / AVIF only where the browser can encode them) */
+const RACE_FORMATS = [
+    ["jpeg", "JPEG"],
+    ["webp", "WebP"],
+    ["png-optimized", "PNG (Logo & Text)"],
+    ["avif", "AVIF"],
+];
+
+/* Source types the encoders can write back for the "original" format */
+const ENCODABLE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/avif"];
+
+/* "Sharpen after resize" choices as unsharp-mask amounts (null = the engine's content default) */
+const SHARPEN_AMOUNTS = { auto: null, off: 0, light: 0.3, strong: 0.7 };
+
 /* Vite-safe asset URLs */
 const Icon64 = new URL("../assets/icon-64.png", import.meta.url).href;
 const Icon128 = new URL("../assets/icon-128.png", import.meta.url).href;
@@ -40,10 +86,17 @@ function mimeToExt(mime) {
     if (!mime) return "jpg";
     const part = mime.split("/")[1] || "jpeg";
     if (part === "jpeg") return "jpg";
+    if (part === "avif") return "avif";
     if (part.indexOf("svg") !== -1) return "svg";
     return part.replace(/[^a-z0-9]/gi, "");
 }
 
+/* Download filename for a compressed result: "<name>-compressed.<ext>" */
+function outputNameFor(srcFile, mime) {
+    const baseName = srcFile ? srcFile.name.replace(/\.[^/.]+$/, "") : "image";
+    return `${baseName}-compressed.${mimeToExt(mime)}`;
+}
+
 /* Small spinner */
 function Spinner({ className = "" }) {
     return (
@@ -108,611 +161,6 @@ function DownloadIcon() {
     );
 }
 
-/* Utility: createImageBitmap wrapper with fallback to Image */
-async function decodeImage(blob) {
-    if (typeof createImageBitmap === "function") {
-        try {
-            const imgBitmap = await createImageBitmap(blob);
-            return {
-                bitmap: imgBitmap,
-                width: imgBitmap.width,
-                height: imgBitmap.height,
-                isBitmap: true,
-            };
-        } catch {
-            // fallback below
-        }
-    }
-
-    return new Promise((resolve, reject) => {
-        const url = URL.createObjectURL(blob);
-        const img = new Image();
-        img.onload = () => {
-            URL.revokeObjectURL(url);
-            resolve({ img, width: img.width, height: img.height, isBitmap: false });
-        };
-        img.onerror = () => {
-            URL.revokeObjectURL(url);
-            reject(new Error("Image decode failed"));
-        };
-        img.src = url;
-    });
-}
-
-/* Helper: produce a blob from canvas, with timeout & fallback to toDataURL */
-async function canvasToBlobWithFallback(canvas, mime, quality) {
-    const b = await new Promise((resolve) => {
-        let called = false;
-        try {
-            canvas.toBlob((blob) => {
-                if (!called) {
-                    called = true;
-                    resolve(blob);
-                }
-            }, mime, quality);
-        } catch {
-            resolve(null);
-        }
-        setTimeout(() => {
-            if (!called) resolve(null);
-        }, 2500);
-    });
-
-    if (b && b.size > 0) return b;
-
-    try {
-        const dataUrl = canvas.toDataURL(mime, quality);
-        const [, raw] = dataUrl.split(",");
-        const binary = atob(raw);
-        const len = binary.length;
-        const u8 = new Uint8Array(len);
-        for (let i = 0; i < len; i++) u8[i] = binary.charCodeAt(i);
-        return new Blob([u8], { type: mime || "image/png" });
-    } catch {
-        return null;
-    }
-}
-
-/* draw helper */
-function drawImageScaled(ctx, source, sx, sy, sWidth, sHeight, dWidth, dHeight) {
-    if (source instanceof ImageBitmap || source instanceof HTMLImageElement) {
-        ctx.drawImage(
-            source,
-            0,
-            0,
-            source.width || sWidth,
-            source.height || sHeight,
-            0,
-            0,
-            dWidth,
-            dHeight
-        );
-    } else {
-        ctx.drawImage(source, 0, 0, dWidth, dHeight);
-    }
-}
-
-/* Robust canvas create + draw with progressive halving */
-async function renderScaled(sourceObj, targetW, targetH) {
-    const canvas = document.createElement("canvas");
-    canvas.width = targetW;
-    canvas.height = targetH;
-    const ctx = canvas.getContext("2d");
-
-    if (sourceObj.isBitmap && sourceObj.bitmap) {
-        ctx.save();
-
-        if (sourceObj.blurPx > 0) {
-            ctx.filter = `blur(${sourceObj.blurPx}px)`;
-        }
-
-        drawImageScaled(
-            ctx,
-            sourceObj.bitmap,
-            0,
-            0,
-            sourceObj.width,
-            sourceObj.height,
-            targetW,
-            targetH
-        );
-
-        ctx.restore();
-        return canvas;
-    }
-
-
-    let sw = sourceObj.width,
-        sh = sourceObj.height;
-    let tmpCanvas = document.createElement("canvas");
-    let tmpCtx = tmpCanvas.getContext("2d");
-    tmpCanvas.width = sw;
-    tmpCanvas.height = sh;
-
-    if (sourceObj.isBitmap && sourceObj.bitmap)
-        tmpCtx.drawImage(sourceObj.bitmap, 0, 0);
-    else tmpCtx.drawImage(sourceObj.img, 0, 0, sw, sh);
-
-    while (sw / 2 > targetW) {
-        const nw = Math.round(sw / 2);
-        const nh = Math.round(sh / 2);
-        const nc = document.createElement("canvas");
-        nc.width = nw;
-        nc.height = nh;
-        const nctx = nc.getContext("2d");
-        nctx.drawImage(tmpCanvas, 0, 0, sw, sh, 0, 0, nw, nh);
-        tmpCanvas = nc;
-        sw = nw;
-        sh = nh;
-        await new Promise((r) => setTimeout(r, 0));
-    }
-
-    // Apply blur ONLY if defined (JPEG low-KB smoothing)
-    ctx.save();
-
-    if (sourceObj.blurPx && sourceObj.blurPx > 0) {
-        ctx.filter = `blur(${sourceObj.blurPx}px)`;
-    }
-
-    ctx.drawImage(tmpCanvas, 0, 0, sw, sh, 0, 0, targetW, targetH);
-
-    ctx.restore();
-
-    return canvas;
-
-}
-
-/* ------------ HEIC helper: lazy-load heic2any when needed ------------ */
-
-/**
- * Attempts to load heic2any library by injecting a script tag.
- * Resolves when window.heic2any is available or rejects on timeout.
- */
-/* Robust heic2any loader: dynamic import (local) -> CDN fallback -> timeout */
-async function loadHeic2any(timeoutMs = 10000) {
-    if (typeof window === "undefined") throw new Error("No window");
-    if (window.heic2any) return window.heic2any;
-
-    // 1) Try dynamic import (works if you `npm install heic2any`)
-    try {
-        const mod = await import("heic2any");
-        const fn = mod?.default || mod;
-        if (typeof fn === "function") {
-            window.heic2any = fn;
-            return fn;
-        }
-    } catch (err) {
-        console.warn("Dynamic import heic2any failed:", err);
-        // continue to CDN fallback
-    }
-
-    // 2) CDN fallback: inject script if not already present
-    if (window.heic2any) return window.heic2any;
-    const existing = document.querySelector('script[data-heic2any="1"]');
-    if (!existing) {
-        const s = document.createElement("script");
-        s.src = "https://cdn.jsdelivr.net/npm/heic2any@0.5.2/dist/heic2any.min.js";
-        s.async = true;
-        s.setAttribute("data-heic2any", "1");
-        document.head.appendChild(s);
-    }
-
-    // 3) Wait for window.heic2any with timeout
-    const start = Date.now();
-    return new Promise((resolve, reject) => {
-        const poll = () => {
-            if (window.heic2any) return resolve(window.heic2any);
-            if (Date.now() - start > timeoutMs) {
-                return reject(new Error("heic2any load timeout"));
-            }
-            setTimeout(poll, 200);
-        };
-        poll();
-    });
-}
-
-/* Convert HEIC/HEIF Blob -> JPEG Blob with robust fallbacks.
-   progressCb(pct, msg) is used for UI updates.
-*/
-async function convertHeicToJpegBlob(heicBlob, quality = 0.9, progressCb = () => { }) {
-    progressCb(5, "Attempting native decode...");
-    // 1) Try native decode (Safari / some browsers)
-    try {
-        const decoded = await decodeImage(heicBlob);
-        progressCb(25, "Native decode OK - converting to JPEG...");
-        const canvas = await renderScaled(decoded, decoded.width, decoded.height);
-        const jpeg = await canvasToBlobWithFallback(canvas, "image/jpeg", quality);
-        if (jpeg && jpeg.size > 0) return jpeg;
-        // fallthrough to library fallback if canvas->blob failed
-    } catch (err) {
-        console.info("Native HEIC decode failed (expected on many browsers):", err?.message || err);
-    }
-
-    // 2) Try heic2any (dynamic import or CDN)
-    progressCb(30, "Loading HEIC converter...");
-    let heic2anyFn = null;
-    try {
-        heic2anyFn = await loadHeic2any(10000); // 10s timeout
-    } catch (err) {
-        console.error("Failed to load heic2any:", err);
-        throw new Error("HEIC converter could not be loaded. Check network or install heic2any locally.");
-    }
-
-    progressCb(50, "Converting HEIC to JPEG...");
-    try {
-        const out = await window.heic2any({
-            blob: heicBlob,
-            toType: "image/jpeg",
-            quality: Math.max(0.55, Math.min(1, quality || 0.9)),
-        });
-
-        if (!out) throw new Error("heic2any returned nothing");
-        if (Array.isArray(out) && out.length > 0) {
-            const blob = out[0];
-            if (blob && blob.size) return blob;
-        } else if (out instanceof Blob) {
-            return out;
-        } else if (out instanceof ArrayBuffer || out.buffer) {
-            const ab = out instanceof ArrayBuffer ? out : out.buffer || out;
-            return new Blob([ab], { type: "image/jpeg" });
-        }
-
-        throw new Error("HEIC conversion returned unexpected result type");
-    } catch (err) {
-        console.error("HEIC conversion failed:", err);
-        throw new Error("HEIC conversion failed. Try a different browser (Safari) or convert the file externally.");
-    }
-}
-
-function quantizeImageData(imageData, levels = 32) {
-    const data = imageData.data;
-    const step = Math.max(1, Math.floor(256 / levels));
-
-    for (let i = 0; i < data.length; i += 4) {
-        data[i] = Math.round(data[i] / step) * step; // R
-        data[i + 1] = Math.round(data[i + 1] / step) * step; // G
-        data[i + 2] = Math.round(data[i + 2] / step) * step; // B
-        // alpha untouched
-    }
-    return imageData;
-}
-/* Main fast compressor with aggressive options */
-async function compressFileOptimized(fileBlob, opts = {}) {
-    const {
-        mime = "image/jpeg",
-        quality = 0.82,
-        targetBytes = 0,
-        maxWidth = 0,
-        progress = () => { },
-        pngOptimized = false
-    } = opts;
-
-
-
-    const src = await decodeImage(fileBlob);
-    // --- Detect compression pressure (KB per pixel) ---
-    const totalPixels = src.width * src.height;
-    const kbPerPixel = targetBytes > 0 ? targetBytes / totalPixels : Infinity;
-
-    function estimateQualityFromKB(kbPerPixel) {
-        if (kbPerPixel > 0.15) return 0.9;
-        if (kbPerPixel > 0.10) return 0.82;
-        if (kbPerPixel > 0.07) return 0.75;
-        if (kbPerPixel > 0.05) return 0.68;
-        if (kbPerPixel > 0.035) return 0.6;
-        return 0.5;
-    }
-    let estimatedQ = quality;
-
-    // ⚠️ Only estimate quality if caller did NOT already decide
-    if (
-        targetBytes > 0 &&
-        mime === "image/jpeg" &&
-        !pngOptimized &&
-        quality < 0.85
-    ) {
-        estimatedQ = estimateQualityFromKB(kbPerPixel);
-    }
-
-
-
-    // --- Smart downscaling for impossible KB targets (tuned for face photos) ---
-    let scaleFactor = 1;
-
-    // Resize ONLY for extreme targets
-    if (mime === "image/jpeg" && targetBytes > 0 && !pngOptimized) {
-        if (kbPerPixel < 0.012) {
-            scaleFactor = 0.8; // gentler resize for portraits
-        }
-    }
-
-
-    // ---- HARD resize source ONCE if scaleFactor < 1 ----
-    let workingSrc = src;
-
-    // --- Slider-only safeguard: auto downscale at very low quality ---
-    if (!targetBytes && mime === "image/jpeg") {
-        if (quality < 0.45) {
-            const longEdge = Math.max(workingSrc.width, workingSrc.height);
-            if (longEdge > 800) {
-                const r = 800 / longEdge;
-                const scaledCanvas = await renderScaled(
-                    workingSrc,
-                    Math.round(workingSrc.width * r),
-                    Math.round(workingSrc.height * r)
-                );
-                workingSrc = await decodeImage(
-                    await canvasToBlobWithFallback(scaledCanvas, "image/png", 1)
-                );
-            }
-        }
-    }
-
-
-    if (scaleFactor < 1) {
-        const scaledCanvas = await renderScaled(
-            workingSrc,
-            Math.round(workingSrc.width * scaleFactor),
-            Math.round(workingSrc.height * scaleFactor)
-        );
-
-        const scaledBlob = await canvasToBlobWithFallback(
-            scaledCanvas,
-            "image/png",
-            1
-        );
-
-        workingSrc = await decodeImage(scaledBlob);
-    }
-
-    // Hard clamp long edge for human photos
-    let LONG_EDGE_MAX = 1000;
-
-    if (targetBytes > 200 * 1024) LONG_EDGE_MAX = 1400;
-    if (targetBytes > 400 * 1024) LONG_EDGE_MAX = 1800;
-    if (targetBytes > 700 * 1024) LONG_EDGE_MAX = 2400;
-    if (targetBytes > 1200 * 1024) LONG_EDGE_MAX = 3200;
-
-
-
-    if (mime === "image/jpeg") {
-        const longEdge = Math.max(workingSrc.width, workingSrc.height);
-        if (longEdge > LONG_EDGE_MAX) {
-            const r = LONG_EDGE_MAX / longEdge;
-            const clampCanvas = await renderScaled(
-                workingSrc,
-                Math.round(workingSrc.width * r),
-                Math.round(workingSrc.height * r)
-            );
-            workingSrc = await decodeImage(
-                await canvasToBlobWithFallback(clampCanvas, "image/png", 1)
-            );
-        }
-    }
-
-
-    // Decide blur strength for JPEG photos
-    let blurPx = 0;
-
-    // JPEG photo smoothing zone
-    // Minimal smoothing ONLY for extreme JPEG targets
-    // Minimal smoothing ONLY for extreme JPEG targets
-    if (mime === "image/jpeg" && !pngOptimized && targetBytes > 0) {
-        if (kbPerPixel < 0.015) blurPx = 0.55;   // ~20–25 KB
-        else if (kbPerPixel < 0.022) blurPx = 0.3; // ~30–40 KB
-        else blurPx = 0; // NO blur above ~40 KB
-    }
-
-
-    blurPx = Math.min(blurPx, 0.6);
-    workingSrc.blurPx = blurPx;
-
-    // ---------- EARLY EXIT (clean encode, no aggressive loops) ----------
-    if (!pngOptimized && mime === "image/jpeg" && targetBytes > 0) {
-        progress(18, "Checking optimal encode");
-
-        const testCanvas = await renderScaled(
-            workingSrc,
-            workingSrc.width,
-            workingSrc.height
-        );
-
-        const testBlob = await canvasToBlobWithFallback(
-            testCanvas,
-            mime,
-            estimatedQ
-        );
-        if (
-            testBlob &&
-            testBlob.size <= targetBytes &&
-            testBlob.size >= targetBytes * 0.95
-        ) {
-            progress(90, "Finalizing");
-            return testBlob;
-        }
-
-    }
-    // ---------------------------------------------------------------
-
-
-    let srcW = workingSrc.width;
-    let srcH = workingSrc.height;
-
-
-    const ABS_MAX = 8192;
-    if (srcW > ABS_MAX || srcH > ABS_MAX) {
-        const scale = ABS_MAX / Math.max(srcW, srcH);
-        srcW = Math.round(srcW * scale);
-        srcH = Math.round(srcH * scale);
-    }
-
-    let initialW = srcW;
-    if (maxWidth && initialW > maxWidth) {
-        const r = maxWidth / initialW;
-        initialW = Math.round(initialW * r);
-    }
-    const aspect = srcH / srcW;
-    let targetW = initialW;
-    let targetH = Math.round(targetW * aspect);
-
-    progress(10, "Preparing image");
-
-    if (!targetBytes || targetBytes <= 0) {
-        const canvas = await renderScaled(workingSrc, targetW, targetH);
-
-        if (pngOptimized && mime === "image/png") {
-            const ctx = canvas.getContext("2d");
-            const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const levels = Math.max(8, Math.round(quality * 48));
-            ctx.putImageData(quantizeImageData(imgData, levels), 0, 0);
-        }
-
-        progress(40, "Encoding image");
-        return await canvasToBlobWithFallback(canvas, mime, quality);
-    }
-
-
-
-    // AGGRESSIVE QUALITY SEARCH
-    progress(15, "Searching quality");
-    const Q_ITER = 10;
-    let lowQ = Math.max(0.1, estimatedQ - 0.15);
-    let highQ = Math.min(0.95, estimatedQ + 0.15);
-
-    let bestBlob = null;
-    let bestSize = 0;
-
-    const TARGET_TOLERANCE = 0.98; // aim for 98–100% of target
-
-
-    const isExtremeJPEG = (
-        mime === "image/jpeg" &&
-        targetBytes > 0 &&
-        kbPerPixel < 0.018
-    );
-
-    for (let i = 0; i < Q_ITER; i++) {
-        const q = (lowQ + highQ) / 2;
-        progress(
-            15 + Math.round((i / Q_ITER) * 20),
-            `Trying quality ${Math.round(q * 100)}%`
-        );
-        const canvas = await renderScaled(workingSrc, targetW, targetH);
-
-
-
-
-        if (pngOptimized && mime === "image/png") {
-            const ctx = canvas.getContext("2d");
-            const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const levels = Math.max(8, Math.round(q * 48));
-            ctx.putImageData(quantizeImageData(imgData, levels), 0, 0);
-        }
-
-
-        const blob = await canvasToBlobWithFallback(canvas, mime, q);
-
-        if (!blob) continue;
-        const s = blob.size;
-        // Keep the largest result that is <= targetBytes (exam-safe)
-        if (s <= targetBytes) {
-            // keep the largest result under target
-            if (!bestBlob || s > bestSize) {
-                bestBlob = blob;
-                bestSize = s;
-            }
-
-            // stop early if we are very close to target
-            if (s >= targetBytes * TARGET_TOLERANCE) {
-                progress(90, "Finalizing");
-                return blob;
-            }
-        }
-
-
-
-        // Guide binary search
-        if (s > targetBytes) {
-            highQ = q;
-        } else {
-            lowQ = q;
-        }
-
-
-        await new Promise((r) => setTimeout(r, 0));
-    }
-
-    if (bestBlob) {
-        // Prefer <= target (exam-safe)
-        if (bestSize <= targetBytes) {
-            progress(90, "Finalizing");
-            return bestBlob;
-        }
-
-        // Fallback: very close (rare)
-        if (bestSize <= targetBytes * 1.02) {
-            progress(90, "Finalizing");
-            return bestBlob;
-        }
-    }
-
-
-    // MORE DOWNSCALES, MORE AGGRESSIVE FACTOR
-    progress(40, "Downscaling to reach target");
-    const MAX_DOWNS = 8;
-    let currentW = targetW;
-
-    for (let attempt = 0; attempt < MAX_DOWNS; attempt++) {
-        const factor = attempt === 0 ? 0.88 : 0.78;
-        currentW = Math.round(currentW * factor);
-        if (currentW < 200) break;
-        const currentH = Math.round(currentW * aspect);
-        let foundLocal = null;
-
-        for (let qIter = 0; qIter < 5; qIter++) {
-            const q = 0.12 + 0.86 * (1 - qIter / 5);
-            progress(
-                50 +
-                Math.round((attempt / MAX_DOWNS) * 30) +
-                Math.round((qIter / 5) * 10),
-                `Downscale ${attempt + 1}/${MAX_DOWNS} - q ${Math.round(q * 100)}%`
-            );
-            const canvas = await renderScaled(workingSrc, currentW, currentH);
-            const blob = await canvasToBlobWithFallback(canvas, mime, q);
-            if (!blob) continue;
-            if (blob.size <= targetBytes) {
-                foundLocal = blob;
-                break;
-            }
-            if (blob.size < bestSize) {
-                bestBlob = blob;
-                bestSize = blob.size;
-            }
-            await new Promise((r) => setTimeout(r, 0));
-        }
-
-        if (foundLocal) {
-            progress(90, "Finalizing");
-            return foundLocal;
-        }
-    }
-
-    if (bestBlob) {
-        progress(92, "Returning best possible");
-        return bestBlob;
-    }
-
-    progress(95, "Final encode");
-    const finalW = Math.max(400, Math.round(initialW * 0.6));
-    const finalCanvas = await renderScaled(
-        workingSrc,
-        finalW,
-        Math.round(finalW * aspect)
-    );
-    const finalBlob = await canvasToBlobWithFallback(finalCanvas, mime, 0.12);
-    return finalBlob;
-}
-
 const StaticSections = React.memo(() => (
     <>
         {/* ===============================
@@ -1030,6 +478,7 @@ export default function App() {
 
     const [file, setFile] = useState(null);
     const [previewURL, setPreviewURL] = useState("");
+    const [framePreview, setFramePreview] = useState(null); // { id, kind, frames } of the active HEIC / TIFF / RAW row
     const [originalSize, setOriginalSize] = useState(0);
     const [modalImage, setModalImage] = useState(null);
     const [isPendingModal, startModalTransition] = React.useTransition();
@@ -1044,14 +493,60 @@ export default function App() {
 
     const [quality, setQuality] = useState(0.82);
     const [targetKB, setTargetKB] = useState("");
+    const [minKB, setMinKB] = useState(""); // range mode floor ("" = plain ceiling target)
+    const [ssimTarget, setSsimTarget] = useState(""); // visual-quality goal ("" = size target)
     const [processing, setProcessing] = useState(false);
     const [format, setFormat] = useState("jpeg");
+    const [dither, setDither] = useState(true); // PNG (Logo & Text) palette dithering
+    const [pngEffort, setPngEffort] = useState(6); // deflate effort for PNG output (1-9)
+    // JPEG encoder: "builtin" (jpeg.js - subsampling, optimized Huffman, progressive) or "browser"
+    const [metadataMode, setMetadataMode] = useState("strip"); // "strip" | "copyright" | "all"
+    const [colorMode, setColorMode] = useState("srgb"); // ICC-tagged sources: "srgb" (convert) | "keep"
+    const [dpi, setDpi] = useState(""); // "" = leave the encoder's density alone
+    const [printSize, setPrintSize] = useState({ width: "", height: "", unit: "cm" });
+    // Exact pixel size ("" = follow the other side / the source), how it fits, and the no-resize lock
+    const [dimensions, setDimensions] = useState({
+        width: "",
+        height: "",
+        keepAspect: true,
+        fit: "cover",
+        background: "#ffffff",
+        lock: false,
+    });
+    // Resize filter (see resample.js) and the sharpen step after downscaling
+    const [resizing, setResizing] = useState({ filter: "auto", sharpen: "auto" });
+    const [sourceDims, setSourceDims] = useState(null); // upright size of the active file, from its header
+    const [editingId, setEditingId] = useState(null); // queue row open in the crop & rotate editor
+    const [sizeEstimate, setSizeEstimate] = useState(null); // { id, key, width, height, points, curve }
+    const [formatRace, setFormatRace] = useState(null); // "Compare formats" table (see FormatRace)
+    const [contentMode, setContentMode] = useState("auto"); // "auto" (detected) or a CONTENT_TYPES value
+    const [sourceMeta, setSourceMeta] = useState(null); // summarizeMetadata() of the active file
+    const [jpegOptions, setJpegOptions] = useState({
+        encoder: "builtin",
+        subsampling: "auto",
+        progressive: true,
+        optimizeHuffman: true,
+        trellis: false,
+        quantTable: "standard",
+    });
     const [lastNote, setLastNote] = useState("");
     const [progressPct, setProgressPct] = useState(0);
     const [hasAnimatedScrollCue, setHasAnimatedScrollCue] = useState(false);
     const [shouldAnimateScrollCue, setShouldAnimateScrollCue] = useState(false);
     const [showComparison, setShowComparison] = useState(false);
 
+    // Batch queue: every selected/dropped file becomes one row.
+    // The "active" row is the one shown in the preview + result card.
+    const [queue, setQueue] = useState([]);
+    const [activeId, setActiveId] = useState(null);
+    const [zipBusy, setZipBusy] = useState(false);
+    const activeIdRef = useRef(null);
+    const queueSeq = useRef(0);
+
+    // AbortControllers for the running compression and the current HEIC preview
+    const compressAbortRef = useRef(null);
+    const raceAbortRef = useRef(null);
+    const previewAbortRef = useRef(null);
 
 
     // Pre-decode images for instant modal open (reduces INP)
@@ -1154,8 +649,13 @@ export default function App() {
 
 
     function resetAll() {
+        compressAbortRef.current?.abort();
+        previewAbortRef.current?.abort();
+        raceAbortRef.current?.abort();
+        setFormatRace(null);
         setFile(null);
         setPreviewURL("");
+        setFramePreview(null);
         setOriginalSize(0);
         if (outURL) URL.revokeObjectURL(outURL);
         setOutURL("");
@@ -1165,6 +665,10 @@ export default function App() {
         setTargetKB("");
         setLastNote("");
         setProgressPct(0);
+        setQueue([]);
+        setActiveId(null);
+        setEditingId(null);
+        activeIdRef.current = null;
         if (inputRef?.current) {
             inputRef.current.value = "";
         }
@@ -1179,146 +683,32 @@ export default function App() {
         return canvas.toDataURL("image/webp").indexOf("data:image/webp") === 0;
     }
 
-    function handleResultBlob(blob, preferredMime) {
-        if (!blob) return;
+    // Shows a result in the result card; returns the computed download filename
+    function handleResultBlob(blob, preferredMime, srcFile = file, filename = "") {
+        if (!blob) return "";
         if (outURL) URL.revokeObjectURL(outURL);
         const url = URL.createObjectURL(blob);
         setOutURL(url);
         setOutSize(blob.size);
         const actualMime = blob.type || preferredMime || "image/jpeg";
         setOutMime(actualMime);
-        const baseName = file ? file.name.replace(/\.[^/.]+$/, "") : "image";
-        const ext = mimeToExt(actualMime);
-        setOutFilename(`${baseName}-compressed.${ext}`);
-        setTempName(`${baseName}-compressed`);
-
-    }
-
-    // Helper: detect HEIC by MIME or filename
-    function isHeicFile(f) {
-        if (!f) return false;
-        const t = (f.type || "").toLowerCase();
-        const name = (f.name || "").toLowerCase();
-        return (
-            t.includes("heic") ||
-            t.includes("heif") ||
-            name.endsWith(".heic") ||
-            name.endsWith(".heif")
-        );
+        const name = filename || outputNameFor(srcFile, actualMime);
+        setOutFilename(name);
+        setTempName(name.replace(/\.[^/.]+$/, ""));
+        return name;
     }
 
-    // Attempt to create a preview URL for a file (HEIC-aware)
-    // returns { previewBlob, previewURL } or throws
-    async function generatePreviewForFile(file, progressCb = () => { }) {
-        // Quick path for common image types
-        if (!isHeicFile(file)) {
-            return { previewBlob: file, previewURL: URL.createObjectURL(file) };
-        }
-
-        // It's HEIC/HEIF - try native decode first
-        progressCb(5, "Checking native HEIC support...");
-        try {
-            const decoded = await decodeImage(file);
-            const canvas = await renderScaled(decoded, decoded.width, decoded.height);
-            const jb = await canvasToBlobWithFallback(
-                canvas,
-                "image/jpeg",
-                Math.max(0.8, quality || 0.8)
-            );
-            if (jb && jb.size) {
-                return { previewBlob: jb, previewURL: URL.createObjectURL(jb) };
-            }
-            // else fall through to library fallback
-        } catch (err) {
-            // native decode likely not supported - continue
-            console.info("Native HEIC decode unavailable", err?.message || err);
-        }
-
-        // Load heic2any on demand (dynamic import -> CDN fallback)
-        progressCb(20, "Loading HEIC converter...");
-        let heic2anyFn = null;
-        try {
-            const mod = await import("heic2any");
-            heic2anyFn = mod?.default || mod;
-        } catch (e) {
-            // dynamic import failed - inject CDN script and poll for window.heic2any
-            if (!window.heic2any) {
-                const existing = document.querySelector('script[data-heic2any="1"]');
-                if (!existing) {
-                    const s = document.createElement("script");
-                    s.src =
-                        "https://cdn.jsdelivr.net/npm/heic2any@0.5.2/dist/heic2any.min.js";
-                    s.async = true;
-                    s.setAttribute("data-heic2any", "1");
-                    document.head.appendChild(s);
-                }
-                // wait up to 8s
-                const start = Date.now();
-                await new Promise((resolve, reject) => {
-                    (function poll() {
-                        if (window.heic2any) return resolve();
-                        if (Date.now() - start > 8000)
-                            return reject(new Error("heic2any load timeout"));
-                        setTimeout(poll, 200);
-                    })();
-                });
-                heic2anyFn = window.heic2any;
-            } else {
-                heic2anyFn = window.heic2any;
-            }
-        }
-
-        if (!heic2anyFn) throw new Error("HEIC converter unavailable");
-
-        progressCb(45, "Converting HEIC for preview...");
-        const out = await heic2anyFn({
-            blob: file,
-            toType: "image/jpeg",
-            quality: Math.max(0.7, Math.min(0.95, quality || 0.85)),
-        });
-
-        // heic2any can return Blob, ArrayBuffer, or array of Blobs
-        let blob = null;
-        if (!out) throw new Error("HEIC conversion returned nothing");
-        if (out instanceof Blob) blob = out;
-        else if (Array.isArray(out) && out.length) blob = out[0];
-        else if (out instanceof ArrayBuffer || out.buffer) {
-            const ab = out instanceof ArrayBuffer ? out : out.buffer || out;
-            blob = new Blob([ab], { type: "image/jpeg" });
-        }
-
-        if (!blob || !blob.size) throw new Error("HEIC conversion failed");
-
-        return { previewBlob: blob, previewURL: URL.createObjectURL(blob) };
-    }
-
-    // Updated handleFiles: creates preview for HEIC files (lazy loads converter only when needed)
-    async function handleFiles(files) {
-        if (!files || files.length === 0) return;
-        const f = files[0];
-
-        // revoke old urls and clear previous outputs
-        if (previewURL) {
-            try {
-                URL.revokeObjectURL(previewURL);
-            } catch { }
-        }
-        if (outURL) {
-            try {
-                URL.revokeObjectURL(outURL);
-            } catch { }
-        }
-        setOutURL("");
-        setOutSize(0);
-        setOutMime("");
-        setOutFilename("");
-        setLastNote("");
-        setFile(f);
-
+    // Show the source preview for a file. HEIC is converted first (once per file - the frames
+    // are reused for detection and compression), TIFF pages are rendered to JPEG previews, RAWs
+    // show their embedded camera preview, and multi-image files get the frame picker.
+    async function showSourcePreview(f, itemId, frame = 0) {
+        const kind = isHeicFile(f) ? "heic" : isTiffFile(f) ? "tiff" : isRawFile(f) ? "raw" : null;
         // ✅ FIX: Defer preview creation to avoid blocking input
-        if (!isHeicFile(f)) {
+        if (!kind) {
+            setFramePreview(null);
             // Use setTimeout instead of requestIdleCallback (better browser support)
             setTimeout(() => {
+                if (activeIdRef.current !== itemId) return;
                 setOriginalSize(f.size || 0);
                 const url = URL.createObjectURL(f);
                 setPreviewURL(url);
@@ -1327,22 +717,37 @@ export default function App() {
             return;
         }
 
-        // For HEIC: generate preview (native decode or convert to jpeg)
+        previewAbortRef.current?.abort();
+        const controller = new AbortController();
+        previewAbortRef.current = controller;
+
         setProgressPct(6);
         try {
-            const { previewBlob, previewURL: purl } = await generatePreviewForFile(
-                f,
-                (pct, note) => {
+            const options = {
+                progress: (pct, note) => {
                     setProgressPct(Math.min(98, pct));
                     setLastNote(note || "");
-                }
-            );
-            setPreviewURL(purl);
-            setOriginalSize(previewBlob.size || f.size || 0);
+                },
+                signal: controller.signal,
+            };
+            const frames =
+                kind === "tiff"
+                    ? await tiffPages(f, options)
+                    : kind === "raw"
+                        ? [(await cameraPreview(f)).blob]
+                        : await heicFrames(f, options);
+            if (activeIdRef.current !== itemId) return;
+            const shown = frames[Math.min(frame, frames.length - 1)];
+            setFramePreview({ id: itemId, kind, frames });
+            setPreviewURL(URL.createObjectURL(shown));
+            setOriginalSize(f.size || 0);
             setProgressPct(0);
             setLastNote("");
         } catch (err) {
+            if (isAbortError(err)) return;
             console.warn("Preview generation failed:", err);
+            if (activeIdRef.current !== itemId) return;
+            setFramePreview(null);
             try {
                 const url = URL.createObjectURL(f);
                 setPreviewURL(url);
@@ -1351,214 +756,757 @@ export default function App() {
                 setPreviewURL("");
                 setOriginalSize(0);
             }
-            setLastNote("HEIC preview unavailable - will try conversion when compressing.");
+            setLastNote(
+                kind === "heic"
+                    ? "HEIC preview unavailable - will try conversion when compressing."
+                    : `${kind === "tiff" ? "TIFF" : "RAW"} preview unavailable: ${err?.message || err}`
+            );
             setProgressPct(0);
         }
     }
 
-    async function runCompress() {
-        let smoothTimer = null;
-
-        const startSmoothProgress = () => {
-            let fake = 10;
-            setProgressPct(fake);
-            smoothTimer = setInterval(() => {
-                fake += Math.random() * 4 + 1;
-                setProgressPct((p) => Math.min(85, Math.max(p, fake)));
-            }, 400);
-        };
-
-        const stopSmoothProgress = () => {
-            if (smoothTimer) {
-                clearInterval(smoothTimer);
-                smoothTimer = null;
-            }
-        };
+    // Multi-image HEIC / multi-page TIFF: compress another image (detection is redone for it)
+    function selectFrame(index) {
+        const item = queue.find((it) => it.id === activeId);
+        if (!item || (item.frame || 0) === index) return;
+        updateQueueItem(item.id, { frame: index, detected: null });
+        if (previewURL) URL.revokeObjectURL(previewURL);
+        showSourcePreview(item.file, item.id, index);
+        withDetectedContent({ ...item, frame: index, detected: null });
+    }
 
+    // Make a queue row the active one: preview it and show its result (if any)
+    function activateItem(item) {
+        activeIdRef.current = item.id;
+        setActiveId(item.id);
 
-        if (!file) return;
-        setProcessing(true);
+        // revoke old urls and clear previous outputs
+        if (previewURL) {
+            try {
+                URL.revokeObjectURL(previewURL);
+            } catch {
+                // already revoked
+            }
+        }
+        if (outURL) {
+            try {
+                URL.revokeObjectURL(outURL);
+            } catch {
+                // already revoked
+            }
+        }
         setOutURL("");
-        setShowComparison(false);
         setOutSize(0);
         setOutMime("");
         setOutFilename("");
-        setLastNote("Preparing image…This may take a few seconds");
-        setProgressPct(4);
+        setShowComparison(false);
+        setLastNote("");
+        setFile(item.file);
 
+        if (item.status === "done" && item.blob) {
+            handleResultBlob(item.blob, item.blob.type, item.file, item.outName);
+        }
 
-        /* 🔴 ADD THIS LINE */
-        await new Promise(r => setTimeout(r, 0));
+        showSourcePreview(item.file, item.id, item.frame || 0);
+        loadSourceMeta(item.file, item.id);
+        withDetectedContent(item);
+    }
+
+    // What the original file carries (camera, GPS, date, ICC...) for the result card report
+    async function loadSourceMeta(f, itemId) {
+        setSourceMeta(null);
+        setSourceDims(null);
+        const meta = await readMetadata(f);
+        if (itemId !== activeIdRef.current) return;
+        setSourceMeta(summarizeMetadata(meta));
+        if (meta?.width && meta?.height) {
+            const turned = meta.orientation >= 5; // 90° EXIF orientations swap the sides
+            setSourceDims({
+                width: turned ? meta.height : meta.width,
+                height: turned ? meta.width : meta.height,
+            });
+        }
+    }
+
+    // Updated handleFiles: every selected/dropped image is added to the queue as a row
+    async function handleFiles(files) {
+        if (!files || files.length === 0) return;
+
+        const list = Array.from(files).filter(
+            (f) => !f.type || f.type.startsWith("image/") || isHeicFile(f) || isRawFile(f)
+        );
+        // so picking the same file again still fires a change
+        if (inputRef.current) inputRef.current.value = "";
+        if (list.length === 0) {
+            setLastNote("Only image files can be compressed.");
+            return;
+        }
+
+        const items = list.map((f) => ({
+            id: ++queueSeq.current,
+            file: f,
+            status: "pending",
+            progress: 0,
+            note: "",
+            overrides: {},
+            blob: null,
+            outName: "",
+            outSize: 0,
+            doneWith: "",
+            edit: null, // crop / rotate / flip / straighten from the editor
+            detected: null, // classifyImage() type, filled in on first view or compress
+        }));
+
+        // New files join the batch - queued and finished rows stay
+        setQueue((q) => [...q, ...items]);
+        activateItem(items[0]);
+    }
+
+    function updateQueueItem(id, patch) {
+        setQueue((q) => q.map((it) => (it.id === id ? { ...it, ...patch } : it)));
+    }
+
+    // Shared format/quality/target with the row's overrides applied
+    function settingsFor(item) {
+        const o = item.overrides || {};
+        return {
+            format: o.format || format,
+            quality: o.quality != null ? o.quality : quality,
+            targetKB: o.targetKB != null ? o.targetKB : targetKB,
+            minKB,
+            minSsim: Number(ssimTarget) || 0,
+            dither,
+            pngEffort,
+            jpeg: jpegOptions,
+            metadata: metadataMode,
+            color: colorMode,
+            dpi: Number(dpi) || 0,
+            outputSize: outputSizeFor(printSize, dpi, dimensions),
+            lockDimensions: dimensions.lock,
+            resample: resizing.filter,
+            sharpen: SHARPEN_AMOUNTS[resizing.sharpen] ?? null,
+            edit: item.edit || null,
+            frame: item.frame || 0,
+            content: contentMode === "auto" ? item.detected || "photo" : contentMode,
+        };
+    }
+
+    // Print size wins over the pixel fields; either one carries the fit mode and pad colour
+    function outputSizeFor(print, dpiValue, dims) {
+        const fit = { fit: dims.fit, background: dims.background };
+        const printed = pixelSizeFor(print, dpiValue);
+        if (printed) return { ...printed, ...fit };
+        const width = Number(dims.width) || 0;
+        const height = Number(dims.height) || 0;
+        if (!width && !height) return null;
+        return { width, height, dpi: 0, ...fit };
+    }
+
+    // Print size -> exact pixels (300 DPI when no DPI is given); null without a full size
+    function pixelSizeFor(print, dpiValue) {
+        const w = Number(print.width);
+        const h = Number(print.height);
+        if (!(w > 0) || !(h > 0)) return null;
+        const d = Number(dpiValue) || 300;
+        return {
+            width: printSizeToPixels(w, print.unit, d),
+            height: printSizeToPixels(h, print.unit, d),
+            dpi: d,
+        };
+    }
+
+    function selectQueueItem(id) {
+        if (id === activeIdRef.current) return;
+        const item = queue.find((it) => it.id === id);
+        if (item) activateItem(item);
+    }
+
+    function removeQueueItem(id) {
+        const rest = queue.filter((it) => it.id !== id);
+        if (rest.length === 0) {
+            resetAll();
+            return;
+        }
+        setQueue(rest);
+        if (id === activeIdRef.current) activateItem(rest[0]);
+    }
 
-        startSmoothProgress();
+    function overrideQueueItem(id, patch) {
+        setQueue((q) =>
+            q.map((it) =>
+                it.id === id ? { ...it, overrides: { ...it.overrides, ...patch } } : it
+            )
+        );
+    }
+
+    // Crop & rotate editor: the edit rides on the queue row and is applied by the engine
+    // to the decoded pixels on the next compress (the row counts as changed until then)
+    function applyItemEdit(id, edit) {
+        updateQueueItem(id, { edit: isIdentityEdit(edit) ? null : edit });
+        setEditingId(null);
+    }
 
+    // Photo / screenshot / logo / document, detected once per row (HEIC on its converted frame,
+    // TIFF on its chosen page)
+    async function withDetectedContent(item, signal) {
+        if (item.detected) return item;
         try {
-            const targetBytes =
-                targetKB && Number(targetKB) > 0
-                    ? Math.max(8 * 1024, Math.round(Number(targetKB) * 1024))
-                    : 0;
+            const blob = await inputBlobFor(item, () => { }, signal);
+            const { type } = await detectContent(blob, { signal, page: pageFor(item) });
+            updateQueueItem(item.id, { detected: type });
+            return { ...item, detected: type };
+        } catch (err) {
+            if (isAbortError(err)) throw err;
+            console.info("Content detection skipped:", err?.message || err);
+            return item;
+        }
+    }
 
-            // 🔒 Target-size mode: start from higher quality to avoid undershoot
-            let effectiveQuality = quality;
+    function retryQueueItem(id) {
+        const item = queue.find((it) => it.id === id);
+        if (item) runQueue([item]);
+    }
 
-            if (targetBytes > 0) {
-                effectiveQuality = 0.88;
-            }
+    // Engine options for a queue item (all but progress / warn / signal), with the note and
+    // warnings worked out while choosing them. Shared by compression and the size estimate.
+    function engineOptionsFor(item) {
+        const srcFile = item.file;
+        const settings = settingsFor(item);
+        let note = "";
+
+        // Visual-quality mode: the SSIM goal replaces the KB target and range
+        const minSsim = settings.minSsim;
+        const targetBytes =
+            !minSsim && settings.targetKB && Number(settings.targetKB) > 0
+                ? Math.max(8 * 1024, Math.round(Number(settings.targetKB) * 1024))
+                : 0;
+
+        // Range mode: minKB is the floor, targetKB the ceiling
+        let minBytes = !minSsim && settings.minKB && Number(settings.minKB) > 0 ? Math.round(Number(settings.minKB) * 1024) : 0;
+        const warnings = [];
+        if (minBytes && targetBytes && minBytes >= targetBytes) {
+            warnings.push(`Minimum ${settings.minKB} KB isn't below the maximum ${settings.targetKB} KB - range ignored.`);
+            minBytes = 0;
+        }
 
+        // 🔒 Target-size mode: start from higher quality to avoid undershoot
+        let effectiveQuality = settings.quality;
 
-            // If user increases target KB, reset aggressive assumptions
-            if (targetBytes > 0 && originalSize > 0) {
-                if (targetBytes > originalSize * 0.9) {
-                    // Target is close to original - no need for aggressive compression
-                    setQuality(0.9);
-                }
-            }
+        if (targetBytes > 0) {
+            effectiveQuality = 0.88;
+        }
 
+        // Auto follows the detected content: palette PNG for screenshots and logos, JPEG for
+        // documents, WebP (or AVIF, see compressQueueItem) for photos
+        const autoFormat = CONTENT_TYPES.find((t) => t.value === settings.content)?.format;
+        const chosen = settings.format === "auto" && autoFormat !== "webp" ? autoFormat : settings.format;
 
-            let mime;
-            const isPNG = (file.type === "image/png" || file.name.toLowerCase().endsWith(".png"));
+        let mime;
+        const isPNG = (srcFile.type === "image/png" || srcFile.name.toLowerCase().endsWith(".png"));
 
-            if (format === "auto") {
-                // If PNG + very low target, prefer JPEG/WebP automatically
-                if (isPNG && targetBytes && targetBytes < 80 * 1024) {
-                    mime = isWebPSupported() ? "image/webp" : "image/jpeg";
-                    setLastNote("PNG converted to smaller format to reach target size");
-                } else {
-                    mime = isWebPSupported() ? "image/webp" : "image/jpeg";
-                }
-            } else if (format === "png") {
-                // PNG cannot reach very small sizes – auto fallback
-                if (targetBytes && targetBytes < 80 * 1024) {
-                    mime = isWebPSupported() ? "image/webp" : "image/jpeg";
-                    setLastNote("PNG cannot reach very small sizes. Converted automatically.");
-                } else {
-                    mime = "image/png";
-                }
-            } else if (format === "webp") {
-                mime = "image/webp";
-            } else if (format === "jpeg") {
-                mime = "image/jpeg";
+        if (chosen === "auto") {
+            // If PNG + very low target, prefer JPEG/WebP automatically
+            if (isPNG && targetBytes && targetBytes < 80 * 1024) {
+                mime = isWebPSupported() ? "image/webp" : "image/jpeg";
+                note = "PNG converted to smaller format to reach target size";
             } else {
-                mime = file.type || "image/jpeg";
+                mime = isWebPSupported() ? "image/webp" : "image/jpeg";
             }
+        } else if (chosen === "avif") {
+            mime = "image/avif";
+        } else if (chosen === "png" || chosen === "png-optimized") {
+            // In-project PNG encoder: lossless PNG reaches KB targets by resizing
+            mime = "image/png";
+        } else if (chosen === "webp") {
+            mime = "image/webp";
+        } else if (chosen === "jpeg") {
+            mime = "image/jpeg";
+        } else if (ENCODABLE_TYPES.includes(srcFile.type)) {
+            mime = srcFile.type;
+        } else {
+            // TIFF, BMP, HEIC, GIF... can't be written back: keep the pixels, save as JPEG
+            mime = "image/jpeg";
+        }
 
-            if (mime === "image/webp" && !isWebPSupported()) mime = "image/jpeg";
+        if (mime === "image/webp" && !isWebPSupported()) mime = "image/jpeg";
 
+        let maxWidth = 1200;
 
-            const progressCb = (pct, note) => {
-                setProgressPct(Math.min(98, pct));
-                setLastNote(note || "");
-            };
+        if (targetBytes > 200 * 1024) maxWidth = 1600;
+        if (targetBytes > 400 * 1024) maxWidth = 2000;
+        if (targetBytes > 700 * 1024) maxWidth = 2600;
+        if (targetBytes > 1200 * 1024) maxWidth = 3400;
 
-            let maxWidth = 1200;
+        const opts = {
+            mime,
+            quality: effectiveQuality,
+            targetBytes,
+            maxWidth,
+            pngOptimized: chosen === "png-optimized",
+            dither: settings.dither,
+            pngEffort: settings.pngEffort,
+            jpeg: settings.jpeg,
+            metadata: settings.metadata,
+            color: settings.color,
+            dpi: settings.outputSize?.dpi || settings.dpi,
+            outputSize: settings.outputSize,
+            lockDimensions: settings.lockDimensions,
+            resample: settings.resample,
+            sharpen: settings.sharpen,
+            edit: settings.edit,
+            minBytes,
+            minSsim,
+            content: settings.content,
+            page: pageFor(item),
+            // measured here: a worker can't tell an iPad (16.7 MP canvas cap) from a Mac
+            maxPixels: canvasPixelBudget(),
+        };
+        return { settings, format: chosen, opts, note, warnings };
+    }
 
-            if (targetBytes > 200 * 1024) maxWidth = 1600;
-            if (targetBytes > 400 * 1024) maxWidth = 2000;
-            if (targetBytes > 700 * 1024) maxWidth = 2600;
-            if (targetBytes > 1200 * 1024) maxWidth = 3400;
+    // TIFF page the engine decodes (HEIC frames arrive as their own blob, see inputBlobFor)
+    function pageFor(item) {
+        return isTiffFile(item.file) ? item.frame || 0 : 0;
+    }
 
+    // The blob handed to the engine: the file itself, or the chosen frame of a converted HEIC
+    async function inputBlobFor(item, progressCb, signal) {
+        if (!isHeicFile(item.file)) return item.file;
+        progressCb(6, "HEIC detected - converting to JPEG...");
+        try {
+            const frames = await heicFrames(item.file, { progress: progressCb, signal });
+            progressCb(30, "HEIC converted - compressing now");
+            return frames[Math.min(item.frame || 0, frames.length - 1)];
+        } catch (he) {
+            if (isAbortError(he)) throw he;
+            console.warn("HEIC conversion error:", he);
+            progressCb(0, "HEIC conversion failed - try another browser or convert externally");
+            // proceed to attempt compression anyway (likely will fail decode)
+            return item.file;
+        }
+    }
+
+    // Estimate request for a queue item: the slider's quality, or the whole quality-vs-size
+    // curve once a KB target is set (lossless PNG has no quality to vary)
+    function estimateRequestFor(item) {
+        const { opts } = engineOptionsFor(item);
+        const curve = opts.targetBytes > 0 && !(opts.mime === "image/png" && !opts.pngOptimized);
+        return { id: item.id, ...opts, qualities: curve ? CURVE_QUALITIES : [opts.quality] };
+    }
+
+    // Compare formats: the active image through the same search once per format, results side by side
+    async function compareFormats() {
+        const item = queue.find((it) => it.id === activeIdRef.current);
+        if (!item || processing) return;
+
+        raceAbortRef.current?.abort();
+        const controller = new AbortController();
+        raceAbortRef.current = controller;
 
-            // --------- HEIC handling: convert if needed ----------
-            let inputBlob = file;
-            let usedOriginalFileName = file.name;
-            if (isHeicFile(file)) {
-                // give user feedback
-                progressCb(6, "HEIC detected - converting to JPEG...");
+        const formats = RACE_FORMATS.filter(
+            ([f]) => (f !== "webp" || isWebPSupported()) && (f !== "avif" || isAvifAvailable())
+        );
+        const { targetBytes, minBytes, minSsim } = engineOptionsFor(item).opts;
+        setFormatRace({
+            name: item.file.name,
+            running: true,
+            goal: { targetBytes, minBytes, minSsim },
+            rows: formats.map(([format, label]) => ({ format, label, status: "pending" })),
+        });
+        const patchRow = (format, patch) =>
+            setFormatRace((race) =>
+                race && { ...race, rows: race.rows.map((row) => (row.format === format ? { ...row, ...patch } : row)) }
+            );
+
+        try {
+            const inputBlob = await inputBlobFor(item, () => { }, controller.signal);
+            for (const [format] of formats) {
+                throwIfAborted(controller.signal);
+                patchRow(format, { status: "running", progress: 0 });
+                const { opts, warnings } = engineOptionsFor({ ...item, overrides: { ...item.overrides, format } });
                 try {
-                    // try conversion with quality ~ current quality setting
-                    const conv = await convertHeicToJpegBlob(file, Math.max(0.7, quality || 0.8), progressCb);
-                    if (conv && conv.size) {
-                        inputBlob = conv;
-                        // keep original base name but change extension for previews & downloads
-                        usedOriginalFileName = (file.name || "image").replace(/\.[^/.]+$/, "") + ".jpg";
-                        // update preview to show converted image
-
-                        setPreviewURL(URL.createObjectURL(inputBlob));
-                        setOriginalSize(inputBlob.size);
-                        progressCb(30, "HEIC converted - compressing now");
-                    } else {
-                        progressCb(0, "HEIC conversion failed - using original file");
-                    }
-                } catch (he) {
-                    console.warn("HEIC conversion error:", he);
-                    progressCb(0, "HEIC conversion failed - try another browser or convert externally");
-                    // proceed to attempt compression anyway (likely will fail decode)
-                    inputBlob = file;
+                    const result = await compressImage(inputBlob, {
+                        ...opts,
+                        measure: true,
+                        progress: (pct) => patchRow(format, { progress: pct }),
+                        warn: (message) => warnings.push(message),
+                        signal: controller.signal,
+                    });
+                    patchRow(format, {
+                        status: "done",
+                        blob: result.blob,
+                        name: outputNameFor(item.file, result.blob.type || opts.mime),
+                        width: result.width,
+                        height: result.height,
+                        similarity: result.similarity,
+                        targetMet: result.diagnostics.targetMet,
+                        note: warnings.join(" · "),
+                    });
+                } catch (err) {
+                    if (isAbortError(err)) throw err;
+                    console.warn(`Compare formats: ${format} failed`, err);
+                    patchRow(format, { status: "error", note: err?.message || String(err) });
                 }
             }
+        } catch (err) {
+            if (!isAbortError(err)) console.error("compareFormats failed", err);
+        } finally {
+            if (raceAbortRef.current === controller) raceAbortRef.current = null;
+            setFormatRace((race) => race && { ...race, running: false });
+        }
+    }
 
+    function closeFormatRace() {
+        raceAbortRef.current?.abort();
+        setFormatRace(null);
+    }
 
+    /* Compress one queue row with its effective settings.
+       Returns { blob, mime, similarity, color, note }; throws on failure (AbortError when cancelled). */
+    async function compressQueueItem(item, progressCb, signal) {
+        const { format: chosenFormat, opts, warnings, note: plannedNote } = engineOptionsFor(item);
+        const { targetBytes, minBytes, minSsim, mime } = opts;
+        const note = plannedNote;
+        if (note) progressCb(5, note);
+
+        const inputBlob = await inputBlobFor(item, progressCb, signal);
+
+        const engineOpts = {
+            ...opts,
+            measure: true,
+            progress: progressCb,
+            warn: (message) => warnings.push(message),
+            signal
+        };
 
-            const blob = await compressFileOptimized(inputBlob, {
-                mime,
-                quality: effectiveQuality,
-                targetBytes,
-                maxWidth,
-                progress: progressCb,
-                pngOptimized: format === "png-optimized"
-            });
-            stopSmoothProgress();
+        // Auto: also try AVIF and compare the two at the same target - quality numbers don't
+        // mean the same thing across encoders, so each format runs its own full search.
+        // A KB target: the sharper result wins. An SSIM goal: the smaller one. Just the quality
+        // slider: AVIF has to reach the SSIM the first format got at that quality, smaller wins.
+        if (chosenFormat === "auto" && isAvifAvailable()) {
+            const sizeTarget = !minSsim && (targetBytes || minBytes);
+            const results = [];
+            for (const [i, m] of [mime, "image/avif"].entries()) {
+                const own = [];
+                const sameLook = !sizeTarget && !minSsim && results[0]?.similarity?.ssim;
+                try {
+                    const result = await compressImage(inputBlob, {
+                        ...engineOpts,
+                        mime: m,
+                        ...(sameLook ? { minSsim: results[0].similarity.ssim } : {}),
+                        warn: (message) => own.push(message),
+                        progress: (pct, n) => progressCb(Math.round(((i + pct / 100) / 2) * 96), n),
+                    });
+                    results.push({ ...result, mime: m, warnings: own });
+                } catch (err) {
+                    if (isAbortError(err)) throw err;
+                    console.warn(`Auto: ${m} failed`, err);
+                }
+            }
+            const better = (a, b) => {
+                if (a.diagnostics?.targetMet !== b.diagnostics?.targetMet) return !!b.diagnostics?.targetMet;
+                if (sizeTarget) return (b.similarity?.ssim ?? 0) > (a.similarity?.ssim ?? 0);
+                return b.blob.size < a.blob.size;
+            };
+            const best = results.reduce((a, b) => (!a || better(a, b) ? b : a), null);
+            if (best) {
+                const other = results.find((r) => r !== best);
+                const label = mimeToExt(best.mime).toUpperCase();
+                const versus = (r) =>
+                    sizeTarget ? `SSIM ${(r.similarity?.ssim ?? 0).toFixed(3)}` : humanFileSizeShort(r.blob.size);
+                const pick = other
+                    ? `Auto picked ${label} (${versus(best)} vs ${versus(other)} as ${mimeToExt(other.mime).toUpperCase()})`
+                    : `Auto picked ${label}`;
+                const { blob, similarity, color } = best;
+                return { blob, mime: best.mime, similarity, color, note: [note, pick, ...warnings, ...best.warnings].filter(Boolean).join(" · ") };
+            }
+        }
 
-            if (!blob) {
-                setLastNote("Compression failed - try smaller image or lower quality.");
-                setProgressPct(0);
-                setProcessing(false);
-                return;
+        // Runs in a Web Worker (OffscreenCanvas) when available, inline otherwise
+        const { blob, similarity, color } = await compressImage(inputBlob, engineOpts);
+
+        return { blob, mime, similarity, color, note: [note, ...warnings].filter(Boolean).join(" · ") };
+    }
+
+    /* Compress the given queue rows one after another (one CPU-heavy job at a time). */
+    async function runQueue(items) {
+        if (!items.length || processing) return;
+
+        const single = queue.length === 1;
+        const controller = new AbortController();
+        compressAbortRef.current = controller;
+
+        // Snapshot for a clean restore if the user cancels
+        const startActiveId = activeIdRef.current;
+        const prevResult = { outURL, outSize, outMime, outFilename };
+        const before = new Map(items.map((it) => [it.id, it]));
+        const completed = new Set();
+
+        setProcessing(true);
+        if (items.some((it) => it.id === activeIdRef.current)) {
+            setOutURL("");
+            setShowComparison(false);
+            setOutSize(0);
+            setOutMime("");
+            setOutFilename("");
+        }
+        setLastNote("Preparing image…This may take a few seconds");
+        setProgressPct(4);
+        items.forEach((it) =>
+            updateQueueItem(it.id, { status: "pending", progress: 0, note: "" })
+        );
+
+
+        /* 🔴 ADD THIS LINE */
+        await new Promise(r => setTimeout(r, 0));
+
+        // If user increases target KB, reset aggressive assumptions
+        const sharedTargetBytes = targetKB && Number(targetKB) > 0 ? Number(targetKB) * 1024 : 0;
+        if (single && sharedTargetBytes > 0 && originalSize > 0) {
+            if (sharedTargetBytes > originalSize * 0.9) {
+                // Target is close to original - no need for aggressive compression
+                setQuality(0.9);
             }
+        }
 
-            // If we converted HEIC and used a different filename base, set file var for naming
-            if (usedOriginalFileName) {
-                // keep original 'file' state but update naming if needed
-                // We intentionally do not mutate the original File object.
+        let failed = 0;
+        let lastError = "";
+        let cancelled = false;
+
+        for (let i = 0; i < items.length; i++) {
+            if (controller.signal.aborted) {
+                cancelled = true;
+                break;
             }
+            let item = items[i];
+            updateQueueItem(item.id, { status: "processing", progress: 4, note: "" });
 
-            handleResultBlob(blob, mime);
+            const progressCb = (pct, note) => {
+                updateQueueItem(item.id, { progress: Math.min(98, pct), note: note || "" });
+                if (single) {
+                    setProgressPct(Math.min(98, pct));
+                    setLastNote(note || "");
+                } else {
+                    setProgressPct(Math.min(98, Math.round(((i + pct / 100) / items.length) * 100)));
+                    setLastNote(`Compressing ${i + 1} of ${items.length} · ${item.file.name}`);
+                }
+            };
 
+            try {
+                item = await withDetectedContent(item, controller.signal);
+                const { blob, mime, note, similarity, color } = await compressQueueItem(item, progressCb, controller.signal);
+                if (!blob) throw new Error("Compression failed - try smaller image or lower quality.");
+
+                const outName =
+                    item.id === activeIdRef.current
+                        ? handleResultBlob(blob, mime, item.file)
+                        : outputNameFor(item.file, blob.type || mime);
+
+                updateQueueItem(item.id, {
+                    status: "done",
+                    progress: 100,
+                    note,
+                    blob,
+                    outName,
+                    outSize: blob.size,
+                    similarity,
+                    color,
+                    doneWith: JSON.stringify(settingsFor(item)),
+                });
+                completed.add(item.id);
+            } catch (err) {
+                if (isAbortError(err)) {
+                    cancelled = true;
+                    break;
+                }
+                console.error("runQueue: compression failed", err);
+                failed++;
+                lastError = err?.message || String(err);
+                updateQueueItem(item.id, { status: "error", progress: 0, note: lastError, blob: null, outSize: 0 });
+                completed.add(item.id);
+            }
+        }
 
-            setLastNote("");
-            setProgressPct(100);
+        if (compressAbortRef.current === controller) compressAbortRef.current = null;
 
-            // let the progress bar finish before hiding
-            setTimeout(() => {
-                setProcessing(false);
-                setProgressPct(0);
+        if (cancelled) {
+            // Unfinished rows go back to how they were before this run
+            setQueue((q) =>
+                q.map((it) => (before.has(it.id) && !completed.has(it.id) ? before.get(it.id) : it))
+            );
+            if (
+                activeIdRef.current === startActiveId &&
+                before.has(startActiveId) &&
+                !completed.has(startActiveId)
+            ) {
+                setOutURL(prevResult.outURL);
+                setOutSize(prevResult.outSize);
+                setOutMime(prevResult.outMime);
+                setOutFilename(prevResult.outFilename);
+            }
+            setLastNote("Compression cancelled.");
+            setProgressPct(0);
+            setProcessing(false);
+            return;
+        }
 
-                // 🔥 trigger animation ONLY ONCE
-                if (!hasAnimatedScrollCue) {
-                    setShouldAnimateScrollCue(true);
-                    setHasAnimatedScrollCue(true);
-                }
+        if (failed === items.length) {
+            setLastNote(
+                items.length === 1
+                    ? `Error while compressing: ${lastError}`
+                    : `All ${failed} images failed - use Retry on a row to try again.`
+            );
+            setProgressPct(0);
+            setProcessing(false);
+            return;
+        }
+
+        setLastNote(failed ? `${failed} of ${items.length} images failed - use Retry on those rows.` : "");
+        setProgressPct(100);
+
+        // let the progress bar finish before hiding
+        setTimeout(() => {
+            setProcessing(false);
+            setProgressPct(0);
 
-                if (typeof window !== "undefined") {
-                    const resultSection = document.getElementById("compressed-result");
-
-                    if (resultSection) {
-                        if (window.innerWidth < 1024) {
-                            // Mobile / tablet → full scroll to result
-                            resultSection.scrollIntoView({ behavior: "smooth", block: "start" });
-                        } else {
-                            const rect = resultSection.getBoundingClientRect();
-                            const offset = rect.top - 100; // leave some space from top
-                            window.scrollBy({
-                                top: offset,
-                                behavior: "smooth"
-                            });
-                        }
+            // 🔥 trigger animation ONLY ONCE
+            if (!hasAnimatedScrollCue) {
+                setShouldAnimateScrollCue(true);
+                setHasAnimatedScrollCue(true);
+            }
+
+            if (typeof window !== "undefined") {
+                const resultSection = document.getElementById("compressed-result");
 
+                if (resultSection) {
+                    if (window.innerWidth < 1024) {
+                        // Mobile / tablet → full scroll to result
+                        resultSection.scrollIntoView({ behavior: "smooth", block: "start" });
+                    } else {
+                        const rect = resultSection.getBoundingClientRect();
+                        const offset = rect.top - 100; // leave some space from top
+                        window.scrollBy({
+                            top: offset,
+                            behavior: "smooth"
+                        });
                     }
+
                 }
+            }
+
+        }, 500);
+    }
 
-            }, 500);
+    function cancelCompress() {
+        compressAbortRef.current?.abort();
+    }
 
+    // Compress button: rows that are new, failed or whose settings changed.
+    // If everything is already up to date, compress all rows again.
+    async function runCompress() {
+        if (!file || queue.length === 0) return;
+        const stale = queue.filter(
+            (it) => it.status !== "done" || it.doneWith !== JSON.stringify(settingsFor(it))
+        );
+        await runQueue(stale.length ? stale : queue);
+    }
 
+    async function downloadAllZip() {
+        const done = queue.filter((it) => it.status === "done" && it.blob);
+        if (done.length === 0) return;
+
+        setZipBusy(true);
+        try {
+            const zip = await createZipBlob(
+                done.map((it) => ({ name: it.outName, blob: it.blob }))
+            );
+            const url = URL.createObjectURL(zip);
+            const a = document.createElement("a");
+            a.href = url;
+            a.download = "compressly-images.zip";
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 10000);
+
+            if (typeof window !== "undefined" && window.gtag) {
+                window.gtag("event", "download_zip_click", {
+                    event_category: "engagement",
+                    event_label: format || "unknown",
+                    value: done.length,
+                });
+            }
         } catch (err) {
-            console.error("runCompress: unexpected", err);
-            setLastNote(`Error while compressing: ${err?.message || String(err)}.`);
-            setProgressPct(0);
+            console.error("ZIP export failed:", err);
+            setLastNote(`Could not create ZIP: ${err?.message || String(err)}`);
         } finally {
-            stopSmoothProgress();
+            setZipBusy(false);
         }
+    }
 
+    // Multi-page TIFF: compress every page of the active row with its settings, one ZIP
+    async function exportAllPages() {
+        const item = queue.find((it) => it.id === activeId);
+        const pages = framePreview?.id === activeId && framePreview.kind === "tiff" ? framePreview.frames.length : 0;
+        if (!item || pages < 2 || processing) return;
+
+        const controller = new AbortController();
+        compressAbortRef.current = controller;
+        setProcessing(true);
+        const base = item.file.name.replace(/\.[^/.]+$/, "");
+        const entries = [];
+        let failed = 0;
+        try {
+            for (let i = 0; i < pages; i++) {
+                // each page gets its own content detection; the row keeps the shown page's
+                const page = { ...item, frame: i, detected: i === (item.frame || 0) ? item.detected : null };
+                const progressCb = (pct) => {
+                    setProgressPct(Math.min(98, Math.round(((i + pct / 100) / pages) * 100)));
+                    setLastNote(`Compressing page ${i + 1} of ${pages}`);
+                };
+                progressCb(0);
+                try {
+                    if (!page.detected && contentMode === "auto") {
+                        page.detected = (await detectContent(item.file, { signal: controller.signal, page: i })).type;
+                    }
+                    const { blob, mime } = await compressQueueItem(page, progressCb, controller.signal);
+                    if (!blob) throw new Error("Compression produced no output.");
+                    entries.push({ name: `${base}-p${i + 1}.${mimeToExt(blob.type || mime)}`, blob });
+                } catch (err) {
+                    if (isAbortError(err)) throw err;
+                    console.error(`Page ${i + 1} failed:`, err);
+                    failed++;
+                }
+            }
+            if (!entries.length) throw new Error("No page could be compressed.");
+
+            setLastNote("Creating ZIP…");
+            const zip = await createZipBlob(entries);
+            const url = URL.createObjectURL(zip);
+            const a = document.createElement("a");
+            a.href = url;
+            a.download = `${base}-pages.zip`;
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 10000);
+            setLastNote(
+                failed
+                    ? `Exported ${entries.length} of ${pages} pages (${failed} failed)`
+                    : `Exported all ${pages} pages`
+            );
+        } catch (err) {
+            if (isAbortError(err)) {
+                setLastNote("Export cancelled");
+            } else {
+                console.error("Page export failed:", err);
+                setLastNote(`Could not export pages: ${err?.message || String(err)}`);
+            }
+        } finally {
+            if (compressAbortRef.current === controller) compressAbortRef.current = null;
+            setProcessing(false);
+            setProgressPct(0);
+        }
     }
 
     const reductionPercent =
@@ -1578,6 +1526,40 @@ export default function App() {
             )}`
             : `compressly.${mimeToExt(outMime || "image/jpeg")}`);
 
+    // metadata mode the shown result was produced with (the setting may have changed since)
+    const activeItem = queue.find((it) => it.id === activeId);
+    const resultMetaMode = activeItem?.doneWith
+        ? JSON.parse(activeItem.doneWith).metadata || "strip"
+        : metadataMode;
+
+    // Serialized so the effect below re-runs only when something that changes the estimate does
+    const estimateKey =
+        file && activeItem && !ssimTarget && !processing && !isHeicFile(file) ? JSON.stringify(estimateRequestFor(activeItem)) : "";
+
+    useEffect(() => {
+        if (!estimateKey) return;
+        const controller = new AbortController();
+        const timer = setTimeout(async () => {
+            const { id, ...opts } = JSON.parse(estimateKey);
+            try {
+                const result = await estimateImage(file, { ...opts, signal: controller.signal });
+                setSizeEstimate({ id, key: estimateKey, curve: opts.qualities.length > 1, ...result });
+            } catch (err) {
+                if (!isAbortError(err)) console.info("Size estimate unavailable:", err?.message || err);
+            }
+        }, ESTIMATE_DELAY);
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [estimateKey, file]);
+
+    // the last estimate for this image stays up (dimmed) while the next one runs
+    const shownEstimate =
+        estimateKey && sizeEstimate?.id === activeId
+            ? { ...sizeEstimate, pending: sizeEstimate.key !== estimateKey }
+            : null;
+
     const toggleTheme = () =>
         setTheme((t) => (t === "light" ? "dark" : "light"));
 
@@ -1648,14 +1630,60 @@ export default function App() {
                             setQuality={setQuality}
                             targetKB={targetKB}
                             setTargetKB={setTargetKB}
+                            minKB={minKB}
+                            setMinKB={setMinKB}
+                            ssimTarget={ssimTarget}
+                            setSsimTarget={setSsimTarget}
+                            sizeEstimate={shownEstimate}
+                            contentMode={contentMode}
+                            setContentMode={setContentMode}
+                            detectedContent={activeItem?.detected}
                             runCompress={runCompress}
+                            cancelCompress={cancelCompress}
                             processing={processing}
                             resetAll={resetAll}
                             progressPct={progressPct}
                             lastNote={lastNote}
                             format={format}
                             setFormat={setFormat}
+                            dither={dither}
+                            setDither={setDither}
+                            pngEffort={pngEffort}
+                            setPngEffort={setPngEffort}
+                            jpegOptions={jpegOptions}
+                            metadataMode={metadataMode}
+                            colorMode={colorMode}
+                            setColorMode={setColorMode}
+                            dpi={dpi}
+                            setDpi={setDpi}
+                            printSize={printSize}
+                            setPrintSize={setPrintSize}
+                            pixelSize={pixelSizeFor(printSize, dpi)}
+                            dimensions={dimensions}
+                            setDimensions={setDimensions}
+                            sourceDims={sourceDims}
+                            resizing={resizing}
+                            setResizing={setResizing}
+                            setMetadataMode={setMetadataMode}
+                            setJpegOptions={setJpegOptions}
+                            queue={queue}
+                            activeId={activeId}
+                            onSelectItem={selectQueueItem}
+                            onRemoveItem={removeQueueItem}
+                            onRetryItem={retryQueueItem}
+                            onOverrideItem={overrideQueueItem}
+                            onDownloadZip={downloadAllZip}
+                            zipBusy={zipBusy}
                             openPreview={(url) => startModalTransition(() => setModalImage(url))}
+                            onEditImage={() => setEditingId(activeId)}
+                            onCompareFormats={compareFormats}
+                            comparing={!!formatRace?.running}
+                            frames={framePreview?.id === activeId ? framePreview.frames : []}
+                            frameKind={framePreview?.kind}
+                            frame={activeItem?.frame || 0}
+                            onSelectFrame={selectFrame}
+                            onExportAllPages={exportAllPages}
+                            edited={!!activeItem?.edit}
                             hasAnimatedScrollCue={hasAnimatedScrollCue}
                             shouldAnimateScrollCue={shouldAnimateScrollCue}
                             setShouldAnimateScrollCue={setShouldAnimateScrollCue}
@@ -1769,6 +1797,9 @@ export default function App() {
                                                                 }
                                                                 const ext = outFilename.match(/\.[^/.]+$/)?.[0] || "";
                                                                 setOutFilename(`${cleaned}${ext}`);
+                                                                if (activeId != null) {
+                                                                    updateQueueItem(activeId, { outName: `${cleaned}${ext}` });
+                                                                }
                                                                 setIsRenaming(false);
                                                             }}
                                                             onKeyDown={(e) => {
@@ -1789,6 +1820,22 @@ export default function App() {
                                                     </span>
                                                 </div>
 
+                                                {activeItem?.similarity && (
+                                                    <div className="text-xs small-muted" title="Structural similarity and peak signal-to-noise ratio against the source at the output size">
+                                                        Visual match: SSIM {activeItem.similarity.ssim.toFixed(3)} · PSNR{" "}
+                                                        {Number.isFinite(activeItem.similarity.psnr)
+                                                            ? `${activeItem.similarity.psnr.toFixed(1)} dB`
+                                                            : "∞"}{" "}
+                                                        ({describeSsim(activeItem.similarity.ssim)})
+                                                    </div>
+                                                )}
+
+                                                {describeColor(activeItem?.color) && (
+                                                    <div className="text-xs small-muted" title="What happened to the source's embedded colour profile">
+                                                        Colour: {describeColor(activeItem.color)}
+                                                    </div>
+                                                )}
+
 
                                                 {/* Download button - TIGHT spacing */}
                                                 {/* Download button - TIGHT spacing */}
@@ -1864,6 +1911,8 @@ export default function App() {
                                                 </div>
                                             </div>
                                         </div>
+
+                                        <MetadataReport items={sourceMeta} kept={keptKeys(resultMetaMode)} />
                                     </>
 
 
@@ -2021,7 +2070,17 @@ export default function App() {
                     document.getElementById("modal-root")
                 )}
 
+            {/* ✂️ CROP & ROTATE EDITOR */}
+            {editingId != null && previewURL && (
+                <ImageEditor
+                    src={previewURL}
+                    initial={queue.find((it) => it.id === editingId)?.edit}
+                    onApply={(edit) => applyItemEdit(editingId, edit)}
+                    onCancel={() => setEditingId(null)}
+                />
+            )}
 
+            {formatRace && <FormatRace race={formatRace} onClose={closeFormatRace} humanFileSize={humanFileSize} />}
 
         </div>
     );
@@ -0,0 +1,55 @@
+// zip.test.js - batch download names and the stored ZIP layout.
+
+import { describe, expect, it } from "vitest";
+import { crc32 } from "../../lib/compressly/deflate";
+import { createZipBlob, uniqueNames } from "../zip";
+
+describe("uniqueNames", () => {
+    it("numbers repeated names, ignoring case", () => {
+        expect(uniqueNames(["a.jpg", "b.jpg", "A.jpg", "a.jpg"])).toEqual(["a.jpg", "b.jpg", "A (2).jpg", "a (3).jpg"]);
+    });
+
+    it("never repeats a name that is already numbered", () => {
+        const names = uniqueNames(["a.jpg", "a.jpg", "a (2).jpg", "a (2).jpg"]);
+        expect(names).toEqual(["a.jpg", "a (2).jpg", "a (2) (2).jpg", "a (2) (3).jpg"]);
+        expect(new Set(names.map((n) => n.toLowerCase())).size).toBe(names.length);
+    });
+
+    it("keeps names without an extension or with a leading dot", () => {
+        expect(uniqueNames(["notes", "notes", ".hidden", ".hidden"])).toEqual(["notes", "notes (2)", ".hidden", ".hidden (2)"]);
+    });
+});
+
+describe("createZipBlob", () => {
+    it("stores every entry with its name and checksum", async () => {
+        const files = [
+            { name: "one.jpg", blob: new Blob([new Uint8Array([1, 2, 3])]) },
+            { name: "two.png", blob: new Blob([new Uint8Array([4, 5, 6, 7])]) },
+        ];
+        const zip = new Uint8Array(await (await createZipBlob(files)).arrayBuffer());
+        const view = new DataView(zip.buffer);
+
+        // end of central directory: entry count and where the directory starts
+        const end = zip.length - 22;
+        expect(view.getUint32(end, true)).toBe(0x06054b50);
+        expect(view.getUint16(end + 10, true)).toBe(2);
+
+        let at = view.getUint32(end + 16, true);
+        for (const [i, { name }] of files.entries()) {
+            const data = new Uint8Array(await files[i].blob.arrayBuffer());
+            expect(view.getUint32(at, true)).toBe(0x02014b50);
+            expect(view.getUint16(at + 10, true)).toBe(0); // stored
+            expect(view.getUint32(at + 16, true)).toBe(crc32(data));
+            expect(view.getUint32(at + 20, true)).toBe(data.length);
+            const nameLength = view.getUint16(at + 28, true);
+            expect(new TextDecoder().decode(zip.subarray(at + 46, at + 46 + nameLength))).toBe(name);
+
+            // the local header it points at is followed by the stored bytes
+            const local = view.getUint32(at + 42, true);
+            expect(view.getUint32(local, true)).toBe(0x04034b50);
+            const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+            expect(zip.subarray(start, start + data.length)).toEqual(data);
+            at += 46 + nameLength + view.getUint16(at + 30, true) + view.getUint16(at + 32, true);
+        }
+    });
+});
@@ -0,0 +1,42 @@
+// compress.worker.js - runs the compressly engine off the main thread.
+// Messages in:  { id, blob, opts } | { id, type: "estimate" | "classify", blob, opts } | { id, type: "cancel" }
+// Messages out: { id, type: "progress", pct, note } | { id, type: "warning", message }
+//               | { id, type: "done", result } | { id, type: "error", message, name }
+
+import { compress, estimateSizes, classifyImage } from "../lib/compressly";
+
+const JOBS = { compress, estimate: estimateSizes, classify: classifyImage };
+
+const controllers = new Map();
+
+self.onmessage = async (e) => {
+    const { id, type, blob, opts } = e.data || {};
+
+    if (type === "cancel") {
+        controllers.get(id)?.abort();
+        return;
+    }
+
+    const controller = new AbortController();
+    controllers.set(id, controller);
+
+    try {
+        const run = JOBS[type] || compress;
+        const result = await run(blob, {
+            ...opts,
+            signal: controller.signal,
+            progress: (pct, note) => self.postMessage({ id, type: "progress", pct, note }),
+            warn: (message) => self.postMessage({ id, type: "warning", message }),
+        });
+        self.postMessage({ id, type: "done", result });
+    } catch (err) {
+        self.postMessage({
+            id,
+            type: "error",
+            message: err?.message || String(err),
+            name: err?.name || "Error",
+        });
+    } finally {
+        controllers.delete(id);
+    }
+};
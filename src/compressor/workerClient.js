@@ -0,0 +1,151 @@
+// workerClient.js - main-thread side of compress.worker.js.
+// Uses the worker when OffscreenCanvas can encode, otherwise runs the engine inline.
+
+import { compress, estimateSizes, classifyImage, abortError, isAbortError, throwIfAborted } from "../lib/compressly";
+
+let worker = null;
+let workerBroken = false;
+let nextJobId = 0;
+const jobs = new Map();
+
+/* Feature probe: worker + createImageBitmap + OffscreenCanvas 2D with convertToBlob */
+export function isWorkerCompressionSupported() {
+    if (workerBroken) return false;
+    if (typeof Worker === "undefined" || typeof OffscreenCanvas === "undefined") return false;
+    if (typeof createImageBitmap !== "function") return false;
+    try {
+        const oc = new OffscreenCanvas(1, 1);
+        return !!oc.getContext("2d") && typeof oc.convertToBlob === "function";
+    } catch {
+        return false;
+    }
+}
+
+function failAllJobs(message) {
+    for (const job of jobs.values()) job.reject(new Error(message));
+    jobs.clear();
+}
+
+function getWorker() {
+    if (worker) return worker;
+
+    worker = new Worker(new URL("./compress.worker.js", import.meta.url), { type: "module" });
+
+    worker.onmessage = (e) => {
+        const { id, type } = e.data || {};
+        const job = jobs.get(id);
+        if (!job) return;
+
+        if (type === "progress") {
+            job.progress(e.data.pct, e.data.note);
+        } else if (type === "warning") {
+            job.warn(e.data.message);
+        } else if (type === "done") {
+            jobs.delete(id);
+            job.resolve(e.data.result);
+        } else if (type === "error") {
+            jobs.delete(id);
+            job.reject(
+                e.data.name === "AbortError"
+                    ? abortError()
+                    : new Error(e.data.message || "Worker compression failed")
+            );
+        }
+    };
+
+    // Worker script failed to load/crashed: disable it for this session
+    worker.onerror = (e) => {
+        console.warn("Compression worker error:", e?.message || e);
+        workerBroken = true;
+        worker?.terminate();
+        worker = null;
+        failAllJobs("Compression worker crashed");
+    };
+
+    return worker;
+}
+
+/* Run a job in the worker. Resolves only with a result `usable` accepts; warnings are held
+   until then, so a failed job that is retried on the main thread doesn't report them twice. */
+function runInWorker(type, blob, opts, usable) {
+    // AbortSignal can't be cloned: forward aborts as a "cancel" message instead
+    const { progress = () => { }, warn = () => { }, signal = null, ...rest } = opts;
+    const id = ++nextJobId;
+    const warnings = [];
+
+    return new Promise((resolve, reject) => {
+        const w = getWorker();
+        const onAbort = () => w.postMessage({ id, type: "cancel" });
+        const settle = (fn) => (value) => {
+            signal?.removeEventListener("abort", onAbort);
+            fn(value);
+        };
+        const done = (result) => {
+            if (!usable(result)) {
+                reject(new Error(`Worker ${type} returned no result`));
+                return;
+            }
+            warnings.forEach((message) => warn(message));
+            resolve(result);
+        };
+
+        jobs.set(id, { resolve: settle(done), reject: settle(reject), progress, warn: (message) => warnings.push(message) });
+        signal?.addEventListener("abort", onAbort, { once: true });
+        w.postMessage({ id, type, blob, opts: rest });
+    });
+}
+
+/**
+ * Compress off the main thread when possible; resolves with compressly's CompressResult.
+ * Any worker failure (e.g. a format createImageBitmap can't decode) is retried
+ * on the main thread, where <img> decoding is still available.
+ */
+export async function compressImage(blob, opts = {}) {
+    throwIfAborted(opts.signal);
+
+    if (isWorkerCompressionSupported()) {
+        try {
+            return await runInWorker("compress", blob, opts, (result) => !!result?.blob);
+        } catch (err) {
+            if (isAbortError(err)) throw err;
+            console.info("Worker compression failed, retrying on main thread:", err?.message || err);
+        }
+    }
+
+    return compress(blob, opts);
+}
+
+/**
+ * Size estimate (see compressly's estimateSizes) off the main thread when possible.
+ * Resolves with { width, height, points: [{ quality, bytes }] }.
+ */
+export async function estimateImage(blob, opts = {}) {
+    throwIfAborted(opts.signal);
+
+    if (isWorkerCompressionSupported()) {
+        try {
+            return await runInWorker("estimate", blob, opts, (result) => !!result?.points);
+        } catch (err) {
+            if (isAbortError(err)) throw err;
+            console.info("Worker estimate failed, retrying on main thread:", err?.message || err);
+        }
+    }
+
+    return estimateSizes(blob, opts);
+}
+
+/* Content type of an image (see compressly's classifyImage), off the main thread when possible */
+export async function detectContent(blob, opts = {}) {
+    throwIfAborted(opts.signal);
+
+    if (isWorkerCompressionSupported()) {
+        try {
+            return await runInWorker("classify", blob, opts, (result) => !!result?.type);
+        } catch (err) {
+            if (isAbortError(err)) throw err;
+            console.info("Worker classify failed, retrying on main thread:", err?.message || err);
+        }
+    }
+
+    return classifyImage(blob, opts);
+}
@@ -0,0 +1,103 @@
+// zip.js - tiny "stored" (no deflate) ZIP writer for downloading batch results.
+// Images are already compressed, so storing them as-is keeps this fast and small.
+
+import { crc32 } from "../lib/compressly/deflate";
+
+/* MS-DOS date/time used by ZIP headers */
+function dosDateTime(date) {
+    const time =
+        (date.getHours() << 11) |
+        (date.getMinutes() << 5) |
+        Math.floor(date.getSeconds() / 2);
+    const day =
+        ((Math.max(1980, date.getFullYear()) - 1980) << 9) |
+        ((date.getMonth() + 1) << 5) |
+        date.getDate();
+    return { time, day };
+}
+
+/* Make every entry name unique: "a.jpg", "a (2).jpg", ... - never one already produced */
+export function uniqueNames(names) {
+    const taken = new Set();
+    return names.map((name) => {
+        let out = name;
+        if (taken.has(name.toLowerCase())) {
+            const dot = name.lastIndexOf(".");
+            const base = dot > 0 ? name.slice(0, dot) : name;
+            const ext = dot > 0 ? name.slice(dot) : "";
+            for (let n = 2; taken.has(out.toLowerCase()); n++) out = `${base} (${n})${ext}`;
+        }
+        taken.add(out.toLowerCase());
+        return out;
+    });
+}
+
+/**
+ * Build a ZIP archive from [{ name, blob }].
+ * Entry data is not copied into a new buffer - the original blobs are
+ * referenced as Blob parts, only headers are allocated.
+ */
+export async function createZipBlob(entries, progress = () => { }) {
+    const encoder = new TextEncoder();
+    const names = uniqueNames(entries.map((e) => e.name));
+    const { time, day } = dosDateTime(new Date());
+
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (let i = 0; i < entries.length; i++) {
+        const blob = entries[i].blob;
+        const nameBytes = encoder.encode(names[i]);
+        const data = new Uint8Array(await blob.arrayBuffer());
+        const crc = crc32(data);
+        const size = data.length;
+
+        if (offset + 30 + nameBytes.length + size > 0xffffffff) {
+            throw new Error("ZIP is too large (over 4 GB). Download fewer files at once.");
+        }
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+
+        const cd = new DataView(new ArrayBuffer(46));
+        cd.setUint32(0, 0x02014b50, true);
+        cd.setUint16(4, 20, true);
+        cd.setUint16(6, 20, true);
+        cd.setUint16(8, 0x0800, true);
+        cd.setUint16(10, 0, true);
+        cd.setUint16(12, time, true);
+        cd.setUint16(14, day, true);
+        cd.setUint32(16, crc, true);
+        cd.setUint32(20, size, true);
+        cd.setUint32(24, size, true);
+        cd.setUint16(28, nameBytes.length, true);
+        cd.setUint32(42, offset, true);
+
+        parts.push(local.buffer, nameBytes, blob);
+        central.push(cd.buffer, nameBytes);
+        offset += 30 + nameBytes.length + size;
+
+        progress(Math.round(((i + 1) / entries.length) * 100));
+    }
+
+    const cdSize = central.reduce((n, p) => n + p.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, cdSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end.buffer], { type: "application/zip" });
+}
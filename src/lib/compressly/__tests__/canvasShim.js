@@ -0,0 +1,212 @@
+// canvasShim.js - just enough OffscreenCanvas, ImageData and createImageBitmap for the engine to
+// run headless under Node (vitest setup file). Pixels live in plain RGBA arrays, drawImage
+// samples nearest-neighbour through the current transform and blends source-over, encoding
+// goes through the in-project encoders and decoding through jpeg-js / pngjs. Like browsers,
+// unsupported output types come back as PNG and undecodable inputs reject.
+
+import { Buffer } from "node:buffer";
+import jpeg from "jpeg-js";
+import pngjs from "pngjs";
+import { encodeJpeg } from "../jpeg";
+import { encodePng } from "../png";
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+class ShimImageData {
+    constructor(data, width, height) {
+        if (typeof data === "number") {
+            height = width;
+            width = data;
+            data = new Uint8ClampedArray(width * height * 4);
+        }
+        this.data = data;
+        this.width = width;
+        this.height = height ?? data.length / 4 / width;
+    }
+}
+
+/* "#rgb", "#rrggbb" or a few names -> [r, g, b, a] */
+function parseColor(style) {
+    const named = { white: "#ffffff", black: "#000000", transparent: null };
+    const value = style in named ? named[style] : style;
+    if (!value) return [0, 0, 0, 0];
+    const hex = value.replace("#", "");
+    const full = hex.length === 3 ? [...hex].map((c) => c + c).join("") : hex;
+    return [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16)).concat(255);
+}
+
+class ShimContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.fillStyle = "#000000";
+        this.imageSmoothingQuality = "low";
+        this.matrix = IDENTITY.slice();
+        this.stack = [];
+    }
+
+    save() {
+        this.stack.push(this.matrix.slice());
+    }
+
+    restore() {
+        this.matrix = this.stack.pop() || IDENTITY.slice();
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this.matrix = [a, b, c, d, e, f];
+    }
+
+    transform(A, B, C, D, E, F) {
+        const [a, b, c, d, e, f] = this.matrix;
+        this.matrix = [a * A + c * B, b * A + d * B, a * C + c * D, b * C + d * D, a * E + c * F + e, b * E + d * F + f];
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    /* Axis-aligned fill (translation only - all the engine needs) */
+    fillRect(x, y, w, h) {
+        const { width, height, data } = this.canvas;
+        const color = parseColor(this.fillStyle);
+        const x0 = Math.max(0, Math.round(x + this.matrix[4]));
+        const y0 = Math.max(0, Math.round(y + this.matrix[5]));
+        for (let yy = y0; yy < Math.min(height, y0 + h); yy++) {
+            for (let xx = x0; xx < Math.min(width, x0 + w); xx++) data.set(color, (yy * width + xx) * 4);
+        }
+    }
+
+    clearRect(x, y, w, h) {
+        const { width, height, data } = this.canvas;
+        for (let yy = Math.max(0, y); yy < Math.min(height, y + h); yy++) {
+            data.fill(0, (yy * width + Math.max(0, x)) * 4, (yy * width + Math.min(width, x + w)) * 4);
+        }
+    }
+
+    getImageData(x, y, w, h) {
+        const { width, data } = this.canvas;
+        const out = new Uint8ClampedArray(w * h * 4);
+        for (let r = 0; r < h; r++) out.set(data.subarray(((y + r) * width + x) * 4, ((y + r) * width + x + w) * 4), r * w * 4);
+        return new ShimImageData(out, w, h);
+    }
+
+    putImageData(image, x = 0, y = 0) {
+        const { width, height, data } = this.canvas;
+        for (let r = 0; r < image.height && y + r < height; r++) {
+            const row = image.data.subarray(r * image.width * 4, (r + 1) * image.width * 4);
+            data.set(row.subarray(0, Math.min(image.width, width - x) * 4), ((y + r) * width + x) * 4);
+        }
+    }
+
+    drawImage(image, ...args) {
+        let [sx, sy, sw, sh] = [0, 0, image.width, image.height];
+        let dx, dy, dw, dh;
+        if (args.length === 2) [dx, dy, dw, dh] = [...args, sw, sh];
+        else if (args.length === 4) [dx, dy, dw, dh] = args;
+        else [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+        if (!sw || !sh || !dw || !dh) return;
+
+        const [a, b, c, d, e, f] = this.matrix;
+        const det = a * d - b * c;
+        const { width, height, data } = this.canvas;
+        const src = image.data;
+        for (let ty = 0; ty < height; ty++) {
+            for (let tx = 0; tx < width; tx++) {
+                // device pixel centre -> user space -> source pixel
+                const px = tx + 0.5 - e;
+                const py = ty + 0.5 - f;
+                const fx = ((d * px - c * py) / det - dx) / dw;
+                const fy = ((-b * px + a * py) / det - dy) / dh;
+                if (fx < 0 || fx >= 1 || fy < 0 || fy >= 1) continue;
+                const xx = Math.min(image.width - 1, Math.floor(sx + fx * sw));
+                const yy = Math.min(image.height - 1, Math.floor(sy + fy * sh));
+                const si = (yy * image.width + xx) * 4;
+                const di = (ty * width + tx) * 4;
+                const alpha = src[si + 3] / 255;
+                const under = data[di + 3] / 255;
+                const outA = alpha + under * (1 - alpha);
+                for (let k = 0; k < 3; k++) {
+                    data[di + k] = outA ? (src[si + k] * alpha + data[di + k] * under * (1 - alpha)) / outA : 0;
+                }
+                data[di + 3] = outA * 255;
+            }
+        }
+    }
+}
+
+class ShimOffscreenCanvas {
+    constructor(width, height) {
+        this._width = width;
+        this._height = height;
+        this.data = new Uint8ClampedArray(width * height * 4);
+        this.context = new ShimContext(this);
+    }
+
+    // resizing clears the bitmap, as in browsers (releaseCanvas relies on it)
+    get width() {
+        return this._width;
+    }
+
+    set width(value) {
+        this._width = value;
+        this.data = new Uint8ClampedArray(value * this._height * 4);
+    }
+
+    get height() {
+        return this._height;
+    }
+
+    set height(value) {
+        this._height = value;
+        this.data = new Uint8ClampedArray(this._width * value * 4);
+    }
+
+    getContext() {
+        return this.context;
+    }
+
+    async convertToBlob({ type = "image/png", quality = 0.92 } = {}) {
+        if (type === "image/jpeg") return encodeJpeg(this.data, this.width, this.height, { quality });
+        return encodePng(this.data, this.width, this.height);
+    }
+}
+
+/* JPEG or PNG bytes -> { width, height, data (RGBA) }; null for anything else */
+export function decodePixels(bytes) {
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) return jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true });
+    if (bytes[0] === 0x89 && bytes[1] === 0x50) return pngjs.PNG.sync.read(Buffer.from(bytes));
+    return null;
+}
+
+/* Honours resizeWidth / resizeHeight (nearest-neighbour) */
+async function createImageBitmap(blob, options = {}) {
+    const decoded = decodePixels(new Uint8Array(await blob.arrayBuffer()));
+    if (!decoded) throw new Error("The source image could not be decoded.");
+
+    const bitmap = new ShimOffscreenCanvas(options.resizeWidth || decoded.width, options.resizeHeight || decoded.height);
+    const ctx = bitmap.getContext("2d");
+    if (bitmap.width === decoded.width && bitmap.height === decoded.height) {
+        ctx.putImageData(new ShimImageData(new Uint8ClampedArray(decoded.data), decoded.width, decoded.height));
+    } else {
+        ctx.drawImage({ width: decoded.width, height: decoded.height, data: decoded.data }, 0, 0, bitmap.width, bitmap.height);
+    }
+    bitmap.close = () => {
+        bitmap.width = 0;
+        bitmap.height = 0;
+    };
+    return bitmap;
+}
+
+globalThis.ImageData = ShimImageData;
+globalThis.OffscreenCanvas = ShimOffscreenCanvas;
+globalThis.createImageBitmap = createImageBitmap;
@@ -0,0 +1,67 @@
+// classify.test.js - content detection and how the `content` option changes the encode.
+
+import { describe, expect, it } from "vitest";
+import { classifyImage, classifyPixels, compress, encodePng } from "..";
+import { bytesOf, gradient, photoFile } from "./fixtures";
+
+/* RGBA of width × height from a (x, y) -> [r, g, b, a] function */
+function paint(width, height, colorAt) {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) rgba.set(colorAt(x, y), (y * width + x) * 4);
+    }
+    return rgba;
+}
+
+/* Dark UI with rows of light "text" */
+const screenshot = () => paint(120, 80, (x, y) => (y % 8 >= 2 && y % 8 <= 5 && x % 4 === 0 ? [230, 230, 230, 255] : [40, 44, 52, 255]));
+
+/* Red disc on transparency */
+const logo = () => paint(64, 64, (x, y) => ((x - 32) ** 2 + (y - 32) ** 2 < 400 ? [220, 30, 40, 255] : [0, 0, 0, 0]));
+
+/* Grainy paper with dark lines of writing */
+const scan = () => paint(120, 80, (x, y) => {
+    if (y % 10 < 2 && (x * 13) % 7 < 4) return [30, 30, 40, 255];
+    const v = 240 + ((x * 7919 + y * 104729) % 21) - 10;
+    return [v, v, v, 255];
+});
+
+/* Chroma sampling factors of the first JPEG component (0x22 = 4:2:0, 0x11 = 4:4:4) */
+function lumaSampling(bytes) {
+    for (let p = 2; p + 12 < bytes.length; p += 2 + ((bytes[p + 2] << 8) | bytes[p + 3])) {
+        if (bytes[p + 1] === 0xc0 || bytes[p + 1] === 0xc2) return bytes[p + 11];
+    }
+    return null;
+}
+
+describe("classify", () => {
+    it("tells photos, screenshots, logos and documents apart", () => {
+        expect(classifyPixels(gradient(120, 80), 120, 80).type).toBe("photo");
+        expect(classifyPixels(screenshot(), 120, 80).type).toBe("screenshot");
+        expect(classifyPixels(logo(), 64, 64).type).toBe("logo");
+        expect(classifyPixels(scan(), 120, 80).type).toBe("document");
+    });
+
+    it("reports the measurements behind the answer", () => {
+        const stats = classifyPixels(logo(), 64, 64);
+        expect(stats.colors).toBe(2);
+        expect(stats.coverage).toBe(1);
+        expect(stats.alpha).toBeGreaterThan(0.5);
+        expect(classifyPixels(scan(), 120, 80).paper).toBeGreaterThan(0.5);
+    });
+
+    it("classifies a decoded file", async () => {
+        const file = new File([await encodePng(screenshot(), 120, 80)], "ui.png", { type: "image/png" });
+        expect((await classifyImage(file)).type).toBe("screenshot");
+        expect((await classifyImage(photoFile())).type).toBe("photo");
+    });
+
+    it("keeps full chroma for non-photos", async () => {
+        const file = new File([await encodePng(screenshot(), 120, 80)], "ui.png", { type: "image/png" });
+        const jpeg = { encoder: "builtin" };
+        const asPhoto = await compress(file, { quality: 0.7, jpeg });
+        const asScreenshot = await compress(file, { quality: 0.7, jpeg, content: "screenshot" });
+        expect(lumaSampling(await bytesOf(asPhoto.blob))).toBe(0x22);
+        expect(lumaSampling(await bytesOf(asScreenshot.blob))).toBe(0x11);
+    });
+});
@@ -0,0 +1,104 @@
+// codecs.test.js - the in-project encoders, checked by independent decoders (pngjs, jpeg-js
+// and Node's zlib).
+
+import { inflateRawSync, inflateSync } from "node:zlib";
+import { describe, expect, it } from "vitest";
+import { encodeIndexedPng, encodeJpeg, encodePng } from "..";
+import { adler32, crc32, deflateRaw, zlibDeflate } from "../deflate";
+import { decodePixels } from "./canvasShim";
+import { bytesOf, gradient, meanError, pattern } from "./fixtures";
+
+describe("PNG encoder", () => {
+    it("round-trips RGB, RGBA and grey pixels exactly", async () => {
+        for (const opts of [{}, { alpha: true }, { gray: true }]) {
+            const rgba = pattern(37, 23, opts);
+            const decoded = decodePixels(await bytesOf(await encodePng(rgba, 37, 23)));
+            expect([decoded.width, decoded.height]).toEqual([37, 23]);
+            expect(new Uint8ClampedArray(decoded.data)).toEqual(rgba);
+        }
+    });
+
+    it("stays lossless at every effort and shrinks with more of it", async () => {
+        const rgba = gradient(64, 48);
+        const sizes = [];
+        for (const effort of [0, 3, 9]) {
+            const blob = await encodePng(rgba, 64, 48, { effort });
+            expect(new Uint8ClampedArray(decodePixels(await bytesOf(blob)).data)).toEqual(rgba);
+            sizes.push(blob.size);
+        }
+        expect(sizes[2]).toBeLessThan(sizes[0]);
+    });
+
+    it("reduces few-colour images to a palette", async () => {
+        const rgba = new Uint8ClampedArray(16 * 16 * 4);
+        for (let i = 0; i < 256; i++) rgba.set(i % 3 ? [255, 0, 0, 255] : [0, 0, 255, 255], i * 4);
+        const bytes = await bytesOf(await encodePng(rgba, 16, 16));
+        expect([bytes[24], bytes[25]]).toEqual([1, 3]); // IHDR: 1-bit palette
+        expect(new Uint8ClampedArray(decodePixels(bytes).data)).toEqual(rgba);
+    });
+
+    it("round-trips palette indices", async () => {
+        const palette = new Uint8Array([255, 0, 0, 255, 0, 128, 0, 255, 0, 0, 255, 128, 250, 250, 250, 0]);
+        const indices = Uint8Array.from({ length: 19 * 11 }, (_, i) => (i * 7) % 4);
+        const decoded = decodePixels(await bytesOf(await encodeIndexedPng(indices, 19, 11, palette)));
+        const expected = new Uint8ClampedArray(indices.length * 4);
+        indices.forEach((idx, i) => expected.set(palette.subarray(idx * 4, idx * 4 + 4), i * 4));
+        expect(new Uint8ClampedArray(decoded.data)).toEqual(expected);
+    });
+});
+
+describe("JPEG encoder", () => {
+    it("encodes within lossy tolerance in every mode", async () => {
+        const rgba = gradient(48, 40);
+        const modes = [{}, { progressive: true }, { optimizeHuffman: true }, { subsampling: "444" }, { subsampling: "422" }, { trellis: true }];
+        for (const jpeg of modes) {
+            const decoded = decodePixels(await bytesOf(encodeJpeg(rgba, 48, 40, { quality: 0.95, ...jpeg })));
+            expect([decoded.width, decoded.height]).toEqual([48, 40]);
+            expect(meanError(decoded.data, rgba)).toBeLessThan(4);
+        }
+    });
+
+    it("handles sizes that aren't multiples of the block size", async () => {
+        const rgba = gradient(17, 9);
+        const decoded = decodePixels(await bytesOf(encodeJpeg(rgba, 17, 9, { quality: 0.9 })));
+        expect([decoded.width, decoded.height]).toEqual([17, 9]);
+        expect(meanError(decoded.data, rgba)).toBeLessThan(6);
+    });
+
+    it("trades size for error with quality", async () => {
+        const rgba = gradient(64, 48);
+        const low = encodeJpeg(rgba, 64, 48, { quality: 0.3 });
+        const high = encodeJpeg(rgba, 64, 48, { quality: 0.95 });
+        const errorOf = async (blob) => meanError(decodePixels(await bytesOf(blob)).data, rgba);
+        expect(low.size).toBeLessThan(high.size);
+        expect(await errorOf(low)).toBeGreaterThan(await errorOf(high));
+    });
+
+    it("makes optimized Huffman tables no larger than the standard ones", () => {
+        const rgba = gradient(64, 48);
+        const standard = encodeJpeg(rgba, 64, 48, { quality: 0.8 });
+        const optimized = encodeJpeg(rgba, 64, 48, { quality: 0.8, optimizeHuffman: true });
+        expect(optimized.size).toBeLessThanOrEqual(standard.size);
+    });
+});
+
+describe("deflate", () => {
+    const text = new TextEncoder().encode("compressly ".repeat(500) + "the quick brown fox jumps over the lazy dog");
+    const noisy = Uint8Array.from({ length: 5000 }, (_, i) => (i * 2654435761) >>> 24);
+
+    it("writes zlib streams a standard inflater reads, at every effort", () => {
+        for (const level of [0, 1, 6, 9]) {
+            for (const data of [text, noisy, new Uint8Array(0)]) {
+                expect(new Uint8Array(inflateSync(zlibDeflate(data, level)))).toEqual(data);
+                expect(new Uint8Array(inflateRawSync(deflateRaw(data, level)))).toEqual(data);
+            }
+        }
+        expect(deflateRaw(text, 9).length).toBeLessThan(text.length / 10);
+    });
+
+    it("computes standard checksums", () => {
+        const abc = new TextEncoder().encode("abc");
+        expect(crc32(abc)).toBe(0x352441c2);
+        expect(adler32(abc)).toBe(0x024d0127);
+    });
+});
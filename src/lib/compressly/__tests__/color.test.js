@@ -0,0 +1,146 @@
+// color.test.js - ICC matrix / TRC parsing, the conversion to sRGB and how compress() applies it.
+
+import { describe, expect, it } from "vitest";
+import { compress, createSrgbTransform, describeColor, encodeJpeg, parseIcc } from "..";
+import { planColor } from "../color";
+import { injectMetadata, readMetadata } from "../metadata";
+import { decodePixels } from "./canvasShim";
+import { bytesOf, gradient, meanError } from "./fixtures";
+
+const SRGB_COLORANTS = [[0.4360747, 0.2225045, 0.0139322], [0.3850649, 0.7168786, 0.0971045], [0.1430804, 0.0606169, 0.7141733]];
+const P3_COLORANTS = [[0.5151, 0.2412, -0.0011], [0.292, 0.6922, 0.0419], [0.1571, 0.0666, 0.7841]];
+const SRGB_CURVE = { para: [2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045] };
+
+/**
+ * Matrix / TRC RGB profile. colorants: [r, g, b] XYZ triples (null = a profile without them);
+ * curve: { gamma } ('curv' with one entry) or { para: [g, a, b, c, d] } (parametric type 3).
+ */
+function iccProfile({ colorants = SRGB_COLORANTS, curve = SRGB_CURVE } = {}) {
+    const tags = [];
+    const fixed = (v) => Math.round(v * 65536);
+    if (colorants) {
+        ["rXYZ", "gXYZ", "bXYZ"].forEach((sig, i) => {
+            const body = new DataView(new ArrayBuffer(20));
+            body.setUint32(0, 0x58595a20); // "XYZ "
+            colorants[i].forEach((v, k) => body.setInt32(8 + k * 4, fixed(v)));
+            tags.push([sig, new Uint8Array(body.buffer)]);
+        });
+    }
+    let trc;
+    if (curve.gamma) {
+        trc = new DataView(new ArrayBuffer(14));
+        trc.setUint32(0, 0x63757276); // "curv"
+        trc.setUint32(8, 1);
+        trc.setUint16(12, Math.round(curve.gamma * 256));
+    } else {
+        trc = new DataView(new ArrayBuffer(12 + 5 * 4));
+        trc.setUint32(0, 0x70617261); // "para"
+        trc.setUint16(8, 3);
+        curve.para.forEach((v, i) => trc.setInt32(12 + i * 4, fixed(v)));
+    }
+    for (const sig of ["rTRC", "gTRC", "bTRC"]) tags.push([sig, new Uint8Array(trc.buffer)]);
+
+    const tableEnd = 132 + tags.length * 12;
+    const size = tags.reduce((n, [, body]) => n + ((body.length + 3) & ~3), tableEnd);
+    const icc = new Uint8Array(size);
+    const view = new DataView(icc.buffer);
+    view.setUint32(0, size);
+    icc.set(new TextEncoder().encode("mntrRGB XYZ "), 12);
+    icc.set(new TextEncoder().encode("acsp"), 36);
+    view.setUint32(128, tags.length);
+    let offset = tableEnd;
+    tags.forEach(([sig, body], i) => {
+        icc.set(new TextEncoder().encode(sig), 132 + i * 12);
+        view.setUint32(136 + i * 12, offset);
+        view.setUint32(140 + i * 12, body.length);
+        icc.set(body, offset);
+        offset += (body.length + 3) & ~3;
+    });
+    return icc;
+}
+
+const convert = (icc, rgb) => [...createSrgbTransform(parseIcc(icc))(new Uint8ClampedArray([...rgb, 255])).subarray(0, 3)];
+
+describe("parseIcc", () => {
+    it("recognises sRGB in all but name", () => {
+        const profile = parseIcc(iccProfile());
+        expect(profile.colorSpace).toBe("RGB");
+        expect(profile.srgb).toBe(true);
+        expect(parseIcc(iccProfile({ colorants: P3_COLORANTS })).srgb).toBe(false);
+    });
+
+    it("reads gamma and parametric curves", () => {
+        const gamma = parseIcc(iccProfile({ curve: { gamma: 2.2 } }));
+        expect(gamma.curves[0](0.5)).toBeCloseTo(0.5 ** 2.2, 2);
+        const para = parseIcc(iccProfile());
+        expect(para.curves[1](0.5)).toBeCloseTo(0.214, 2);
+        expect(para.curves[2](0.02)).toBeCloseTo(0.02 / 12.92, 4);
+    });
+
+    it("has no matrix for profiles it can't convert", () => {
+        const profile = parseIcc(iccProfile({ colorants: null }));
+        expect(profile.matrix).toBeNull();
+        expect(createSrgbTransform(profile)).toBeNull();
+        expect(parseIcc(new Uint8Array(40))).toBeNull();
+    });
+});
+
+describe("createSrgbTransform", () => {
+    it("leaves sRGB colours and neutral greys where they are", () => {
+        for (const rgb of [[0, 0, 0], [128, 128, 128], [255, 255, 255], [200, 60, 30]]) {
+            convert(iccProfile(), rgb).forEach((v, i) => expect(Math.abs(v - rgb[i])).toBeLessThanOrEqual(1));
+        }
+        convert(iccProfile({ colorants: P3_COLORANTS }), [128, 128, 128]).forEach((v) => expect(Math.abs(v - 128)).toBeLessThanOrEqual(1));
+    });
+
+    it("maps wide-gamut colours outwards, clipping what sRGB can't show", () => {
+        const [r, g, b] = convert(iccProfile({ colorants: P3_COLORANTS }), [200, 100, 100]);
+        expect(r).toBeGreaterThan(200);
+        expect(g).toBeLessThan(100);
+        expect(b).toBeLessThan(100);
+        expect(convert(iccProfile({ colorants: P3_COLORANTS }), [0, 255, 0])).toEqual([0, 255, expect.any(Number)]);
+    });
+});
+
+describe("planColor / describeColor", () => {
+    it("picks an action per profile and mode", () => {
+        const p3 = iccProfile({ colorants: P3_COLORANTS });
+        expect(planColor(null).info).toBeNull();
+        expect(planColor(iccProfile(), "sRGB IEC61966-2.1").info).toEqual({ profile: "sRGB IEC61966-2.1", action: "srgb" });
+        const converted = planColor(p3, "Display P3");
+        expect([converted.raw, converted.info.action, typeof converted.transform]).toEqual([true, "converted", "function"]);
+        expect(planColor(p3, "Display P3", "keep").info).toEqual({ profile: "Display P3", action: "kept", bytes: p3.length });
+        expect(planColor(iccProfile({ colorants: null }), "LUT").info.action).toBe("browser");
+    });
+
+    it("describes what happened", () => {
+        expect(describeColor({ profile: "Display P3", action: "converted" })).toBe("Display P3 converted to sRGB");
+        expect(describeColor({ profile: "Display P3", action: "kept", bytes: 560 })).toBe("Display P3 profile kept (1 KB)");
+        expect(describeColor({ profile: "sRGB", action: "srgb" })).toBe("");
+        expect(describeColor(null)).toBe("");
+    });
+});
+
+describe("compress colour handling", () => {
+    const p3File = async () => {
+        const blob = encodeJpeg(gradient(64, 48), 64, 48, { quality: 0.95 });
+        const tagged = await injectMetadata(blob, { icc: iccProfile({ colorants: P3_COLORANTS }) });
+        return new File([tagged], "p3.jpg", { type: "image/jpeg" });
+    };
+    const pixels = async (blob) => decodePixels(await bytesOf(blob)).data;
+
+    it("converts a wide-gamut source to sRGB", async () => {
+        const file = await p3File();
+        const result = await compress(file, { quality: 0.95 });
+        expect(result.color).toEqual({ profile: "ICC profile", action: "converted" });
+        expect(meanError(await pixels(result.blob), await pixels(file))).toBeGreaterThan(2);
+    });
+
+    it("can keep the pixels and a compact profile instead", async () => {
+        const file = await p3File();
+        const result = await compress(file, { quality: 0.95, color: "keep" });
+        expect(result.color.action).toBe("kept");
+        expect((await readMetadata(result.blob)).icc).toEqual((await readMetadata(file)).icc);
+        expect(meanError(await pixels(result.blob), await pixels(file))).toBeLessThan(2);
+    });
+});
@@ -0,0 +1,131 @@
+// compress.test.js - compress() end to end on the canvas shim: size and SSIM targets, exact sizes,
+// edits, cancelling and the diagnostics every caller reads.
+
+import { describe, expect, it } from "vitest";
+import { compress, isAbortError } from "..";
+import { decodePixels } from "./canvasShim";
+import { bytesOf, photoFile } from "./fixtures";
+
+describe("compress", () => {
+    it("hits a reachable size target", async () => {
+        const result = await compress(photoFile(), { targetBytes: 8000 });
+        expect(result.blob.size).toBeLessThanOrEqual(8000);
+        expect(result.diagnostics.targetMet).toBe(true);
+        expect(result.diagnostics.warnings).toEqual([]);
+    });
+
+    it("reports a size target it can't reach", async () => {
+        const warned = [];
+        const result = await compress(photoFile(), {
+            targetBytes: 200,
+            lockDimensions: true,
+            warn: (message) => warned.push(message),
+        });
+        expect(result.blob.size).toBeGreaterThan(200);
+        expect([result.width, result.height]).toEqual([320, 240]);
+        expect(result.diagnostics.targetMet).toBe(false);
+        expect(result.diagnostics.warnings.length).toBeGreaterThan(0);
+        expect(warned).toEqual(result.diagnostics.warnings);
+    });
+
+    it("tries every size-targeted encode at the planned width", async () => {
+        const result = await compress(photoFile(), { maxWidth: 160, targetBytes: 500000 });
+        expect([result.width, result.height]).toEqual([160, 120]);
+        expect(result.diagnostics.encodes.map((a) => a.width)).toEqual(result.diagnostics.encodes.map(() => 160));
+    });
+
+    it("keeps a min-max range", async () => {
+        const result = await compress(photoFile(), { minBytes: 9000, targetBytes: 14000 });
+        expect(result.blob.size).toBeGreaterThanOrEqual(9000);
+        expect(result.blob.size).toBeLessThanOrEqual(14000);
+        expect(result.diagnostics.targetMet).toBe(true);
+    });
+
+    it("writes exact output sizes", async () => {
+        // "contain" shrinks the box to the source's 4:3 instead of padding it
+        const expected = { cover: [100, 100], contain: [100, 75], pad: [100, 100], stretch: [100, 100] };
+        for (const [fit, size] of Object.entries(expected)) {
+            const result = await compress(photoFile(), { outputSize: { width: 100, height: 100, fit } });
+            const decoded = decodePixels(await bytesOf(result.blob));
+            expect([result.width, result.height, decoded.width, decoded.height]).toEqual([...size, ...size]);
+        }
+    });
+
+    it("pads with the background colour", async () => {
+        const result = await compress(photoFile(), {
+            mime: "image/png",
+            outputSize: { width: 100, height: 100, fit: "pad", background: "#ff0000" },
+        });
+        const { data } = decodePixels(await bytesOf(result.blob));
+        expect([...data.subarray(0, 4)]).toEqual([255, 0, 0, 255]);
+        expect(data[(50 * 100 + 50) * 4]).not.toBe(255);
+    });
+
+    it("applies edits before resizing", async () => {
+        const result = await compress(photoFile(), { edit: { rotate: 90, crop: { x: 0, y: 0, w: 1, h: 0.5 } } });
+        expect([result.width, result.height]).toEqual([240, 160]);
+    });
+
+    it("finds the smallest file that reaches an SSIM goal", async () => {
+        const good = await compress(photoFile(), { minSsim: 0.95 });
+        const high = await compress(photoFile(), { minSsim: 0.99 });
+        expect(good.similarity.ssim).toBeGreaterThanOrEqual(0.95);
+        expect(high.similarity.ssim).toBeGreaterThanOrEqual(0.99);
+        expect(good.diagnostics.targetMet).toBe(true);
+        expect(good.blob.size).toBeLessThan(high.blob.size);
+    });
+
+    it("scores the result only when asked", async () => {
+        expect((await compress(photoFile(), { quality: 0.8 })).similarity).toBeNull();
+        const { similarity } = await compress(photoFile(), { quality: 0.8, measure: true });
+        expect(similarity.ssim).toBeGreaterThan(0.9);
+        expect(similarity.psnr).toBeGreaterThan(30);
+    });
+
+    it("keeps canvases inside a pixel budget", async () => {
+        const warned = [];
+        const result = await compress(photoFile(), { maxPixels: 20000, warn: (m) => warned.push(m) });
+        expect(result.width * result.height).toBeLessThanOrEqual(20000);
+        expect(result.width / result.height).toBeCloseTo(4 / 3, 1);
+        expect(warned.length).toBeGreaterThan(0);
+    });
+
+    it("rejects with an AbortError when cancelled up front", async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const err = await compress(photoFile(), { targetBytes: 8000, signal: controller.signal }).catch((e) => e);
+        expect(isAbortError(err)).toBe(true);
+    });
+
+    it("rejects with an AbortError when cancelled mid-search", async () => {
+        const controller = new AbortController();
+        const err = await compress(photoFile(), {
+            targetBytes: 4000,
+            signal: controller.signal,
+            progress: () => controller.abort(),
+        }).catch((e) => e);
+        expect(isAbortError(err)).toBe(true);
+    });
+
+    it("describes the run in diagnostics", async () => {
+        const file = photoFile();
+        const result = await compress(file, { targetBytes: 12000 });
+        const { diagnostics } = result;
+        expect(diagnostics.type).toBe("image/jpeg");
+        expect(diagnostics.inputBytes).toBe(file.size);
+        expect(diagnostics.outputBytes).toBe(result.blob.size);
+        expect(diagnostics.ratio).toBeCloseTo(result.blob.size / file.size);
+        expect(diagnostics.ms).toBeGreaterThanOrEqual(0);
+        expect(diagnostics.encodes).toHaveLength(result.attempts);
+        expect(result.attempts).toBeGreaterThan(0);
+        for (const attempt of diagnostics.encodes) {
+            expect(attempt).toEqual({
+                width: expect.any(Number),
+                height: expect.any(Number),
+                quality: expect.any(Number),
+                bytes: expect.any(Number),
+            });
+        }
+        expect(diagnostics.encodes.some((a) => a.bytes === result.blob.size)).toBe(true);
+    });
+});
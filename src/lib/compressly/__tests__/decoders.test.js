@@ -0,0 +1,204 @@
+// decoders.test.js - the in-project JPEG, PNG and BMP decoders (CMYK / YCCK / 12-bit JPEG, 16-bit
+// PNG), inflateZlib and the file inspection that routes inputs to them. TIFF is in tiff.test.js.
+
+import { describe, expect, it } from "vitest";
+import { compress, decodeBmp, decodeJpeg, decodePng, describeInput, encodeIndexedPng, encodeJpeg, encodePng, inspectImage } from "..";
+import { inflateZlib, zlibDeflate } from "../deflate";
+import { decodePixels } from "./canvasShim";
+import { bytesOf, flatJpeg, gradient, meanError, pattern, photoFile, png16 } from "./fixtures";
+
+/* RGB of the first pixel of each 8×8 block along the top row */
+const blockColors = ({ data, width }) =>
+    Array.from({ length: width / 8 }, (_, b) => [...data.subarray(b * 32, b * 32 + 3)]);
+
+const expectClose = (actual, expected, tolerance = 1) =>
+    actual.flat().forEach((v, i) => expect(Math.abs(v - expected.flat()[i])).toBeLessThanOrEqual(tolerance));
+
+/* YCbCr (JFIF) of an RGB triple */
+const ycc = ([r, g, b]) => [
+    Math.round(0.299 * r + 0.587 * g + 0.114 * b),
+    Math.round(128 - 0.168736 * r - 0.331264 * g + 0.5 * b),
+    Math.round(128 + 0.5 * r - 0.418688 * g - 0.081312 * b),
+];
+
+const file = (bytes, name, type) => new File([bytes], name, { type });
+
+/* Uncompressed BMP: 24-bit bottom-up (padded rows) or 32-bit top-down with alpha */
+function buildBmp(rgba, width, height, bits) {
+    const stride = Math.ceil((width * bits) / 32) * 4;
+    const out = new Uint8Array(54 + stride * height);
+    const view = new DataView(out.buffer);
+    out.set([0x42, 0x4d]);
+    view.setUint32(2, out.length, true);
+    view.setUint32(10, 54, true);
+    view.setUint32(14, 40, true);
+    view.setInt32(18, width, true);
+    view.setInt32(22, bits === 32 ? -height : height, true);
+    view.setUint16(26, 1, true);
+    view.setUint16(28, bits, true);
+    for (let y = 0; y < height; y++) {
+        const row = 54 + (bits === 32 ? y : height - 1 - y) * stride;
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const p = row + (x * bits) / 8;
+            out.set([rgba[i + 2], rgba[i + 1], rgba[i]], p);
+            if (bits === 32) out[p + 3] = rgba[i + 3];
+        }
+    }
+    return out;
+}
+
+describe("decodeJpeg", () => {
+    it("agrees with an independent decoder on ordinary JPEGs", async () => {
+        const rgba = gradient(40, 24);
+        for (const jpeg of [{}, { progressive: true }, { subsampling: "444" }, { subsampling: "422" }]) {
+            const bytes = await bytesOf(encodeJpeg(rgba, 40, 24, { quality: 0.9, ...jpeg }));
+            const ours = decodeJpeg(bytes);
+            expect([ours.width, ours.height, ours.colorModel, ours.progressive]).toEqual([40, 24, "ycc", !!jpeg.progressive]);
+            expect(meanError(ours.data, decodePixels(bytes).data)).toBeLessThan(1.5);
+        }
+    });
+
+    it("converts Adobe (inverted) CMYK to RGB", () => {
+        const stored = [[255, 0, 255, 255], [255, 255, 255, 128]]; // magenta; half black
+        const bytes = flatJpeg(16, 8, 4, (c, x) => stored[x / 8][c], { adobe: 0 });
+        const decoded = decodeJpeg(bytes);
+        expect(decoded.colorModel).toBe("cmyk");
+        expectClose(blockColors(decoded), [[255, 0, 255], [128, 128, 128]]);
+    });
+
+    it("reads plain CMYK as ink amounts", () => {
+        const bytes = flatJpeg(8, 8, 4, (c) => [0, 255, 0, 0][c]);
+        expectClose(blockColors(decodeJpeg(bytes)), [[255, 0, 255]]);
+    });
+
+    it("converts YCCK through YCbCr and the inverted black", () => {
+        const [y, cb, cr] = ycc([0, 255, 0]); // full magenta ink
+        const bytes = flatJpeg(8, 8, 4, (c) => [y, cb, cr, 255][c], { adobe: 2 });
+        const decoded = decodeJpeg(bytes);
+        expect(decoded.colorModel).toBe("ycck");
+        expectClose(blockColors(decoded), [[255, 0, 255]], 2);
+    });
+
+    it("scales 12-bit samples to 8 bits", () => {
+        const values = [4095, 2048, 1000, 0];
+        const decoded = decodeJpeg(flatJpeg(32, 8, 1, (c, x) => values[x / 8], { precision: 12 }));
+        expect([decoded.precision, decoded.colorModel]).toEqual([12, "gray"]);
+        expectClose(blockColors(decoded), values.map((v) => Array(3).fill(Math.round((v * 255) / 4095))));
+    });
+
+    it("rejects what isn't a JPEG", () => {
+        expect(() => decodeJpeg(new Uint8Array([1, 2, 3, 4]))).toThrow();
+    });
+});
+
+describe("decodePng", () => {
+    it("round-trips what the encoders write", async () => {
+        for (const opts of [{}, { alpha: true }, { gray: true }]) {
+            const rgba = pattern(21, 13, opts);
+            const decoded = await decodePng(await bytesOf(await encodePng(rgba, 21, 13)));
+            expect(decoded.data).toEqual(rgba);
+        }
+        const palette = new Uint8Array([10, 20, 30, 255, 200, 100, 0, 128]);
+        const indices = Uint8Array.from({ length: 35 }, (_, i) => i % 2);
+        const decoded = await decodePng(await bytesOf(await encodeIndexedPng(indices, 7, 5, palette)));
+        expect([...decoded.data.subarray(0, 8)]).toEqual([...palette]);
+    });
+
+    it("rounds 16-bit samples to 8 bits", async () => {
+        const rgb = await decodePng(png16(2, 1, 2, [0x7fff, 0x8080, 0xffff, 0x0000, 0x00ff, 0x7f80]));
+        expect(rgb.bitDepth).toBe(16);
+        expect([...rgb.data]).toEqual([127, 128, 255, 255, 0, 1, 127, 255]); // 0x00ff -> 1, not 0
+        const grayAlpha = await decodePng(png16(1, 1, 4, [0x4000, 0x8000]));
+        expect([...grayAlpha.data]).toEqual([64, 64, 64, 128]);
+    });
+
+    it("says so when a file is damaged", async () => {
+        const bytes = await bytesOf(await encodePng(gradient(32, 32), 32, 32));
+        await expect(decodePng(bytes.subarray(0, 50))).rejects.toThrow(/\w+/);
+    });
+});
+
+describe("decodeBmp", () => {
+    it("decodes 24-bit bottom-up rows with padding", () => {
+        const rgb = pattern(13, 7);
+        const decoded = decodeBmp(buildBmp(rgb, 13, 7, 24));
+        expect([decoded.width, decoded.height, decoded.bitDepth]).toEqual([13, 7, 24]);
+        expect(decoded.data).toEqual(rgb);
+    });
+
+    it("decodes 32-bit top-down rows with alpha", () => {
+        const rgba = pattern(13, 7, { alpha: true });
+        expect(decodeBmp(buildBmp(rgba, 13, 7, 32)).data).toEqual(rgba);
+    });
+
+    it("treats an all-zero fourth byte as opaque", () => {
+        const rgba = pattern(5, 4);
+        const bytes = buildBmp(rgba.map((v, i) => (i % 4 === 3 ? 0 : v)), 5, 4, 32);
+        expect(decodeBmp(bytes).data).toEqual(rgba);
+    });
+
+    it("rejects damaged files and files that aren't BMPs", () => {
+        expect(() => decodeBmp(new Uint8Array(30))).toThrow("Not a BMP file.");
+        expect(() => decodeBmp(buildBmp(pattern(13, 7), 13, 7, 24).subarray(0, 100))).toThrow(/truncated/);
+    });
+});
+
+describe("inflateZlib", () => {
+    it("inflates zlib streams and returns null for corrupt ones", async () => {
+        const data = new TextEncoder().encode("inflate me ".repeat(100));
+        expect(await inflateZlib(zlibDeflate(data, 6))).toEqual(data);
+        expect(await inflateZlib(new Uint8Array([0x78, 0x9c, 1, 2, 3, 4]))).toBeNull();
+    });
+});
+
+describe("inspectImage", () => {
+    it("routes CMYK, 12-bit and 16-bit inputs to the in-project decoders", async () => {
+        const cmyk = await inspectImage(file(flatJpeg(16, 8, 4, () => 200, { adobe: 0 }), "a.jpg", "image/jpeg"));
+        expect(cmyk).toMatchObject({ format: "jpeg", width: 16, height: 8, colorModel: "cmyk", decoder: "jpeg" });
+        expect(describeInput(cmyk)).toBe("CMYK JPEG");
+
+        const deep = await inspectImage(file(flatJpeg(8, 8, 1, () => 9, { precision: 12 }), "b.jpg", "image/jpeg"));
+        expect(deep).toMatchObject({ bitDepth: 12, decoder: "jpeg" });
+
+        const png = await inspectImage(file(png16(2, 1, 2, [0, 0, 0, 0, 0, 0]), "c.png", "image/png"));
+        expect(png).toMatchObject({ format: "png", bitDepth: 16, decoder: "png" });
+        expect(describeInput(png)).toBe("16-bit PNG");
+
+        const bmp = await inspectImage(file(buildBmp(pattern(6, 4), 6, 4, 24), "d.bmp", "image/bmp"));
+        expect(bmp).toMatchObject({ format: "bmp", width: 6, height: 4, decoder: "bmp" });
+        expect(await inspectImage(file(Uint8Array.from([0x4d, 0x4d, 0, 42]), "e.tif", ""))).toMatchObject({ format: "tiff", decoder: "tiff" });
+
+        expect((await inspectImage(photoFile())).decoder).toBe("browser");
+    });
+
+    it("explains inputs nothing here can decode", async () => {
+        const arithmetic = await bytesOf(encodeJpeg(gradient(8, 8), 8, 8));
+        arithmetic[arithmetic.indexOf(0xc0, 2)] = 0xc9; // SOF0 -> SOF9
+        expect((await inspectImage(file(arithmetic, "d.jpg", "image/jpeg"))).problem).toMatch(/arithmetic/i);
+        expect((await inspectImage(file(new Uint8Array(0), "e.jpg", ""))).problem).toMatch(/empty/);
+        expect((await inspectImage(file(new TextEncoder().encode("hello"), "f.txt", ""))).problem).toBeTruthy();
+    });
+});
+
+describe("compress with in-project decoding", () => {
+    it("compresses a BMP", async () => {
+        const rgb = pattern(13, 7);
+        const result = await compress(file(buildBmp(rgb, 13, 7, 24), "scan.bmp", "image/bmp"), { mime: "image/png" });
+        expect(new Uint8ClampedArray(decodePixels(await bytesOf(result.blob)).data)).toEqual(rgb);
+    });
+
+    it("compresses a CMYK JPEG in the right colours", async () => {
+        const cmyk = file(flatJpeg(32, 16, 4, (c) => [255, 0, 255, 255][c], { adobe: 0 }), "cmyk.jpg", "image/jpeg");
+        const result = await compress(cmyk, { mime: "image/png" });
+        const { data } = decodePixels(await bytesOf(result.blob));
+        expectClose([[...data.subarray(0, 3)]], [[255, 0, 255]]);
+    });
+
+    it("compresses a 16-bit PNG", async () => {
+        const samples = Array.from({ length: 16 * 16 * 3 }, (_, i) => (i % 3 === 0 ? 0xffff : 0x2000));
+        const result = await compress(file(png16(16, 16, 2, samples), "deep.png", "image/png"), { mime: "image/png" });
+        const { data } = decodePixels(await bytesOf(result.blob));
+        expect([...data.subarray(0, 3)]).toEqual([255, 32, 32]);
+    });
+});
@@ -0,0 +1,62 @@
+// edit.test.js - edit geometry and drawing onto the canvas shim.
+
+import { describe, expect, it } from "vitest";
+import { cropForAspect, cropPixels, drawEdited, frameSize, isIdentityEdit, NO_EDIT } from "../edit";
+
+/* 3×2 image with one distinct colour per pixel (red channel = index * 40) */
+function tiny() {
+    const canvas = new OffscreenCanvas(3, 2);
+    const data = new Uint8ClampedArray(24);
+    for (let i = 0; i < 6; i++) data.set([i * 40, 0, 0, 255], i * 4);
+    canvas.getContext("2d").putImageData(new ImageData(data, 3, 2), 0, 0);
+    return canvas;
+}
+
+/* Draw with an edit and read the red channel back, row by row */
+function redsAfter(edit) {
+    const frame = frameSize(3, 2, edit);
+    const out = new OffscreenCanvas(frame.width, frame.height);
+    const ctx = out.getContext("2d");
+    drawEdited(ctx, tiny(), 3, 2, edit);
+    const { data } = ctx.getImageData(0, 0, frame.width, frame.height);
+    return Array.from({ length: frame.width * frame.height }, (_, i) => data[i * 4] / 40);
+}
+
+describe("edit", () => {
+    it("recognises edits that change nothing", () => {
+        expect(isIdentityEdit(null)).toBe(true);
+        expect(isIdentityEdit(NO_EDIT)).toBe(true);
+        expect(isIdentityEdit({ ...NO_EDIT, rotate: 360, crop: { x: 0, y: 0, w: 1, h: 1 } })).toBe(true);
+        expect(isIdentityEdit({ ...NO_EDIT, flipV: true })).toBe(false);
+        expect(isIdentityEdit({ ...NO_EDIT, crop: { x: 0.1, y: 0, w: 0.9, h: 1 } })).toBe(false);
+    });
+
+    it("swaps the frame for quarter turns", () => {
+        expect(frameSize(300, 200, { rotate: 90 })).toEqual({ width: 200, height: 300 });
+        expect(frameSize(300, 200, { rotate: -90 })).toEqual({ width: 200, height: 300 });
+        expect(frameSize(300, 200, { rotate: 180 })).toEqual({ width: 300, height: 200 });
+    });
+
+    it("turns a normalized crop into clamped frame pixels", () => {
+        expect(cropPixels(300, 200, { rotate: 90, crop: { x: 0.5, y: 0, w: 0.5, h: 0.5 } }))
+            .toEqual({ x: 100, y: 0, width: 100, height: 150 });
+        expect(cropPixels(300, 200, { crop: { x: 0.9, y: 0.9, w: 0.5, h: 0.5 } }))
+            .toEqual({ x: 270, y: 180, width: 30, height: 20 });
+    });
+
+    it("fits the largest centred crop of an aspect", () => {
+        expect(cropForAspect(400, 300, 1)).toEqual({ x: 0.125, y: 0, w: 0.75, h: 1 });
+        expect(cropForAspect(400, 300, 2)).toEqual({ x: 0, y: 1 / 6, w: 1, h: 2 / 3 });
+        expect(cropForAspect(400, 300, 0)).toEqual({ x: 0, y: 0, w: 1, h: 1 });
+    });
+
+    it("draws rotations and flips onto the pixels", () => {
+        // source:  0 1 2
+        //          3 4 5
+        expect(redsAfter(NO_EDIT)).toEqual([0, 1, 2, 3, 4, 5]);
+        expect(redsAfter({ rotate: 90 })).toEqual([3, 0, 4, 1, 5, 2]);
+        expect(redsAfter({ rotate: 180 })).toEqual([5, 4, 3, 2, 1, 0]);
+        expect(redsAfter({ flipH: true })).toEqual([2, 1, 0, 5, 4, 3]);
+        expect(redsAfter({ rotate: 90, flipV: true })).toEqual([5, 2, 4, 1, 3, 0]);
+    });
+});
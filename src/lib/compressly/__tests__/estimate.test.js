@@ -0,0 +1,35 @@
+// estimate.test.js - size estimates against what compress() actually writes.
+
+import { describe, expect, it } from "vitest";
+import { compress, estimateSizes } from "..";
+import { photoFile } from "./fixtures";
+
+describe("estimateSizes", () => {
+    it("plans the output size exactly as compress does", async () => {
+        const estimate = await estimateSizes(photoFile(), { maxWidth: 160 });
+        const result = await compress(photoFile(), { maxWidth: 160, quality: 0.82 });
+        expect([estimate.width, estimate.height]).toEqual([result.width, result.height]);
+    });
+
+    it("returns one point per quality, growing with it", async () => {
+        const qualities = [0.3, 0.6, 0.9];
+        const { points } = await estimateSizes(photoFile(), { qualities });
+        expect(points.map((p) => p.quality)).toEqual(qualities);
+        expect(points[0].bytes).toBeLessThan(points[1].bytes);
+        expect(points[1].bytes).toBeLessThan(points[2].bytes);
+    });
+
+    it("matches the real size when the image is small enough to encode whole", async () => {
+        const { points } = await estimateSizes(photoFile(), { quality: 0.7 });
+        const { blob } = await compress(photoFile(), { quality: 0.7 });
+        expect(points[0].bytes / blob.size).toBeCloseTo(1, 1);
+    });
+
+    it("scales a downsampled proxy up to the planned size", async () => {
+        const { width, points } = await estimateSizes(photoFile(800, 600), { quality: 0.7 });
+        const { blob } = await compress(photoFile(800, 600), { quality: 0.7 });
+        expect(width).toBe(800);
+        expect(points[0].bytes).toBeGreaterThan(blob.size * 0.7);
+        expect(points[0].bytes).toBeLessThan(blob.size * 1.3);
+    });
+});
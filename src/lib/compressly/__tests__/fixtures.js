@@ -0,0 +1,209 @@
+// fixtures.js - test inputs built in code: pixel patterns, encoded files, hand-written JPEGs and
+// PNGs the project's encoders don't produce (CMYK, 12-bit, 16-bit) and TIFF structures (EXIF
+// blocks, TIFF pages, RAW containers). Shared by the test files.
+
+import { crc32, zlibDeflate } from "../deflate";
+import { encodeJpeg } from "../jpeg";
+
+export const bytesOf = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+/* Deterministic RGBA test pattern with sharp steps; `alpha` varies the alpha channel too */
+export function pattern(width, height, { alpha = false, gray = false } = {}) {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const r = (x * 31 + y * 7) & 255;
+            rgba[i] = r;
+            rgba[i + 1] = gray ? r : (x * 5 + y * 29) & 255;
+            rgba[i + 2] = gray ? r : (x ^ y) * 3;
+            rgba[i + 3] = alpha ? (x * 17 + y) & 255 : 255;
+        }
+    }
+    return rgba;
+}
+
+/* Smooth colour ramps with a little texture - compresses like a photo */
+export function gradient(width, height) {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const noise = ((x * 7919 + y * 104729) % 9) - 4;
+            rgba.set([(x * 255) / width + noise, (y * 255) / height - noise, 128 + 60 * Math.sin((x + y) / 8), 255], (y * width + x) * 4);
+        }
+    }
+    return rgba;
+}
+
+export function meanError(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+    return sum / a.length;
+}
+
+/* A photo-like JPEG file */
+export function photoFile(width = 320, height = 240, name = "photo.jpg") {
+    const blob = encodeJpeg(gradient(width, height), width, height, { quality: 0.95 });
+    return new File([blob], name, { type: "image/jpeg" });
+}
+
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 13: 4 };
+
+/**
+ * TIFF bytes from IFDs given as entry lists [[tag, type, value], ...], chained in order.
+ * value: number, number[], string (ASCII), Uint8Array (BYTE / UNDEFINED), { data: Uint8Array }
+ * (placed in the file, its offset stored) or { ifd: entries } (a sub-IFD, its offset stored).
+ * opts.little picks the byte order; opts.magic overrides bytes 8.. (CR2 puts "CR" there).
+ */
+export function buildTiff(ifds, { little = true, magic = null } = {}) {
+    const out = new Uint8Array(1 << 20);
+    const view = new DataView(out.buffer);
+    let size = 8 + (magic ? magic.length : 0);
+    const align = () => (size += size & 1);
+    const put = (bytes) => {
+        align();
+        const at = size;
+        out.set(bytes, at);
+        size += bytes.length;
+        return at;
+    };
+
+    const writeIfd = (entries) => {
+        // place referenced data and sub-IFDs first, so every offset is known
+        const resolved = entries.map(([tag, type, value]) => {
+            if (value?.data) return [tag, type, [put(value.data)]];
+            if (value?.ifd) return [tag, type, [writeIfd(value.ifd)]];
+            return [tag, type, value];
+        }).sort((a, b) => a[0] - b[0]);
+
+        align();
+        const at = size;
+        size += 2 + resolved.length * 12 + 4;
+        view.setUint16(at, resolved.length, little);
+        resolved.forEach(([tag, type, value], i) => {
+            const values = typeof value === "string"
+                ? [...new TextEncoder().encode(value + "\0")]
+                : value instanceof Uint8Array ? [...value] : [].concat(value);
+            const bytes = values.length * TYPE_SIZE[type];
+            const e = at + 2 + i * 12;
+            view.setUint16(e, tag, little);
+            view.setUint16(e + 2, type, little);
+            view.setUint32(e + 4, values.length, little);
+            let p = e + 8;
+            if (bytes > 4) {
+                align();
+                p = size;
+                size += bytes;
+                view.setUint32(e + 8, p, little);
+            }
+            values.forEach((v, k) => {
+                if (TYPE_SIZE[type] === 1) out[p + k] = v;
+                else if (type === 3) view.setUint16(p + k * 2, v, little);
+                else if (type === 5) {
+                    const den = Number.isInteger(v) ? 1 : 10000;
+                    view.setUint32(p + k * 8, Math.round(v * den), little);
+                    view.setUint32(p + k * 8 + 4, den, little);
+                } else view.setUint32(p + k * 4, v, little);
+            });
+        });
+        view.setUint32(at + 2 + resolved.length * 12, 0, little);
+        return at;
+    };
+
+    out.set(little ? [0x49, 0x49] : [0x4d, 0x4d]);
+    view.setUint16(2, 42, little);
+    if (magic) out.set(magic, 8);
+    let link = 4;
+    for (const entries of ifds) {
+        const at = writeIfd(entries);
+        view.setUint32(link, at, little);
+        link = at + 2 + view.getUint16(at, little) * 12;
+    }
+    return out.slice(0, size);
+}
+
+/**
+ * JPEG whose 8×8 blocks are flat: sampleAt(component, x, y) gives each block's value from its
+ * top-left pixel. No subsampling, all-1 quantization and DC-only Huffman tables keep it short
+ * and exact. opts.precision 12 writes an extended (SOF1) frame; opts.adobe adds an Adobe APP14
+ * with that colour transform (0 = none, 2 = YCCK).
+ */
+export function flatJpeg(width, height, components, sampleAt, { precision = 8, adobe = null } = {}) {
+    const out = [];
+    const u16 = (v) => out.push(v >> 8, v & 255);
+    const segment = (marker, body) => {
+        u16(marker);
+        u16(body.length + 2);
+        out.push(...body);
+    };
+    const ids = Array.from({ length: components }, (_, c) => c + 1);
+
+    u16(0xffd8);
+    if (adobe != null) segment(0xffee, [0x41, 0x64, 0x6f, 0x62, 0x65, 0, 100, 0, 0, 0, 0, adobe]);
+    segment(0xffdb, precision === 12 ? [0x10, ...Array.from({ length: 128 }, (_, i) => i & 1)] : [0, ...Array(64).fill(1)]);
+    segment(precision === 12 ? 0xffc1 : 0xffc0, [precision, height >> 8, height & 255, width >> 8, width & 255, components, ...ids.flatMap((id) => [id, 0x11, 0])]);
+    // DC: categories 0..15 as the 5-bit codes 00000..01111; AC: only end-of-block, code "0"
+    segment(0xffc4, [0x00, 0, 0, 0, 0, 16, ...Array(11).fill(0), ...Array.from({ length: 16 }, (_, i) => i)]);
+    segment(0xffc4, [0x10, 1, ...Array(15).fill(0), 0x00]);
+    segment(0xffda, [components, ...ids.flatMap((id) => [id, 0x00]), 0, 63, 0]);
+
+    let acc = 0;
+    let bits = 0;
+    const put = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            acc = (acc << 1) | ((value >> i) & 1);
+            if (++bits === 8) {
+                out.push(acc);
+                if (acc === 0xff) out.push(0); // byte stuffing
+                acc = 0;
+                bits = 0;
+            }
+        }
+    };
+    const shift = 1 << (precision - 1);
+    const prediction = new Array(components).fill(0);
+    for (let y = 0; y < height; y += 8) {
+        for (let x = 0; x < width; x += 8) {
+            for (let c = 0; c < components; c++) {
+                const dc = 8 * (sampleAt(c, x, y) - shift);
+                const diff = dc - prediction[c];
+                prediction[c] = dc;
+                const category = diff === 0 ? 0 : Math.floor(Math.log2(Math.abs(diff))) + 1;
+                put(category, 5);
+                if (category) put(diff > 0 ? diff : diff + (1 << category) - 1, category);
+                put(0, 1);
+            }
+        }
+    }
+    if (bits) put(0xff, 8 - bits);
+    u16(0xffd9);
+    return new Uint8Array(out);
+}
+
+/* 16-bit PNG (colour type 2 RGB, 4 grey + alpha or 6 RGBA) from big-endian samples */
+export function png16(width, height, colorType, samples) {
+    const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+    const raw = new Uint8Array(height * (1 + width * channels * 2));
+    const view = new DataView(raw.buffer);
+    for (let y = 0, p = 0; y < height; y++) {
+        raw[p++] = 0; // filter: none
+        for (let i = 0; i < width * channels; i++, p += 2) view.setUint16(p, samples[y * width * channels + i]);
+    }
+    const chunk = (type, data) => {
+        const bytes = new Uint8Array(12 + data.length);
+        const dv = new DataView(bytes.buffer);
+        dv.setUint32(0, data.length);
+        bytes.set(new TextEncoder().encode(type), 4);
+        bytes.set(data, 8);
+        dv.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+        return bytes;
+    };
+    const ihdr = new Uint8Array(13);
+    new DataView(ihdr.buffer).setUint32(0, width);
+    new DataView(ihdr.buffer).setUint32(4, height);
+    ihdr.set([16, colorType, 0, 0, 0], 8);
+    const parts = [Uint8Array.from([137, 80, 78, 71, 13, 10, 26, 10]), chunk("IHDR", ihdr), chunk("IDAT", zlibDeflate(raw, 6)), chunk("IEND", new Uint8Array(0))];
+    const out = new Uint8Array(parts.reduce((n, b) => n + b.length, 0));
+    parts.reduce((o, b) => (out.set(b, o), o + b.length), 0);
+    return out;
+}
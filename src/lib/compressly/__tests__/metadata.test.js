@@ -0,0 +1,241 @@
+// metadata.test.js - EXIF / ICC / XMP parsing, selection and re-injection into JPEG, PNG and
+// WebP, plus the physical density writers (JFIF, pHYs, EXIF resolution).
+
+import { describe, expect, it } from "vitest";
+import { encodeJpeg, encodePng } from "..";
+import {
+    injectMetadata,
+    keptKeys,
+    metadataSize,
+    parseExif,
+    printSizeToPixels,
+    readMetadata,
+    selectMetadata,
+    summarizeMetadata,
+    writeDensity,
+} from "../metadata";
+import { buildTiff, bytesOf, gradient } from "./fixtures";
+
+const camera = (little = true) => buildTiff([[
+    [0x010f, 2, "Canon"],
+    [0x0110, 2, "EOS R5"],
+    [0x0112, 3, 6],
+    [0x011a, 5, 72],
+    [0x011b, 5, 72],
+    [0x0128, 3, 2],
+    [0x013b, 2, "Jane Doe"],
+    [0x8298, 2, "(c) Jane Doe"],
+    [0x8769, 4, { ifd: [[0x9003, 2, "2024:05:01 10:00:00"], [0xa434, 2, "RF 50mm"]] }],
+    [0x8825, 4, { ifd: [[1, 2, "N"], [2, 5, [51, 30, 0]], [3, 2, "W"], [4, 5, [0, 7, 30]]] }],
+]], { little });
+
+/* Minimal ICC profile: header, a one-entry tag table and a v2 'desc' text */
+function iccProfile(name) {
+    const icc = new Uint8Array(256);
+    const view = new DataView(icc.buffer);
+    view.setUint32(0, 256);
+    icc.set(new TextEncoder().encode("acsp"), 36);
+    view.setUint32(128, 1);
+    icc.set(new TextEncoder().encode("desc"), 132);
+    view.setUint32(136, 144);
+    view.setUint32(140, 100);
+    icc.set(new TextEncoder().encode("desc"), 144);
+    view.setUint32(152, name.length + 1);
+    icc.set(new TextEncoder().encode(name), 156);
+    return icc;
+}
+
+/* A bare lossless WebP: RIFF + VP8L header (the pixel data is never decoded here) */
+function webpBlob(width, height) {
+    const bits = (width - 1) | ((height - 1) << 14);
+    const vp8l = [0x2f, bits & 255, (bits >> 8) & 255, (bits >> 16) & 255, (bits >>> 24) & 255, 0, 0, 0];
+    const bytes = new Uint8Array(20 + vp8l.length);
+    const view = new DataView(bytes.buffer);
+    bytes.set(new TextEncoder().encode("RIFFxxxxWEBPVP8L"));
+    view.setUint32(4, bytes.length - 8, true);
+    view.setUint32(16, vp8l.length, true);
+    bytes.set(vp8l, 20);
+    return new Blob([bytes], { type: "image/webp" });
+}
+
+const jpegBlob = () => encodeJpeg(gradient(16, 12), 16, 12, { quality: 0.8 });
+const pngBlob = () => encodePng(gradient(16, 12), 16, 12);
+
+/* Density fields of a JFIF APP0: [units, x, y], or null without one */
+function jfifDensity(bytes) {
+    if (bytes[3] !== 0xe0) return null;
+    return [bytes[13], (bytes[14] << 8) | bytes[15], (bytes[16] << 8) | bytes[17]];
+}
+
+/* [x, y, unit] resolution of an EXIF block, through the positions parseExif reports */
+function resolutionOf(exif) {
+    const { resolutionPos: { x, y, unit }, le } = parseExif(exif);
+    const view = new DataView(exif.buffer, exif.byteOffset, exif.byteLength);
+    const rational = (pos) => (pos >= 0 ? view.getUint32(pos, le) / view.getUint32(pos + 4, le) : null);
+    return [rational(x), rational(y), unit >= 0 ? view.getUint16(unit, le) : null];
+}
+
+describe("parseExif", () => {
+    it("reads camera, date, GPS and resolution tags in either byte order", () => {
+        for (const little of [true, false]) {
+            const tags = parseExif(camera(little));
+            expect(tags).toMatchObject({
+                make: "Canon",
+                model: "EOS R5",
+                artist: "Jane Doe",
+                copyright: "(c) Jane Doe",
+                dateTimeOriginal: "2024:05:01 10:00:00",
+                lens: "RF 50mm",
+                orientation: 6,
+                le: little,
+            });
+            expect(tags.gps.lat).toBeCloseTo(51.5);
+            expect(tags.gps.lon).toBeCloseTo(-0.125);
+            expect(Object.values(tags.resolutionPos).every((pos) => pos > 0)).toBe(true);
+        }
+    });
+
+    it("rejects blocks that aren't TIFF", () => {
+        expect(parseExif(null)).toBeNull();
+        expect(parseExif(new Uint8Array(4))).toBeNull();
+        expect(parseExif(new TextEncoder().encode("not a tiff header"))).toBeNull();
+    });
+});
+
+describe("injectMetadata / readMetadata", () => {
+    const keep = { exif: camera(), icc: iccProfile("Test RGB"), xmp: "<x:xmpmeta>hello</x:xmpmeta>" };
+
+    it("round-trips EXIF, ICC and XMP through every container", async () => {
+        for (const [format, blob] of [["jpeg", jpegBlob()], ["png", await pngBlob()], ["webp", webpBlob(10, 8)]]) {
+            const out = await injectMetadata(blob, keep, { iccName: "Test RGB" });
+            expect(out.size - blob.size).toBeLessThanOrEqual(metadataSize(keep));
+            const meta = await readMetadata(out);
+            expect(meta.format).toBe(format);
+            expect(meta.exif).toEqual(keep.exif);
+            expect(meta.icc).toEqual(keep.icc);
+            expect(meta.iccName).toBe("Test RGB");
+            expect(meta.xmp).toBe(keep.xmp);
+            expect(meta.orientation).toBe(6);
+            expect(meta.tags.make).toBe("Canon");
+            expect([meta.width, meta.height]).toEqual(format === "webp" ? [10, 8] : [16, 12]);
+        }
+    });
+
+    it("leaves the pixels of a JPEG or PNG untouched", async () => {
+        for (const blob of [jpegBlob(), await pngBlob()]) {
+            const bytes = await bytesOf(blob);
+            const out = await bytesOf(await injectMetadata(blob, keep));
+            const tail = bytes.length - 40; // the end of the entropy-coded / IDAT data
+            expect(out.subarray(out.length - 40)).toEqual(bytes.subarray(tail));
+        }
+    });
+
+    it("returns the blob itself when there is nothing to write", async () => {
+        const blob = jpegBlob();
+        expect(await injectMetadata(blob, { exif: null, icc: null, xmp: null })).toBe(blob);
+    });
+
+    it("summarises findings and flags location as sensitive", async () => {
+        const meta = await readMetadata(await injectMetadata(jpegBlob(), keep));
+        const byKey = Object.fromEntries(summarizeMetadata(meta).map((f) => [f.key, f]));
+        expect(byKey.camera.value).toBe("Canon EOS R5");
+        expect(byKey.gps.sensitive).toBe(true);
+        expect(byKey.icc.value).toBe("Test RGB");
+        expect(byKey.orientation.value).toContain("6");
+        expect([...keptKeys("copyright")].sort()).toEqual(["artist", "copyright", "date"]);
+        expect(keptKeys("all")).toBeNull();
+    });
+});
+
+describe("selectMetadata", () => {
+    const meta = { exif: camera(), tags: parseExif(camera()), icc: iccProfile("P3"), xmp: "<x/>" };
+
+    it("strips everything, or keeps only a density block when asked", () => {
+        expect(selectMetadata(meta, "strip")).toEqual({ exif: null, icc: null, xmp: null });
+        const { exif } = selectMetadata(meta, "strip", { dpi: 300, exifDensity: true });
+        const tags = parseExif(exif);
+        expect(tags.make).toBeNull();
+        expect(tags.resolutionPos.x).toBeGreaterThan(0);
+    });
+
+    it("keeps only authorship in copyright mode", () => {
+        const kept = selectMetadata(meta, "copyright");
+        const tags = parseExif(kept.exif);
+        expect(tags).toMatchObject({ copyright: "(c) Jane Doe", artist: "Jane Doe", make: null, gps: null, orientation: 1 });
+        expect(tags.dateTimeOriginal).toBe("2024:05:01 10:00:00");
+        expect([kept.icc, kept.xmp]).toEqual([null, null]);
+    });
+
+    it("keeps everything in all mode, upright and at the new density", () => {
+        const kept = selectMetadata(meta, "all", { dpi: 300 });
+        const tags = parseExif(kept.exif);
+        expect(tags).toMatchObject({ make: "Canon", orientation: 1 });
+        const view = new DataView(kept.exif.buffer);
+        expect(view.getUint32(tags.resolutionPos.x, true) / view.getUint32(tags.resolutionPos.x + 4, true)).toBe(300);
+        expect(view.getUint16(tags.resolutionPos.unit, true)).toBe(2);
+        expect(kept.icc).toBe(meta.icc);
+        expect(meta.tags.orientation).toBe(6); // the source block is not modified
+    });
+
+    it("adds the resolution tags to kept EXIF that has none", async () => {
+        for (const little of [true, false]) {
+            const exif = buildTiff([[
+                [0x010f, 2, "Canon"],
+                [0x0112, 3, 8],
+                [0x8769, 4, { ifd: [[0x9003, 2, "2024:05:01 10:00:00"]] }],
+            ], [[0x0100, 4, 160]]], { little });
+            const kept = selectMetadata({ exif, tags: parseExif(exif) }, "all", { dpi: 300 });
+            expect(resolutionOf(kept.exif)).toEqual([300, 300, 2]);
+            expect(parseExif(kept.exif)).toMatchObject({ make: "Canon", orientation: 1, dateTimeOriginal: "2024:05:01 10:00:00" });
+            const view = new DataView(kept.exif.buffer);
+            const ifd0 = view.getUint32(4, little);
+            expect(view.getUint32(ifd0 + 2 + view.getUint16(ifd0, little) * 12, little)).toBeGreaterThan(0); // IFD1 still linked
+
+            const webp = await injectMetadata(webpBlob(4, 4), kept);
+            expect(resolutionOf((await readMetadata(webp)).exif)).toEqual([300, 300, 2]);
+        }
+    });
+});
+
+describe("writeDensity", () => {
+    it("patches the JPEG's JFIF density", async () => {
+        const blob = jpegBlob();
+        const out = await bytesOf(await writeDensity(blob, 300));
+        expect(out.length).toBe(blob.size);
+        expect(jfifDensity(out)).toEqual([1, 300, 300]);
+    });
+
+    it("adds a JFIF segment when the JPEG has none", async () => {
+        const bytes = await bytesOf(jpegBlob());
+        const bare = new Blob([bytes.subarray(0, 2), bytes.subarray(20)], { type: "image/jpeg" });
+        expect(jfifDensity(await bytesOf(bare))).toBeNull();
+        expect(jfifDensity(await bytesOf(await writeDensity(bare, 150)))).toEqual([1, 150, 150]);
+    });
+
+    it("writes a single pHYs chunk after the PNG header", async () => {
+        const once = await writeDensity(await pngBlob(), 300);
+        const bytes = await bytesOf(await writeDensity(once, 300));
+        const view = new DataView(bytes.buffer);
+        const text = new TextDecoder("latin1").decode(bytes);
+        expect(text.indexOf("pHYs")).toBe(8 + 25 + 4);
+        expect(text.lastIndexOf("pHYs")).toBe(text.indexOf("pHYs"));
+        expect([view.getUint32(41), view.getUint32(45), bytes[49]]).toEqual([11811, 11811, 1]);
+    });
+
+    it("leaves other formats and bad densities alone", async () => {
+        const webp = webpBlob(4, 4);
+        expect(await writeDensity(webp, 300)).toBe(webp);
+        const jpeg = jpegBlob();
+        expect(await writeDensity(jpeg, 0)).toBe(jpeg);
+        expect(await writeDensity(jpeg, 70000)).toBe(jpeg);
+    });
+});
+
+describe("printSizeToPixels", () => {
+    it("converts physical sizes at a DPI", () => {
+        expect(printSizeToPixels(2, "in", 300)).toBe(600);
+        expect(printSizeToPixels(2.54, "cm", 300)).toBe(300);
+        expect(printSizeToPixels(35, "mm", 300)).toBe(413);
+        expect(printSizeToPixels(0, "in", 300)).toBe(1);
+    });
+});
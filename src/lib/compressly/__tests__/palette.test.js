@@ -0,0 +1,83 @@
+// palette.test.js - median-cut palettes, exact-colour detection and dithering.
+
+import { describe, expect, it } from "vitest";
+import { collectExactColors, colorsForQuality, quantizeRGBA } from "../palette";
+import { gradient, meanError, pattern } from "./fixtures";
+
+/* Indices back to RGBA through the palette */
+function expand({ palette, indices }) {
+    const out = new Uint8ClampedArray(indices.length * 4);
+    indices.forEach((idx, i) => out.set(palette.subarray(idx * 4, idx * 4 + 4), i * 4));
+    return out;
+}
+
+/* Mean over the image of each 4×4 block's average - what the eye sees from a distance */
+function blockMeans(rgba, width, height) {
+    const out = [];
+    for (let by = 0; by < height; by += 4) {
+        for (let bx = 0; bx < width; bx += 4) {
+            for (let k = 0; k < 3; k++) {
+                let sum = 0;
+                for (let y = by; y < by + 4; y++) for (let x = bx; x < bx + 4; x++) sum += rgba[(y * width + x) * 4 + k];
+                out.push(sum / 16);
+            }
+        }
+    }
+    return out;
+}
+
+describe("palette", () => {
+    it("collects exact colours up to a limit", () => {
+        const rgba = new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 255, 255, 0, 0, 255, 9, 9, 9, 0, 7, 7, 7, 0]);
+        const colors = collectExactColors(rgba, 4);
+        expect(colors.size).toBe(3); // fully transparent pixels share one entry
+        expect(collectExactColors(rgba, 2)).toBeNull();
+    });
+
+    it("keeps few-colour images exact", () => {
+        const rgba = new Uint8ClampedArray(8 * 8 * 4);
+        for (let i = 0; i < 64; i++) rgba.set([[10, 20, 30, 255], [200, 100, 0, 255], [0, 0, 0, 0]][i % 3], i * 4);
+        const result = quantizeRGBA(rgba, 8, 8, { maxColors: 16 });
+        expect(result.exact).toBe(true);
+        expect(result.colors).toBe(3);
+        expect(expand(result)).toEqual(rgba);
+    });
+
+    it("stays within maxColors and close to the source", () => {
+        const rgba = gradient(48, 32);
+        for (const maxColors of [2, 16, 256]) {
+            const result = quantizeRGBA(rgba, 48, 32, { maxColors, dither: false });
+            expect(result.colors).toBeLessThanOrEqual(maxColors);
+            expect(result.palette.length).toBe(result.colors * 4);
+            expect(Math.max(...result.indices)).toBeLessThan(result.colors);
+        }
+        const fine = quantizeRGBA(rgba, 48, 32, { maxColors: 256, dither: false });
+        const coarse = quantizeRGBA(rgba, 48, 32, { maxColors: 8, dither: false });
+        expect(meanError(expand(fine), rgba)).toBeLessThan(meanError(expand(coarse), rgba));
+    });
+
+    it("dithers to keep local averages closer to the source", () => {
+        const rgba = gradient(64, 64);
+        const flat = expand(quantizeRGBA(rgba, 64, 64, { maxColors: 6, dither: false }));
+        const dithered = expand(quantizeRGBA(rgba, 64, 64, { maxColors: 6, dither: true }));
+        const source = blockMeans(rgba, 64, 64);
+        expect(meanError(blockMeans(dithered, 64, 64), source)).toBeLessThan(meanError(blockMeans(flat, 64, 64), source));
+    });
+
+    it("puts translucent entries first and keeps transparency", () => {
+        const rgba = pattern(32, 32, { alpha: true });
+        for (let i = 0; i < 40; i++) rgba[i * 4 + 3] = 0;
+        const result = quantizeRGBA(rgba, 32, 32, { maxColors: 32 });
+        const alphas = [];
+        for (let i = 3; i < result.palette.length; i += 4) alphas.push(result.palette[i]);
+        const firstOpaque = alphas.indexOf(255);
+        expect(firstOpaque === -1 || alphas.slice(firstOpaque).every((a) => a === 255)).toBe(true);
+        for (let i = 0; i < 40; i++) expect(result.palette[result.indices[i] * 4 + 3]).toBe(0);
+    });
+
+    it("maps quality to a palette size", () => {
+        expect(colorsForQuality(0)).toBe(4);
+        expect(colorsForQuality(1)).toBe(256);
+        expect(colorsForQuality(0.5)).toBeGreaterThan(colorsForQuality(0.3));
+    });
+});
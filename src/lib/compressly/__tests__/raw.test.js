@@ -0,0 +1,89 @@
+// raw.test.js - camera RAW input: telling RAW containers from ordinary TIFFs and pulling out the
+// largest embedded JPEG preview with the RAW's orientation.
+
+import { describe, expect, it } from "vitest";
+import { cameraPreview, compress, describeInput, encodeJpeg, inspectImage, isRawFile, rawType, readMetadata } from "..";
+import { injectMetadata, orientationExif } from "../metadata";
+import { buildTiff, bytesOf, gradient } from "./fixtures";
+
+const jpegOf = (width, height) => bytesOf(encodeJpeg(gradient(width, height), width, height, { quality: 0.8 }));
+
+/* A JPEG-compressed single-strip IFD (how DNG, CR2 and NEF store previews) */
+const stripPreview = (jpeg, compression = 7) => [
+    [259, 3, compression],
+    [262, 3, 6],
+    [273, 4, { data: jpeg }],
+    [279, 4, jpeg.length],
+];
+
+/* Lossless-JPEG sensor data: never a preview, whatever its size */
+const sensorIfd = () => [
+    [256, 3, 6000],
+    [257, 3, 4000],
+    [259, 3, 7],
+    [262, 3, 32803],
+    [273, 4, { data: new Uint8Array([0xff, 0xd8, 0xff, 0xc3, 0, 11, 8, 0x0f, 0xa0, 0x17, 0x70, 1, 1, 0x11, 0]) }],
+    [279, 4, 15],
+];
+
+/* NEF layout: thumbnail through JPEGInterchangeFormat, preview in a SubIFD, sensor data after */
+async function nef({ orientation = 6, preview = true } = {}) {
+    const thumb = await jpegOf(32, 24);
+    // the preview's own EXIF is a stub that says "upright"
+    const big = await bytesOf(await injectMetadata(new Blob([await jpegOf(96, 64)]), { exif: orientationExif(1) }));
+    const ifd0 = [[271, 2, "NIKON CORPORATION"], [274, 3, orientation]];
+    if (preview) ifd0.push([330, 4, { ifd: stripPreview(big) }], [513, 4, { data: thumb }], [514, 4, thumb.length]);
+    return buildTiff([ifd0, sensorIfd()]);
+}
+
+const file = (bytes, name) => new File([bytes], name, { type: "" });
+
+describe("RAW detection", () => {
+    it("recognises RAW files by extension or type", () => {
+        expect(isRawFile(file(new Uint8Array(0), "DSC_0001.NEF"))).toBe(true);
+        expect(isRawFile(new File([], "x", { type: "image/x-canon-cr2" }))).toBe(true);
+        expect(isRawFile(file(new Uint8Array(0), "scan.tif"))).toBe(false);
+    });
+
+    it("tells each container from an ordinary TIFF", async () => {
+        const jpeg = await jpegOf(16, 16);
+        expect(rawType(await nef())).toBe("NEF");
+        expect(rawType(buildTiff([[[50706, 1, new Uint8Array([1, 4, 0, 0])], ...stripPreview(jpeg)]]))).toBe("DNG");
+        const cr2 = buildTiff([stripPreview(jpeg, 6)], { magic: new Uint8Array([0x43, 0x52, 2, 0, 0, 0, 0, 0]) });
+        expect(rawType(cr2)).toBe("CR2");
+
+        const plain = buildTiff([[[256, 3, 4], [257, 3, 4], [262, 3, 2]]]);
+        expect(rawType(plain)).toBeNull();
+        expect(rawType(plain, "DSC01234.ARW")).toBe("ARW"); // sensor IFDs past the head: trust the extension
+        expect(rawType(new TextEncoder().encode("not a tiff"))).toBeNull();
+    });
+
+    it("reports RAWs from inspectImage", async () => {
+        const info = await inspectImage(file(await nef(), "DSC_0001.NEF"));
+        expect(info).toMatchObject({ format: "raw", rawType: "NEF", decoder: "raw" });
+        expect(describeInput(info)).toBe("NEF RAW");
+    });
+});
+
+describe("cameraPreview", () => {
+    it("takes the largest preview and gives it the RAW's orientation", async () => {
+        const raw = file(await nef({ orientation: 6 }), "DSC_0001.NEF");
+        const preview = await cameraPreview(raw);
+        expect(preview).toMatchObject({ width: 96, height: 64, orientation: 6, type: "NEF" });
+        expect(preview.blob.type).toBe("image/jpeg");
+        expect((await readMetadata(preview.blob)).orientation).toBe(6);
+        expect(await cameraPreview(raw)).toBe(preview);
+    });
+
+    it("says so when there's no preview to use", async () => {
+        const raw = file(await nef({ preview: false }), "DSC_0002.NEF");
+        await expect(cameraPreview(raw)).rejects.toThrow(/NEF file has no embedded JPEG preview/);
+        await expect(cameraPreview(file(new Uint8Array(16), "x.cr3"))).rejects.toThrow(/only TIFF-based RAW/);
+    });
+
+    it("compresses a RAW from its preview, upright, with a warning", async () => {
+        const result = await compress(file(await nef({ orientation: 6 }), "DSC_0001.NEF"), { mime: "image/jpeg" });
+        expect([result.width, result.height]).toEqual([64, 96]);
+        expect(result.diagnostics.warnings.join(" ")).toMatch(/NEF RAW: compressed the camera's embedded 64×96 JPEG preview/);
+    });
+});
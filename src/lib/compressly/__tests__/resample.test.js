@@ -0,0 +1,142 @@
+// resample.test.js - resize filters, blur and unsharp masking on raw RGBA.
+
+import { describe, expect, it } from "vitest";
+import { compress, createBandReducer, encodePng, gaussianBlur, resampleRGBA, unsharpMask } from "..";
+import { decodePixels } from "./canvasShim";
+import { bytesOf, gradient, meanError } from "./fixtures";
+
+const flat = (width, height, rgba) => {
+    const out = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < out.length; i += 4) out.set(rgba, i);
+    return out;
+};
+
+const checker = (width, height) => {
+    const out = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const v = ((i % width) + Math.floor(i / width)) % 2 ? 255 : 0;
+        out.set([v, v, v, 255], i * 4);
+    }
+    return out;
+};
+
+/* Dark left half, light right half */
+const step = (width, height, dark = 0, light = 255) => {
+    const out = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const v = i % width < width / 2 ? dark : light;
+        out.set([v, v, v, 255], i * 4);
+    }
+    return out;
+};
+
+describe("resampleRGBA", () => {
+    it("keeps flat colour at any size with every filter", () => {
+        const src = flat(40, 30, [200, 120, 40, 255]);
+        for (const filter of ["auto", "lanczos3", "box"]) {
+            for (const [w, h] of [[40, 30], [13, 7], [97, 61], [4, 3]]) {
+                const out = resampleRGBA(src, 40, 30, w, h, { filter });
+                expect(out.length).toBe(w * h * 4);
+                expect(out).toEqual(flat(w, h, [200, 120, 40, 255]));
+            }
+        }
+    });
+
+    it("averages in linear light unless told not to", () => {
+        const src = checker(16, 16);
+        const linear = resampleRGBA(src, 16, 16, 8, 8, { filter: "box" });
+        const gamma = resampleRGBA(src, 16, 16, 8, 8, { filter: "box", linear: false });
+        expect(Math.abs(linear[0] - 188)).toBeLessThanOrEqual(1);
+        expect(Math.abs(gamma[0] - 128)).toBeLessThanOrEqual(1);
+    });
+
+    it("doesn't darken colour next to transparency", () => {
+        const src = new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 0, 0]);
+        const [r, g, b, a] = resampleRGBA(src, 2, 1, 1, 1, { filter: "box" });
+        expect([r, g, b]).toEqual([255, 0, 0]);
+        expect(Math.abs(a - 128)).toBeLessThanOrEqual(1);
+    });
+
+    it("stays close to a smooth source when scaling up and back down", () => {
+        const src = gradient(48, 32);
+        const up = resampleRGBA(src, 48, 32, 96, 64);
+        const back = resampleRGBA(up, 96, 64, 48, 32);
+        expect(meanError(back, src)).toBeLessThan(4);
+    });
+});
+
+describe("createBandReducer", () => {
+    it("matches a whole-image area average, whatever the band height", () => {
+        const src = gradient(60, 45);
+        const whole = resampleRGBA(src, 60, 45, 16, 12, { filter: "box" });
+        for (const band of [1, 7, 45]) {
+            const reducer = createBandReducer(60, 45, 16, 12);
+            for (let y = 0; y < 45; y += band) {
+                const count = Math.min(band, 45 - y);
+                reducer.push(src.subarray(y * 60 * 4, (y + count) * 60 * 4), count);
+            }
+            expect(meanError(reducer.result(), whole)).toBeLessThan(0.5);
+        }
+    });
+});
+
+describe("gaussianBlur / unsharpMask", () => {
+    it("leaves flat areas alone", () => {
+        const src = flat(20, 20, [90, 90, 90, 255]);
+        const blurred = gaussianBlur(src, 20, 20, 1.5);
+        const sharpened = src.slice();
+        unsharpMask(sharpened, 20, 20, { amount: 1 });
+        expect(blurred).toEqual(src);
+        expect(sharpened).toEqual(src);
+    });
+
+    it("blurs hard detail", () => {
+        const blurred = gaussianBlur(checker(20, 20), 20, 20, 1.5);
+        const mid = (10 * 20 + 10) * 4;
+        expect(blurred[mid]).toBeGreaterThan(80);
+        expect(blurred[mid]).toBeLessThan(180);
+    });
+
+    it("steepens edges without touching alpha", () => {
+        const src = step(20, 4);
+        src[3] = 77;
+        unsharpMask(src, 20, 4, { amount: 1, radius: 1, threshold: 0 });
+        const row = (x) => src[(20 + x) * 4];
+        expect(row(9)).toBe(0); // clamped undershoot on the dark side
+        expect(row(10)).toBe(255); // clamped overshoot on the light side
+        expect(src[3]).toBe(77);
+    });
+
+    it("ignores differences under the threshold", () => {
+        const src = flat(16, 16, [100, 100, 100, 255]);
+        src[(8 * 16 + 8) * 4] = 101;
+        const before = src.slice();
+        unsharpMask(src, 16, 16, { amount: 2, threshold: 4 });
+        expect(src).toEqual(before);
+    });
+});
+
+describe("compress resample / sharpen options", () => {
+    const pngFile = async (rgba, w, h) => new File([await encodePng(rgba, w, h)], "in.png", { type: "image/png" });
+    const edgeContrast = async (result) => {
+        const { data, width } = decodePixels(await bytesOf(result.blob));
+        const y = 4 * width * 4;
+        return data[y + (width / 2) * 4] - data[y + (width / 2 - 1) * 4];
+    };
+
+    it("sharpens after downscaling when asked", async () => {
+        const file = await pngFile(step(128, 32, 40, 200), 128, 32);
+        const opts = { mime: "image/png", maxWidth: 64 };
+        const soft = await compress(file, { ...opts, sharpen: 0 });
+        const crisp = await compress(file, { ...opts, sharpen: 0.8 });
+        expect(await edgeContrast(crisp)).toBeGreaterThan(await edgeContrast(soft));
+    });
+
+    it("accepts every resize filter", async () => {
+        const file = await pngFile(gradient(128, 96), 128, 96);
+        for (const resample of ["auto", "lanczos3", "box", "browser"]) {
+            const result = await compress(file, { mime: "image/png", maxWidth: 50, resample });
+            expect([result.width, result.height]).toEqual([50, 38]);
+        }
+    });
+});
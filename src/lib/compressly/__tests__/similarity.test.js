@@ -0,0 +1,45 @@
+// similarity.test.js - SSIM / PSNR scoring.
+
+import { describe, expect, it } from "vitest";
+import { describeSsim, measureSimilarity } from "../similarity";
+import { gradient } from "./fixtures";
+
+/* Copy of rgba with every channel moved by up to ±amount (deterministic) */
+function noisy(rgba, amount) {
+    return rgba.map((v, i) => (i % 4 === 3 ? v : v + ((i * 7919) % (2 * amount + 1)) - amount));
+}
+
+describe("measureSimilarity", () => {
+    it("scores identical images as perfect", () => {
+        const rgba = gradient(32, 24);
+        expect(measureSimilarity(rgba, rgba.slice(), 32, 24)).toEqual({ ssim: 1, psnr: Infinity });
+    });
+
+    it("drops as the difference grows", () => {
+        const rgba = gradient(32, 24);
+        const slight = measureSimilarity(rgba, noisy(rgba, 4), 32, 24);
+        const heavy = measureSimilarity(rgba, noisy(rgba, 40), 32, 24);
+        expect(slight.ssim).toBeLessThan(1);
+        expect(heavy.ssim).toBeLessThan(slight.ssim);
+        expect(heavy.psnr).toBeLessThan(slight.psnr);
+        expect(slight.psnr).toBeGreaterThan(35);
+    });
+
+    it("compares transparent pixels as white", () => {
+        const clear = new Uint8ClampedArray(16 * 16 * 4); // transparent black
+        const white = new Uint8ClampedArray(16 * 16 * 4).fill(255);
+        expect(measureSimilarity(clear, white, 16, 16).ssim).toBe(1);
+    });
+
+    it("handles images smaller than one window", () => {
+        const rgba = gradient(5, 3);
+        expect(measureSimilarity(rgba, rgba.slice(), 5, 3).ssim).toBe(1);
+        expect(measureSimilarity(rgba, noisy(rgba, 30), 5, 3).ssim).toBeLessThan(1);
+    });
+
+    it("describes scores", () => {
+        expect(describeSsim(0.995)).toBe("visually lossless");
+        expect(describeSsim(0.96)).toBe("good");
+        expect(describeSsim(0.5)).toBe("visible loss");
+    });
+});
@@ -0,0 +1,227 @@
+// tiff.test.js - the in-project TIFF decoder: every strip compression it reads (PackBits, LZW,
+// Deflate with the predictor, CCITT fax), multi-page files and compressing a chosen page. The
+// files are written by hand here, since the project only reads TIFFs.
+
+import { describe, expect, it } from "vitest";
+import { compress, decodeTiff, isTiffFile, tiffPageCount, tiffPages } from "..";
+import { zlibDeflate } from "../deflate";
+import { decodePixels } from "./canvasShim";
+import { buildTiff, bytesOf, pattern } from "./fixtures";
+
+/* RGBA -> interleaved samples (RGB, RGBA or grey) */
+function samplesOf(rgba, samples) {
+    const out = new Uint8Array((rgba.length / 4) * samples);
+    for (let p = 0; p < rgba.length / 4; p++) {
+        for (let s = 0; s < samples; s++) out[p * samples + s] = rgba[p * 4 + s];
+    }
+    return out;
+}
+
+/* PackBits: runs of 3+ repeat, everything else literal */
+function packBits(data) {
+    const out = [];
+    for (let i = 0; i < data.length;) {
+        let run = 1;
+        while (i + run < data.length && run < 128 && data[i + run] === data[i]) run++;
+        if (run >= 3) {
+            out.push(257 - run, data[i]);
+            i += run;
+            continue;
+        }
+        const start = i;
+        while (i < data.length && i - start < 128 && !(data[i + 1] === data[i] && data[i + 2] === data[i])) i++;
+        out.push(i - start - 1, ...data.subarray(start, i));
+    }
+    return new Uint8Array(out);
+}
+
+/* TIFF LZW: MSB-first codes widened one code early, the table cleared when it fills */
+function lzw(data) {
+    const bits = [];
+    let width = 9;
+    const put = (code) => {
+        for (let i = width - 1; i >= 0; i--) bits.push((code >> i) & 1);
+    };
+    const table = new Map();
+    let next = 258;
+    const grow = () => {
+        if (next >= 1 << width) width++;
+    };
+    put(256);
+    let w = data[0];
+    for (let i = 1; i < data.length; i++) {
+        const key = `${w},${data[i]}`;
+        if (table.has(key)) {
+            w = table.get(key);
+            continue;
+        }
+        put(w);
+        table.set(key, next++);
+        grow();
+        if (next === 4094) {
+            put(256);
+            table.clear();
+            next = 258;
+            width = 9;
+        }
+        w = data[i];
+    }
+    put(w);
+    next++;
+    grow();
+    put(257);
+    return fromBits(bits.join(""));
+}
+
+/* "0101..." -> bytes, zero-padded to a whole byte */
+const fromBits = (s) => Uint8Array.from(s.padEnd(Math.ceil(s.length / 8) * 8, "0").match(/.{8}/g), (b) => parseInt(b, 2));
+
+/* Horizontal differencing (predictor 2) for 8-bit samples */
+function predict(data, width, height, samples) {
+    const out = data.slice();
+    const row = width * samples;
+    for (let y = 0; y < height; y++) {
+        for (let x = row - 1; x >= samples; x--) out[y * row + x] = data[y * row + x] - data[y * row + x - samples];
+    }
+    return out;
+}
+
+/* IFD entries of a one-strip page */
+function page({ width, height, strip, samples = 3, bits = 8, compression = 1, photometric, predictor = 1, subfileType = 0 }) {
+    const entries = [
+        [254, 4, subfileType],
+        [256, 3, width],
+        [257, 3, height],
+        [258, 3, new Array(samples).fill(bits)],
+        [259, 3, compression],
+        [262, 3, photometric ?? (samples >= 3 ? 2 : 1)],
+        [273, 4, { data: strip }],
+        [277, 3, samples],
+        [278, 3, height],
+        [279, 4, strip.length],
+        [317, 3, predictor],
+    ];
+    if (samples === 4) entries.push([338, 3, 2]);
+    return entries;
+}
+
+/* Bilevel 8×3 scan: "#" black, "." white; the fax streams below encode exactly these rows */
+const SCAN = ["..####..", "...####.", "........"];
+const scanPixels = () => {
+    const rgba = new Uint8ClampedArray(8 * 3 * 4).fill(255);
+    SCAN.join("").split("").forEach((c, i) => c === "#" && rgba.fill(0, i * 4, i * 4 + 3));
+    return rgba;
+};
+
+describe("decodeTiff", () => {
+    const rgb = pattern(29, 13);
+    const rgbSamples = samplesOf(rgb, 3);
+
+    it("decodes uncompressed, PackBits, LZW and Deflate strips", async () => {
+        const gray = pattern(29, 13, { gray: true });
+        const rgba = pattern(29, 13, { alpha: true });
+        const cases = [
+            [{ strip: rgbSamples }, rgb],
+            [{ samples: 1, strip: packBits(samplesOf(gray, 1)), compression: 32773 }, gray],
+            [{ strip: lzw(rgbSamples), compression: 5 }, rgb],
+            [{ samples: 4, strip: lzw(samplesOf(rgba, 4)), compression: 5 }, rgba],
+            [{ strip: zlibDeflate(rgbSamples), compression: 8 }, rgb],
+        ];
+        for (const [options, expected] of cases) {
+            const decoded = await decodeTiff(buildTiff([page({ width: 29, height: 13, ...options })]));
+            expect([decoded.width, decoded.height, decoded.pages]).toEqual([29, 13, 1]);
+            expect(decoded.data).toEqual(expected);
+        }
+    });
+
+    it("reads LZW streams long enough to widen the codes and clear the table", async () => {
+        const big = pattern(64, 48);
+        const samples = samplesOf(big, 3);
+        const strip = lzw(samples);
+        expect(strip.length).toBeGreaterThan(6144); // over 4094 codes
+        expect((await decodeTiff(buildTiff([page({ width: 64, height: 48, strip, compression: 5 })]))).data).toEqual(big);
+    });
+
+    it("undoes the horizontal predictor", async () => {
+        const predicted = predict(rgbSamples, 29, 13, 3);
+        for (const [strip, compression] of [[predicted, 1], [zlibDeflate(predicted), 8], [lzw(predicted), 5]]) {
+            const tiff = buildTiff([page({ width: 29, height: 13, strip, compression, predictor: 2 })]);
+            expect((await decodeTiff(tiff)).data).toEqual(rgb);
+        }
+    });
+
+    it("decodes Modified Huffman, Group 3 and Group 4 fax strips", async () => {
+        const eol = "000000000001";
+        const mh = ["0111" + "011" + "0111", "1000" + "011" + "000111", "10011"]; // runs W2 B4 W2, W3 B4 W1, W8
+        const g4 = [
+            "001" + "0111" + "011" + "1", // horizontal W2 B4, then V0 to the line end
+            "011" + "011" + "1", // V+1, V+1, V0
+            "0001" + "1", // pass, V0
+        ];
+        const cases = [
+            [2, 0, fromBits(mh[0]), fromBits(mh[1]), fromBits(mh[2])],
+            [3, 0, fromBits(mh.map((row) => eol + row).join(""))],
+            [4, 0, fromBits(g4.join(""))],
+            [4, 1, fromBits(g4.join(""))],
+        ];
+        for (const [compression, photometric, ...rows] of cases) {
+            const strip = Uint8Array.from(rows.flatMap((r) => [...r]));
+            const tiff = buildTiff([page({ width: 8, height: 3, samples: 1, bits: 1, strip, compression, photometric })]);
+            expect((await decodeTiff(tiff)).data).toEqual(scanPixels());
+        }
+    });
+
+    it("counts pages, skips thumbnails and picks a page", async () => {
+        const first = pattern(8, 6);
+        const second = pattern(5, 9, { gray: true });
+        const tiff = buildTiff([
+            page({ width: 8, height: 6, strip: samplesOf(first, 3) }),
+            page({ width: 4, height: 3, strip: new Uint8Array(36), subfileType: 1 }),
+            page({ width: 5, height: 9, samples: 1, strip: samplesOf(second, 1) }),
+        ]);
+        expect(tiffPageCount(tiff)).toBe(2);
+        const picked = await decodeTiff(tiff, 1);
+        expect([picked.width, picked.height, picked.pages, picked.colorModel]).toEqual([5, 9, 2, "gray"]);
+        expect(picked.data).toEqual(second);
+        expect((await decodeTiff(tiff, 7)).width).toBe(5); // past the end: the last page
+    });
+
+    it("explains what it can't read", async () => {
+        const bigTiff = Uint8Array.from([0x49, 0x49, 43, 0, 8, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+        await expect(decodeTiff(bigTiff)).rejects.toThrow(/BigTIFF/);
+        const oldJpeg = buildTiff([page({ width: 4, height: 4, strip: new Uint8Array(8), compression: 6 })]);
+        await expect(decodeTiff(oldJpeg)).rejects.toThrow(/Old-style JPEG/);
+        await expect(decodeTiff(new TextEncoder().encode("not a tiff"))).rejects.toThrow("Not a TIFF file.");
+    });
+});
+
+describe("multi-page TIFF input", () => {
+    const first = pattern(16, 12);
+    const second = pattern(10, 20, { gray: true });
+    const file = () => new File([buildTiff([
+        page({ width: 16, height: 12, strip: samplesOf(first, 3) }),
+        page({ width: 10, height: 20, samples: 1, strip: lzw(samplesOf(second, 1)), compression: 5 }),
+    ])], "scan.tif", { type: "" });
+
+    it("recognises TIFFs by type or extension", () => {
+        expect(isTiffFile(file())).toBe(true);
+        expect(isTiffFile(new File([], "scan.png", { type: "image/tiff" }))).toBe(true);
+        expect(isTiffFile(new File([], "scan.png", { type: "image/png" }))).toBe(false);
+    });
+
+    it("previews every page once per file", async () => {
+        const tiff = file();
+        const previews = await tiffPages(tiff);
+        expect(previews.map((p) => p.type)).toEqual(["image/jpeg", "image/jpeg"]);
+        const sizes = await Promise.all(previews.map(async (p) => decodePixels(await bytesOf(p))));
+        expect(sizes.map(({ width, height }) => [width, height])).toEqual([[16, 12], [10, 20]]);
+        expect(await tiffPages(tiff)).toBe(previews);
+    });
+
+    it("compresses the chosen page", async () => {
+        const result = await compress(file(), { page: 1, mime: "image/png" });
+        expect([result.width, result.height]).toEqual([10, 20]);
+        const { data } = decodePixels(await bytesOf(result.blob));
+        expect(new Uint8ClampedArray(data)).toEqual(second);
+    });
+});
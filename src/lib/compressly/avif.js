@@ -0,0 +1,52 @@
+// avif.js - AVIF output. Uses the browser's canvas encoder where it has one, otherwise
+// a lazily loaded libavif (WebAssembly) build bundled with the app - nothing from a CDN.
+
+let nativeSupport = null;
+let encoderPromise = null;
+
+/* Can this browser's canvas encode AVIF itself? (toDataURL silently falls back to PNG when not) */
+export function isAvifEncodeSupported() {
+    if (nativeSupport !== null) return nativeSupport;
+    nativeSupport = false;
+    if (typeof document !== "undefined") {
+        try {
+            const canvas = document.createElement("canvas");
+            canvas.width = canvas.height = 1;
+            nativeSupport = canvas.toDataURL("image/avif").indexOf("data:image/avif") === 0;
+        } catch {
+            nativeSupport = false;
+        }
+    }
+    return nativeSupport;
+}
+
+/* AVIF output is possible at all: natively or through the WebAssembly encoder */
+export function isAvifAvailable() {
+    return isAvifEncodeSupported() || typeof WebAssembly === "object";
+}
+
+function loadEncoder() {
+    if (!encoderPromise) {
+        encoderPromise = import("@jsquash/avif/encode.js").then((m) => m.default);
+        encoderPromise.catch(() => {
+            encoderPromise = null; // allow a retry after a failed chunk load
+        });
+    }
+    return encoderPromise;
+}
+
+/**
+ * Encode RGBA pixels to AVIF with the bundled encoder.
+ * q: 0..1 like canvas.toBlob; opts.speed: 0 (slowest/smallest) .. 10 (fastest).
+ */
+export async function encodeAvif(rgba, width, height, q, { speed = 7 } = {}) {
+    const encode = await loadEncoder();
+    const data = rgba instanceof Uint8ClampedArray ? rgba : new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, rgba.length);
+    const out = await encode({ data, width, height }, {
+        quality: Math.max(0, Math.min(100, Math.round(q * 100))),
+        speed,
+        // 4:2:0 at normal qualities, full chroma near-lossless
+        subsample: q >= 0.9 ? 3 : 1,
+    });
+    return new Blob([out], { type: "image/avif" });
+}
@@ -0,0 +1,148 @@
+// bmp.js - in-project BMP decoder: OS/2 and Windows headers (core, info, V2-V5), 1/2/4/8-bit
+// palettes, 16/24/32-bit with or without bit-field masks, and RLE4 / RLE8 compression.
+// Decoding here gives every browser (and the worker) the same result, alpha included.
+
+const BI_RGB = 0;
+const BI_RLE8 = 1;
+const BI_RLE4 = 2;
+const BI_BITFIELDS = 3;
+const BI_JPEG = 4;
+const BI_PNG = 5;
+const BI_ALPHABITFIELDS = 6;
+
+/* A bit-field mask -> (value -> 0..255) */
+function channel(mask) {
+    if (!mask) return () => 0;
+    let shift = 0;
+    while (((mask >>> shift) & 1) === 0) shift++;
+    const max = mask >>> shift;
+    return (v) => Math.round((((v & mask) >>> shift) * 255) / max);
+}
+
+/**
+ * Decode BMP bytes to 8-bit RGBA.
+ * Returns { width, height, data (Uint8ClampedArray RGBA), bitDepth }.
+ * Throws with a readable message on damaged or unsupported files.
+ */
+export function decodeBmp(bytes) {
+    if (bytes[0] !== 0x42 || bytes[1] !== 0x4d || bytes.length < 26) throw new Error("Not a BMP file.");
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const dataOffset = view.getUint32(10, true);
+    const headerSize = view.getUint32(14, true);
+    const core = headerSize === 12;
+
+    const width = core ? view.getUint16(18, true) : view.getInt32(18, true);
+    const rawHeight = core ? view.getInt16(20, true) : view.getInt32(22, true);
+    const bits = core ? view.getUint16(24, true) : view.getUint16(28, true);
+    const compression = core ? BI_RGB : view.getUint32(30, true);
+    const height = Math.abs(rawHeight);
+    const topDown = rawHeight < 0;
+    if (width <= 0 || height <= 0) throw new Error("BMP header is missing or invalid.");
+    if (compression === BI_JPEG || compression === BI_PNG) throw new Error("BMPs wrapping JPEG or PNG data aren't supported.");
+    if (![1, 2, 4, 8, 16, 24, 32].includes(bits)) throw new Error(`${bits}-bit BMP isn't supported.`);
+
+    // Masks: V2+ headers carry them, plain info headers append them after the header
+    let masks = null;
+    if (compression === BI_BITFIELDS || compression === BI_ALPHABITFIELDS) {
+        const at = headerSize >= 52 ? 54 : 14 + headerSize;
+        const count = compression === BI_ALPHABITFIELDS || headerSize >= 56 ? 4 : 3;
+        masks = Array.from({ length: count }, (_, i) => view.getUint32(at + i * 4, true));
+    } else if (bits === 16) {
+        masks = [0x7c00, 0x03e0, 0x001f];
+    } else if (bits === 32) {
+        masks = [0xff0000, 0x00ff00, 0x0000ff, headerSize >= 56 ? view.getUint32(66, true) : 0xff000000];
+    }
+
+    // Palette: 3-byte entries for core headers, 4-byte otherwise
+    let palette = null;
+    if (bits <= 8) {
+        const entry = core ? 3 : 4;
+        const declared = core ? 0 : view.getUint32(46, true);
+        const count = Math.min(declared || 1 << bits, 256, Math.floor((dataOffset - 14 - headerSize) / entry));
+        palette = new Uint8Array(256 * 3);
+        for (let i = 0; i < count; i++) {
+            const p = 14 + headerSize + i * entry;
+            palette[i * 3] = bytes[p + 2];
+            palette[i * 3 + 1] = bytes[p + 1];
+            palette[i * 3 + 2] = bytes[p];
+        }
+    }
+
+    const out = new Uint8ClampedArray(width * height * 4);
+    const rowOf = (y) => (topDown ? y : height - 1 - y);
+
+    if (compression === BI_RLE8 || compression === BI_RLE4) {
+        // Pixels the RLE stream skips stay transparent
+        const four = compression === BI_RLE4;
+        const set = (x, y, idx) => {
+            if (x >= width || y >= height) return;
+            const o = (rowOf(y) * width + x) * 4;
+            out[o] = palette[idx * 3];
+            out[o + 1] = palette[idx * 3 + 1];
+            out[o + 2] = palette[idx * 3 + 2];
+            out[o + 3] = 255;
+        };
+        let x = 0;
+        let y = 0;
+        for (let p = dataOffset; p + 1 < bytes.length && y < height;) {
+            const n = bytes[p++];
+            const v = bytes[p++];
+            if (n > 0) {
+                for (let i = 0; i < n; i++) set(x++, y, four ? (i & 1 ? v & 15 : v >> 4) : v);
+            } else if (v === 0) {
+                x = 0;
+                y++;
+            } else if (v === 1) {
+                break;
+            } else if (v === 2) {
+                x += bytes[p++];
+                y += bytes[p++];
+            } else {
+                for (let i = 0; i < v; i++) set(x++, y, four ? (i & 1 ? bytes[p + (i >> 1)] & 15 : bytes[p + (i >> 1)] >> 4) : bytes[p + i]);
+                const used = four ? Math.ceil(v / 2) : v;
+                p += used + (used & 1);
+            }
+        }
+        return { width, height, data: out, bitDepth: bits };
+    }
+    if (compression !== BI_RGB && !masks) throw new Error(`BMP compression ${compression} isn't supported.`);
+
+    const stride = Math.ceil((width * bits) / 32) * 4;
+    if (dataOffset + stride * (height - 1) + Math.ceil((width * bits) / 8) > bytes.length) {
+        throw new Error("BMP image data is truncated.");
+    }
+    const [red, green, blue] = (masks || []).map(channel);
+    const alpha = masks?.[3] ? channel(masks[3]) : null;
+    let anyAlpha = false;
+
+    for (let y = 0; y < height; y++) {
+        const row = dataOffset + rowOf(y) * stride;
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            if (bits <= 8) {
+                const bit = x * bits;
+                const idx = (bytes[row + (bit >> 3)] >> (8 - bits - (bit & 7))) & ((1 << bits) - 1);
+                out[o] = palette[idx * 3];
+                out[o + 1] = palette[idx * 3 + 1];
+                out[o + 2] = palette[idx * 3 + 2];
+                out[o + 3] = 255;
+            } else if (bits === 24) {
+                const p = row + x * 3;
+                out[o] = bytes[p + 2];
+                out[o + 1] = bytes[p + 1];
+                out[o + 2] = bytes[p];
+                out[o + 3] = 255;
+            } else {
+                const v = bits === 16 ? view.getUint16(row + x * 2, true) : view.getUint32(row + x * 4, true);
+                out[o] = red(v);
+                out[o + 1] = green(v);
+                out[o + 2] = blue(v);
+                out[o + 3] = alpha ? alpha(v) : 255;
+                if (alpha && out[o + 3]) anyAlpha = true;
+            }
+        }
+    }
+    // Many writers leave the 4th byte of 32-bit pixels zero: treat all-zero alpha as opaque
+    if (alpha && !anyAlpha) for (let i = 3; i < out.length; i += 4) out[i] = 255;
+    return { width, height, data: out, bitDepth: bits };
+}
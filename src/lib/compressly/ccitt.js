@@ -0,0 +1,212 @@
+// ccitt.js - CCITT fax decoding for bilevel TIFF scans: Modified Huffman (TIFF compression 2),
+// Group 3 one- and two-dimensional (T.4, compression 3) and Group 4 (T.6, compression 4).
+// Output is packed 1-bit rows, MSB first, in the page's photometric sense.
+
+/* [code, run length] - T.4 tables 2 and 3; the extended make-up codes are shared by both colours */
+const WHITE_CODES = [
+    ["00110101", 0], ["000111", 1], ["0111", 2], ["1000", 3], ["1011", 4], ["1100", 5], ["1110", 6], ["1111", 7],
+    ["10011", 8], ["10100", 9], ["00111", 10], ["01000", 11], ["001000", 12], ["000011", 13], ["110100", 14],
+    ["110101", 15], ["101010", 16], ["101011", 17], ["0100111", 18], ["0001100", 19], ["0001000", 20],
+    ["0010111", 21], ["0000011", 22], ["0000100", 23], ["0101000", 24], ["0101011", 25], ["0010011", 26],
+    ["0100100", 27], ["0011000", 28], ["00000010", 29], ["00000011", 30], ["00011010", 31], ["00011011", 32],
+    ["00010010", 33], ["00010011", 34], ["00010100", 35], ["00010101", 36], ["00010110", 37], ["00010111", 38],
+    ["00101000", 39], ["00101001", 40], ["00101010", 41], ["00101011", 42], ["00101100", 43], ["00101101", 44],
+    ["00000100", 45], ["00000101", 46], ["00001010", 47], ["00001011", 48], ["01010010", 49], ["01010011", 50],
+    ["01010100", 51], ["01010101", 52], ["00100100", 53], ["00100101", 54], ["01011000", 55], ["01011001", 56],
+    ["01011010", 57], ["01011011", 58], ["01001010", 59], ["01001011", 60], ["00110010", 61], ["00110011", 62],
+    ["00110100", 63],
+    ["11011", 64], ["10010", 128], ["010111", 192], ["0110111", 256], ["00110110", 320], ["00110111", 384],
+    ["01100100", 448], ["01100101", 512], ["01101000", 576], ["01100111", 640], ["011001100", 704],
+    ["011001101", 768], ["011010010", 832], ["011010011", 896], ["011010100", 960], ["011010101", 1024],
+    ["011010110", 1088], ["011010111", 1152], ["011011000", 1216], ["011011001", 1280], ["011011010", 1344],
+    ["011011011", 1408], ["010011000", 1472], ["010011001", 1536], ["010011010", 1600], ["011000", 1664],
+    ["010011011", 1728],
+];
+
+const BLACK_CODES = [
+    ["0000110111", 0], ["010", 1], ["11", 2], ["10", 3], ["011", 4], ["0011", 5], ["0010", 6], ["00011", 7],
+    ["000101", 8], ["000100", 9], ["0000100", 10], ["0000101", 11], ["0000111", 12], ["00000100", 13],
+    ["00000111", 14], ["000011000", 15], ["0000010111", 16], ["0000011000", 17], ["0000001000", 18],
+    ["00001100111", 19], ["00001101000", 20], ["00001101100", 21], ["00000110111", 22], ["00000101000", 23],
+    ["00000010111", 24], ["00000011000", 25], ["000011001010", 26], ["000011001011", 27], ["000011001100", 28],
+    ["000011001101", 29], ["000001101000", 30], ["000001101001", 31], ["000001101010", 32], ["000001101011", 33],
+    ["000011010010", 34], ["000011010011", 35], ["000011010100", 36], ["000011010101", 37], ["000011010110", 38],
+    ["000011010111", 39], ["000001101100", 40], ["000001101101", 41], ["000011011010", 42], ["000011011011", 43],
+    ["000001010100", 44], ["000001010101", 45], ["000001010110", 46], ["000001010111", 47], ["000001100100", 48],
+    ["000001100101", 49], ["000001010010", 50], ["000001010011", 51], ["000000100100", 52], ["000000110111", 53],
+    ["000000111000", 54], ["000000100111", 55], ["000000101000", 56], ["000001011000", 57], ["000001011001", 58],
+    ["000000101011", 59], ["000000101100", 60], ["000001011010", 61], ["000001100110", 62], ["000001100111", 63],
+    ["0000001111", 64], ["000011001000", 128], ["000011001001", 192], ["000001011011", 256], ["000000110011", 320],
+    ["000000110100", 384], ["000000110101", 448], ["0000001101100", 512], ["0000001101101", 576],
+    ["0000001001010", 640], ["0000001001011", 704], ["0000001001100", 768], ["0000001001101", 832],
+    ["0000001110010", 896], ["0000001110011", 960], ["0000001110100", 1024], ["0000001110101", 1088],
+    ["0000001110110", 1152], ["0000001110111", 1216], ["0000001010010", 1280], ["0000001010011", 1344],
+    ["0000001010100", 1408], ["0000001010101", 1472], ["0000001011010", 1536], ["0000001011011", 1600],
+    ["0000001100100", 1664], ["0000001100101", 1728],
+];
+
+const EXTENDED_CODES = [
+    ["00000001000", 1792], ["00000001100", 1856], ["00000001101", 1920], ["000000010010", 1984],
+    ["000000010011", 2048], ["000000010100", 2112], ["000000010101", 2176], ["000000010110", 2240],
+    ["000000010111", 2304], ["000000011100", 2368], ["000000011101", 2432], ["000000011110", 2496],
+    ["000000011111", 2560],
+];
+
+/* Two-dimensional mode codes: pass, horizontal and the vertical offsets a1 - b1 */
+const MODE_CODES = [
+    ["0001", "pass"], ["001", "horizontal"], ["1", 0], ["011", 1], ["000011", 2], ["0000011", 3],
+    ["010", -1], ["000010", -2], ["0000010", -3],
+];
+
+/* code -> value, keyed by (length << 16) | code */
+function codeMap(entries) {
+    const map = new Map();
+    for (const [bits, value] of entries) map.set((bits.length << 16) | parseInt(bits, 2), value);
+    return map;
+}
+
+const WHITE = codeMap([...WHITE_CODES, ...EXTENDED_CODES]);
+const BLACK = codeMap([...BLACK_CODES, ...EXTENDED_CODES]);
+const MODES = codeMap(MODE_CODES);
+
+function createReader(data, lsbFirst) {
+    let pos = 0;
+    const total = data.length * 8;
+    const bitAt = (i) => {
+        const byte = data[i >> 3];
+        return lsbFirst ? (byte >> (i & 7)) & 1 : (byte >> (7 - (i & 7))) & 1;
+    };
+    return {
+        get done() {
+            return pos >= total;
+        },
+        bit() {
+            return pos < total ? bitAt(pos++) : 0;
+        },
+        /* Next code of up to `maxLen` bits found in `map`, or undefined */
+        code(map, maxLen) {
+            let code = 0;
+            for (let len = 1; len <= maxLen && pos < total; len++) {
+                code = (code << 1) | bitAt(pos++);
+                const value = map.get((len << 16) | code);
+                if (value !== undefined) return value;
+            }
+            return undefined;
+        },
+        /* Skip fill bits and an EOL (eleven+ zeros then a one) if one comes next */
+        skipEol() {
+            let zeros = 0;
+            while (pos + zeros < total && bitAt(pos + zeros) === 0) zeros++;
+            if (zeros >= 11 && pos + zeros < total) {
+                pos += zeros + 1;
+                return true;
+            }
+            return false;
+        },
+        align() {
+            pos = (pos + 7) & ~7;
+        },
+    };
+}
+
+/* One run: make-up codes followed by a terminating code */
+function readRun(reader, black) {
+    let total = 0;
+    for (;;) {
+        const run = reader.code(black ? BLACK : WHITE, 13);
+        if (run === undefined) throw new Error("CCITT data is damaged.");
+        total += run;
+        if (run < 64) return total;
+    }
+}
+
+/* One-dimensional line: alternating white / black runs -> changing elements */
+function decode1D(reader, width) {
+    const changes = [];
+    let a0 = 0;
+    let black = false;
+    while (a0 < width) {
+        a0 += readRun(reader, black);
+        changes.push(Math.min(a0, width));
+        black = !black;
+    }
+    return changes;
+}
+
+/* Two-dimensional line coded against the reference line's changing elements */
+function decode2D(reader, width, ref) {
+    const changes = [];
+    let a0 = -1;
+    let black = false;
+    let i = 0; // search start in ref
+    while (a0 < width) {
+        // b1: first change on the reference line right of a0 with the colour a0 changes to
+        while (i > 0 && ref[i - 1] > a0) i--;
+        while (ref[i] <= a0 || (i & 1) !== (black ? 1 : 0)) i++;
+        const b1 = ref[i];
+        const b2 = ref[i + 1];
+
+        const mode = reader.code(MODES, 7);
+        if (mode === undefined) throw new Error("CCITT data is damaged.");
+        if (mode === "pass") {
+            a0 = b2;
+        } else if (mode === "horizontal") {
+            const start = Math.max(a0, 0);
+            const a1 = start + readRun(reader, black);
+            const a2 = a1 + readRun(reader, !black);
+            changes.push(Math.min(a1, width), Math.min(a2, width));
+            a0 = a2;
+        } else {
+            const a1 = b1 + mode;
+            changes.push(Math.min(Math.max(a1, 0), width));
+            a0 = a1;
+            black = !black;
+        }
+    }
+    return changes;
+}
+
+/* Sentinels so b1 / b2 always exist past the end of the line */
+const asReference = (changes, width) => [...changes, width, width, width];
+
+/**
+ * Decode a CCITT-compressed strip or tile.
+ * compression 2 (Modified Huffman), 3 (T.4, `options` = T4Options) or 4 (T.6).
+ * `blackIsOne`: write black pixels as 1 bits (WhiteIsZero photometric), else as 0.
+ * Returns `rows` packed rows of ceil(width / 8) bytes.
+ */
+export function decodeCcitt(data, width, rows, { compression, options = 0, lsbFirst = false, blackIsOne = true }) {
+    const rowBytes = Math.ceil(width / 8);
+    const out = new Uint8Array(rowBytes * rows);
+    if (!blackIsOne) out.fill(0xff);
+    const reader = createReader(data, lsbFirst);
+    const twoD = compression === 4 || (compression === 3 && (options & 1) === 1);
+    let ref = asReference([], width);
+
+    for (let y = 0; y < rows && !reader.done; y++) {
+        let changes;
+        if (compression === 4) {
+            changes = decode2D(reader, width, ref);
+        } else if (compression === 2) {
+            changes = decode1D(reader, width);
+            reader.align();
+        } else {
+            reader.skipEol();
+            const oneD = !twoD || reader.bit() === 1;
+            changes = oneD ? decode1D(reader, width) : decode2D(reader, width, ref);
+        }
+
+        // changes alternate white -> black and black -> white
+        const row = y * rowBytes;
+        for (let k = 0; k < changes.length; k += 2) {
+            const from = changes[k];
+            const to = k + 1 < changes.length ? changes[k + 1] : width;
+            for (let x = from; x < to && x < width; x++) {
+                if (blackIsOne) out[row + (x >> 3)] |= 0x80 >> (x & 7);
+                else out[row + (x >> 3)] &= ~(0x80 >> (x & 7));
+            }
+        }
+        ref = asReference(changes, width);
+    }
+    return out;
+}
@@ -0,0 +1,100 @@
+// classify.js - what kind of picture this is (photo, screenshot, logo or document), from a
+// small sample of its pixels: how few colours cover it, how much of it is hard edges, how much
+// is near-white paper and whether transparency is used. The engine's `content` option uses the
+// answer to pick format, chroma subsampling, smoothing / sharpening and how to resize.
+
+import { createCanvas, decodeImage, releaseCanvas, releaseSource, throwIfAborted } from "./engine";
+
+const SAMPLE_EDGE = 384; // long edge of the analysed sample
+const EDGE_STEP = 48; // luma jump between neighbours that counts as a hard edge
+
+/* Detected types, with the output format "auto" picks for each */
+export const CONTENT_TYPES = [
+    { value: "photo", label: "Photo", format: "webp" },
+    { value: "screenshot", label: "Screenshot", format: "png-optimized" },
+    { value: "logo", label: "Logo / graphic", format: "png-optimized" },
+    { value: "document", label: "Document / scan", format: "jpeg" },
+];
+
+/**
+ * Classify RGBA pixels.
+ * Returns { type, colors, coverage, edges, paper, alpha }:
+ *   colors   distinct colours
+ *   coverage share of pixels in the 16 most common exact colours (flat, computer-made areas)
+ *   edges    share of pixels on a hard luma edge
+ *   paper    share of near-white, unsaturated pixels
+ *   alpha    share of (partly) transparent pixels
+ */
+export function classifyPixels(data, width, height) {
+    const count = width * height;
+    const hist = new Map();
+    const luma = new Float32Array(count);
+    let transparent = 0;
+    let paper = 0;
+
+    for (let i = 0, p = 0; i < count; i++, p += 4) {
+        const r = data[p];
+        const g = data[p + 1];
+        const b = data[p + 2];
+        if (data[p + 3] < 250) transparent++;
+        const key = (r << 16) | (g << 8) | b;
+        hist.set(key, (hist.get(key) || 0) + 1);
+        luma[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+        if (luma[i] > 225 && Math.max(r, g, b) - Math.min(r, g, b) < 24) paper++;
+    }
+
+    const colors = hist.size;
+    const top = new Array(16).fill(0);
+    for (const n of hist.values()) {
+        if (n > top[15]) {
+            top[15] = n;
+            top.sort((a, b) => b - a);
+        }
+    }
+
+    let edges = 0;
+    for (let y = 0; y < height - 1; y++) {
+        for (let x = 0, i = y * width; x < width - 1; x++, i++) {
+            if (Math.abs(luma[i] - luma[i + 1]) + Math.abs(luma[i] - luma[i + width]) > EDGE_STEP) edges++;
+        }
+    }
+
+    const stats = {
+        colors,
+        coverage: top.reduce((a, b) => a + b, 0) / count,
+        edges: edges / count,
+        paper: paper / count,
+        alpha: transparent / count,
+    };
+
+    // flat colour says "made on a computer"; lots of paper with grain says "scanned / photographed page"
+    let type = "photo";
+    if ((stats.alpha > 0.02 && stats.coverage > 0.6) || (stats.coverage > 0.9 && stats.edges < 0.05)) type = "logo";
+    else if (stats.paper > 0.5 && stats.edges > 0.01 && stats.coverage < 0.85) type = "document";
+    else if (stats.coverage > 0.5 && stats.edges > 0.01) type = "screenshot";
+    return { type, ...stats };
+}
+
+/**
+ * Decode an image and classify a downscaled sample of it.
+ * @param {Blob} blob
+ * @param {{signal?: AbortSignal, page?: number}} [options] `page`: the TIFF page to look at.
+ */
+export async function classifyImage(blob, { signal = null, page = 0 } = {}) {
+    throwIfAborted(signal);
+    const source = await decodeImage(blob, { page });
+    try {
+        throwIfAborted(signal);
+        const scale = Math.min(1, SAMPLE_EDGE / Math.max(source.width, source.height));
+        const w = Math.max(1, Math.round(source.width * scale));
+        const h = Math.max(1, Math.round(source.height * scale));
+        const canvas = createCanvas(w, h);
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(source.isBitmap ? source.bitmap : source.img, 0, 0, w, h);
+        const { data } = ctx.getImageData(0, 0, w, h);
+        releaseCanvas(canvas);
+        return classifyPixels(data, w, h);
+    } finally {
+        releaseSource(source);
+    }
+}
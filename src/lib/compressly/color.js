@@ -0,0 +1,179 @@
+// color.js - colour management for decoded pixels. Reads the matrix / TRC part of an ICC profile
+// (the kind Display P3, Adobe RGB and most phone and camera profiles are) and builds a transform
+// to sRGB, so wide-gamut sources keep their colours after the canvas re-encode drops the profile.
+// LUT-based and non-RGB profiles are left to the browser's own conversion.
+
+/* Profiles up to this size are small enough to embed when the user keeps the original profile */
+export const COMPACT_ICC_BYTES = 16 * 1024;
+
+/* sRGB colorants adapted to the D50 PCS (columns r, g, b), as in the standard sRGB profile */
+const SRGB_D50 = [
+    [0.4360747, 0.3850649, 0.1430804],
+    [0.2225045, 0.7168786, 0.0606169],
+    [0.0139322, 0.0971045, 0.7141733],
+];
+
+function invert3(m) {
+    const [[a, b, c], [d, e, f], [g, h, i]] = m;
+    const A = e * i - f * h;
+    const B = -(d * i - f * g);
+    const C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+    return [
+        [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+        [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+        [C / det, -(a * h - b * g) / det, (a * e - b * d) / det],
+    ];
+}
+
+const XYZ_TO_SRGB = invert3(SRGB_D50);
+
+const srgbDecode = (c) => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+
+const OUT_STEPS = 4095;
+const LINEAR_TO_SRGB = new Uint8ClampedArray(OUT_STEPS + 1);
+for (let i = 0; i <= OUT_STEPS; i++) {
+    const c = i / OUT_STEPS;
+    LINEAR_TO_SRGB[i] = Math.round(255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055));
+}
+
+function ascii(bytes, start, len) {
+    let s = "";
+    for (let i = 0; i < len && start + i < bytes.length; i++) s += String.fromCharCode(bytes[start + i]);
+    return s;
+}
+
+/* 'curv' / 'para' tag -> encoded (0..1) to linear (0..1) function, or null */
+function readCurve(icc, view, tag) {
+    if (!tag || tag.offset + 12 > icc.length) return null;
+    const type = ascii(icc, tag.offset, 4);
+    const p = tag.offset + 8;
+
+    if (type === "curv") {
+        const n = view.getUint32(p);
+        if (n === 0) return (x) => x;
+        if (n === 1) {
+            const gamma = view.getUint16(p + 4) / 256;
+            return (x) => x ** gamma;
+        }
+        if (p + 4 + n * 2 > icc.length) return null;
+        const table = new Float32Array(n);
+        for (let i = 0; i < n; i++) table[i] = view.getUint16(p + 4 + i * 2) / 65535;
+        return (x) => {
+            const pos = x * (n - 1);
+            const i = Math.min(n - 2, Math.floor(pos));
+            return table[i] + (pos - i) * (table[i + 1] - table[i]);
+        };
+    }
+
+    if (type === "para") {
+        const fn = view.getUint16(p);
+        const count = [1, 3, 4, 5, 7][fn];
+        if (!count || p + 4 + count * 4 > icc.length) return null;
+        const [g, a = 1, b = 0, c = 0, d = 0, e = 0, f = 0] = Array.from({ length: count }, (_, i) =>
+            view.getInt32(p + 4 + i * 4) / 65536
+        );
+        if (fn === 0) return (x) => x ** g;
+        if (fn === 1) return (x) => (x >= -b / a ? (a * x + b) ** g : 0);
+        if (fn === 2) return (x) => (x >= -b / a ? (a * x + b) ** g + c : c);
+        if (fn === 3) return (x) => (x >= d ? (a * x + b) ** g : c * x);
+        return (x) => (x >= d ? (a * x + b) ** g + e : c * x + f);
+    }
+    return null;
+}
+
+/**
+ * Parse what the sRGB conversion needs from an ICC profile.
+ * Returns { colorSpace, matrix, curves, srgb } or null for unreadable data:
+ *   matrix  RGB -> XYZ (D50) colorants as rows [X, Y, Z] × columns [r, g, b]; null for
+ *           LUT-based or non-RGB profiles (no matrix / TRC tags)
+ *   curves  per-channel encoded -> linear functions
+ *   srgb    the profile is sRGB in all but name (nothing to convert)
+ */
+export function parseIcc(icc) {
+    if (!icc || icc.length < 132) return null;
+    const view = new DataView(icc.buffer, icc.byteOffset, icc.byteLength);
+    const colorSpace = ascii(icc, 16, 4).trim();
+    const tags = new Map();
+    const count = view.getUint32(128);
+    for (let i = 0; i < count && 132 + i * 12 + 12 <= icc.length; i++) {
+        const e = 132 + i * 12;
+        tags.set(ascii(icc, e, 4), { offset: view.getUint32(e + 4), size: view.getUint32(e + 8) });
+    }
+
+    const xyz = (sig) => {
+        const tag = tags.get(sig);
+        if (!tag || tag.offset + 20 > icc.length || ascii(icc, tag.offset, 4) !== "XYZ ") return null;
+        return [0, 1, 2].map((k) => view.getInt32(tag.offset + 8 + k * 4) / 65536);
+    };
+    const colorants = ["rXYZ", "gXYZ", "bXYZ"].map(xyz);
+    const curves = ["rTRC", "gTRC", "bTRC"].map((sig) => readCurve(icc, view, tags.get(sig)));
+    const usable = colorSpace === "RGB" && colorants.every(Boolean) && curves.every(Boolean);
+    const matrix = usable ? [0, 1, 2].map((row) => colorants.map((col) => col[row])) : null;
+
+    const srgb =
+        !!matrix &&
+        matrix.every((row, r) => row.every((v, c) => Math.abs(v - SRGB_D50[r][c]) < 0.003)) &&
+        curves.every((fn) => [0.2, 0.5, 0.8].every((x) => Math.abs(fn(x) - srgbDecode(x)) < 0.005));
+
+    return { colorSpace, matrix, curves, srgb };
+}
+
+/**
+ * In-place RGBA transform from the profile's colours to sRGB, or null when the profile can't be
+ * converted here (see parseIcc). Out-of-gamut colours are clipped per channel.
+ */
+export function createSrgbTransform(profile) {
+    if (!profile?.matrix) return null;
+    const toLinear = profile.curves.map((fn) => {
+        const lut = new Float32Array(256);
+        for (let i = 0; i < 256; i++) lut[i] = Math.min(1, Math.max(0, fn(i / 255)));
+        return lut;
+    });
+    const m = XYZ_TO_SRGB.map((row) => [0, 1, 2].map((c) => row.reduce((s, v, k) => s + v * profile.matrix[k][c], 0)));
+    const [[m00, m01, m02], [m10, m11, m12], [m20, m21, m22]] = m;
+    const [lr, lg, lb] = toLinear;
+    const encode = (v) => LINEAR_TO_SRGB[Math.round(Math.min(1, Math.max(0, v)) * OUT_STEPS)];
+
+    return (data) => {
+        for (let i = 0; i < data.length; i += 4) {
+            const r = lr[data[i]];
+            const g = lg[data[i + 1]];
+            const b = lb[data[i + 2]];
+            data[i] = encode(m00 * r + m01 * g + m02 * b);
+            data[i + 1] = encode(m10 * r + m11 * g + m12 * b);
+            data[i + 2] = encode(m20 * r + m21 * g + m22 * b);
+        }
+        return data;
+    };
+}
+
+/**
+ * How a source with this embedded profile should be decoded.
+ * mode "srgb": convert to sRGB here where possible; "keep": leave the pixels in the profile's
+ * space (the caller re-embeds it) when it is compact, otherwise convert.
+ * Returns { raw, transform, info }: raw = decode without the browser's colour conversion,
+ * transform = the conversion to run on those pixels, info = { profile, action } for the report,
+ * action "srgb" (already sRGB) | "converted" | "kept" | "browser" (left to the decoder).
+ */
+export function planColor(icc, iccName, mode = "srgb") {
+    if (!icc) return { raw: false, transform: null, info: null };
+    const profile = parseIcc(icc);
+    const name = iccName || "ICC profile";
+    if (profile?.srgb) return { raw: false, transform: null, info: { profile: name, action: "srgb" } };
+    if (mode === "keep" && profile?.colorSpace === "RGB" && icc.length <= COMPACT_ICC_BYTES) {
+        return { raw: true, transform: null, info: { profile: name, action: "kept", bytes: icc.length } };
+    }
+    const transform = createSrgbTransform(profile);
+    if (transform) return { raw: true, transform, info: { profile: name, action: "converted" } };
+    return { raw: false, transform: null, info: { profile: name, action: "browser" } };
+}
+
+/* One line for the result card, e.g. "Display P3 converted to sRGB"; "" when nothing happened */
+export function describeColor(info) {
+    if (!info) return "";
+    if (info.action === "converted") return `${info.profile} converted to sRGB`;
+    if (info.action === "browser") return `${info.profile} converted to sRGB by the browser`;
+    if (info.action === "kept") return `${info.profile} profile kept (${Math.max(1, Math.round(info.bytes / 1024))} KB)`;
+    return "";
+}
@@ -0,0 +1,534 @@
+// deflate.js - zlib / DEFLATE compressor (RFC 1950 + 1951) with zlib-style effort levels.
+// Level 0 = stored, 1-3 greedy matching, 4-9 lazy matching with longer hash chains.
+// Each block is written as dynamic Huffman, fixed Huffman or stored - whichever is smallest.
+// Inflating is left to the platform's DecompressionStream.
+
+const WSIZE = 32768;
+const WMASK = WSIZE - 1;
+const HBITS = 15;
+const HSIZE = 1 << HBITS;
+const HMASK = HSIZE - 1;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const BLOCK_SYMBOLS = 16384;
+
+/* [goodLength, maxLazy, niceLength, maxChain] - same shape as zlib's table */
+const LEVELS = [
+    null,
+    [4, 0, 8, 4],
+    [4, 0, 16, 8],
+    [4, 0, 32, 32],
+    [4, 4, 16, 16],
+    [8, 16, 32, 32],
+    [8, 16, 128, 128],
+    [8, 32, 128, 256],
+    [32, 128, 258, 1024],
+    [32, 258, 258, 4096],
+];
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CL_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/* length (3..258) -> length code index (0..28) */
+const LENGTH_CODE = new Uint8Array(MAX_MATCH + 1);
+for (let c = 0; c < 29; c++) {
+    const end = c === 28 ? 259 : LENGTH_BASE[c + 1];
+    for (let l = LENGTH_BASE[c]; l < end && l <= MAX_MATCH; l++) LENGTH_CODE[l] = c;
+}
+LENGTH_CODE[258] = 28;
+
+function distCode(d) {
+    let lo = 0;
+    let hi = 29;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (DIST_BASE[mid] <= d) lo = mid;
+        else hi = mid - 1;
+    }
+    return lo;
+}
+
+/* Fixed Huffman lengths (BTYPE 01) */
+const FIXED_LIT = new Uint8Array(288);
+for (let i = 0; i < 288; i++) FIXED_LIT[i] = i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8;
+const FIXED_DIST = new Uint8Array(30).fill(5);
+
+/* ------------ bit writer ------------ */
+
+function createBitWriter(initialSize) {
+    let buf = new Uint8Array(Math.max(1024, initialSize | 0));
+    let pos = 0;
+    let acc = 0;
+    let nbits = 0;
+
+    function ensure(n) {
+        if (pos + n <= buf.length) return;
+        const next = new Uint8Array(Math.max(buf.length * 2, pos + n));
+        next.set(buf.subarray(0, pos));
+        buf = next;
+    }
+
+    return {
+        bits(value, n) {
+            acc |= value << nbits;
+            nbits += n;
+            while (nbits >= 8) {
+                ensure(1);
+                buf[pos++] = acc & 255;
+                acc >>>= 8;
+                nbits -= 8;
+            }
+        },
+        align() {
+            if (nbits > 0) {
+                ensure(1);
+                buf[pos++] = acc & 255;
+            }
+            acc = 0;
+            nbits = 0;
+        },
+        bytes(u8) {
+            ensure(u8.length);
+            buf.set(u8, pos);
+            pos += u8.length;
+        },
+        finish() {
+            this.align();
+            return buf.subarray(0, pos);
+        },
+    };
+}
+
+/* ------------ Huffman helpers ------------ */
+
+/* Code lengths from frequencies, capped at `limit` bits by flattening the counts */
+function buildLengths(freq, limit) {
+    const n = freq.length;
+    const lengths = new Uint8Array(n);
+    let weights = Array.from(freq);
+
+    const used = [];
+    for (let i = 0; i < n; i++) if (weights[i] > 0) used.push(i);
+    if (used.length === 0) return lengths;
+    if (used.length === 1) {
+        lengths[used[0]] = 1;
+        return lengths;
+    }
+
+    for (;;) {
+        // two-queue Huffman construction over leaves sorted by weight
+        const leaves = used.slice().sort((a, b) => weights[a] - weights[b] || a - b);
+        const m = leaves.length;
+        const nodeW = new Float64Array(2 * m);
+        const parent = new Int32Array(2 * m).fill(-1);
+        for (let i = 0; i < m; i++) nodeW[i] = weights[leaves[i]];
+
+        let li = 0;
+        let ni = m;
+        let next = m;
+        const take = () => {
+            if (li < m && (ni >= next || nodeW[li] <= nodeW[ni])) return li++;
+            return ni++;
+        };
+        while (next < 2 * m - 1) {
+            const a = take();
+            const b = take();
+            nodeW[next] = nodeW[a] + nodeW[b];
+            parent[a] = next;
+            parent[b] = next;
+            next++;
+        }
+
+        const depth = new Uint8Array(2 * m);
+        let maxDepth = 0;
+        for (let i = 2 * m - 3; i >= 0; i--) {
+            depth[i] = depth[parent[i]] + 1;
+            if (i < m && depth[i] > maxDepth) maxDepth = depth[i];
+        }
+
+        if (maxDepth <= limit) {
+            for (let i = 0; i < m; i++) lengths[leaves[i]] = depth[i];
+            return lengths;
+        }
+
+        weights = weights.map((w) => (w > 0 ? Math.max(1, w >> 1) : 0));
+    }
+}
+
+function reverseBits(code, len) {
+    let r = 0;
+    for (let i = 0; i < len; i++) {
+        r = (r << 1) | (code & 1);
+        code >>= 1;
+    }
+    return r;
+}
+
+/* Canonical codes (already bit-reversed for the LSB-first writer) */
+function canonicalCodes(lengths) {
+    const count = new Uint16Array(16);
+    for (let i = 0; i < lengths.length; i++) count[lengths[i]]++;
+    count[0] = 0;
+
+    const nextCode = new Uint16Array(16);
+    let code = 0;
+    for (let bits = 1; bits < 16; bits++) {
+        code = (code + count[bits - 1]) << 1;
+        nextCode[bits] = code;
+    }
+
+    const codes = new Uint16Array(lengths.length);
+    for (let i = 0; i < lengths.length; i++) {
+        const len = lengths[i];
+        if (len) codes[i] = reverseBits(nextCode[len]++, len);
+    }
+    return codes;
+}
+
+/* Run-length encode code lengths with symbols 16/17/18 */
+function rleLengths(lens) {
+    const out = [];
+    for (let i = 0; i < lens.length;) {
+        const cur = lens[i];
+        let run = 1;
+        while (i + run < lens.length && lens[i + run] === cur) run++;
+        i += run;
+
+        if (cur === 0) {
+            while (run >= 11) {
+                const r = Math.min(run, 138);
+                out.push([18, r - 11]);
+                run -= r;
+            }
+            if (run >= 3) {
+                out.push([17, run - 3]);
+                run = 0;
+            }
+            while (run-- > 0) out.push([0, 0]);
+        } else {
+            out.push([cur, 0]);
+            run--;
+            while (run >= 3) {
+                const r = Math.min(run, 6);
+                out.push([16, r - 3]);
+                run -= r;
+            }
+            while (run-- > 0) out.push([cur, 0]);
+        }
+    }
+    return out;
+}
+
+/* ------------ block writers ------------ */
+
+function writeStored(w, data, start, end, final) {
+    if (start === end) {
+        w.bits(final ? 1 : 0, 3);
+        w.align();
+        w.bits(0, 16);
+        w.bits(0xffff, 16);
+        return;
+    }
+    for (let p = start; p < end;) {
+        const len = Math.min(65535, end - p);
+        const last = final && p + len === end;
+        w.bits(last ? 1 : 0, 3);
+        w.align();
+        w.bits(len, 16);
+        w.bits(~len & 0xffff, 16);
+        w.bytes(data.subarray(p, p + len));
+        p += len;
+    }
+}
+
+function symbolCost(litFreq, distFreq, litLen, distLen) {
+    let bits = 0;
+    for (let i = 0; i < 286; i++) {
+        if (!litFreq[i]) continue;
+        bits += litFreq[i] * litLen[i];
+        if (i > 256) bits += litFreq[i] * LENGTH_EXTRA[i - 257];
+    }
+    for (let i = 0; i < 30; i++) {
+        if (!distFreq[i]) continue;
+        bits += distFreq[i] * (distLen[i] + DIST_EXTRA[i]);
+    }
+    return bits;
+}
+
+function writeSymbols(w, syms, count, litCodes, litLen, distCodes, distLen) {
+    const { lens, vals } = syms;
+    for (let i = 0; i < count; i++) {
+        const len = lens[i];
+        if (len === 0) {
+            const lit = vals[i];
+            w.bits(litCodes[lit], litLen[lit]);
+            continue;
+        }
+        const lc = LENGTH_CODE[len];
+        w.bits(litCodes[257 + lc], litLen[257 + lc]);
+        if (LENGTH_EXTRA[lc]) w.bits(len - LENGTH_BASE[lc], LENGTH_EXTRA[lc]);
+
+        const dist = vals[i];
+        const dc = distCode(dist);
+        w.bits(distCodes[dc], distLen[dc]);
+        if (DIST_EXTRA[dc]) w.bits(dist - DIST_BASE[dc], DIST_EXTRA[dc]);
+    }
+    w.bits(litCodes[256], litLen[256]);
+}
+
+function writeBlock(w, data, start, end, syms, count, final) {
+    const litFreq = new Uint32Array(286);
+    const distFreq = new Uint32Array(30);
+    for (let i = 0; i < count; i++) {
+        const len = syms.lens[i];
+        if (len === 0) {
+            litFreq[syms.vals[i]]++;
+        } else {
+            litFreq[257 + LENGTH_CODE[len]]++;
+            distFreq[distCode(syms.vals[i])]++;
+        }
+    }
+    litFreq[256] = 1;
+
+    // some inflaters want at least two distance codes
+    let distUsed = 0;
+    for (let i = 0; i < 30; i++) if (distFreq[i]) distUsed++;
+    if (distUsed < 2) {
+        if (!distFreq[0]) distFreq[0] = 1;
+        else distFreq[1] = 1;
+    }
+
+    const litLen = buildLengths(litFreq, 15);
+    const distLen = buildLengths(distFreq, 15);
+
+    let hlit = 286;
+    while (hlit > 257 && !litLen[hlit - 1]) hlit--;
+    let hdist = 30;
+    while (hdist > 1 && !distLen[hdist - 1]) hdist--;
+
+    const allLens = new Uint8Array(hlit + hdist);
+    allLens.set(litLen.subarray(0, hlit), 0);
+    allLens.set(distLen.subarray(0, hdist), hlit);
+    const rle = rleLengths(allLens);
+
+    const clFreq = new Uint32Array(19);
+    for (const [sym] of rle) clFreq[sym]++;
+    const clLen = buildLengths(clFreq, 7);
+    let hclen = 19;
+    while (hclen > 4 && !clLen[CL_ORDER[hclen - 1]]) hclen--;
+
+    let headerBits = 14 + hclen * 3;
+    for (const [sym] of rle) {
+        headerBits += clLen[sym] + (sym === 16 ? 2 : sym === 17 ? 3 : sym === 18 ? 7 : 0);
+    }
+
+    const dynamicBits = 3 + headerBits + symbolCost(litFreq, distFreq, litLen, distLen);
+    const fixedBits = 3 + symbolCost(litFreq, distFreq, FIXED_LIT, FIXED_DIST);
+    const storedBits = (end - start) * 8 + Math.ceil((end - start) / 65535 || 1) * 40;
+
+    if (storedBits <= dynamicBits && storedBits <= fixedBits) {
+        writeStored(w, data, start, end, final);
+        return;
+    }
+
+    if (fixedBits <= dynamicBits) {
+        w.bits(final ? 1 : 0, 1);
+        w.bits(1, 2);
+        writeSymbols(w, syms, count, canonicalCodes(FIXED_LIT), FIXED_LIT, canonicalCodes(FIXED_DIST), FIXED_DIST);
+        return;
+    }
+
+    w.bits(final ? 1 : 0, 1);
+    w.bits(2, 2);
+    w.bits(hlit - 257, 5);
+    w.bits(hdist - 1, 5);
+    w.bits(hclen - 4, 4);
+    for (let i = 0; i < hclen; i++) w.bits(clLen[CL_ORDER[i]], 3);
+
+    const clCodes = canonicalCodes(clLen);
+    for (const [sym, extra] of rle) {
+        w.bits(clCodes[sym], clLen[sym]);
+        if (sym === 16) w.bits(extra, 2);
+        else if (sym === 17) w.bits(extra, 3);
+        else if (sym === 18) w.bits(extra, 7);
+    }
+
+    writeSymbols(w, syms, count, canonicalCodes(litLen), litLen, canonicalCodes(distLen), distLen);
+}
+
+/* ------------ LZ77 + block loop ------------ */
+
+/**
+ * Raw DEFLATE stream (no zlib header).
+ * level: 0 (stored) .. 9 (slowest, smallest). Default 6, like zlib.
+ */
+export function deflateRaw(data, level = 6) {
+    level = Math.max(0, Math.min(9, Math.round(level)));
+    const n = data.length;
+    const w = createBitWriter(n / 2 + 1024);
+
+    if (level === 0 || n === 0) {
+        writeStored(w, data, 0, n, true);
+        return w.finish();
+    }
+
+    const [good, maxLazy, nice, maxChain] = LEVELS[level];
+    const head = new Int32Array(HSIZE).fill(-1);
+    const prev = new Int32Array(WSIZE).fill(-1);
+
+    const syms = {
+        lens: new Uint16Array(BLOCK_SYMBOLS),
+        vals: new Uint16Array(BLOCK_SYMBOLS),
+    };
+    let count = 0;
+    let blockStart = 0;
+
+    const hashAt = (i) => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & HMASK;
+
+    function insert(i) {
+        if (i + 2 >= n) return;
+        const h = hashAt(i);
+        prev[i & WMASK] = head[h];
+        head[h] = i;
+    }
+
+    // longest match at i that is longer than `minLen`; 0 when none
+    let matchDist = 0;
+    function findMatch(i, minLen) {
+        const maxLen = Math.min(MAX_MATCH, n - i);
+        if (maxLen < MIN_MATCH || minLen >= maxLen) return 0;
+
+        let chain = minLen >= good ? maxChain >> 2 : maxChain;
+        let best = minLen;
+        let cand = head[hashAt(i)];
+        const limit = i - WSIZE;
+
+        while (cand > limit && cand >= 0 && chain-- > 0) {
+            if (data[cand + best] === data[i + best] && data[cand] === data[i]) {
+                let len = 1;
+                while (len < maxLen && data[cand + len] === data[i + len]) len++;
+                if (len > best) {
+                    best = len;
+                    matchDist = i - cand;
+                    if (len >= nice || len >= maxLen) break;
+                }
+            }
+            const nextCand = prev[cand & WMASK];
+            if (nextCand >= cand) break; // slot reused by a newer position
+            cand = nextCand;
+        }
+        return best > minLen && best >= MIN_MATCH ? best : 0;
+    }
+
+    let i = 0;
+    while (i < n) {
+        if (count >= BLOCK_SYMBOLS) {
+            writeBlock(w, data, blockStart, i, syms, count, false);
+            blockStart = i;
+            count = 0;
+        }
+
+        let len = findMatch(i, MIN_MATCH - 1);
+        let dist = matchDist;
+
+        if (len && maxLazy && len < maxLazy && i + 1 < n) {
+            // lazy evaluation: a longer match one byte later wins
+            insert(i);
+            const len2 = findMatch(i + 1, len);
+            if (len2) {
+                syms.lens[count] = 0;
+                syms.vals[count++] = data[i];
+                i++;
+                continue;
+            }
+            matchDist = dist;
+        } else {
+            insert(i);
+        }
+
+        if (!len) {
+            syms.lens[count] = 0;
+            syms.vals[count++] = data[i];
+            i++;
+            continue;
+        }
+
+        syms.lens[count] = len;
+        syms.vals[count++] = dist;
+        for (let k = i + 1; k < i + len; k++) insert(k);
+        i += len;
+    }
+
+    writeBlock(w, data, blockStart, n, syms, count, true);
+    return w.finish();
+}
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/* CRC-32 (PNG chunks, ZIP entries) */
+export function crc32(u8) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < u8.length; i++) {
+        crc = CRC_TABLE[(crc ^ u8[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+export function adler32(u8) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < u8.length;) {
+        const end = Math.min(i + 5552, u8.length);
+        for (; i < end; i++) {
+            a += u8[i];
+            b += a;
+        }
+        a %= 65521;
+        b %= 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+/* zlib stream: 2-byte header + raw deflate + Adler-32 (what PNG IDAT expects) */
+export function zlibDeflate(data, level = 6) {
+    const raw = deflateRaw(data, level);
+    const flevel = level < 2 ? 0 : level < 6 ? 1 : level === 6 ? 2 : 3;
+    const cmf = 0x78;
+    let flg = flevel << 6;
+    flg += 31 - ((cmf * 256 + flg) % 31);
+
+    const out = new Uint8Array(raw.length + 6);
+    out[0] = cmf;
+    out[1] = flg;
+    out.set(raw, 2);
+    const sum = adler32(data);
+    out[out.length - 4] = sum >>> 24;
+    out[out.length - 3] = (sum >>> 16) & 255;
+    out[out.length - 2] = (sum >>> 8) & 255;
+    out[out.length - 1] = sum & 255;
+    return out;
+}
+
+/* zlib inflate via DecompressionStream (PNG iCCP / IDAT); null where unsupported or corrupt */
+export async function inflateZlib(data) {
+    if (typeof DecompressionStream === "undefined") return null;
+    try {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate"));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch {
+        return null;
+    }
+}
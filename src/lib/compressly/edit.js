@@ -0,0 +1,77 @@
+// edit.js - crop / rotate / flip / straighten geometry shared by the editor preview and
+// the engine. Edits are applied straight onto the decoded pixels, never via an extra encode.
+//
+// An edit is { rotate: 0|90|180|270, flipH, flipV, straighten: degrees, crop: {x,y,w,h} | null }.
+// The crop is normalized (0..1) against the "frame": the image after quarter turns, which
+// keeps its size while straightening (the tilted image is zoomed so no empty corners show).
+
+export const NO_EDIT = { rotate: 0, flipH: false, flipV: false, straighten: 0, crop: null };
+
+/* True when an edit changes nothing */
+export function isIdentityEdit(edit) {
+    if (!edit) return true;
+    const quarter = (((edit.rotate || 0) % 360) + 360) % 360;
+    const crop = edit.crop;
+    const fullCrop = !crop || (crop.x <= 0 && crop.y <= 0 && crop.w >= 1 && crop.h >= 1);
+    return !quarter && !edit.flipH && !edit.flipV && !edit.straighten && fullCrop;
+}
+
+/* Frame size (after quarter turns) of a width × height image */
+export function frameSize(width, height, edit) {
+    const quarter = (((edit?.rotate || 0) % 360) + 360) % 360;
+    const turned = quarter === 90 || quarter === 270;
+    return { width: turned ? height : width, height: turned ? width : height };
+}
+
+/* Zoom that keeps a frame of w × h covered when the image is tilted by `degrees` */
+export function straightenScale(w, h, degrees) {
+    const a = Math.abs((degrees || 0) * Math.PI / 180);
+    return Math.cos(a) + Math.max(w / h, h / w) * Math.sin(a);
+}
+
+/* Crop rectangle in frame pixels, clamped to the frame */
+export function cropPixels(width, height, edit) {
+    const frame = frameSize(width, height, edit);
+    const c = edit?.crop || { x: 0, y: 0, w: 1, h: 1 };
+    const x = Math.max(0, Math.min(frame.width - 1, Math.round(c.x * frame.width)));
+    const y = Math.max(0, Math.min(frame.height - 1, Math.round(c.y * frame.height)));
+    return {
+        x,
+        y,
+        width: Math.max(1, Math.min(frame.width - x, Math.round(c.w * frame.width))),
+        height: Math.max(1, Math.min(frame.height - y, Math.round(c.h * frame.height))),
+    };
+}
+
+/**
+ * Draw `image` (width × height) with the edit applied into ctx, whose origin is the frame's
+ * top-left corner scaled by `scale` (1 = full resolution). The caller offsets ctx for a crop.
+ */
+export function drawEdited(ctx, image, width, height, edit, scale = 1) {
+    const quarter = (((edit?.rotate || 0) % 360) + 360) % 360;
+    const frame = frameSize(width, height, edit);
+    const zoom = straightenScale(frame.width, frame.height, edit?.straighten);
+
+    ctx.save();
+    ctx.scale(scale, scale);
+    ctx.translate(frame.width / 2, frame.height / 2);
+    // flips act on what the user sees, i.e. after the rotation
+    ctx.scale(edit?.flipH ? -1 : 1, edit?.flipV ? -1 : 1);
+    ctx.rotate(((edit?.straighten || 0) * Math.PI) / 180);
+    ctx.scale(zoom, zoom);
+    ctx.rotate((quarter * Math.PI) / 180);
+    ctx.drawImage(image, -width / 2, -height / 2, width, height);
+    ctx.restore();
+}
+
+/* Largest centred crop with the given aspect (frame-pixel w / h) inside a frame, normalized */
+export function cropForAspect(frameW, frameH, aspect) {
+    if (!aspect) return { x: 0, y: 0, w: 1, h: 1 };
+    let w = frameW;
+    let h = w / aspect;
+    if (h > frameH) {
+        h = frameH;
+        w = h * aspect;
+    }
+    return { x: (frameW - w) / 2 / frameW, y: (frameH - h) / 2 / frameH, w: w / frameW, h: h / frameH };
+}
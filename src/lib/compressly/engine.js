@@ -0,0 +1,1427 @@
+// engine.js - decode / render / encode pipeline shared by the main thread and
+// compress.worker.js. Works with DOM canvases or OffscreenCanvas, whichever exists.
+
+import { quantizeRGBA, colorsForQuality } from "./palette";
+import { encodeIndexedPng, encodePng } from "./png";
+import { encodeJpeg } from "./jpeg";
+import { encodeAvif, isAvifEncodeSupported } from "./avif";
+import { isIdentityEdit, cropPixels, drawEdited } from "./edit";
+import { measureSimilarity } from "./similarity";
+import { planColor, COMPACT_ICC_BYTES } from "./color";
+import { resampleRGBA, createBandReducer, gaussianBlur, unsharpMask } from "./resample";
+import { inspectImage, describeInput } from "./inspect";
+import { decodeJpeg } from "./jpegdecode";
+import { decodePng } from "./pngdecode";
+import { decodeTiff } from "./tiff";
+import { decodeBmp } from "./bmp";
+import { cameraPreview } from "./raw";
+import { METADATA_TYPES, iccDescription, readMetadata, readOrientation, selectMetadata, injectMetadata, metadataSize, writeDensity } from "./metadata";
+
+/* Canvas factory: OffscreenCanvas inside the worker, <canvas> on the main thread */
+export function createCanvas(width, height) {
+    if (typeof document === "undefined" && typeof OffscreenCanvas !== "undefined") {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/* ------------ Cancellation + resource release ------------ */
+
+export function abortError() {
+    return new DOMException("Compression cancelled", "AbortError");
+}
+
+export function isAbortError(err) {
+    return err?.name === "AbortError";
+}
+
+export function throwIfAborted(signal) {
+    if (signal?.aborted) throw abortError();
+}
+
+/* Settle with `promise`, or reject as soon as `signal` aborts (the work itself keeps running) */
+export function abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(abortError());
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortError());
+        signal.addEventListener("abort", onAbort, { once: true });
+        promise.then(
+            (v) => {
+                signal.removeEventListener("abort", onAbort);
+                resolve(v);
+            },
+            (err) => {
+                signal.removeEventListener("abort", onAbort);
+                reject(err);
+            }
+        );
+    });
+}
+
+/* Zero-size a canvas so the browser can drop its backing store immediately */
+export function releaseCanvas(canvas) {
+    if (!canvas) return;
+    canvas.width = 0;
+    canvas.height = 0;
+}
+
+/* Free a decodeImage() result or an engine stage: close its ImageBitmap or empty its canvas */
+export function releaseSource(src) {
+    const image = src?.bitmap;
+    if (!image) return;
+    sourcePixelCache.delete(image);
+    if (typeof image.close === "function") image.close();
+    else if (typeof image.getContext === "function") releaseCanvas(image);
+}
+
+/* ------------ Memory budget ------------ */
+
+const ABS_MAX = 8192; // longest canvas edge we ever create
+const TILE_PIXELS = 4194304; // band size for the tiled downscale (4 MP)
+
+/* Largest canvas, in pixels, this device can be trusted with. iOS Safari refuses canvases over
+   16.7 MP and low-memory Android phones crash well below 8192², so it follows the device.
+   Inside a worker iPads look like Macs - pass the main thread's answer as opts.maxPixels. */
+export function canvasPixelBudget() {
+    const nav = typeof navigator !== "undefined" ? navigator : null;
+    const ua = nav?.userAgent || "";
+    const ios = /iP(hone|ad|od)/.test(ua) || (/Macintosh/.test(ua) && nav?.maxTouchPoints > 1);
+    const memory = nav?.deviceMemory || 0; // GB, Chromium only
+    if (ios || (memory > 0 && memory <= 2)) return 16777216; // 4096²
+    if (memory > 0 && memory <= 4) return 33554432;
+    return ABS_MAX * ABS_MAX;
+}
+
+/* w × h scaled down (never up) to fit maxPixels and the ABS_MAX edge */
+function fitToBudget(w, h, maxPixels) {
+    const s = Math.min(1, Math.sqrt(maxPixels / (w * h)), ABS_MAX / Math.max(w, h));
+    if (s >= 1) return { width: w, height: h };
+    return { width: Math.max(1, Math.floor(w * s)), height: Math.max(1, Math.floor(h * s)) };
+}
+
+/* Area-average an over-budget source down to the budget a band of rows at a time, so no
+   full-size canvas is ever created. The source is released; the result remembers its old size. */
+function downscaleTiled(source, maxPixels) {
+    const { width: w, height: h } = source;
+    const fit = fitToBudget(w, h, maxPixels);
+    const reducer = createBandReducer(w, h, fit.width, fit.height);
+    const bandH = Math.max(1, Math.min(h, Math.floor(TILE_PIXELS / w)));
+    const band = createCanvas(w, bandH);
+    const ctx = band.getContext("2d");
+    const image = source.isBitmap ? source.bitmap : source.img;
+    for (let y = 0; y < h; y += bandH) {
+        const rows = Math.min(bandH, h - y);
+        ctx.clearRect(0, 0, w, bandH);
+        ctx.drawImage(image, 0, y, w, rows, 0, 0, w, rows);
+        reducer.push(ctx.getImageData(0, 0, w, rows).data, rows);
+    }
+    releaseCanvas(band);
+    releaseSource(source);
+
+    const canvas = createCanvas(fit.width, fit.height);
+    canvas.getContext("2d").putImageData(new ImageData(reducer.result(), fit.width, fit.height), 0, 0);
+    return { bitmap: canvas, width: fit.width, height: fit.height, isBitmap: true, downscaledFrom: { width: w, height: h } };
+}
+
+/* Draw a decoded source upright for EXIF orientation 2-8 (canvas-backed source) */
+function applyOrientation(source, orientation) {
+    const { width: w, height: h } = source;
+    const swap = orientation >= 5;
+    const canvas = createCanvas(swap ? h : w, swap ? w : h);
+    const ctx = canvas.getContext("2d");
+    const transforms = {
+        2: [-1, 0, 0, 1, w, 0],
+        3: [-1, 0, 0, -1, w, h],
+        4: [1, 0, 0, -1, 0, h],
+        5: [0, 1, 1, 0, 0, 0],
+        6: [0, 1, -1, 0, h, 0],
+        7: [0, -1, -1, 0, h, w],
+        8: [0, -1, 1, 0, 0, w],
+    };
+    ctx.setTransform(...transforms[orientation]);
+    ctx.drawImage(source.isBitmap ? source.bitmap : source.img, 0, 0, w, h);
+    releaseSource(source);
+    return { bitmap: canvas, width: canvas.width, height: canvas.height, isBitmap: true };
+}
+
+/* Centre-crop a decoded source to an aspect ratio (w / h) at native resolution */
+function cropToAspect(source, aspect) {
+    const { width: w, height: h } = source;
+    let cw = w;
+    let ch = Math.round(w / aspect);
+    if (ch > h) {
+        ch = h;
+        cw = Math.round(h * aspect);
+    }
+    if (Math.abs(cw - w) <= 1 && Math.abs(ch - h) <= 1) return source;
+
+    const canvas = createCanvas(cw, ch);
+    canvas.getContext("2d").drawImage(
+        source.isBitmap ? source.bitmap : source.img,
+        Math.round((w - cw) / 2),
+        Math.round((h - ch) / 2),
+        cw,
+        ch,
+        0,
+        0,
+        cw,
+        ch
+    );
+    return { bitmap: canvas, width: cw, height: ch, isBitmap: true };
+}
+
+/* Apply the editor's crop / rotation / flips / straightening at native resolution */
+function applyEdit(source, edit) {
+    const crop = cropPixels(source.width, source.height, edit);
+    const canvas = createCanvas(crop.width, crop.height);
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingQuality = "high";
+    ctx.translate(-crop.x, -crop.y);
+    drawEdited(ctx, source.isBitmap ? source.bitmap : source.img, source.width, source.height, edit);
+    return { bitmap: canvas, width: crop.width, height: crop.height, isBitmap: true };
+}
+
+/* Letterbox a decoded source onto a canvas of the given aspect (w / h), centred on `color`;
+   a frame that would outgrow maxPixels is drawn smaller instead */
+function padToAspect(source, aspect, color, maxPixels) {
+    const { width: w, height: h } = source;
+    let cw = w;
+    let ch = Math.round(w / aspect);
+    if (ch < h) {
+        ch = h;
+        cw = Math.round(h * aspect);
+    }
+    if (Math.abs(cw - w) <= 1 && Math.abs(ch - h) <= 1) return source;
+
+    const fit = fitToBudget(cw, ch, maxPixels);
+    const s = fit.width / cw;
+    const dw = Math.max(1, Math.round(w * s));
+    const dh = Math.max(1, Math.round(h * s));
+    const canvas = createCanvas(fit.width, fit.height);
+    const ctx = canvas.getContext("2d");
+    if (color && color !== "transparent") {
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, fit.width, fit.height);
+    }
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(source.isBitmap ? source.bitmap : source.img, Math.round((fit.width - dw) / 2), Math.round((fit.height - dh) / 2), dw, dh);
+    return { bitmap: canvas, width: fit.width, height: fit.height, isBitmap: true };
+}
+
+/* Final pixel size for opts.outputSize / opts.lockDimensions, or null when the search may resize.
+   A missing width or height follows the source aspect; "contain" shrinks the box to the
+   image's shape, the other fits keep the box and crop ("cover"), letterbox ("pad") or distort ("stretch"). */
+function resolveOutputBox(outputSize, source, lockDimensions) {
+    const w = outputSize?.width > 0 ? Math.round(outputSize.width) : 0;
+    const h = outputSize?.height > 0 ? Math.round(outputSize.height) : 0;
+    const aspect = source.width / source.height;
+
+    if (!w && !h) return lockDimensions ? { width: source.width, height: source.height, fit: "stretch" } : null;
+    if (!h) return { width: w, height: Math.max(1, Math.round(w / aspect)), fit: "stretch" };
+    if (!w) return { width: Math.max(1, Math.round(h * aspect)), height: h, fit: "stretch" };
+
+    const fit = outputSize.fit || "cover";
+    if (fit === "contain") {
+        const s = Math.min(w / source.width, h / source.height);
+        return {
+            width: Math.max(1, Math.round(source.width * s)),
+            height: Math.max(1, Math.round(source.height * s)),
+            fit: "stretch",
+        };
+    }
+    return { width: w, height: h, fit };
+}
+
+/* Run an in-place RGBA colour transform over a decoded source, band by band, into a canvas stage */
+function transformSource(source, transform) {
+    const { width: w, height: h } = source;
+    const canvas = createCanvas(w, h);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(source.isBitmap ? source.bitmap : source.img, 0, 0, w, h);
+    releaseSource(source);
+    const bandH = Math.max(1, Math.min(h, Math.floor(TILE_PIXELS / w)));
+    for (let y = 0; y < h; y += bandH) {
+        const rows = Math.min(bandH, h - y);
+        const image = ctx.getImageData(0, y, w, rows);
+        transform(image.data);
+        ctx.putImageData(image, 0, y);
+    }
+    return { ...source, bitmap: canvas, width: w, height: h, isBitmap: true };
+}
+
+/* Decode with the in-project decoders (see inspect.js) into a canvas-backed source, already
+   upright and within maxPixels. CMYK / YCCK sources report their colour conversion.
+   TIFFs decode `page` and bring their own orientation and ICC profile, converted to sRGB here. */
+async function decodeInProject(blob, input, { orientation, maxPixels, iccName, page = 0 }) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let image;
+    if (input.format === "png") image = await decodePng(bytes);
+    else if (input.format === "tiff") image = await decodeTiff(bytes, page);
+    else if (input.format === "bmp") image = decodeBmp(bytes);
+    else image = decodeJpeg(bytes);
+    if (input.format === "tiff") {
+        orientation = image.orientation >= 1 && image.orientation <= 8 ? image.orientation : 1;
+        iccName = image.icc ? iccDescription(image.icc) : null;
+    }
+
+    let { width, height, data } = image;
+    let color = null;
+    if (input.format === "tiff" && image.icc && image.colorModel !== "cmyk") {
+        // the profile isn't carried over to the output, so "keep" isn't possible: always sRGB
+        const plan = planColor(image.icc, iccName, "srgb");
+        if (plan.transform) plan.transform(data);
+        if (plan.info && plan.info.action !== "browser") color = plan.info;
+    }
+    const fit = fitToBudget(width, height, maxPixels);
+    const downscaled = fit.width < width;
+    if (downscaled) {
+        data = resampleRGBA(data, width, height, fit.width, fit.height, { filter: "box" });
+        width = fit.width;
+        height = fit.height;
+    }
+    const canvas = createCanvas(width, height);
+    canvas.getContext("2d").putImageData(new ImageData(data, width, height), 0, 0);
+    let source = { bitmap: canvas, width, height, isBitmap: true };
+    if (orientation > 1) source = applyOrientation(source, orientation);
+
+    const swap = orientation >= 5;
+    if (downscaled) source.downscaledFrom = { width: swap ? image.height : image.width, height: swap ? image.width : image.height };
+    if (image.colorModel === "cmyk" || image.colorModel === "ycck") {
+        source.color = { profile: iccName || describeInput(input), action: "converted" };
+    } else if (color) {
+        source.color = color;
+    }
+    if (input.format !== "tiff" && input.format !== "bmp") source.decodedBy = describeInput(input);
+    return source;
+}
+
+/* Utility: createImageBitmap wrapper with fallback to Image.
+   EXIF orientation is requested explicitly; if the browser still hands back the stored
+   (sideways) pixels for a 90° orientation, we rotate them ourselves.
+   Images over `maxPixels` come back downscaled to fit it, with `downscaledFrom: { width, height }`:
+   decoded straight to the smaller size where the browser can, otherwise band by band.
+   `color` ("srgb" | "keep", see color.js planColor) takes colour management over from the
+   browser for sources with an ICC profile; the result reports it as `color: { profile, action }`.
+   Files browsers get wrong (CMYK / YCCK / 12-bit JPEG, 16-bit PNG) go to the in-project decoders,
+   which are also the fallback when the browser can't decode a JPEG or PNG; those sources carry
+   `decodedBy` (e.g. "CMYK JPEG"). TIFF and BMP always decode in-project, TIFF at page `page`.
+   Camera RAWs decode their largest embedded JPEG preview instead and carry
+   `cameraPreview: { input, width, height }` (input e.g. "NEF RAW").
+   Undecodable files throw with a message saying why. */
+export async function decodeImage(blob, { maxPixels = canvasPixelBudget(), color = null, page = 0 } = {}) {
+    const { orientation, width: storedW, height: storedH, icc, iccName } = await readOrientation(blob);
+    const input = await inspectImage(blob);
+    const colorPlan = color ? planColor(icc, iccName, color) : null;
+    // raw: the decoder leaves the profile's colours alone, so we convert (or keep) them ourselves
+    const bitmapOptions = colorPlan?.raw
+        ? { imageOrientation: "from-image", colorSpaceConversion: "none" }
+        : { imageOrientation: "from-image" };
+    const upright = (source) => {
+        const rotates = orientation >= 5 && storedW !== storedH;
+        const ignored = rotates && source.width === storedW && source.height === storedH;
+        return ignored ? applyOrientation(source, orientation) : source;
+    };
+    const managed = (source, raw) => {
+        if (!colorPlan?.info) return source;
+        if (colorPlan.raw && !raw) return { ...source, color: { ...colorPlan.info, action: "browser" } };
+        const out = colorPlan.transform ? transformSource(source, colorPlan.transform) : source;
+        return { ...out, color: colorPlan.info };
+    };
+    const withinBudget = (source) =>
+        source.width * source.height > maxPixels || Math.max(source.width, source.height) > ABS_MAX
+            ? downscaleTiled(source, maxPixels)
+            : source;
+    const inProject = async () => {
+        const source = await decodeInProject(blob, input, { orientation, maxPixels, iccName, page });
+        return source.color ? source : managed(source, true);
+    };
+    const failed = () =>
+        new Error(input.problem || `This ${describeInput(input)} couldn't be decoded - the file may be damaged or truncated.`);
+
+    if (input.format === "raw") {
+        const preview = await cameraPreview(blob);
+        const source = await decodeImage(preview.blob, { maxPixels, color });
+        const full = source.downscaledFrom || source;
+        return { ...source, cameraPreview: { input: describeInput(input), width: full.width, height: full.height } };
+    }
+    if (input.decoder !== "browser") return inProject();
+
+    // Too large by its header: have the decoder produce the smaller bitmap directly
+    const fullW = orientation >= 5 ? storedH : storedW;
+    const fullH = orientation >= 5 ? storedW : storedH;
+    const fit = fullW > 0 && fullH > 0 ? fitToBudget(fullW, fullH, maxPixels) : null;
+    if (fit && fit.width < fullW && typeof createImageBitmap === "function") {
+        try {
+            const small = await createImageBitmap(blob, {
+                ...bitmapOptions,
+                resizeWidth: fit.width,
+                resizeHeight: fit.height,
+                resizeQuality: "high",
+            });
+            if (small.width === fit.width && small.height === fit.height) {
+                const downscaledFrom = { width: fullW, height: fullH };
+                return managed({ bitmap: small, width: fit.width, height: fit.height, isBitmap: true, downscaledFrom }, true);
+            }
+            small.close();
+        } catch {
+            // decode at full size and tile it below
+        }
+    }
+
+    if (typeof createImageBitmap === "function") {
+        let imgBitmap = null;
+        try {
+            imgBitmap = await createImageBitmap(blob, bitmapOptions);
+        } catch {
+            // fallback below
+        }
+        if (imgBitmap) {
+            const source = upright({
+                bitmap: imgBitmap,
+                width: imgBitmap.width,
+                height: imgBitmap.height,
+                isBitmap: true,
+            });
+            return managed(withinBudget(source), true);
+        }
+    }
+
+    const fallback = async () => {
+        if (input.format !== "jpeg" && input.format !== "png") throw failed();
+        try {
+            return await inProject();
+        } catch (err) {
+            console.info("In-project decode failed:", err?.message || err);
+            throw input.problem ? failed() : err;
+        }
+    };
+
+    // No <img> inside a worker - the in-project decoders or the caller's main-thread retry
+    if (typeof Image === "undefined") return fallback();
+
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            try {
+                const source = upright({ img, width: img.naturalWidth || img.width, height: img.naturalHeight || img.height, isBitmap: false });
+                resolve(managed(withinBudget(source), false));
+            } catch (err) {
+                reject(err);
+            }
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            fallback().then(resolve, reject);
+        };
+        img.src = url;
+    });
+}
+
+/* Helper: produce a blob from canvas, with timeout & fallback to toDataURL */
+export async function canvasToBlobWithFallback(canvas, mime, quality) {
+    // OffscreenCanvas: promise-based encode, no toBlob/toDataURL available
+    if (typeof canvas.convertToBlob === "function") {
+        try {
+            const ob = await canvas.convertToBlob({ type: mime, quality });
+            return ob && ob.size > 0 ? ob : null;
+        } catch {
+            return null;
+        }
+    }
+
+    const b = await new Promise((resolve) => {
+        let called = false;
+        try {
+            canvas.toBlob((blob) => {
+                if (!called) {
+                    called = true;
+                    resolve(blob);
+                }
+            }, mime, quality);
+        } catch {
+            resolve(null);
+        }
+        setTimeout(() => {
+            if (!called) resolve(null);
+        }, 2500);
+    });
+
+    if (b && b.size > 0) return b;
+
+    try {
+        const dataUrl = canvas.toDataURL(mime, quality);
+        const [, raw] = dataUrl.split(",");
+        const binary = atob(raw);
+        const len = binary.length;
+        const u8 = new Uint8Array(len);
+        for (let i = 0; i < len; i++) u8[i] = binary.charCodeAt(i);
+        return new Blob([u8], { type: mime || "image/png" });
+    } catch {
+        return null;
+    }
+}
+
+/* Sharpening applied after downscaling, per detected content type (see classify.js) */
+const CONTENT_SHARPEN = { screenshot: 0.3, document: 0.5 };
+
+/* RGBA of a decoded source at its own size, kept while the image itself is alive */
+const sourcePixelCache = new WeakMap();
+
+function sourcePixels(sourceObj) {
+    const image = sourceObj.isBitmap ? sourceObj.bitmap : sourceObj.img;
+    const cached = sourcePixelCache.get(image);
+    if (cached) return cached;
+    const { width, height } = sourceObj;
+    let data;
+    if (typeof image.getContext === "function") {
+        // engine stages are canvases already - read them without a second full-size copy
+        data = image.getContext("2d").getImageData(0, 0, width, height).data;
+    } else {
+        const canvas = createCanvas(width, height);
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(image, 0, 0, width, height);
+        data = ctx.getImageData(0, 0, width, height).data;
+        releaseCanvas(canvas);
+    }
+    sourcePixelCache.set(image, data);
+    return data;
+}
+
+/* Draw a decoded source at targetW × targetH.
+   Resizes go through resample.js (sourceObj.resample: "auto" Lanczos-3 | "lanczos3" | "box",
+   or "browser" for a plain drawImage), then the optional smoothing (sourceObj.blurPx, JPEG at
+   tiny targets) and unsharp mask (sourceObj.sharpen, downscales only) run on the result. */
+export async function renderScaled(sourceObj, targetW, targetH) {
+    const canvas = createCanvas(targetW, targetH);
+    const ctx = canvas.getContext("2d");
+    const { width, height, resample = "auto", blurPx = 0, sharpen = 0 } = sourceObj;
+    const resized = targetW !== width || targetH !== height;
+    const sharpenAfter = sharpen > 0 && targetW < width;
+
+    let pixels = null;
+    if (resized && resample !== "browser") {
+        pixels = resampleRGBA(sourcePixels(sourceObj), width, height, targetW, targetH, { filter: resample });
+    } else {
+        ctx.imageSmoothingQuality = "high";
+        ctx.drawImage(sourceObj.isBitmap ? sourceObj.bitmap : sourceObj.img, 0, 0, targetW, targetH);
+        if (blurPx > 0 || sharpenAfter) pixels = ctx.getImageData(0, 0, targetW, targetH).data;
+    }
+
+    if (pixels) {
+        if (blurPx > 0) pixels = gaussianBlur(pixels, targetW, targetH, blurPx);
+        if (sharpenAfter) unsharpMask(pixels, targetW, targetH, { amount: sharpen });
+        ctx.putImageData(new ImageData(pixels, targetW, targetH), 0, 0);
+    }
+    return canvas;
+}
+
+/* Size + quality of every blob encodeCanvas produced, for later stages (range floor, reports) */
+const encodeInfo = new WeakMap();
+
+/* { width, height, quality } a result was encoded at (plus { ssim, psnr } once measured),
+   or null for blobs the engine didn't make */
+export function resultInfo(blob) {
+    return (blob && encodeInfo.get(blob)) || null;
+}
+
+/* Encode a rendered canvas. PNG goes through the in-project encoder ("PNG (Logo & Text)"
+   is palette-quantized first), JPEG does when jpeg.encoder === "builtin", AVIF does when
+   the browser can't; everything else uses the browser encoder. */
+async function encodeCanvas(canvas, mime, q, opts = {}) {
+    const blob = await encodeCanvasRaw(canvas, mime, q, opts);
+    if (blob) {
+        const info = { width: canvas.width, height: canvas.height, quality: q };
+        encodeInfo.set(blob, info);
+        opts.onEncode?.({ ...info, bytes: blob.size });
+    }
+    return blob;
+}
+
+/* Encodes of one source for a size search: each width × height is rendered once (the latest
+   canvas is kept) and each (size, quality) pair is encoded once. Quality is rounded to 1%,
+   the finest step the encoders distinguish. */
+function createEncoder(source, mime, encodeOpts, signal) {
+    const cache = new Map();
+    let canvas = null;
+    let canvasKey = "";
+
+    async function encode(w, h, q) {
+        const quality = Math.round(q * 100) / 100;
+        const key = `${w}x${h}@${quality}`;
+        if (cache.has(key)) return cache.get(key);
+        throwIfAborted(signal);
+        if (canvasKey !== `${w}x${h}`) {
+            releaseCanvas(canvas);
+            canvas = await renderScaled(source, w, h);
+            canvasKey = `${w}x${h}`;
+        }
+        const blob = await encodeCanvas(canvas, mime, quality, encodeOpts);
+        throwIfAborted(signal);
+        cache.set(key, blob);
+        return blob;
+    }
+
+    function release() {
+        releaseCanvas(canvas);
+        canvas = null;
+        canvasKey = "";
+    }
+
+    return { encode, release };
+}
+
+/* Log-size slope per unit of quality, used until two encodes give a real secant */
+const DEFAULT_Q_SLOPE = 3.5;
+
+/**
+ * Highest quality in [lo, hi] whose encode at w × h fits maxBytes, found with secant steps on
+ * log(size) vs quality (bracketed once an encode lands on each side). Stops inside
+ * [maxBytes * tolerance, maxBytes], when the bracket is 1% wide, or after `steps` encodes.
+ * Returns { fit, over, lowBytes }: the best fitting blob (or null), the smallest overshoot,
+ * and the size at `lo` when that was encoded (what a smaller width has to make up for).
+ */
+async function fitQuality(encoder, w, h, { lo, hi, guess, maxBytes, tolerance = 0.98, steps = 7, onStep = () => { } }) {
+    let under = null;
+    let over = null;
+    let prev = null;
+    let lowBytes = 0;
+    const aim = Math.log(maxBytes * (1 + tolerance) / 2);
+    let q = Math.min(hi, Math.max(lo, guess));
+
+    for (let i = 0; i < steps; i++) {
+        onStep(i, q);
+        const blob = await encoder.encode(w, h, q);
+        if (!blob) break;
+        const point = { q: Math.round(q * 100) / 100, blob };
+        if (point.q <= lo + 0.001) lowBytes = blob.size;
+
+        if (blob.size <= maxBytes) {
+            if (!under || point.q > under.q) under = point;
+            if (blob.size >= maxBytes * tolerance) break;
+        } else if (!over || point.q < over.q) {
+            over = point;
+        }
+
+        let next;
+        if (under && over) {
+            if (over.q - under.q <= 0.011) break;
+            // interpolate inside the bracket, never repeating one of its ends
+            const a = Math.log(under.blob.size);
+            const b = Math.log(over.blob.size);
+            next = b > a ? under.q + ((over.q - under.q) * (aim - a)) / (b - a) : (under.q + over.q) / 2;
+            next = Math.min(over.q - 0.01, Math.max(under.q + 0.01, next));
+        } else {
+            if (over && point.q <= lo + 0.001) break; // even the lowest quality is too big
+            if (under && point.q >= hi - 0.001) break; // the highest quality already fits
+            // one side only: secant through the last two encodes, or the typical slope
+            let slope = DEFAULT_Q_SLOPE;
+            if (prev && Math.abs(point.q - prev.q) > 0.001) {
+                const k = (Math.log(blob.size) - Math.log(prev.blob.size)) / (point.q - prev.q);
+                if (k > 0.5) slope = k;
+            }
+            const step = Math.max(-0.35, Math.min(0.35, (aim - Math.log(blob.size)) / slope));
+            next = Math.min(hi, Math.max(lo, point.q + step));
+        }
+        prev = point;
+        if (Math.abs(next - point.q) < 0.005) break;
+        q = next;
+    }
+
+    return { fit: under ? under.blob : null, over: over ? over.blob : null, lowBytes };
+}
+
+/* Similarity is measured at the output size, scaled down past this so a comparison stays cheap */
+const MEASURE_MAX_PIXELS = 1500000;
+
+function measureSize(width, height) {
+    const s = Math.min(1, Math.sqrt(MEASURE_MAX_PIXELS / (width * height)));
+    return { width: Math.max(1, Math.round(width * s)), height: Math.max(1, Math.round(height * s)) };
+}
+
+async function pixelsOf(source, width, height) {
+    const canvas = await renderScaled(source, width, height);
+    const data = canvas.getContext("2d").getImageData(0, 0, width, height).data;
+    releaseCanvas(canvas);
+    return data;
+}
+
+/* Scores encodes against the (unblurred, unsharpened) source at one output size, caching the reference.
+   The score is stored with the blob's encode info: { ..., ssim, psnr }. */
+function createScorer(source, signal) {
+    let ref = null;
+
+    return async function score(blob) {
+        const info = encodeInfo.get(blob);
+        if (!info) return null;
+        if (info.ssim != null) return info;
+        const size = measureSize(info.width, info.height);
+        const key = `${size.width}x${size.height}`;
+        if (!ref || ref.key !== key) {
+            ref = { key, data: await pixelsOf({ ...source, blurPx: 0, sharpen: 0 }, size.width, size.height) };
+        }
+        throwIfAborted(signal);
+        const decoded = await decodeImage(blob);
+        try {
+            const data = await pixelsOf(decoded, size.width, size.height);
+            const scored = { ...info, ...measureSimilarity(ref.data, data, size.width, size.height) };
+            encodeInfo.set(blob, scored);
+            return scored;
+        } finally {
+            releaseSource(decoded);
+        }
+    };
+}
+
+async function encodeCanvasRaw(canvas, mime, q, { pngOptimized = false, dither = true, pngEffort = 6, jpeg = null } = {}) {
+    if (mime === "image/png") {
+        const { width, height } = canvas;
+        const { data } = canvas.getContext("2d").getImageData(0, 0, width, height);
+        const pngOpts = { effort: pngEffort };
+
+        if (pngOptimized) {
+            const { palette, indices } = quantizeRGBA(data, width, height, {
+                maxColors: colorsForQuality(q),
+                dither,
+            });
+            return encodeIndexedPng(indices, width, height, palette, pngOpts);
+        }
+        return encodePng(data, width, height, pngOpts);
+    }
+
+    if (mime === "image/jpeg" && jpeg && jpeg.encoder === "builtin") {
+        const { width, height } = canvas;
+        const { data } = canvas.getContext("2d").getImageData(0, 0, width, height);
+        return encodeJpeg(data, width, height, {
+            quality: q,
+            subsampling: jpeg.subsampling,
+            progressive: jpeg.progressive,
+            optimizeHuffman: jpeg.optimizeHuffman,
+            trellis: jpeg.trellis,
+            quantTable: jpeg.quantTable,
+        });
+    }
+
+    if (mime === "image/avif") {
+        if (isAvifEncodeSupported()) {
+            const blob = await canvasToBlobWithFallback(canvas, mime, q);
+            if (blob && blob.type === "image/avif") return blob;
+        }
+        const { width, height } = canvas;
+        const { data } = canvas.getContext("2d").getImageData(0, 0, width, height);
+        return encodeAvif(data, width, height, q);
+    }
+
+    return canvasToBlobWithFallback(canvas, mime, q);
+}
+
+const kbLabel = (bytes) => `${Math.round(bytes / 1024)} KB`;
+
+/* Result is below the minimum size: raise quality at the same size, then enlarge it
+   (past the source size if needed, up to 2×) until it lands in [minBytes, maxBytes].
+   Returns the in-range blob, or the closest one after a warning. */
+async function growToFloor(blob, ctx) {
+    const { source, encoder, minBytes, maxBytes, locked, lossless, progress, warn } = ctx;
+    const at = encodeInfo.get(blob);
+    if (!at) return blob;
+
+    const ceiling = maxBytes > 0 ? maxBytes : Infinity;
+    const inRange = (b) => b && b.size >= minBytes && b.size <= ceiling;
+    const aspect = at.height / at.width;
+
+    const encodeAt = (w, q) => encoder.encode(w, Math.max(1, Math.round(w * aspect)), q);
+
+    let best = blob; // largest result under the ceiling so far
+    const consider = (b) => {
+        if (b && b.size <= ceiling && b.size > best.size) best = b;
+    };
+
+    // Highest quality at width w that lands in range (top = the encode at q 0.99).
+    // Also returns the largest encode below the floor, to steer the next width.
+    const fitRange = async (w, qLow, top) => {
+        consider(top);
+        if (inRange(top)) return { found: top, below: null };
+        if (lossless || !top || top.size < minBytes) return { found: null, below: top };
+        let lo = qLow;
+        let hi = 0.99;
+        let found = null;
+        let below = null;
+        for (let i = 0; i < 8 && hi - lo > 0.005; i++) {
+            const q = (lo + hi) / 2;
+            const b = await encodeAt(w, q);
+            if (!b) break;
+            consider(b);
+            if (b.size > ceiling) {
+                hi = q;
+            } else {
+                if (b.size >= minBytes) found = b;
+                else if (!below || b.size > below.size) below = b;
+                lo = q;
+            }
+        }
+        return { found, below };
+    };
+
+    progress(92, `Below ${kbLabel(minBytes)} - raising quality`);
+    const top = lossless ? blob : await encodeAt(at.width, 0.99);
+    const first = await fitRange(at.width, at.quality, top);
+    if (first.found) return first.found;
+
+    if (!locked) {
+        const maxW = Math.round(source.width * 2);
+        let w = at.width;
+        let under = first.below || best; // closest encode below the floor at the last width
+        for (let i = 0; i < 6 && w < maxW && under; i++) {
+            // file size grows roughly with pixel count
+            w = Math.min(maxW, Math.max(w + 8, Math.round(w * Math.sqrt(minBytes / under.size) * 1.04)));
+            progress(94, `Enlarging to ${w}px to reach ${kbLabel(minBytes)}`);
+            const t = await encodeAt(w, lossless ? at.quality : 0.99);
+            if (!t) break;
+            const { found, below } = await fitRange(w, 0.3, t);
+            if (found) {
+                if (w > source.width) warn(`Upscaled beyond the original (${w}px wide) to reach the ${kbLabel(minBytes)} minimum.`);
+                return found;
+            }
+            // lossless sizes only grow with width: once over the ceiling, nothing larger fits
+            if (lossless && t.size > ceiling) break;
+            under = below;
+        }
+    }
+
+    warn(
+        `Can't reach ${kbLabel(minBytes)}–${Number.isFinite(ceiling) ? kbLabel(ceiling) : "any size"}` +
+        `${locked ? ` at the fixed size ${at.width}×${at.height}` : ""} - closest result is ${kbLabel(best.size)}.` +
+        `${locked ? " Only quality can change at a fixed size - allow resizing or lower the minimum." : ""}`
+    );
+    return best;
+}
+
+/* Main fast compressor with aggressive options.
+   opts.signal (AbortSignal) is checked between encode attempts; every decoded
+   bitmap is closed on the way out, whether we finished, failed or were cancelled.
+   opts.metadata: "strip" (default) | "copyright" | "all" - what is written back from the source.
+   opts.dpi: physical resolution stamped into the output (JFIF / pHYs / EXIF for WebP).
+   opts.outputSize: { width, height, fit, background } exact pixel size. Either side may be 0 to
+   follow the source aspect; fit is "cover" (default, centre-crop) | "contain" | "pad" | "stretch".
+   opts.lockDimensions: keep the source's pixel size - only quality is searched.
+   opts.edit: crop / rotate / flip / straighten from the editor (see edit.js), applied after decode.
+   opts.minBytes: floor for range targets (targetBytes is the ceiling); results below it are grown.
+   opts.warn(message): called when a target/range can't be met - the closest result is returned.
+   opts.onEncode({ width, height, quality, bytes }): called after every encode attempt.
+   opts.minSsim: quality-target mode - smallest file whose SSIM reaches this (KB targets are ignored).
+   opts.measure: score the result (SSIM / PSNR vs the source), readable through resultInfo().
+   opts.content: "photo" (default) | "screenshot" | "logo" | "document" - see classify.js.
+   opts.resample: "auto" (default, Lanczos-3) | "lanczos3" | "box" | "browser" - see resample.js.
+   opts.sharpen: unsharp-mask amount after downscaling (0 = off; null = the content default).
+   opts.maxPixels: largest canvas to create (default canvasPixelBudget()); bigger sources are
+   downscaled while decoding, with a warning.
+   opts.color: "srgb" (default) converts ICC-tagged sources (Display P3, Adobe RGB, ...) to sRGB;
+   "keep" leaves the pixels alone and re-embeds a compact (<= 16 KB) profile - except in formats
+   that can't carry one (AVIF), which are converted with a warning. What happened is
+   reported as resultInfo().color = { profile, action }. */
+export async function compressFileOptimized(fileBlob, opts = {}) {
+    const sources = [];
+    try {
+        const embeds = METADATA_TYPES.includes(opts.mime || "image/jpeg");
+        // formats injectMetadata can't write to (AVIF) keep nothing, so nothing is reserved for them
+        const mode = embeds ? opts.metadata || "strip" : "strip";
+        const dpi = embeds && opts.dpi > 0 ? Math.round(opts.dpi) : 0;
+        let keepProfile = opts.color === "keep";
+        if (keepProfile && !embeds) {
+            // untagged wide-gamut pixels would show the wrong colours - convert them instead
+            keepProfile = false;
+            opts = { ...opts, color: "srgb" };
+            const { icc, iccName } = await readOrientation(fileBlob);
+            const kept = planColor(icc, iccName, "keep").info;
+            if (kept?.action === "kept") {
+                const format = (opts.mime || "").replace("image/", "").toUpperCase();
+                opts.warn?.(`${kept.profile} can't be embedded in ${format} - converted to sRGB instead.`);
+            }
+        }
+        if (mode === "strip" && !dpi && !keepProfile) return await compressPipeline(fileBlob, opts, sources);
+
+        // kept metadata / density counts towards a KB target, so reserve room for it up front
+        const meta = mode === "strip" && !keepProfile ? null : await readMetadata(fileBlob);
+        let keep = selectMetadata(meta, mode, { dpi, exifDensity: opts.mime === "image/webp" });
+        // the pixels leave in sRGB unless the profile is kept - only then does it go back in
+        keep = { ...keep, icc: keepProfile && meta?.icc?.length <= COMPACT_ICC_BYTES ? meta.icc : null };
+        const reserve = metadataSize(keep) + (dpi ? 32 : 0);
+        const targetBytes = opts.targetBytes > 0 ? Math.max(1024, opts.targetBytes - reserve) : 0;
+        const minBytes = opts.minBytes > 0 ? Math.max(0, opts.minBytes - reserve) : 0;
+
+        const out = await compressPipeline(fileBlob, { ...opts, targetBytes, minBytes }, sources);
+        throwIfAborted(opts.signal);
+        if (!out) return out;
+        if (keep.icc && resultInfo(out)?.color?.action !== "kept") keep = { ...keep, icc: null };
+        const withMeta = await injectMetadata(out, keep, { iccName: meta?.iccName });
+        const final = await writeDensity(withMeta, dpi);
+        if (encodeInfo.has(out)) encodeInfo.set(final, encodeInfo.get(out));
+        return final;
+    } finally {
+        sources.forEach(releaseSource);
+    }
+}
+
+/* Decode, edit and pre-size the source the way the search will see it: returns the working
+   source plus the output size the search starts from (width × height; exact when locked). */
+async function planOutput(fileBlob, opts, sources) {
+    const {
+        mime = "image/jpeg",
+        quality = 0.82,
+        targetBytes = 0,
+        maxWidth = 0,
+        outputSize = null,
+        lockDimensions = false,
+        edit = null,
+        warn = () => { },
+        pngOptimized = false,
+        jpeg = null,
+        content = "photo",
+        resample = "auto",
+        sharpen = null,
+        maxPixels = canvasPixelBudget(),
+        color = "srgb",
+        page = 0,
+        signal = null
+    } = opts;
+    // the size heuristics below are tuned for photos; text and graphics keep their pixels sharp
+    const photo = content === "photo";
+
+    // resize stage: the result stays a canvas and the stage it replaces is freed straight away
+    const rescale = async (from, w, h) => {
+        throwIfAborted(signal);
+        const canvas = await renderScaled({ ...from, resample, blurPx: 0, sharpen: 0 }, w, h);
+        releaseSource(from);
+        const scaled = { bitmap: canvas, width: w, height: h, isBitmap: true };
+        sources.push(scaled);
+        return scaled;
+    };
+    // same for the crop / pad / edit stages: a new canvas replaces `from`, which is freed
+    const replace = (from, next) => {
+        if (next === from) return from;
+        releaseSource(from);
+        sources.push(next);
+        return next;
+    };
+
+    throwIfAborted(signal);
+    // decode (within the memory budget, colour-managed) + remember the bitmap so it is released at the end
+    const decoded = await decodeImage(fileBlob, { maxPixels, color, page });
+    sources.push(decoded);
+    throwIfAborted(signal);
+    if (decoded.downscaledFrom) {
+        const { width: fw, height: fh } = decoded.downscaledFrom;
+        warn(
+            `${fw}×${fh} (${Math.round((fw * fh) / 1e6)} MP) is too large for this device's memory - ` +
+            `downscaled to ${decoded.width}×${decoded.height} first.`
+        );
+    }
+    if (decoded.decodedBy) warn(`${decoded.decodedBy}: decoded in-project instead of by the browser.`);
+    if (decoded.cameraPreview) {
+        const { input, width, height } = decoded.cameraPreview;
+        warn(`${input}: compressed the camera's embedded ${width}×${height} JPEG preview, not a demosaiced RAW.`);
+    }
+    const src = isIdentityEdit(edit) ? decoded : replace(decoded, applyEdit(decoded, edit));
+    // --- Detect compression pressure (KB per pixel) ---
+    const totalPixels = src.width * src.height;
+    const kbPerPixel = targetBytes > 0 ? targetBytes / totalPixels : Infinity;
+
+    function estimateQualityFromKB(kbPerPixel) {
+        if (kbPerPixel > 0.15) return 0.9;
+        if (kbPerPixel > 0.10) return 0.82;
+        if (kbPerPixel > 0.07) return 0.75;
+        if (kbPerPixel > 0.05) return 0.68;
+        if (kbPerPixel > 0.035) return 0.6;
+        return 0.5;
+    }
+    let estimatedQ = quality;
+
+    // Exact output size (e.g. a print size at a DPI) or locked dimensions: no automatic resizing anywhere below
+    const box = resolveOutputBox(outputSize, src, lockDimensions);
+    const locked = !!box;
+
+    // ⚠️ Only estimate quality if caller did NOT already decide
+    if (
+        photo &&
+        targetBytes > 0 &&
+        mime === "image/jpeg" &&
+        !pngOptimized &&
+        quality < 0.85
+    ) {
+        estimatedQ = estimateQualityFromKB(kbPerPixel);
+    }
+
+    // Built-in JPEG encoder: "auto" chroma keeps full-resolution colour (4:4:4) when the
+    // budget is generous and halves it (4:2:0) under pressure, where those bytes buy more
+    // luma quality instead. Coloured text and UI edges bleed at 4:2:0, so non-photos keep 4:4:4.
+    let jpegOpts = jpeg;
+    if (jpeg && jpeg.encoder === "builtin" && (!jpeg.subsampling || jpeg.subsampling === "auto")) {
+        const generous = !photo || (targetBytes > 0 ? kbPerPixel >= 0.12 : quality >= 0.9);
+        jpegOpts = { ...jpeg, subsampling: generous ? "444" : "420" };
+    }
+
+    // --- Smart downscaling for impossible KB targets (tuned for face photos) ---
+    let scaleFactor = 1;
+
+    // Resize ONLY for extreme targets
+    if (photo && mime === "image/jpeg" && targetBytes > 0 && !pngOptimized && !locked) {
+        if (kbPerPixel < 0.012) {
+            scaleFactor = 0.8; // gentler resize for portraits
+        }
+    }
+
+
+    // ---- HARD resize source ONCE if scaleFactor < 1 ----
+    let workingSrc = src;
+
+    // --- Slider-only safeguard: auto downscale at very low quality ---
+    if (photo && !targetBytes && mime === "image/jpeg" && !locked) {
+        if (quality < 0.45) {
+            const longEdge = Math.max(workingSrc.width, workingSrc.height);
+            if (longEdge > 800) {
+                const r = 800 / longEdge;
+                workingSrc = await rescale(
+                    workingSrc,
+                    Math.round(workingSrc.width * r),
+                    Math.round(workingSrc.height * r)
+                );
+            }
+        }
+    }
+
+
+    if (scaleFactor < 1) {
+        workingSrc = await rescale(
+            workingSrc,
+            Math.round(workingSrc.width * scaleFactor),
+            Math.round(workingSrc.height * scaleFactor)
+        );
+    }
+
+    // Hard clamp long edge for human photos
+    let LONG_EDGE_MAX = 1000;
+
+    if (targetBytes > 200 * 1024) LONG_EDGE_MAX = 1400;
+    if (targetBytes > 400 * 1024) LONG_EDGE_MAX = 1800;
+    if (targetBytes > 700 * 1024) LONG_EDGE_MAX = 2400;
+    if (targetBytes > 1200 * 1024) LONG_EDGE_MAX = 3200;
+
+
+
+    if (photo && mime === "image/jpeg" && !locked) {
+        const longEdge = Math.max(workingSrc.width, workingSrc.height);
+        if (longEdge > LONG_EDGE_MAX) {
+            const r = LONG_EDGE_MAX / longEdge;
+            workingSrc = await rescale(
+                workingSrc,
+                Math.round(workingSrc.width * r),
+                Math.round(workingSrc.height * r)
+            );
+        }
+    }
+
+
+    if (box && box.fit === "cover") {
+        workingSrc = replace(workingSrc, cropToAspect(workingSrc, box.width / box.height));
+    } else if (box && box.fit === "pad") {
+        const background = outputSize.background || "#ffffff";
+        workingSrc = replace(workingSrc, padToAspect(workingSrc, box.width / box.height, background, maxPixels));
+    }
+
+    // Decide blur strength for JPEG photos
+    let blurPx = 0;
+
+    // JPEG photo smoothing zone
+    // Minimal smoothing ONLY for extreme JPEG targets
+    // Minimal smoothing ONLY for extreme JPEG targets
+    if (photo && mime === "image/jpeg" && !pngOptimized && targetBytes > 0) {
+        if (kbPerPixel < 0.015) blurPx = 0.55;   // ~20–25 KB
+        else if (kbPerPixel < 0.022) blurPx = 0.3; // ~30–40 KB
+        else blurPx = 0; // NO blur above ~40 KB
+    }
+
+
+    blurPx = Math.min(blurPx, 0.6);
+    workingSrc.blurPx = blurPx;
+    // ...and a sharpen after downscaling: the caller's amount, else a light one for text
+    workingSrc.sharpen = sharpen ?? CONTENT_SHARPEN[content] ?? 0;
+    workingSrc.resample = resample;
+
+    // every stage above stays inside the budget; the search starts inside it too
+    const { width: srcW, height: srcH } = fitToBudget(workingSrc.width, workingSrc.height, maxPixels);
+
+    let initialW = srcW;
+    if (maxWidth && initialW > maxWidth) {
+        const r = maxWidth / initialW;
+        initialW = Math.round(initialW * r);
+    }
+    const aspect = srcH / srcW;
+    let targetW = initialW;
+    let targetH = Math.round(targetW * aspect);
+    if (locked) {
+        targetW = box.width;
+        targetH = box.height;
+        const fit = fitToBudget(targetW, targetH, maxPixels);
+        if (fit.width !== targetW || fit.height !== targetH) {
+            targetW = fit.width;
+            targetH = fit.height;
+            warn(`${box.width}×${box.height} is beyond this device's canvas limit - output is ${targetW}×${targetH}.`);
+        }
+    }
+
+    return {
+        source: workingSrc,
+        box,
+        width: targetW,
+        height: targetH,
+        aspect,
+        estimatedQ,
+        jpeg: jpegOpts,
+        color: decoded.color || null,
+    };
+}
+
+const ESTIMATE_PIXELS = 250000;
+const ESTIMATE_EXPONENT = 0.9;
+
+/* Options that only change how the proxy is encoded, not how it is planned */
+const ENCODE_ONLY_OPTIONS = ["quality", "qualities", "dither", "pngEffort", "signal", "progress", "warn", "onEncode"];
+
+/* The last estimate's proxy, reused while only the encode settings change. A worker gets a
+   copy of the file with every job, so files are told apart by name, size, type and date. */
+let estimateProxy = null;
+
+/* What the proxy depends on: the file plus every planning option. Quality only counts where
+   planOutput branches on it - the slider-only downscale (< 0.45) and 4:4:4 chroma (>= 0.9). */
+function proxyKey(blob, opts) {
+    const plan = { ...opts };
+    for (const name of ENCODE_ONLY_OPTIONS) delete plan[name];
+    const quality = opts.quality ?? 0.82;
+    plan.qualityBand = quality < 0.45 ? 0 : quality < 0.9 ? 1 : 2;
+    const file = [blob.name || "", blob.size, blob.type, blob.lastModified || 0];
+    return JSON.stringify([file, plan]);
+}
+
+/* Decode + plan the output, then scale it to the proxy (at most ESTIMATE_PIXELS) once; the
+   full-size stages are freed straight away. */
+async function renderProxy(fileBlob, opts) {
+    const sources = [];
+    try {
+        const plan = await planOutput(fileBlob, { ...opts, signal: null }, sources);
+        const scale = Math.min(1, Math.sqrt(ESTIMATE_PIXELS / (plan.width * plan.height)));
+        const w = Math.max(1, Math.round(plan.width * scale));
+        const h = Math.max(1, Math.round(plan.height * scale));
+        return {
+            canvas: await renderScaled(plan.source, w, h),
+            width: plan.width,
+            height: plan.height,
+            growth: ((plan.width * plan.height) / (w * h)) ** ESTIMATE_EXPONENT,
+            jpeg: plan.jpeg,
+        };
+    } finally {
+        sources.forEach(releaseSource);
+    }
+}
+
+/* The proxy for these options, shared by concurrent callers; callers hold it via `users` so a
+   replaced proxy is only released once nobody is encoding from it */
+function proxyFor(fileBlob, opts) {
+    const key = proxyKey(fileBlob, opts);
+    if (estimateProxy?.key !== key) {
+        retireProxy(estimateProxy);
+        const entry = { key, users: 0, stale: false, pending: renderProxy(fileBlob, opts) };
+        entry.pending.catch(() => {
+            if (estimateProxy === entry) estimateProxy = null;
+        });
+        estimateProxy = entry;
+    }
+    return estimateProxy;
+}
+
+function retireProxy(entry) {
+    if (!entry) return;
+    entry.stale = true;
+    if (entry.users === 0) entry.pending.then((proxy) => releaseCanvas(proxy.canvas), () => { });
+}
+
+/* Quick size estimate - one quality or a quality-vs-size curve - without running the search.
+   The output is planned exactly as compressFileOptimized would (same options), then a proxy of
+   at most ESTIMATE_PIXELS is encoded at each of opts.qualities and its size scaled up by pixel
+   count (to the power ESTIMATE_EXPONENT: a downsampled proxy packs more detail into each pixel,
+   so straight scaling overshoots by ~10%). Kept metadata isn't counted. The planned proxy is
+   kept for the next call, so moving only the quality re-encodes without decoding again.
+   Returns { width, height, points: [{ quality, bytes }] } for the planned output size. */
+export async function estimateSizes(fileBlob, opts = {}) {
+    const {
+        mime = "image/jpeg",
+        quality = 0.82,
+        qualities = [quality],
+        pngOptimized = false,
+        dither = true,
+        pngEffort = 6,
+        signal = null
+    } = opts;
+    throwIfAborted(signal);
+    const entry = proxyFor(fileBlob, opts);
+    entry.users++;
+    try {
+        const proxy = await abortable(entry.pending, signal);
+        const encodeOpts = { pngOptimized, dither, pngEffort, jpeg: proxy.jpeg };
+        const points = [];
+        for (const q of qualities) {
+            throwIfAborted(signal);
+            const blob = await encodeCanvas(proxy.canvas, mime, Math.round(q * 100) / 100, encodeOpts);
+            if (blob) points.push({ quality: q, bytes: Math.round(blob.size * proxy.growth) });
+        }
+        return { width: proxy.width, height: proxy.height, points };
+    } finally {
+        entry.users--;
+        if (entry.stale) retireProxy(entry);
+    }
+}
+
+async function compressPipeline(fileBlob, opts, sources) {
+    const {
+        mime = "image/jpeg",
+        quality = 0.82,
+        targetBytes: requestedBytes = 0,
+        minBytes: requestedMinBytes = 0,
+        minSsim = 0,
+        measure = false,
+        warn = () => { },
+        progress = () => { },
+        pngOptimized = false,
+        dither = true,
+        pngEffort = 6,
+        onEncode = null,
+        content = "photo",
+        signal = null
+    } = opts;
+
+    // a similarity goal replaces the KB target
+    const targetBytes = minSsim > 0 ? 0 : requestedBytes;
+    const minBytes = minSsim > 0 ? 0 : requestedMinBytes;
+
+    const plan = await planOutput(fileBlob, { ...opts, targetBytes, minBytes }, sources);
+    const { source: workingSrc, box, aspect, estimatedQ } = plan;
+    const locked = !!box;
+    const targetW = plan.width;
+    const targetH = plan.height;
+
+    const encodeOpts = { pngOptimized, dither, pngEffort, jpeg: plan.jpeg, onEncode };
+
+    // Every result leaves through here: grow it to the range floor and report a missed ceiling
+    async function finish(blob) {
+        if (!blob) return blob;
+        let out = blob;
+        if (minBytes > 0 && out.size < minBytes) {
+            out = await growToFloor(out, {
+                source: workingSrc,
+                encoder,
+                minBytes,
+                maxBytes: targetBytes,
+                locked,
+                lossless: mime === "image/png" && !pngOptimized,
+                progress,
+                warn,
+            });
+        } else if (targetBytes > 0 && out.size > targetBytes) {
+            const at = encodeInfo.get(out);
+            warn(
+                `Couldn't get under ${kbLabel(targetBytes)}` +
+                `${locked && at ? ` at the fixed size ${at.width}×${at.height}` : ""} - smallest result is ${kbLabel(out.size)}.` +
+                `${locked ? " Only quality can change at a fixed size - allow resizing or raise the target." : ""}`
+            );
+        }
+        if (measure) {
+            try {
+                await score(out);
+            } catch (err) {
+                if (isAbortError(err)) throw err;
+                console.info("Similarity measurement skipped:", err?.message || err);
+            }
+        }
+        encoder.release();
+        if (plan.color && encodeInfo.has(out)) encodeInfo.set(out, { ...encodeInfo.get(out), color: plan.color });
+        return out;
+    }
+
+    const encoder = createEncoder(workingSrc, mime, encodeOpts, signal);
+    const score = createScorer(workingSrc, signal);
+
+    // ---------- EARLY EXIT (clean encode, no aggressive loops) ----------
+    if (!pngOptimized && mime === "image/jpeg" && targetBytes > 0 && !locked) {
+        progress(18, "Checking optimal encode");
+
+        // at the planned output size, so an early exit is what the search would have returned
+        const testBlob = await encoder.encode(targetW, targetH, estimatedQ);
+        if (
+            testBlob &&
+            testBlob.size <= targetBytes &&
+            testBlob.size >= targetBytes * 0.95
+        ) {
+            progress(90, "Finalizing");
+            return finish(testBlob);
+        }
+
+    }
+    // ---------------------------------------------------------------
+
+
+    progress(10, "Preparing image");
+
+    // QUALITY-TARGET MODE: the lowest quality (= smallest file) whose SSIM against the
+    // source still reaches minSsim, bisected at the output size. Lossless PNG is always 1.
+    if (minSsim > 0 && !(mime === "image/png" && !pngOptimized)) {
+        const hi = mime === "image/avif" ? 0.95 : 0.99;
+        progress(15, `Checking quality ${Math.round(hi * 100)}%`);
+        const top = await encoder.encode(targetW, targetH, hi);
+        const topScore = top && await score(top);
+        if (!topScore || topScore.ssim < minSsim) {
+            if (topScore) {
+                warn(`Even at ${Math.round(hi * 100)}% quality the SSIM is ${topScore.ssim.toFixed(3)} - below the ${minSsim} goal.`);
+            }
+            return finish(top);
+        }
+
+        let best = top;
+        let lo = 0.1;
+        let up = hi;
+        for (let i = 0; i < 7 && up - lo > 0.01; i++) {
+            const q = Math.round(((lo + up) / 2) * 100) / 100;
+            progress(20 + i * 10, `Trying quality ${Math.round(q * 100)}% for SSIM ≥ ${minSsim}`);
+            const blob = await encoder.encode(targetW, targetH, q);
+            const scored = blob && await score(blob);
+            if (scored && scored.ssim >= minSsim) {
+                if (blob.size < best.size) best = blob;
+                up = q;
+            } else {
+                lo = q;
+            }
+        }
+        progress(90, "Finalizing");
+        return finish(best);
+    }
+
+    if (!targetBytes || targetBytes <= 0) {
+        progress(40, "Encoding image");
+        return finish(await encoder.encode(targetW, targetH, quality));
+    }
+
+
+
+    // Lossless PNG at a fixed size has exactly one possible result
+    if (mime === "image/png" && !pngOptimized && locked) {
+        return finish(await encoder.encode(targetW, targetH, quality));
+    }
+
+    // LOSSLESS PNG: quality changes nothing, so search over dimensions only.
+    // Encoded size roughly follows pixel count -> guess the width from sqrt(target/size),
+    // then bisect between the largest width that fits and the smallest that doesn't.
+    if (mime === "image/png" && !pngOptimized) {
+        progress(15, "Encoding lossless PNG");
+        let fitW = 0;
+        let fitBlob = null;
+        let overW = 0;
+        let w = targetW;
+
+        for (let attempt = 0; attempt < 8; attempt++) {
+            const blob = await encoder.encode(w, Math.max(1, Math.round(w * aspect)), quality);
+            if (!blob) break;
+
+            if (blob.size <= targetBytes) {
+                fitW = w;
+                fitBlob = blob;
+                if (w === targetW || blob.size >= targetBytes * 0.9) break;
+            } else {
+                overW = w;
+            }
+
+            progress(20 + attempt * 9, `Lossless PNG at ${w}px - ${Math.round(blob.size / 1024)} KB`);
+
+            let next = fitW && overW
+                ? Math.round((fitW + overW) / 2)
+                : Math.round(w * Math.sqrt(targetBytes / blob.size) * 0.97);
+            next = Math.min(next, targetW);
+            if (overW) next = Math.min(next, overW - 1);
+            if (next < 16 || next === w || (fitW && overW && overW - fitW <= 8)) break;
+            w = next;
+        }
+
+        if (fitBlob) {
+            progress(90, "Finalizing");
+            return finish(fitBlob);
+        }
+        encoder.release();
+        throw new Error("Lossless PNG can't reach this size - try PNG (Logo & Text), WebP or JPEG.");
+    }
+
+    // QUALITY + SIZE SEARCH
+    // Quality stays within [qLow, qHigh] around the estimate (AVIF: its whole useful range,
+    // its scale sits well below JPEG/WebP for the same look). When even qLow is too big,
+    // the width shrinks to where qLow should land just under the target - so dimension and
+    // quality are chosen together instead of stepping the width blindly. At a fixed size,
+    // or once the width reaches its floor, quality may go all the way down to 0.1.
+    // Palette PNG (logos, text) gives up colours before pixels, so it starts there too, and
+    // other non-photos go down to 40% before text gets smaller.
+    const isAvif = mime === "image/avif";
+    const qHigh = isAvif ? 0.9 : Math.min(0.95, estimatedQ + 0.15);
+    const photo = content === "photo";
+    let qLow = isAvif || locked || pngOptimized ? 0.1 : photo ? Math.max(0.1, estimatedQ - 0.15) : 0.4;
+    let guess = isAvif ? 0.5 : estimatedQ;
+
+    const TARGET_TOLERANCE = 0.98; // aim for 98–100% of target
+    // below this, lower quality before shrinking further (text stays legible down to ~600px)
+    const MIN_W = Math.min(photo ? 200 : 600, targetW);
+    const MAX_ROUNDS = 6;
+
+    let w = targetW;
+    let h = targetH;
+    let smallest = null; // smallest overshoot, returned (with a warning) if nothing fits
+
+    for (let round = 0; round < MAX_ROUNDS; round++) {
+        const base = 15 + Math.round((round / MAX_ROUNDS) * 70);
+        const { fit, over, lowBytes } = await fitQuality(encoder, w, h, {
+            lo: qLow,
+            hi: qHigh,
+            guess,
+            maxBytes: targetBytes,
+            tolerance: TARGET_TOLERANCE,
+            onStep: (i, q) => progress(
+                base + Math.min(10, i * 2),
+                `${round ? `${w}×${h} - ` : ""}trying quality ${Math.round(q * 100)}%`
+            ),
+        });
+        if (fit) {
+            progress(90, "Finalizing");
+            return finish(fit);
+        }
+        if (over && (!smallest || over.size < smallest.size)) smallest = over;
+        if (locked || !over) break;
+
+        // file size follows pixel count: shrink so the qLow encode lands just under the target
+        const floorBytes = lowBytes || over.size;
+        let nextW = Math.round(w * Math.sqrt(targetBytes / floorBytes) * 0.97);
+        if (nextW >= w) nextW = w - Math.max(1, Math.round(w * 0.05));
+        if (nextW < MIN_W && qLow > 0.1) {
+            // try the lowest qualities at the floor width before going any smaller
+            nextW = MIN_W;
+            qLow = 0.1;
+        } else if (nextW < 16) {
+            break;
+        }
+        progress(base + 10, `Downscaling to ${nextW}px to reach ${kbLabel(targetBytes)}`);
+        w = nextW;
+        h = Math.max(1, Math.round(w * aspect));
+        guess = qLow + 0.03;
+    }
+
+    progress(92, "Returning best possible");
+    return finish(smallest);
+}
+
@@ -0,0 +1,141 @@
+// heic.js - HEIC/HEIF input. The bundled heic2any converter (its own lazy chunk, so it works
+// offline and never touches a CDN) turns every image in the container - bursts, Live Photo
+// stills - into a JPEG; Safari's native decoder is the fallback for the primary image.
+// Each file is converted once and the frames are shared by the preview, detection and
+// compression. Main thread only (heic2any needs window).
+
+import {
+    decodeImage,
+    renderScaled,
+    canvasToBlobWithFallback,
+    releaseCanvas,
+    releaseSource,
+    throwIfAborted,
+    abortable,
+} from "./engine";
+
+const HEIC_JPEG_QUALITY = 0.92; // intermediate JPEG: close to lossless, the real encode comes later
+
+/* HEIC/HEIF by MIME type or file extension (many browsers report an empty type) */
+export function isHeicFile(f) {
+    if (!f) return false;
+    const t = (f.type || "").toLowerCase();
+    const name = (f.name || "").toLowerCase();
+    return (
+        t.includes("heic") ||
+        t.includes("heif") ||
+        name.endsWith(".heic") ||
+        name.endsWith(".heif")
+    );
+}
+
+/* ------------ Converter: bundled heic2any, loaded on first use ------------ */
+
+let converterPromise = null;
+
+function loadHeic2any() {
+    if (!converterPromise) {
+        converterPromise = import("heic2any")
+            .then((mod) => {
+                const fn = mod?.default || mod;
+                if (typeof fn !== "function") throw new Error("heic2any has no default export");
+                return fn;
+            })
+            .catch((err) => {
+                converterPromise = null; // let a later file try again
+                throw err;
+            });
+    }
+    return converterPromise;
+}
+
+/* Native decode -> JPEG re-encode (Safari can decode HEIC itself; any decodable blob works).
+   Bitmap and canvas are released before returning. */
+export async function nativeHeicToJpeg(heicBlob, quality, signal) {
+    const decoded = await decodeImage(heicBlob);
+    let canvas = null;
+    try {
+        throwIfAborted(signal);
+        canvas = await renderScaled(decoded, decoded.width, decoded.height);
+        throwIfAborted(signal);
+        return await canvasToBlobWithFallback(canvas, "image/jpeg", quality);
+    } finally {
+        releaseCanvas(canvas);
+        releaseSource(decoded);
+    }
+}
+
+/* heic2any's answer (Blob, Blob[] or buffer) as a list of JPEG blobs */
+function asBlobs(out) {
+    const list = Array.isArray(out) ? out : [out];
+    return list
+        .map((item) => {
+            if (item instanceof Blob) return item;
+            if (item instanceof ArrayBuffer || item?.buffer) {
+                return new Blob([item instanceof ArrayBuffer ? item : item.buffer], { type: "image/jpeg" });
+            }
+            return null;
+        })
+        .filter((b) => b && b.size > 0);
+}
+
+async function convertFrames(heicBlob, progressCb) {
+    progressCb(10, "Loading HEIC converter...");
+    let heic2any = null;
+    try {
+        heic2any = await loadHeic2any();
+    } catch (err) {
+        console.error("Failed to load heic2any:", err);
+    }
+
+    if (heic2any) {
+        progressCb(30, "Converting HEIC to JPEG...");
+        try {
+            const frames = asBlobs(await heic2any({ blob: heicBlob, toType: "image/jpeg", quality: HEIC_JPEG_QUALITY, multiple: true }));
+            if (frames.length) return frames;
+        } catch (err) {
+            console.info("heic2any could not convert this file:", err?.message || err);
+        }
+    }
+
+    // Safari and a few others decode the primary image natively
+    progressCb(50, "Trying the browser's own HEIC decoder...");
+    try {
+        const jpeg = await nativeHeicToJpeg(heicBlob, HEIC_JPEG_QUALITY);
+        if (jpeg && jpeg.size > 0) return [jpeg];
+    } catch (err) {
+        console.info("Native HEIC decode failed:", err?.message || err);
+    }
+    throw new Error("HEIC conversion failed. Try a different browser (Safari) or convert the file externally.");
+}
+
+/* One conversion per file, shared by every caller */
+const framesCache = new WeakMap();
+
+/**
+ * Every image in a HEIC/HEIF file as a JPEG blob (index 0 = the primary image).
+ * The conversion runs once per file; later calls (preview, detection, compression) reuse it.
+ * Aborting `signal` stops this caller waiting - the shared conversion itself keeps going.
+ * @param {Blob} heicBlob
+ * @param {{progress?: (pct: number, note: string) => void, signal?: AbortSignal|null}} [options]
+ * @returns {Promise<Blob[]>}
+ */
+export function heicFrames(heicBlob, { progress = () => { }, signal = null } = {}) {
+    let pending = framesCache.get(heicBlob);
+    if (!pending) {
+        pending = convertFrames(heicBlob, progress);
+        framesCache.set(heicBlob, pending);
+        pending.catch(() => framesCache.delete(heicBlob));
+    }
+    return abortable(pending, signal);
+}
+
+/* Convert HEIC/HEIF Blob -> JPEG Blob: the primary image (see heicFrames for the others).
+   A quality below the shared conversion's re-encodes that frame; progressCb(pct, msg) is used
+   for UI updates; signal (AbortSignal) stops waiting. */
+export async function convertHeicToJpegBlob(heicBlob, quality = HEIC_JPEG_QUALITY, progressCb = () => { }, signal = null) {
+    throwIfAborted(signal);
+    const [first] = await heicFrames(heicBlob, { progress: progressCb, signal });
+    if (!(quality < HEIC_JPEG_QUALITY)) return first;
+    return nativeHeicToJpeg(first, quality, signal);
+}
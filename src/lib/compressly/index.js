@@ -0,0 +1,196 @@
+// index.js - compressly: the image compression engine behind the Compressly pages, as one API.
+// compress(blob, options) decodes, edits, resizes and searches quality to hit a size target,
+// then re-attaches the chosen metadata. It runs wherever a 2D canvas exists: the main thread,
+// a worker (OffscreenCanvas) or a canvas shim.
+
+import { compressFileOptimized, resultInfo } from "./engine";
+
+/**
+ * @typedef {Object} JpegOptions
+ * @property {"builtin"|"browser"} [encoder="browser"] In-project encoder (smaller files) or canvas.toBlob.
+ * @property {"auto"|"420"|"422"|"444"} [subsampling="auto"] Chroma subsampling (built-in encoder).
+ * @property {boolean} [progressive=false]
+ * @property {boolean} [optimizeHuffman=false]
+ * @property {boolean} [trellis=false] Drop near-zero coefficients (smaller, slightly softer).
+ * @property {"standard"|"robidoux"} [quantTable="standard"]
+ */
+
+/**
+ * @typedef {Object} OutputSize
+ * @property {number} width Exact width in px (0 = follow the source aspect).
+ * @property {number} height Exact height in px (0 = follow the source aspect).
+ * @property {"cover"|"contain"|"pad"|"stretch"} [fit="cover"]
+ * @property {string} [background="#ffffff"] Pad colour for fit "pad".
+ */
+
+/**
+ * @typedef {Object} Edit
+ * @property {0|90|180|270} [rotate=0] Clockwise quarter turns.
+ * @property {boolean} [flipH=false]
+ * @property {boolean} [flipV=false]
+ * @property {number} [straighten=0] Fine rotation in degrees (-45..45).
+ * @property {{x:number,y:number,w:number,h:number}|null} [crop] Normalized (0..1) to the rotated frame.
+ */
+
+/**
+ * @typedef {Object} CompressOptions
+ * @property {"image/jpeg"|"image/png"|"image/webp"|"image/avif"} [mime="image/jpeg"] Output type.
+ * @property {number} [quality=0.82] Encoder quality 0..1 (the starting point when a target is set).
+ * @property {number} [targetBytes=0] Size ceiling in bytes; 0 = encode once at `quality`.
+ * @property {number} [minBytes=0] Size floor for a min–max range; smaller results are grown.
+ * @property {number} [minSsim=0] Quality-target mode: smallest file whose SSIM reaches this (0..1).
+ *   Replaces targetBytes / minBytes.
+ * @property {boolean} [measure=false] Score the result against the source (see CompressResult.similarity).
+ * @property {number} [maxWidth=0] Widest the size search starts from (0 = source width).
+ * @property {OutputSize|null} [outputSize] Exact output pixels; only quality is searched.
+ * @property {boolean} [lockDimensions=false] Keep the source's pixel size; only quality is searched.
+ * @property {Edit|null} [edit] Crop / rotate / flip / straighten, applied before anything else.
+ * @property {"photo"|"screenshot"|"logo"|"document"} [content="photo"] What the image shows (see
+ *   classifyImage). Photos get the size heuristics (smoothing, 4:2:0, long-edge caps); the other
+ *   types keep 4:4:4 chroma, are sharpened after downscaling and hold their width longer.
+ * @property {"auto"|"lanczos3"|"box"|"browser"} [resample="auto"] Resize filter: Lanczos-3 in linear
+ *   light ("auto" pre-reduces big shrinks by area averaging), area averaging, or the canvas's own.
+ * @property {number|null} [sharpen=null] Unsharp-mask amount after downscaling (0 = off, ~0.3 light,
+ *   ~0.7 strong); null = the content default.
+ * @property {number} [maxPixels] Largest canvas to create (default canvasPixelBudget() for this
+ *   device). Bigger sources are downscaled while decoding, band by band, with a warning.
+ * @property {"srgb"|"keep"} [color="srgb"] Sources with an ICC profile (Display P3, Adobe RGB, ...)
+ *   are converted to sRGB, or keep their pixels and a compact (<= 16 KB) copy of the profile.
+ * @property {number} [page=0] Page of a multi-page TIFF to compress (see tiffPages).
+ * @property {boolean} [pngOptimized=false] Palette-quantize PNG output (lossy, much smaller).
+ * @property {boolean} [dither=true] Dither palette PNGs.
+ * @property {number} [pngEffort=6] Deflate effort 0..9.
+ * @property {JpegOptions|null} [jpeg] JPEG encoder settings.
+ * @property {"strip"|"copyright"|"all"} [metadata="strip"] What is written back from the source.
+ * @property {number} [dpi=0] Physical resolution stamped into the file.
+ * @property {AbortSignal|null} [signal] Cancels between encode attempts (rejects with an AbortError).
+ * @property {(pct: number, note: string) => void} [progress]
+ * @property {(message: string) => void} [warn] Called when a target can't be met.
+ */
+
+/**
+ * @typedef {Object} EncodeAttempt
+ * @property {number} width
+ * @property {number} height
+ * @property {number} quality
+ * @property {number} bytes
+ */
+
+/**
+ * @typedef {Object} CompressDiagnostics
+ * @property {string} type MIME type of the result.
+ * @property {number} inputBytes
+ * @property {number} outputBytes
+ * @property {number} ratio outputBytes / inputBytes.
+ * @property {boolean} targetMet Result is inside [minBytes, targetBytes] (true without a target),
+ *   or reaches minSsim in quality-target mode.
+ * @property {string[]} warnings Everything reported through `warn`.
+ * @property {EncodeAttempt[]} encodes Every encode the search tried, in order.
+ * @property {number} ms Wall time.
+ */
+
+/**
+ * @typedef {Object} CompressResult
+ * @property {Blob} blob
+ * @property {number} width
+ * @property {number} height
+ * @property {number} quality Encoder quality of the result.
+ * @property {number} attempts Number of encodes tried.
+ * @property {{ssim: number, psnr: number}|null} similarity SSIM (0..1) and PSNR (dB) against the
+ *   source at the output size; null unless `measure` or `minSsim` was set.
+ * @property {{profile: string, action: "srgb"|"converted"|"kept"|"browser"}|null} color What was done
+ *   with the source's colour profile (see describeColor); null when it had none.
+ * @property {CompressDiagnostics} diagnostics
+ */
+
+/**
+ * Compress an image file to the given format / quality / size target.
+ * @param {Blob} blob Any image the runtime can decode (JPEG, PNG, WebP, AVIF, ...), plus the CMYK /
+ *   YCCK / 12-bit JPEGs, 16-bit PNGs, TIFFs and BMPs the in-project decoders handle (see inspectImage).
+ *   Camera RAWs (DNG, CR2, NEF, ARW, PEF) are compressed from their embedded JPEG preview, with a warning.
+ * @param {CompressOptions} [options]
+ * @returns {Promise<CompressResult>}
+ */
+export async function compress(blob, options = {}) {
+    const started = Date.now();
+    const encodes = [];
+    const warnings = [];
+    const { warn = () => { } } = options;
+
+    const out = await compressFileOptimized(blob, {
+        ...options,
+        onEncode: (attempt) => encodes.push(attempt),
+        warn: (message) => {
+            warnings.push(message);
+            warn(message);
+        },
+    });
+    if (!out) throw new Error("Compression produced no output.");
+
+    const info = resultInfo(out) || { width: 0, height: 0, quality: options.quality ?? 0.82 };
+    const sizeGoal = !(options.minSsim > 0);
+    const ceiling = sizeGoal && options.targetBytes > 0 ? options.targetBytes : Infinity;
+    const floor = sizeGoal && options.minBytes > 0 ? options.minBytes : 0;
+
+    return {
+        blob: out,
+        width: info.width,
+        height: info.height,
+        quality: info.quality,
+        attempts: encodes.length,
+        similarity: info.ssim != null ? { ssim: info.ssim, psnr: info.psnr } : null,
+        color: info.color || null,
+        diagnostics: {
+            type: out.type || options.mime || "image/jpeg",
+            inputBytes: blob.size,
+            outputBytes: out.size,
+            ratio: blob.size ? out.size / blob.size : 1,
+            targetMet: sizeGoal
+                ? out.size <= ceiling && out.size >= floor
+                : info.ssim != null && info.ssim >= options.minSsim,
+            warnings,
+            encodes,
+            ms: Date.now() - started,
+        },
+    };
+}
+
+export {
+    compressFileOptimized,
+    estimateSizes,
+    resultInfo,
+    createCanvas,
+    canvasPixelBudget,
+    decodeImage,
+    renderScaled,
+    canvasToBlobWithFallback,
+    releaseCanvas,
+    releaseSource,
+    abortError,
+    isAbortError,
+    throwIfAborted,
+    abortable,
+} from "./engine";
+export { isHeicFile, nativeHeicToJpeg, convertHeicToJpegBlob, heicFrames } from "./heic";
+export { isTiffFile, tiffPages } from "./pages";
+export { isRawFile, rawType, cameraPreview } from "./raw";
+export { isAvifAvailable, isAvifEncodeSupported } from "./avif";
+export {
+    METADATA_MODES,
+    readMetadata,
+    summarizeMetadata,
+    keptKeys,
+    printSizeToPixels,
+} from "./metadata";
+export { SSIM_PRESETS, describeSsim, measureSimilarity } from "./similarity";
+export { inspectImage, describeInput } from "./inspect";
+export { decodeJpeg } from "./jpegdecode";
+export { decodePng } from "./pngdecode";
+export { decodeTiff, tiffPageCount } from "./tiff";
+export { decodeBmp } from "./bmp";
+export { CONTENT_TYPES, classifyPixels, classifyImage } from "./classify";
+export { COMPACT_ICC_BYTES, parseIcc, createSrgbTransform, describeColor } from "./color";
+export { resampleRGBA, createBandReducer, gaussianBlur, unsharpMask } from "./resample";
+export { NO_EDIT, isIdentityEdit, frameSize, cropForAspect, drawEdited } from "./edit";
+export { encodeJpeg, QUANT_TABLES } from "./jpeg";
+export { encodePng, encodeIndexedPng } from "./png";
@@ -0,0 +1,162 @@
+// inspect.js - what a file really is, from its first bytes: container format, pixel size,
+// colour model, bit depth and coding. decodeImage uses it to send the files browsers decode
+// badly or not at all (CMYK / YCCK / 12-bit JPEG, 16-bit PNG, TIFF, BMP, camera RAW) to the
+// in-project decoders and to explain the ones nothing here can decode.
+
+import { unsupportedJpegReason } from "./jpegdecode";
+import { rawType } from "./raw";
+
+const HEAD_BYTES = 256 * 1024;
+
+function ascii(bytes, start, len) {
+    let s = "";
+    for (let i = 0; i < len && start + i < bytes.length; i++) s += String.fromCharCode(bytes[start + i]);
+    return s;
+}
+
+function inspectJpeg(bytes, info) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let adobe = null;
+    let p = 2;
+    while (p + 4 <= bytes.length) {
+        if (bytes[p] !== 0xff) break;
+        const marker = bytes[p + 1];
+        if (marker === 0xff) {
+            p++;
+            continue;
+        }
+        if (marker === 0xd9 || marker === 0xda) break;
+        const len = view.getUint16(p + 2);
+        const body = p + 4;
+        if (marker === 0xee && ascii(bytes, body, 5) === "Adobe") {
+            adobe = bytes[body + 11];
+        } else if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            info.bitDepth = bytes[body];
+            info.height = view.getUint16(body + 1);
+            info.width = view.getUint16(body + 3);
+            info.channels = bytes[body + 5];
+            info.progressive = marker === 0xc2 || marker === 0xc6 || marker === 0xca || marker === 0xce;
+            info.problem = unsupportedJpegReason(marker);
+        }
+        p += 2 + len;
+    }
+
+    if (info.channels === 1) info.colorModel = "gray";
+    else if (info.channels === 4) info.colorModel = adobe === 2 ? "ycck" : "cmyk";
+    else info.colorModel = "rgb";
+
+    if (info.problem) return;
+    if (!info.width) info.problem = "This JPEG has no readable image header - the file is damaged or truncated.";
+    else if (info.channels === 4 || info.bitDepth > 8) info.decoder = "jpeg";
+}
+
+function inspectPng(bytes, info) {
+    if (ascii(bytes, 12, 4) !== "IHDR") {
+        info.problem = "This PNG has no readable image header - the file is damaged.";
+        return;
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const colorType = bytes[25];
+    info.width = view.getUint32(16);
+    info.height = view.getUint32(20);
+    info.bitDepth = bytes[24];
+    info.channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType] || 0;
+    info.colorModel = colorType === 0 || colorType === 4 ? "gray" : colorType === 3 ? "indexed" : "rgb";
+    if (info.bitDepth === 16) info.decoder = "png";
+}
+
+function inspectBmp(bytes, info) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 30) {
+        info.problem = "This BMP has no readable image header - the file is damaged.";
+        return;
+    }
+    const core = view.getUint32(14, true) === 12;
+    info.width = core ? view.getUint16(18, true) : Math.abs(view.getInt32(18, true));
+    info.height = core ? view.getUint16(20, true) : Math.abs(view.getInt32(22, true));
+    const bits = core ? view.getUint16(24, true) : view.getUint16(28, true);
+    info.channels = bits === 32 ? 4 : bits <= 8 ? 1 : 3;
+    info.colorModel = bits <= 8 ? "indexed" : "rgb";
+}
+
+/* Box-based formats (ISO BMFF): AVIF / HEIC by their 'ftyp' brands */
+function bmffFormat(bytes) {
+    if (ascii(bytes, 4, 4) !== "ftyp") return null;
+    const size = Math.min(bytes.length, (bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]);
+    const brands = [ascii(bytes, 8, 4)];
+    for (let p = 16; p + 4 <= size; p += 4) brands.push(ascii(bytes, p, 4));
+    if (brands.some((b) => b === "avif" || b === "avis")) return "avif";
+    if (brands.some((b) => ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"].includes(b))) return "heic";
+    return null;
+}
+
+/**
+ * Inspect the head of an image file. Never throws. Returns
+ * { format, width, height, bitDepth, channels, colorModel, progressive, decoder, problem, rawType }:
+ *   format      "jpeg" | "png" | "gif" | "webp" | "avif" | "heic" | "tiff" | "bmp" | "raw" | "unknown"
+ *   colorModel  "rgb" | "gray" | "indexed" | "cmyk" | "ycck" (JPEG / PNG / BMP only, else null)
+ *   decoder     "browser", or the in-project decoder that handles it properly
+ *               ("jpeg" | "png" | "tiff" | "bmp" | "raw" - its embedded camera preview)
+ *   rawType     "DNG" | "CR2" | "NEF" | "ARW" | "PEF" | "RAW" for camera RAWs, else null
+ *   problem     what to tell the user if the browser can't decode it either, else null
+ */
+export async function inspectImage(blob) {
+    const info = {
+        format: "unknown",
+        width: 0,
+        height: 0,
+        bitDepth: 8,
+        channels: 0,
+        colorModel: null,
+        progressive: false,
+        decoder: "browser",
+        problem: null,
+        rawType: null,
+    };
+    let bytes;
+    try {
+        bytes = new Uint8Array(await blob.slice(0, HEAD_BYTES).arrayBuffer());
+    } catch {
+        info.problem = "The file couldn't be read.";
+        return info;
+    }
+
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+        info.format = "jpeg";
+        inspectJpeg(bytes, info);
+    } else if (ascii(bytes, 1, 3) === "PNG") {
+        info.format = "png";
+        inspectPng(bytes, info);
+    } else if (ascii(bytes, 0, 4) === "GIF8") {
+        info.format = "gif";
+    } else if (ascii(bytes, 0, 4) === "RIFF" && ascii(bytes, 8, 4) === "WEBP") {
+        info.format = "webp";
+    } else if (bmffFormat(bytes)) {
+        info.format = bmffFormat(bytes);
+    } else if (ascii(bytes, 0, 4) === "II*\0" || ascii(bytes, 0, 4) === "MM\0*") {
+        info.rawType = rawType(bytes, blob.name);
+        info.format = info.rawType ? "raw" : "tiff";
+        info.decoder = info.format;
+    } else if (ascii(bytes, 0, 2) === "BM") {
+        info.format = "bmp";
+        info.decoder = "bmp";
+        inspectBmp(bytes, info);
+    } else if (bytes.length === 0) {
+        info.problem = "The file is empty.";
+    } else {
+        info.problem = "This file isn't an image format Compressly can read (JPEG, PNG, WebP, AVIF, GIF, HEIC, TIFF, BMP or a DNG / CR2 / NEF / ARW camera RAW).";
+    }
+    return info;
+}
+
+/* Short label for messages, e.g. "CMYK JPEG", "16-bit PNG", "progressive JPEG", "NEF RAW" */
+export function describeInput(info) {
+    if (!info) return "image";
+    if (info.format === "raw") return info.rawType === "RAW" ? "camera RAW" : `${info.rawType} RAW`;
+    const name = info.format === "unknown" ? "image" : info.format.toUpperCase();
+    const parts = [];
+    if (info.colorModel === "cmyk" || info.colorModel === "ycck") parts.push(info.colorModel.toUpperCase());
+    if (info.bitDepth > 8) parts.push(`${info.bitDepth}-bit`);
+    if (info.progressive) parts.push("progressive");
+    return [...parts, name].join(" ");
+}
@@ -0,0 +1,676 @@
+// jpeg.js - in-project JPEG encoder.
+// Levers the browser's canvas encoder doesn't expose: chroma subsampling (4:4:4 / 4:2:2 / 4:2:0),
+// optimized Huffman tables, progressive scans, alternative quantization tables and a
+// light rate-distortion pass ("trellis" here = dead-zone + tail trimming, not a full trellis search).
+
+/* natural (row-major) index -> zigzag position */
+const ZIGZAG = new Uint8Array([
+    0, 1, 5, 6, 14, 15, 27, 28,
+    2, 4, 7, 13, 16, 26, 29, 42,
+    3, 8, 12, 17, 25, 30, 41, 43,
+    9, 11, 18, 24, 31, 40, 44, 53,
+    10, 19, 23, 32, 39, 45, 52, 54,
+    20, 22, 33, 38, 46, 51, 55, 60,
+    21, 34, 37, 47, 50, 56, 59, 61,
+    35, 36, 48, 49, 57, 58, 62, 63,
+]);
+
+/* Quantization tables in natural order */
+export const QUANT_TABLES = {
+    // ITU-T T.81 Annex K
+    standard: {
+        luma: [
+            16, 11, 10, 16, 24, 40, 51, 61,
+            12, 12, 14, 19, 26, 58, 60, 55,
+            14, 13, 16, 24, 40, 57, 69, 56,
+            14, 17, 22, 29, 51, 87, 80, 62,
+            18, 22, 37, 56, 68, 109, 103, 77,
+            24, 35, 55, 64, 81, 104, 113, 92,
+            49, 64, 78, 87, 103, 121, 120, 101,
+            72, 92, 95, 98, 112, 100, 103, 99,
+        ],
+        chroma: [
+            17, 18, 24, 47, 99, 99, 99, 99,
+            18, 21, 26, 66, 99, 99, 99, 99,
+            24, 26, 56, 99, 99, 99, 99, 99,
+            47, 66, 99, 99, 99, 99, 99, 99,
+            99, 99, 99, 99, 99, 99, 99, 99,
+            99, 99, 99, 99, 99, 99, 99, 99,
+            99, 99, 99, 99, 99, 99, 99, 99,
+            99, 99, 99, 99, 99, 99, 99, 99,
+        ],
+    },
+    // N. Robidoux's table (ImageMagick) - smoother falloff, fewer blocky artefacts at low quality
+    robidoux: {
+        luma: [
+            16, 16, 16, 18, 25, 37, 56, 85,
+            16, 17, 20, 27, 34, 40, 53, 75,
+            16, 20, 24, 31, 43, 62, 91, 135,
+            18, 27, 31, 40, 53, 74, 106, 156,
+            25, 34, 43, 53, 69, 94, 131, 189,
+            37, 40, 62, 74, 94, 124, 169, 238,
+            56, 53, 91, 106, 131, 169, 226, 311,
+            85, 75, 135, 156, 189, 238, 311, 418,
+        ],
+        chroma: [
+            16, 16, 16, 18, 25, 37, 56, 85,
+            16, 17, 20, 27, 34, 40, 53, 75,
+            16, 20, 24, 31, 43, 62, 91, 135,
+            18, 27, 31, 40, 53, 74, 106, 156,
+            25, 34, 43, 53, 69, 94, 131, 189,
+            37, 40, 62, 74, 94, 124, 169, 238,
+            56, 53, 91, 106, 131, 169, 226, 311,
+            85, 75, 135, 156, 189, 238, 311, 418,
+        ],
+    },
+};
+
+/* Annex K.3 default Huffman tables: [bits(16), values] */
+const STD_DC_LUMA = [[0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0], [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]];
+const STD_DC_CHROMA = [[0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0], [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]];
+const STD_AC_LUMA = [
+    [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+    [
+        0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+        0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+        0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+        0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+        0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+        0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+        0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+        0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+        0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+        0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+        0xf9, 0xfa,
+    ],
+];
+const STD_AC_CHROMA = [
+    [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+    [
+        0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+        0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+        0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+        0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+        0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+        0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+        0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+        0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+        0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+        0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+        0xf9, 0xfa,
+    ],
+];
+
+const AAN_SCALE = [1.0, 1.387039845, 1.306562965, 1.175875602, 1.0, 0.785694958, 0.5411961, 0.275899379];
+
+/* chroma subsampling -> luma sampling factors [H, V] */
+const SUBSAMPLING = { "444": [1, 1], "422": [2, 1], "420": [2, 2] };
+
+/* libjpeg quality scaling; q is 0..1 like canvas.toBlob */
+function scaleTable(base, q) {
+    const quality = Math.max(1, Math.min(100, Math.round(q * 100)));
+    const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+    return base.map((v) => Math.max(1, Math.min(255, Math.floor((v * scale + 50) / 100))));
+}
+
+/* ------------ DCT + quantization ------------ */
+
+/* AAN float forward DCT, in place on 64 values (libjpeg jfdctflt) */
+function fdct(d) {
+    for (let p = 0; p < 64; p += 8) row(d, p, 1);
+    for (let p = 0; p < 8; p++) row(d, p, 8);
+}
+
+function row(d, o, s) {
+    const d0 = d[o], d1 = d[o + s], d2 = d[o + 2 * s], d3 = d[o + 3 * s];
+    const d4 = d[o + 4 * s], d5 = d[o + 5 * s], d6 = d[o + 6 * s], d7 = d[o + 7 * s];
+
+    const tmp0 = d0 + d7, tmp7 = d0 - d7;
+    const tmp1 = d1 + d6, tmp6 = d1 - d6;
+    const tmp2 = d2 + d5, tmp5 = d2 - d5;
+    const tmp3 = d3 + d4, tmp4 = d3 - d4;
+
+    let tmp10 = tmp0 + tmp3;
+    const tmp13 = tmp0 - tmp3;
+    let tmp11 = tmp1 + tmp2;
+    let tmp12 = tmp1 - tmp2;
+
+    d[o] = tmp10 + tmp11;
+    d[o + 4 * s] = tmp10 - tmp11;
+    const z1 = (tmp12 + tmp13) * 0.707106781;
+    d[o + 2 * s] = tmp13 + z1;
+    d[o + 6 * s] = tmp13 - z1;
+
+    tmp10 = tmp4 + tmp5;
+    tmp11 = tmp5 + tmp6;
+    tmp12 = tmp6 + tmp7;
+    const z5 = (tmp10 - tmp12) * 0.382683433;
+    const z2 = 0.5411961 * tmp10 + z5;
+    const z4 = 1.306562965 * tmp12 + z5;
+    const z3 = tmp11 * 0.707106781;
+    const z11 = tmp7 + z3;
+    const z13 = tmp7 - z3;
+
+    d[o + 5 * s] = z13 + z2;
+    d[o + 3 * s] = z13 - z2;
+    d[o + s] = z11 + z4;
+    d[o + 7 * s] = z11 - z4;
+}
+
+function divisors(table) {
+    const div = new Float32Array(64);
+    for (let r = 0; r < 8; r++) {
+        for (let c = 0; c < 8; c++) {
+            div[r * 8 + c] = table[r * 8 + c] * AAN_SCALE[r] * AAN_SCALE[c] * 8;
+        }
+    }
+    return div;
+}
+
+/* Quantize one DCT block into zigzag order. With `rdo`, coefficients that barely round
+   to ±1 are dropped (dead zone) and a lone ±1 tail before EOB is trimmed. */
+function quantizeBlock(d, div, out, outOff, rdo) {
+    for (let i = 0; i < 64; i++) {
+        const x = d[i] / div[i];
+        let v = Math.round(x);
+        if (rdo && i > 0 && (v === 1 || v === -1) && Math.abs(x) < 0.62) v = 0;
+        out[outOff + ZIGZAG[i]] = v;
+    }
+    if (!rdo) return;
+
+    // tail trimming: isolated ±1 far from the previous non-zero costs more than it gives
+    let last = 63;
+    while (last > 0 && out[outOff + last] === 0) last--;
+    while (last > 5) {
+        const v = out[outOff + last];
+        if (v !== 1 && v !== -1) break;
+        let prev = last - 1;
+        while (prev > 0 && out[outOff + prev] === 0) prev--;
+        if (last - prev < 4) break;
+        out[outOff + last] = 0;
+        last = prev;
+    }
+}
+
+/* ------------ planes ------------ */
+
+function buildComponents(rgba, width, height, subsampling, gray) {
+    const [hMax, vMax] = gray ? [1, 1] : SUBSAMPLING[subsampling] || SUBSAMPLING["420"];
+    const mcuW = 8 * hMax;
+    const mcuH = 8 * vMax;
+    const mcusX = Math.ceil(width / mcuW);
+    const mcusY = Math.ceil(height / mcuH);
+    const pw = mcusX * mcuW;
+    const ph = mcusY * mcuH;
+
+    // full-resolution, edge-replicated Y / Cb / Cr planes
+    const Y = new Float32Array(pw * ph);
+    const Cb = gray ? null : new Float32Array(pw * ph);
+    const Cr = gray ? null : new Float32Array(pw * ph);
+    for (let y = 0; y < ph; y++) {
+        const sy = Math.min(y, height - 1);
+        for (let x = 0; x < pw; x++) {
+            const sx = Math.min(x, width - 1);
+            const i = (sy * width + sx) * 4;
+            const r = rgba[i], g = rgba[i + 1], b = rgba[i + 2];
+            const o = y * pw + x;
+            Y[o] = 0.299 * r + 0.587 * g + 0.114 * b;
+            if (!gray) {
+                Cb[o] = -0.168736 * r - 0.331264 * g + 0.5 * b + 128;
+                Cr[o] = 0.5 * r - 0.418688 * g - 0.081312 * b + 128;
+            }
+        }
+    }
+
+    const comps = [{ id: 1, h: hMax, v: vMax, tq: 0, plane: Y, pw, ph, w: width, h8: height }];
+    if (gray) return { comps, mcusX, mcusY, hMax, vMax };
+
+    // chroma: box-average down to 1x1 sampling
+    const cw = mcusX * 8;
+    const ch = mcusY * 8;
+    const down = (src) => {
+        if (hMax === 1 && vMax === 1) return src;
+        const out = new Float32Array(cw * ch);
+        const n = hMax * vMax;
+        for (let y = 0; y < ch; y++) {
+            for (let x = 0; x < cw; x++) {
+                let sum = 0;
+                for (let dy = 0; dy < vMax; dy++) {
+                    for (let dx = 0; dx < hMax; dx++) {
+                        sum += src[(y * vMax + dy) * pw + x * hMax + dx];
+                    }
+                }
+                out[y * cw + x] = sum / n;
+            }
+        }
+        return out;
+    };
+
+    const chromaW = Math.ceil(width / hMax);
+    const chromaH = Math.ceil(height / vMax);
+    comps.push({ id: 2, h: 1, v: 1, tq: 1, plane: down(Cb), pw: cw, ph: ch, w: chromaW, h8: chromaH });
+    comps.push({ id: 3, h: 1, v: 1, tq: 1, plane: down(Cr), pw: cw, ph: ch, w: chromaW, h8: chromaH });
+    return { comps, mcusX, mcusY, hMax, vMax };
+}
+
+/* DCT + quantize every 8x8 block of a component (MCU-padded grid, zigzag order) */
+function transformComponent(comp, div, rdo) {
+    const bw = comp.pw / 8;
+    const bh = comp.ph / 8;
+    const coefs = new Int16Array(bw * bh * 64);
+    const blk = new Float32Array(64);
+
+    for (let by = 0; by < bh; by++) {
+        for (let bx = 0; bx < bw; bx++) {
+            for (let y = 0; y < 8; y++) {
+                const rowOff = (by * 8 + y) * comp.pw + bx * 8;
+                for (let x = 0; x < 8; x++) blk[y * 8 + x] = comp.plane[rowOff + x] - 128;
+            }
+            fdct(blk);
+            quantizeBlock(blk, div, coefs, (by * bw + bx) * 64, rdo);
+        }
+    }
+
+    comp.bw = bw;
+    comp.coefs = coefs;
+    comp.plane = null;
+}
+
+/* ------------ Huffman ------------ */
+
+function bitSize(v) {
+    v = v < 0 ? -v : v;
+    let n = 0;
+    while (v) {
+        n++;
+        v >>= 1;
+    }
+    return n;
+}
+
+/* Optimal lengths limited to 16 bits (ITU-T T.81 Annex K.2 / K.3) */
+function tableFromFreq(freqIn) {
+    const freq = new Float64Array(257);
+    for (let i = 0; i < 256; i++) freq[i] = freqIn[i];
+    freq[256] = 1; // reserved so no code is all 1-bits
+
+    const codesize = new Int32Array(257);
+    const others = new Int32Array(257).fill(-1);
+
+    for (;;) {
+        let c1 = -1;
+        let v = 1e18;
+        for (let i = 0; i <= 256; i++) {
+            if (freq[i] && freq[i] <= v) {
+                v = freq[i];
+                c1 = i;
+            }
+        }
+        let c2 = -1;
+        v = 1e18;
+        for (let i = 0; i <= 256; i++) {
+            if (freq[i] && freq[i] <= v && i !== c1) {
+                v = freq[i];
+                c2 = i;
+            }
+        }
+        if (c2 < 0) break;
+
+        freq[c1] += freq[c2];
+        freq[c2] = 0;
+        codesize[c1]++;
+        while (others[c1] >= 0) {
+            c1 = others[c1];
+            codesize[c1]++;
+        }
+        others[c1] = c2;
+        codesize[c2]++;
+        while (others[c2] >= 0) {
+            c2 = others[c2];
+            codesize[c2]++;
+        }
+    }
+
+    const bits = new Int32Array(33);
+    for (let i = 0; i <= 256; i++) if (codesize[i]) bits[codesize[i]]++;
+
+    for (let i = 32; i > 16; i--) {
+        while (bits[i] > 0) {
+            let j = i - 2;
+            while (bits[j] === 0) j--;
+            bits[i] -= 2;
+            bits[i - 1]++;
+            bits[j + 1] += 2;
+            bits[j]--;
+        }
+    }
+    let i = 16;
+    while (bits[i] === 0) i--;
+    bits[i]--; // drop the reserved code
+
+    const values = [];
+    for (let len = 1; len <= 32; len++) {
+        for (let s = 0; s < 256; s++) if (codesize[s] === len) values.push(s);
+    }
+    return [Array.from(bits.subarray(1, 17)), values];
+}
+
+/* [bits, values] -> lookup { code[sym], size[sym] } (Annex C) */
+function huffLookup([bits, values]) {
+    const code = new Uint16Array(256);
+    const size = new Uint8Array(256);
+    let k = 0;
+    let c = 0;
+    for (let len = 1; len <= 16; len++) {
+        for (let n = 0; n < bits[len - 1]; n++) {
+            code[values[k]] = c++;
+            size[values[k]] = len;
+            k++;
+        }
+        c <<= 1;
+    }
+    return { code, size };
+}
+
+/* ------------ bit output ------------ */
+
+function createJpegWriter() {
+    let buf = new Uint8Array(1 << 16);
+    let pos = 0;
+    let acc = 0;
+    let nbits = 0;
+
+    const byte = (b) => {
+        if (pos >= buf.length) {
+            const next = new Uint8Array(buf.length * 2);
+            next.set(buf);
+            buf = next;
+        }
+        buf[pos++] = b;
+    };
+
+    return {
+        byte,
+        bytes(arr) {
+            for (let i = 0; i < arr.length; i++) byte(arr[i]);
+        },
+        u16(v) {
+            byte((v >> 8) & 255);
+            byte(v & 255);
+        },
+        bits(value, n) {
+            // MSB-first with 0xFF byte stuffing
+            for (let i = n - 1; i >= 0; i--) {
+                acc = (acc << 1) | ((value >> i) & 1);
+                if (++nbits === 8) {
+                    byte(acc);
+                    if (acc === 0xff) byte(0);
+                    acc = 0;
+                    nbits = 0;
+                }
+            }
+        },
+        flushBits() {
+            if (nbits > 0) this.bits((1 << (8 - nbits)) - 1, 8 - nbits);
+        },
+        result() {
+            return buf.subarray(0, pos);
+        },
+    };
+}
+
+/* ------------ scans ------------ */
+
+/* Blocks of a component visited by a scan, in coding order. Interleaved scans walk MCUs;
+   single-component scans cover only ceil(w/8) x ceil(h/8) blocks (T.81 A.2). */
+function scanBlocks(layout, comps, interleaved, visit) {
+    if (!interleaved) {
+        const c = comps[0];
+        const bx = Math.ceil(c.w / 8);
+        const by = Math.ceil(c.h8 / 8);
+        for (let y = 0; y < by; y++) {
+            for (let x = 0; x < bx; x++) visit(c, (y * c.bw + x) * 64);
+        }
+        return;
+    }
+    for (let my = 0; my < layout.mcusY; my++) {
+        for (let mx = 0; mx < layout.mcusX; mx++) {
+            for (const c of comps) {
+                for (let v = 0; v < c.v; v++) {
+                    for (let h = 0; h < c.h; h++) {
+                        visit(c, ((my * c.v + v) * c.bw + mx * c.h + h) * 64);
+                    }
+                }
+            }
+        }
+    }
+}
+
+/* Encode (or just count symbols of) one scan. sink: { sym(table, s), bits(v, n) } */
+function codeScan(layout, scan, sink) {
+    const { comps, ss, se } = scan;
+    const interleaved = comps.length > 1;
+    const pred = new Map(comps.map((c) => [c, 0]));
+    let eobrun = 0;
+
+    const putValue = (v, size) => {
+        if (size) sink.bits(v < 0 ? v - 1 + (1 << size) : v, size);
+    };
+    const flushEob = (table) => {
+        if (!eobrun) return;
+        const n = bitSize(eobrun) - 1;
+        sink.sym(table, n << 4);
+        if (n) sink.bits(eobrun & ((1 << n) - 1), n);
+        eobrun = 0;
+    };
+
+    scanBlocks(layout, comps, interleaved, (c, off) => {
+        const coefs = c.coefs;
+        const dcT = `dc${c.tq}`;
+        const acT = scan.progressive ? `ac${scan.acId}` : `ac${c.tq}`;
+
+        if (ss === 0) {
+            const dc = coefs[off];
+            const diff = dc - pred.get(c);
+            pred.set(c, dc);
+            const size = bitSize(diff);
+            sink.sym(dcT, size);
+            putValue(diff, size);
+            if (se === 0) return;
+        }
+
+        let run = 0;
+        for (let k = Math.max(1, ss); k <= se; k++) {
+            const v = coefs[off + k];
+            if (v === 0) {
+                run++;
+                continue;
+            }
+            if (scan.progressive) flushEob(acT);
+            while (run > 15) {
+                sink.sym(acT, 0xf0);
+                run -= 16;
+            }
+            const size = bitSize(v);
+            sink.sym(acT, (run << 4) | size);
+            putValue(v, size);
+            run = 0;
+        }
+        if (run > 0) {
+            if (scan.progressive) {
+                if (++eobrun === 0x7fff) flushEob(acT);
+            } else {
+                sink.sym(acT, 0x00);
+            }
+        }
+    });
+
+    if (scan.progressive && se > 0) flushEob(`ac${scan.acId}`);
+}
+
+/* ------------ markers ------------ */
+
+function writeDQT(w, id, table) {
+    w.u16(0xffdb);
+    w.u16(67);
+    w.byte(id);
+    const zz = new Uint8Array(64);
+    for (let i = 0; i < 64; i++) zz[ZIGZAG[i]] = table[i];
+    w.bytes(zz);
+}
+
+function writeDHT(w, cls, id, [bits, values]) {
+    w.u16(0xffc4);
+    w.u16(3 + 16 + values.length);
+    w.byte((cls << 4) | id);
+    w.bytes(bits);
+    w.bytes(values);
+}
+
+function writeSOS(w, comps, ss, se, tableIds) {
+    w.u16(0xffda);
+    w.u16(6 + comps.length * 2);
+    w.byte(comps.length);
+    comps.forEach((c, i) => {
+        w.byte(c.id);
+        w.byte(tableIds[i]);
+    });
+    w.byte(ss);
+    w.byte(se);
+    w.byte(0);
+}
+
+/* JFIF APP0; density = { units: 0 aspect | 1 dpi | 2 dpcm, x, y } */
+function writeJFIF(w, density) {
+    const d = density || { units: 0, x: 1, y: 1 };
+    w.u16(0xffe0);
+    w.u16(16);
+    w.bytes([0x4a, 0x46, 0x49, 0x46, 0x00, 1, 1]);
+    w.byte(d.units);
+    w.u16(d.x);
+    w.u16(d.y);
+    w.byte(0);
+    w.byte(0);
+}
+
+/**
+ * Encode RGBA pixels as JPEG.
+ * opts: {
+ *   quality: 0..1,
+ *   subsampling: "420" | "422" | "444",
+ *   optimizeHuffman: boolean (always on for progressive),
+ *   progressive: boolean,
+ *   quantTable: "standard" | "robidoux" | { luma: number[64], chroma: number[64] } (natural order),
+ *   trellis: boolean,
+ *   density: { units, x, y },
+ * }
+ */
+export function encodeJpeg(rgba, width, height, opts = {}) {
+    const {
+        quality = 0.82,
+        subsampling = "420",
+        progressive = false,
+        quantTable = "standard",
+        trellis = false,
+        density = null,
+    } = opts;
+    const optimizeHuffman = progressive || opts.optimizeHuffman !== false;
+
+    let gray = true;
+    for (let i = 0; i < rgba.length; i += 4) {
+        if (rgba[i] !== rgba[i + 1] || rgba[i] !== rgba[i + 2]) {
+            gray = false;
+            break;
+        }
+    }
+
+    const base = typeof quantTable === "object" ? quantTable : QUANT_TABLES[quantTable] || QUANT_TABLES.standard;
+    const qLuma = scaleTable(base.luma, quality);
+    const qChroma = scaleTable(base.chroma, quality);
+
+    const layout = buildComponents(rgba, width, height, subsampling, gray);
+    const { comps } = layout;
+    const divs = [divisors(qLuma), divisors(qChroma)];
+    comps.forEach((c) => transformComponent(c, divs[c.tq], trellis));
+
+    // scan script
+    let scans;
+    if (progressive) {
+        const [Y, Cb, Cr] = comps;
+        scans = [{ comps, ss: 0, se: 0, progressive: true }];
+        scans.push({ comps: [Y], ss: 1, se: 5, progressive: true, acId: 0 });
+        if (Cb) {
+            scans.push({ comps: [Cb], ss: 1, se: 63, progressive: true, acId: 1 });
+            scans.push({ comps: [Cr], ss: 1, se: 63, progressive: true, acId: 1 });
+        }
+        scans.push({ comps: [Y], ss: 6, se: 63, progressive: true, acId: 0 });
+    } else {
+        scans = [{ comps, ss: 0, se: 63, progressive: false }];
+    }
+
+    const w = createJpegWriter();
+    w.u16(0xffd8);
+    writeJFIF(w, density);
+    writeDQT(w, 0, qLuma);
+    if (!gray) writeDQT(w, 1, qChroma);
+
+    // SOF0 baseline / SOF2 progressive
+    w.u16(progressive ? 0xffc2 : 0xffc0);
+    w.u16(8 + comps.length * 3);
+    w.byte(8);
+    w.u16(height);
+    w.u16(width);
+    w.byte(comps.length);
+    comps.forEach((c) => {
+        w.byte(c.id);
+        w.byte((c.h << 4) | c.v);
+        w.byte(c.tq);
+    });
+
+    const std = {
+        dc0: STD_DC_LUMA,
+        dc1: STD_DC_CHROMA,
+        ac0: STD_AC_LUMA,
+        ac1: STD_AC_CHROMA,
+    };
+
+    for (const scan of scans) {
+        // which tables this scan uses
+        const names = new Set();
+        for (const c of scan.comps) {
+            if (scan.ss === 0) names.add(`dc${c.tq}`);
+            if (scan.se > 0) names.add(scan.progressive ? `ac${scan.acId}` : `ac${c.tq}`);
+        }
+
+        let tables;
+        if (optimizeHuffman) {
+            const freq = {};
+            names.forEach((n) => (freq[n] = new Float64Array(256)));
+            codeScan(layout, scan, { sym: (t, s) => freq[t][s]++, bits: () => { } });
+            tables = {};
+            names.forEach((n) => (tables[n] = tableFromFreq(freq[n])));
+        } else {
+            tables = std;
+        }
+
+        names.forEach((n) => writeDHT(w, n.startsWith("dc") ? 0 : 1, Number(n.slice(2)), tables[n]));
+
+        const ids = scan.comps.map((c) => {
+            const dc = scan.ss === 0 ? c.tq : 0;
+            const ac = scan.se > 0 ? (scan.progressive ? scan.acId : c.tq) : 0;
+            return (dc << 4) | ac;
+        });
+        writeSOS(w, scan.comps, scan.ss, scan.se, ids);
+
+        const lookups = {};
+        names.forEach((n) => (lookups[n] = huffLookup(tables[n])));
+        codeScan(layout, scan, {
+            sym: (t, s) => w.bits(lookups[t].code[s], lookups[t].size[s]),
+            bits: (v, n) => w.bits(v, n),
+        });
+        w.flushBits();
+    }
+
+    w.u16(0xffd9);
+    return new Blob([w.result()], { type: "image/jpeg" });
+}
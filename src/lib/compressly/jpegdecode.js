@@ -0,0 +1,492 @@
+// jpegdecode.js - in-project JPEG decoder for the files browsers get wrong or refuse:
+// CMYK and YCCK (Adobe / print-shop) JPEGs, 12-bit scans and their progressive variants.
+// Baseline, extended and progressive Huffman coding; arithmetic-coded, lossless and
+// hierarchical JPEGs are rejected with a clear message.
+
+/* zigzag position -> natural (row-major) index */
+const NATURAL = new Uint8Array([
+    0, 1, 8, 16, 9, 2, 3, 10,
+    17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34,
+    27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36,
+    29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46,
+    53, 60, 61, 54, 47, 55, 62, 63,
+    // overrun guard for corrupt run lengths
+    63, 63, 63, 63, 63, 63, 63, 63, 63, 63, 63, 63, 63, 63, 63, 63,
+]);
+
+/* cos((2x + 1) u π / 16) · C(u) / 2, indexed [x * 8 + u] */
+const IDCT_TABLE = new Float32Array(64);
+for (let x = 0; x < 8; x++) {
+    for (let u = 0; u < 8; u++) {
+        IDCT_TABLE[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos(((2 * x + 1) * u * Math.PI) / 16) / 2;
+    }
+}
+
+/* Why a SOFn marker can't be decoded here; null for the ones we handle (0, 1, 2) */
+export function unsupportedJpegReason(sof) {
+    if (sof === 0xc3 || sof === 0xc7 || sof === 0xcb || sof === 0xcf) return "Lossless JPEG isn't supported.";
+    if (sof >= 0xc9) return "Arithmetic-coded JPEG isn't supported - re-save it as a standard JPEG.";
+    if (sof === 0xc5 || sof === 0xc6) return "Hierarchical JPEG isn't supported.";
+    return null;
+}
+
+/* Huffman table as a 16-bit lookup: entry = (code length << 8) | symbol, 0 = invalid code */
+function buildHuffman(counts, symbols) {
+    const lookup = new Uint16Array(65536);
+    let code = 0;
+    let k = 0;
+    for (let len = 1; len <= 16; len++) {
+        for (let i = 0; i < counts[len - 1]; i++, k++) {
+            const shift = 16 - len;
+            const first = code << shift;
+            const entry = (len << 8) | symbols[k];
+            for (let j = 0; j < 1 << shift; j++) lookup[first + j] = entry;
+            code++;
+        }
+        code <<= 1;
+    }
+    return lookup;
+}
+
+/* Entropy-coded segment reader: skips stuffed zero bytes, feeds zeros once it reaches a marker */
+function createBitReader(data, start) {
+    let pos = start;
+    let buf = 0;
+    let count = 0;
+    let atMarker = false;
+
+    const fill = () => {
+        while (count <= 24) {
+            let b = 0;
+            if (!atMarker && pos < data.length) {
+                b = data[pos];
+                if (b === 0xff) {
+                    if (data[pos + 1] === 0) {
+                        pos += 2;
+                    } else {
+                        atMarker = true;
+                        b = 0;
+                    }
+                } else {
+                    pos++;
+                }
+            }
+            buf = (buf << 8) | b;
+            count += 8;
+        }
+    };
+
+    return {
+        bits(n) {
+            if (n === 0) return 0;
+            if (count < n) fill();
+            count -= n;
+            return (buf >>> count) & ((1 << n) - 1);
+        },
+        bit() {
+            if (count < 1) fill();
+            count--;
+            return (buf >>> count) & 1;
+        },
+        decode(lookup) {
+            if (count < 16) fill();
+            const entry = lookup[(buf >>> (count - 16)) & 0xffff];
+            if (entry === 0) {
+                count -= 16; // corrupt data: skip ahead and let the scan run out
+                return 0;
+            }
+            count -= entry >> 8;
+            return entry & 0xff;
+        },
+        receive(s) {
+            if (s === 0) return 0;
+            const v = this.bits(s);
+            return v < 1 << (s - 1) ? v - (1 << s) + 1 : v;
+        },
+        /* Step over an RSTn marker and start a fresh byte-aligned interval */
+        restart() {
+            buf = 0;
+            count = 0;
+            if (!atMarker) {
+                while (pos + 1 < data.length && !(data[pos] === 0xff && data[pos + 1] >= 0xd0 && data[pos + 1] <= 0xd7)) pos++;
+            }
+            if (pos + 1 < data.length && data[pos + 1] >= 0xd0 && data[pos + 1] <= 0xd7) {
+                pos += 2;
+                atMarker = false;
+            }
+        },
+        /* Offset of the marker that ends the scan */
+        end() {
+            let p = pos;
+            while (p + 1 < data.length && !(data[p] === 0xff && data[p + 1] !== 0 && !(data[p + 1] >= 0xd0 && data[p + 1] <= 0xd7))) p++;
+            return p;
+        },
+    };
+}
+
+function decodeScan(data, start, frame, scanComps, { ss, se, ah, al }, restartInterval) {
+    const reader = createBitReader(data, start);
+    const progressive = frame.progressive;
+    let eobrun = 0;
+
+    const decodeBlock = (comp, off) => {
+        const coef = comp.coefficients;
+        if (!progressive) {
+            const t = reader.decode(comp.dcTable);
+            comp.pred += reader.receive(t);
+            coef[off] = comp.pred;
+            for (let k = 1; k < 64;) {
+                const rs = reader.decode(comp.acTable);
+                const s = rs & 15;
+                const r = rs >> 4;
+                if (s === 0) {
+                    if (r < 15) break;
+                    k += 16;
+                    continue;
+                }
+                k += r;
+                coef[off + NATURAL[k]] = reader.receive(s);
+                k++;
+            }
+            return;
+        }
+
+        if (ss === 0) {
+            // DC first / refinement
+            if (ah === 0) {
+                comp.pred += reader.receive(reader.decode(comp.dcTable));
+                coef[off] = comp.pred * (1 << al);
+            } else if (reader.bit()) {
+                coef[off] |= 1 << al;
+            }
+            return;
+        }
+
+        if (ah === 0) {
+            // AC first
+            if (eobrun > 0) {
+                eobrun--;
+                return;
+            }
+            for (let k = ss; k <= se;) {
+                const rs = reader.decode(comp.acTable);
+                const s = rs & 15;
+                const r = rs >> 4;
+                if (s === 0) {
+                    if (r < 15) {
+                        eobrun = (1 << r) - 1 + reader.bits(r);
+                        break;
+                    }
+                    k += 16;
+                    continue;
+                }
+                k += r;
+                coef[off + NATURAL[k]] = reader.receive(s) * (1 << al);
+                k++;
+            }
+            return;
+        }
+
+        // AC refinement (libjpeg's decode_mcu_AC_refine)
+        const p1 = 1 << al;
+        const m1 = -1 << al;
+        const refine = (z) => {
+            if (reader.bit() && (coef[z] & p1) === 0) coef[z] += coef[z] >= 0 ? p1 : m1;
+        };
+        let k = ss;
+        if (eobrun === 0) {
+            for (; k <= se; k++) {
+                const rs = reader.decode(comp.acTable);
+                let r = rs >> 4;
+                let s = rs & 15;
+                if (s) {
+                    s = reader.bit() ? p1 : m1;
+                } else if (r !== 15) {
+                    eobrun = (1 << r) + reader.bits(r);
+                    break;
+                }
+                do {
+                    const z = off + NATURAL[k];
+                    if (coef[z] !== 0) refine(z);
+                    else if (--r < 0) break;
+                    k++;
+                } while (k <= se);
+                if (s && k <= 63) coef[off + NATURAL[k]] = s;
+            }
+        }
+        if (eobrun > 0) {
+            for (; k <= se; k++) {
+                const z = off + NATURAL[k];
+                if (coef[z] !== 0) refine(z);
+            }
+            eobrun--;
+        }
+    };
+
+    const blockOffset = (comp, row, col) => (row * comp.blocksPerLineForMcu + col) * 64;
+
+    let mcus;
+    let decodeMcu;
+    if (scanComps.length === 1) {
+        // non-interleaved: one block per MCU, only the blocks inside the image
+        const comp = scanComps[0];
+        mcus = comp.blocksPerLine * comp.blocksPerColumn;
+        decodeMcu = (n) => {
+            const row = Math.floor(n / comp.blocksPerLine);
+            decodeBlock(comp, blockOffset(comp, row, n % comp.blocksPerLine));
+        };
+    } else {
+        mcus = frame.mcusPerLine * frame.mcusPerColumn;
+        decodeMcu = (n) => {
+            const mcuRow = Math.floor(n / frame.mcusPerLine);
+            const mcuCol = n % frame.mcusPerLine;
+            for (const comp of scanComps) {
+                for (let v = 0; v < comp.v; v++) {
+                    for (let h = 0; h < comp.h; h++) {
+                        decodeBlock(comp, blockOffset(comp, mcuRow * comp.v + v, mcuCol * comp.h + h));
+                    }
+                }
+            }
+        };
+    }
+
+    for (const comp of scanComps) comp.pred = 0;
+    for (let n = 0; n < mcus; n++) {
+        if (restartInterval && n > 0 && n % restartInterval === 0) {
+            reader.restart();
+            for (const comp of scanComps) comp.pred = 0;
+            eobrun = 0;
+        }
+        decodeMcu(n);
+    }
+    return reader.end();
+}
+
+/* Dequantize + inverse DCT every block of a component into an 8-bit sample plane */
+function outputComponent(comp, precision) {
+    const lineW = comp.blocksPerLineForMcu * 8;
+    const plane = new Uint8ClampedArray(lineW * comp.blocksPerColumnForMcu * 8);
+    const qt = comp.quantTable;
+    const shift = 1 << (precision - 1);
+    const scale = 255 / ((1 << precision) - 1);
+    const block = new Float32Array(64);
+    const tmp = new Float32Array(64);
+
+    for (let row = 0; row < comp.blocksPerColumnForMcu; row++) {
+        for (let col = 0; col < comp.blocksPerLineForMcu; col++) {
+            const off = (row * comp.blocksPerLineForMcu + col) * 64;
+            for (let i = 0; i < 64; i++) block[i] = comp.coefficients[off + i] * qt[i];
+
+            // rows: frequency u -> position x
+            for (let y = 0; y < 8; y++) {
+                const b = y * 8;
+                let ac = false;
+                for (let u = 1; u < 8; u++) if (block[b + u] !== 0) ac = true;
+                for (let x = 0; x < 8; x++) {
+                    if (!ac) {
+                        tmp[b + x] = block[b] * IDCT_TABLE[0];
+                        continue;
+                    }
+                    let s = 0;
+                    for (let u = 0; u < 8; u++) s += block[b + u] * IDCT_TABLE[x * 8 + u];
+                    tmp[b + x] = s;
+                }
+            }
+            // columns
+            const out = row * 8 * lineW + col * 8;
+            for (let x = 0; x < 8; x++) {
+                for (let y = 0; y < 8; y++) {
+                    let s = 0;
+                    for (let v = 0; v < 8; v++) s += tmp[v * 8 + x] * IDCT_TABLE[y * 8 + v];
+                    plane[out + y * lineW + x] = Math.round((s + shift) * scale);
+                }
+            }
+        }
+    }
+    return { plane, lineW };
+}
+
+/* Inverted ("no ink" = 255) CMYK -> RGB. Without the print profile this is the usual
+   multiplicative approximation: close, but a little brighter than a proofed conversion. */
+function cmykToRgb(c, m, y, k, out, o) {
+    out[o] = (c * k) / 255;
+    out[o + 1] = (m * k) / 255;
+    out[o + 2] = (y * k) / 255;
+}
+
+/**
+ * Decode JPEG bytes to RGBA.
+ * Returns { width, height, data (Uint8ClampedArray RGBA), colorModel, precision, progressive }
+ * with colorModel "gray" | "rgb" | "ycc" | "cmyk" | "ycck" (what the file stored).
+ * `ycc` forces (true) or rules out (false) YCbCr for 3-component data, for containers such as
+ * TIFF that say it outside the JPEG stream; null = decide from the JFIF / Adobe markers.
+ * Throws on files that aren't JPEG or use a coding process we don't implement.
+ */
+export function decodeJpeg(bytes, { ycc = null } = {}) {
+    if (bytes[0] !== 0xff || bytes[1] !== 0xd8) throw new Error("Not a JPEG file.");
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const quantTables = [];
+    const dcTables = [];
+    const acTables = [];
+    let frame = null;
+    let adobe = null;
+    let jfif = false;
+    let restartInterval = 0;
+
+    let p = 2;
+    while (p + 4 <= bytes.length) {
+        if (bytes[p] !== 0xff) {
+            p++;
+            continue;
+        }
+        const marker = bytes[p + 1];
+        if (marker === 0xff || marker === 0 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+            p += marker === 0xff ? 1 : 2;
+            continue;
+        }
+        if (marker === 0xd9) break;
+        const len = view.getUint16(p + 2);
+        const body = p + 4;
+        const end = Math.min(bytes.length, p + 2 + len);
+
+        if (marker === 0xdb) {
+            for (let q = body; q < end;) {
+                const wide = bytes[q] >> 4;
+                const id = bytes[q] & 15;
+                const table = new Uint16Array(64);
+                for (let i = 0; i < 64; i++) table[NATURAL[i]] = wide ? view.getUint16(q + 1 + i * 2) : bytes[q + 1 + i];
+                quantTables[id] = table;
+                q += 1 + 64 * (wide ? 2 : 1);
+            }
+        } else if (marker === 0xc4) {
+            for (let q = body; q < end;) {
+                const cls = bytes[q] >> 4;
+                const id = bytes[q] & 15;
+                const counts = bytes.subarray(q + 1, q + 17);
+                const total = counts.reduce((n, c) => n + c, 0);
+                const table = buildHuffman(counts, bytes.subarray(q + 17, q + 17 + total));
+                (cls === 0 ? dcTables : acTables)[id] = table;
+                q += 17 + total;
+            }
+        } else if (marker === 0xdd) {
+            restartInterval = view.getUint16(body);
+        } else if (marker === 0xe0 && bytes[body] === 0x4a && bytes[body + 1] === 0x46) {
+            jfif = true; // "JFIF"
+        } else if (marker === 0xee && bytes[body] === 0x41 && bytes[body + 1] === 0x64) {
+            adobe = { transform: bytes[body + 11] }; // "Adobe"
+        } else if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            const reason = unsupportedJpegReason(marker);
+            if (reason) throw new Error(reason);
+            frame = {
+                progressive: marker === 0xc2,
+                precision: bytes[body],
+                height: view.getUint16(body + 1),
+                width: view.getUint16(body + 3),
+                components: [],
+            };
+            if (!frame.width || !frame.height) throw new Error("JPEG has no image size (DNL marker) - not supported.");
+            const count = bytes[body + 5];
+            for (let i = 0; i < count; i++) {
+                const c = body + 6 + i * 3;
+                frame.components.push({ id: bytes[c], h: bytes[c + 1] >> 4 || 1, v: bytes[c + 1] & 15 || 1, tq: bytes[c + 2] });
+            }
+            const hMax = Math.max(...frame.components.map((c) => c.h));
+            const vMax = Math.max(...frame.components.map((c) => c.v));
+            frame.hMax = hMax;
+            frame.vMax = vMax;
+            frame.mcusPerLine = Math.ceil(frame.width / (8 * hMax));
+            frame.mcusPerColumn = Math.ceil(frame.height / (8 * vMax));
+            for (const comp of frame.components) {
+                comp.blocksPerLine = Math.ceil(Math.ceil((frame.width * comp.h) / hMax) / 8);
+                comp.blocksPerColumn = Math.ceil(Math.ceil((frame.height * comp.v) / vMax) / 8);
+                comp.blocksPerLineForMcu = frame.mcusPerLine * comp.h;
+                comp.blocksPerColumnForMcu = frame.mcusPerColumn * comp.v;
+                comp.coefficients = new Int16Array(comp.blocksPerLineForMcu * comp.blocksPerColumnForMcu * 64);
+            }
+        } else if (marker === 0xda) {
+            if (!frame) throw new Error("JPEG scan before its frame header.");
+            const count = bytes[body];
+            const scanComps = [];
+            for (let i = 0; i < count; i++) {
+                const id = bytes[body + 1 + i * 2];
+                const tables = bytes[body + 2 + i * 2];
+                const comp = frame.components.find((c) => c.id === id);
+                if (!comp) throw new Error("JPEG scan refers to an unknown component.");
+                comp.dcTable = dcTables[tables >> 4];
+                comp.acTable = acTables[tables & 15];
+                scanComps.push(comp);
+            }
+            const q = body + 1 + count * 2;
+            const spec = { ss: bytes[q], se: bytes[q + 1], ah: bytes[q + 2] >> 4, al: bytes[q + 2] & 15 };
+            p = decodeScan(bytes, end, frame, scanComps, spec, restartInterval);
+            continue;
+        }
+        p = end;
+    }
+
+    if (!frame) throw new Error("JPEG has no image data.");
+    const { width, height, components } = frame;
+    for (const comp of components) {
+        comp.quantTable = quantTables[comp.tq];
+        if (!comp.quantTable) throw new Error("JPEG is missing a quantization table.");
+    }
+    const planes = components.map((comp) => outputComponent(comp, frame.precision));
+
+    const count = components.length;
+    let colorModel;
+    if (count === 1) colorModel = "gray";
+    else if (count === 3) {
+        const rgbIds = components[0].id === 0x52 && components[1].id === 0x47 && components[2].id === 0x42;
+        const rgb = ycc != null ? !ycc : (adobe && adobe.transform === 0) || (!adobe && !jfif && rgbIds);
+        colorModel = rgb ? "rgb" : "ycc";
+    } else if (count === 4) colorModel = adobe?.transform === 2 ? "ycck" : "cmyk";
+    else throw new Error(`JPEG with ${count} colour components isn't supported.`);
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    const px = new Float32Array(4);
+    const xIndex = components.map((comp) => {
+        const idx = new Uint32Array(width);
+        for (let x = 0; x < width; x++) idx[x] = Math.floor((x * comp.h) / frame.hMax);
+        return idx;
+    });
+    // Adobe-written CMYK stores "no ink" as 255; CMYK without the Adobe marker stores ink amounts
+    const inverted = !!adobe;
+
+    for (let y = 0; y < height; y++) {
+        const rows = components.map((comp, i) => Math.floor((y * comp.v) / frame.vMax) * planes[i].lineW);
+        for (let x = 0, o = y * width * 4; x < width; x++, o += 4) {
+            for (let i = 0; i < count; i++) px[i] = planes[i].plane[rows[i] + xIndex[i][x]];
+            if (colorModel === "gray") {
+                data[o] = data[o + 1] = data[o + 2] = px[0];
+            } else if (colorModel === "rgb") {
+                data[o] = px[0];
+                data[o + 1] = px[1];
+                data[o + 2] = px[2];
+            } else {
+                const Y = px[0];
+                const cb = px[1] - 128;
+                const cr = px[2] - 128;
+                if (colorModel === "cmyk") {
+                    const c = inverted ? px[0] : 255 - px[0];
+                    const m = inverted ? px[1] : 255 - px[1];
+                    const ye = inverted ? px[2] : 255 - px[2];
+                    cmykToRgb(c, m, ye, inverted ? px[3] : 255 - px[3], data, o);
+                } else {
+                    data[o] = Y + 1.402 * cr;
+                    data[o + 1] = Y - 0.344136 * cb - 0.714136 * cr;
+                    data[o + 2] = Y + 1.772 * cb;
+                    if (colorModel === "ycck") {
+                        // YCCK carries the CMY ink through the YCbCr transform; K stays inverted
+                        cmykToRgb(255 - data[o], 255 - data[o + 1], 255 - data[o + 2], px[3], data, o);
+                    }
+                }
+            }
+            data[o + 3] = 255;
+        }
+    }
+
+    return { width, height, data, colorModel, precision: frame.precision, progressive: frame.progressive };
+}
@@ -0,0 +1,741 @@
+// metadata.js - read EXIF / ICC / XMP from JPEG, PNG and WebP, summarise it for the UI,
+// re-inject a chosen subset into the compressed output (canvas encoding drops all of it)
+// and stamp physical DPI (JFIF density / pHYs / EXIF resolution).
+
+import { crc32, zlibDeflate, inflateZlib } from "./deflate";
+import { readIfd } from "./tiff";
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0, 0]; // "Exif\0\0"
+const XMP_NS = "http://ns.adobe.com/xap/1.0/\0";
+const ICC_NAME = "ICC_PROFILE\0";
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+/* Metadata modes offered in the UI */
+export const METADATA_MODES = ["strip", "copyright", "all"];
+
+/* ------------ byte helpers ------------ */
+
+function ascii(bytes, start, len) {
+    let s = "";
+    for (let i = 0; i < len && start + i < bytes.length; i++) s += String.fromCharCode(bytes[start + i]);
+    return s;
+}
+
+function startsWith(bytes, offset, str) {
+    return ascii(bytes, offset, str.length) === str;
+}
+
+function utf8(bytes) {
+    return new TextDecoder().decode(bytes);
+}
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let o = 0;
+    for (const p of parts) {
+        out.set(p, o);
+        o += p.length;
+    }
+    return out;
+}
+
+/* ------------ TIFF / EXIF ------------ */
+
+const TAG = {
+    make: 0x010f,
+    model: 0x0110,
+    orientation: 0x0112,
+    xResolution: 0x011a,
+    yResolution: 0x011b,
+    resolutionUnit: 0x0128,
+    software: 0x0131,
+    dateTime: 0x0132,
+    artist: 0x013b,
+    copyright: 0x8298,
+    exifIfd: 0x8769,
+    gpsIfd: 0x8825,
+    dateTimeOriginal: 0x9003,
+    lensModel: 0xa434,
+};
+
+/* An ASCII tag's text, or null */
+function tagText(value) {
+    if (!(value instanceof Uint8Array)) return null;
+    return ascii(value, 0, value.length).replace(/\0+$/, "").trim() || null;
+}
+
+/**
+ * Parse a TIFF-structured EXIF block ("II"/"MM" header onwards).
+ * Returns { make, model, software, dateTime, dateTimeOriginal, artist, copyright, lens,
+ * orientation, gps: { lat, lon } | null, orientationPos, resolutionPos, le } or null when malformed.
+ * resolutionPos = { x, y, unit } value offsets (-1 when absent) so DPI can be patched in place.
+ */
+export function parseExif(tiffBytes) {
+    if (!tiffBytes || tiffBytes.length < 8) return null;
+    const view = new DataView(tiffBytes.buffer, tiffBytes.byteOffset, tiffBytes.byteLength);
+    const order = view.getUint16(0);
+    if (order !== 0x4949 && order !== 0x4d4d) return null;
+    const le = order === 0x4949;
+    if (view.getUint16(2, le) !== 42) return null;
+
+    const { tags: ifd0, entries } = readIfd(tiffBytes, view.getUint32(4, le), le);
+    const subIfd = (tag) => (ifd0.has(tag) ? readIfd(tiffBytes, ifd0.get(tag)[0], le).tags : new Map());
+    const exifIfd = subIfd(TAG.exifIfd);
+    const gpsIfd = subIfd(TAG.gpsIfd);
+    const str = (ifd, tag) => tagText(ifd.get(tag));
+
+    let gps = null;
+    const lat = gpsIfd.get(2);
+    const lon = gpsIfd.get(4);
+    if (Array.isArray(lat) && Array.isArray(lon)) {
+        const dms = (v) => v[0] + (v[1] || 0) / 60 + (v[2] || 0) / 3600;
+        gps = {
+            lat: dms(lat) * (str(gpsIfd, 1) === "S" ? -1 : 1),
+            lon: dms(lon) * (str(gpsIfd, 3) === "W" ? -1 : 1),
+        };
+    }
+
+    const posOf = (tag, type) => {
+        const e = entries.get(tag);
+        return e && e.type === type ? e.pos : -1;
+    };
+    return {
+        make: str(ifd0, TAG.make),
+        model: str(ifd0, TAG.model),
+        software: str(ifd0, TAG.software),
+        dateTime: str(ifd0, TAG.dateTime),
+        dateTimeOriginal: str(exifIfd, TAG.dateTimeOriginal),
+        artist: str(ifd0, TAG.artist),
+        copyright: str(ifd0, TAG.copyright),
+        lens: str(exifIfd, TAG.lensModel),
+        orientation: ifd0.get(TAG.orientation)?.[0] || 1,
+        orientationPos: posOf(TAG.orientation, 3),
+        resolutionPos: {
+            x: posOf(TAG.xResolution, 5),
+            y: posOf(TAG.yResolution, 5),
+            unit: posOf(TAG.resolutionUnit, 3),
+        },
+        le,
+        gps,
+    };
+}
+
+/* Minimal big-endian TIFF with the given ASCII tags (+ Orientation, 1 unless given, + resolution when dpi) */
+function buildExif({ dateTime, dateTimeOriginal, artist, copyright }, dpi = 0, orientation = 1) {
+    const ifd0 = [{ tag: TAG.orientation, type: 3, value: orientation }];
+    if (dpi) {
+        ifd0.push({ tag: TAG.xResolution, type: 5, value: dpi });
+        ifd0.push({ tag: TAG.yResolution, type: 5, value: dpi });
+        ifd0.push({ tag: TAG.resolutionUnit, type: 3, value: 2 }); // inches
+    }
+    if (dateTime) ifd0.push({ tag: TAG.dateTime, type: 2, value: dateTime });
+    if (artist) ifd0.push({ tag: TAG.artist, type: 2, value: artist });
+    if (copyright) ifd0.push({ tag: TAG.copyright, type: 2, value: copyright });
+    const exif = dateTimeOriginal ? [{ tag: TAG.dateTimeOriginal, type: 2, value: dateTimeOriginal }] : [];
+    if (exif.length) ifd0.push({ tag: TAG.exifIfd, type: 4, value: 0 });
+    ifd0.sort((a, b) => a.tag - b.tag);
+
+    const enc = new TextEncoder();
+    const ifdSize = (list) => 2 + list.length * 12 + 4;
+    const dataSize = (list) =>
+        list.reduce((n, e) => {
+            if (e.type === 5) return n + 8;
+            const len = e.type === 2 ? enc.encode(e.value).length + 1 : 0;
+            return n + (len > 4 ? len + (len & 1) : 0);
+        }, 0);
+
+    const ifd0Off = 8;
+    const exifOff = ifd0Off + ifdSize(ifd0) + dataSize(ifd0);
+    const total = exifOff + (exif.length ? ifdSize(exif) + dataSize(exif) : 0);
+    const out = new Uint8Array(total);
+    const view = new DataView(out.buffer);
+    view.setUint16(0, 0x4d4d);
+    view.setUint16(2, 42);
+    view.setUint32(4, ifd0Off);
+
+    const writeIfd = (list, off) => {
+        let data = off + ifdSize(list);
+        view.setUint16(off, list.length);
+        list.forEach((e, i) => {
+            const p = off + 2 + i * 12;
+            view.setUint16(p, e.tag);
+            view.setUint16(p + 2, e.type);
+            if (e.type === 2) {
+                const bytes = enc.encode(e.value + "\0");
+                view.setUint32(p + 4, bytes.length);
+                if (bytes.length <= 4) {
+                    out.set(bytes, p + 8);
+                } else {
+                    view.setUint32(p + 8, data);
+                    out.set(bytes, data);
+                    data += bytes.length + (bytes.length & 1);
+                }
+            } else if (e.type === 3) {
+                view.setUint32(p + 4, 1);
+                view.setUint16(p + 8, e.value);
+            } else if (e.type === 5) {
+                view.setUint32(p + 4, 1);
+                view.setUint32(p + 8, data);
+                view.setUint32(data, e.value);
+                view.setUint32(data + 4, 1);
+                data += 8;
+            } else {
+                view.setUint32(p + 4, 1);
+                view.setUint32(p + 8, e.tag === TAG.exifIfd ? exifOff : e.value);
+            }
+        });
+        view.setUint32(off + 2 + list.length * 12, 0);
+    };
+
+    writeIfd(ifd0, ifd0Off);
+    if (exif.length) writeIfd(exif, exifOff);
+    return out;
+}
+
+/* ------------ ICC ------------ */
+
+/* Profile description ('desc' tag, v2 text or v4 mluc) */
+export function iccDescription(icc) {
+    if (!icc || icc.length < 132) return null;
+    const view = new DataView(icc.buffer, icc.byteOffset, icc.byteLength);
+    const count = view.getUint32(128);
+    for (let i = 0; i < count && 132 + i * 12 + 12 <= icc.length; i++) {
+        const e = 132 + i * 12;
+        if (ascii(icc, e, 4) !== "desc") continue;
+        const off = view.getUint32(e + 4);
+        if (off + 12 > icc.length) return null;
+        const type = ascii(icc, off, 4);
+        if (type === "desc") {
+            const len = view.getUint32(off + 8);
+            return ascii(icc, off + 12, Math.max(0, len - 1)).trim() || null;
+        }
+        if (type === "mluc" && off + 28 <= icc.length) {
+            const len = view.getUint32(off + 20);
+            const start = off + view.getUint32(off + 24);
+            let s = "";
+            for (let j = 0; j + 1 < len && start + j + 1 < icc.length; j += 2) {
+                s += String.fromCharCode(view.getUint16(start + j));
+            }
+            return s.replace(/\0+$/, "").trim() || null;
+        }
+        return null;
+    }
+    return null;
+}
+
+/* ------------ container parsing ------------ */
+
+function sniff(bytes) {
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) return "jpeg";
+    if (PNG_SIGNATURE.every((b, i) => bytes[i] === b)) return "png";
+    if (startsWith(bytes, 0, "RIFF") && startsWith(bytes, 8, "WEBP")) return "webp";
+    return null;
+}
+
+function readJpeg(bytes, meta) {
+    const iccParts = [];
+    let p = 2;
+    while (p + 4 <= bytes.length) {
+        if (bytes[p] !== 0xff) break;
+        const marker = bytes[p + 1];
+        if (marker === 0xff) {
+            p++;
+            continue;
+        }
+        if (marker === 0xd9 || marker === 0xda) break;
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            p += 2;
+            continue;
+        }
+        const len = (bytes[p + 2] << 8) | bytes[p + 3];
+        const body = p + 4;
+        const end = Math.min(bytes.length, p + 2 + len);
+
+        if (marker === 0xe1 && EXIF_HEADER.every((b, i) => bytes[body + i] === b)) {
+            meta.exif = bytes.slice(body + 6, end);
+        } else if (marker === 0xe1 && startsWith(bytes, body, XMP_NS)) {
+            meta.xmp = utf8(bytes.subarray(body + XMP_NS.length, end));
+        } else if (marker === 0xe2 && startsWith(bytes, body, ICC_NAME)) {
+            iccParts.push({ seq: bytes[body + 12], data: bytes.subarray(body + 14, end) });
+        } else if ((marker >= 0xc0 && marker <= 0xcf) && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            meta.height = (bytes[body + 1] << 8) | bytes[body + 2];
+            meta.width = (bytes[body + 3] << 8) | bytes[body + 4];
+        }
+        p += 2 + len;
+    }
+    if (iccParts.length) {
+        iccParts.sort((a, b) => a.seq - b.seq);
+        meta.icc = concat(iccParts.map((c) => c.data));
+    }
+}
+
+async function readPng(bytes, meta) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let p = 8;
+    while (p + 12 <= bytes.length) {
+        const len = view.getUint32(p);
+        const type = ascii(bytes, p + 4, 4);
+        const data = bytes.subarray(p + 8, Math.min(bytes.length, p + 8 + len));
+
+        if (type === "IHDR") {
+            meta.width = view.getUint32(p + 8);
+            meta.height = view.getUint32(p + 12);
+        } else if (type === "eXIf") {
+            meta.exif = data.slice();
+        } else if (type === "iCCP") {
+            const nul = data.indexOf(0);
+            meta.icc = await inflateZlib(data.subarray(nul + 2));
+            meta.iccName = ascii(data, 0, nul);
+        } else if (type === "iTXt" || type === "tEXt") {
+            const nul = data.indexOf(0);
+            const keyword = ascii(data, 0, nul);
+            if (type === "iTXt") {
+                // keyword\0 flag method lang\0 translated\0 text (uncompressed only)
+                if (data[nul + 1] === 0) {
+                    let q = nul + 3;
+                    q = data.indexOf(0, q) + 1;
+                    q = data.indexOf(0, q) + 1;
+                    const text = utf8(data.subarray(q));
+                    if (keyword === "XML:com.adobe.xmp") meta.xmp = text;
+                    else meta.text[keyword] = text;
+                }
+            } else {
+                meta.text[keyword] = ascii(data, nul + 1, data.length - nul - 1);
+            }
+        } else if (type === "IEND") {
+            break;
+        }
+        p += 12 + len;
+    }
+}
+
+/* Canvas size + alpha of a simple-format WebP image chunk */
+function webpImageInfo(type, data) {
+    if (type === "VP8 " && data.length >= 10) {
+        return {
+            width: ((data[7] << 8) | data[6]) & 0x3fff,
+            height: ((data[9] << 8) | data[8]) & 0x3fff,
+            alpha: false,
+        };
+    }
+    if (type === "VP8L" && data.length >= 5 && data[0] === 0x2f) {
+        const bits = (data[1] | (data[2] << 8) | (data[3] << 16) | (data[4] << 24)) >>> 0;
+        return {
+            width: (bits & 0x3fff) + 1,
+            height: ((bits >>> 14) & 0x3fff) + 1,
+            alpha: ((bits >>> 28) & 1) === 1,
+        };
+    }
+    return null;
+}
+
+function webpChunks(bytes) {
+    const chunks = [];
+    let p = 12;
+    while (p + 8 <= bytes.length) {
+        const type = ascii(bytes, p, 4);
+        const len = (bytes[p + 4] | (bytes[p + 5] << 8) | (bytes[p + 6] << 16) | (bytes[p + 7] << 24)) >>> 0;
+        chunks.push({ type, data: bytes.subarray(p + 8, Math.min(bytes.length, p + 8 + len)) });
+        p += 8 + len + (len & 1);
+    }
+    return chunks;
+}
+
+function readWebp(bytes, meta) {
+    for (const { type, data } of webpChunks(bytes)) {
+        if (type === "VP8X" && data.length >= 10) {
+            meta.width = (data[4] | (data[5] << 8) | (data[6] << 16)) + 1;
+            meta.height = (data[7] | (data[8] << 8) | (data[9] << 16)) + 1;
+        } else if (type === "EXIF") {
+            // some writers keep the JPEG-style "Exif\0\0" prefix
+            const off = EXIF_HEADER.every((b, i) => data[i] === b) ? 6 : 0;
+            meta.exif = data.slice(off);
+        } else if (type === "ICCP") {
+            meta.icc = data.slice();
+        } else if (type === "XMP ") {
+            meta.xmp = utf8(data);
+        } else if (!meta.width) {
+            const info = webpImageInfo(type, data);
+            if (info) {
+                meta.width = info.width;
+                meta.height = info.height;
+            }
+        }
+    }
+}
+
+/**
+ * Read the metadata of a JPEG / PNG / WebP blob.
+ * Returns { format, width, height, orientation, exif (TIFF bytes), tags (parseExif result),
+ * icc, iccName, xmp, text } - fields are null/empty when absent. Never throws.
+ */
+export async function readMetadata(blob, { maxBytes = Infinity } = {}) {
+    const meta = {
+        format: null,
+        width: 0,
+        height: 0,
+        orientation: 1,
+        exif: null,
+        tags: null,
+        icc: null,
+        iccName: null,
+        xmp: null,
+        text: {},
+    };
+    try {
+        const part = maxBytes < blob.size ? blob.slice(0, maxBytes) : blob;
+        const bytes = new Uint8Array(await part.arrayBuffer());
+        meta.format = sniff(bytes);
+        if (meta.format === "jpeg") readJpeg(bytes, meta);
+        else if (meta.format === "png") await readPng(bytes, meta);
+        else if (meta.format === "webp") readWebp(bytes, meta);
+
+        meta.tags = parseExif(meta.exif);
+        if (meta.tags) meta.orientation = meta.tags.orientation;
+        if (meta.icc && !meta.iccName) meta.iccName = iccDescription(meta.icc);
+    } catch (err) {
+        console.warn("Metadata read failed:", err);
+    }
+    return meta;
+}
+
+/* Orientation, stored pixel size and colour profile from the head of a file (cheap, for decodeImage) */
+export async function readOrientation(blob) {
+    const { orientation, width, height, icc, iccName } = await readMetadata(blob, { maxBytes: 256 * 1024 });
+    return { orientation: orientation >= 1 && orientation <= 8 ? orientation : 1, width, height, icc, iccName };
+}
+
+/**
+ * Human-readable findings for the result card:
+ * [{ key, label, value, sensitive }] - e.g. camera, date, GPS, copyright, ICC, XMP.
+ */
+export function summarizeMetadata(meta) {
+    const out = [];
+    const t = meta?.tags;
+    if (t) {
+        const camera = [t.make, t.model].filter(Boolean).join(" ");
+        if (camera) out.push({ key: "camera", label: "Camera", value: camera });
+        if (t.lens) out.push({ key: "lens", label: "Lens", value: t.lens });
+        const date = t.dateTimeOriginal || t.dateTime;
+        if (date) out.push({ key: "date", label: "Date taken", value: date });
+        if (t.gps) {
+            out.push({
+                key: "gps",
+                label: "GPS location",
+                value: `${t.gps.lat.toFixed(5)}, ${t.gps.lon.toFixed(5)}`,
+                sensitive: true,
+            });
+        }
+        if (t.artist) out.push({ key: "artist", label: "Artist", value: t.artist });
+        if (t.copyright) out.push({ key: "copyright", label: "Copyright", value: t.copyright });
+        if (t.software) out.push({ key: "software", label: "Software", value: t.software });
+        if (t.orientation > 1) out.push({ key: "orientation", label: "Orientation", value: `EXIF ${t.orientation} (applied)` });
+    }
+    if (meta?.icc) out.push({ key: "icc", label: "Colour profile", value: meta.iccName || "ICC profile" });
+    if (meta?.xmp) out.push({ key: "xmp", label: "XMP", value: `${Math.round(meta.xmp.length / 1024) || 1} KB` });
+    return out;
+}
+
+/* EXIF that only says how to turn the image upright - for pixels taken out of another
+   container (a RAW file's embedded preview) that would otherwise lose the orientation */
+export function orientationExif(orientation) {
+    return buildExif({}, 0, orientation >= 1 && orientation <= 8 ? orientation : 1);
+}
+
+/* Summary keys kept by each mode (everything else is removed) */
+export function keptKeys(mode) {
+    if (mode === "all") return null; // all of them
+    if (mode === "copyright") return new Set(["date", "artist", "copyright"]);
+    return new Set();
+}
+
+/* A copy of a TIFF-structured EXIF block whose IFD0 says `dpi` pixels per inch. Resolution
+   tags already there are patched in place; otherwise IFD0 is rewritten after the existing
+   bytes (with the header pointed at it), so every offset already in the block stays valid. */
+function withResolution(exif, t, dpi) {
+    const out = exif.slice();
+    const view = new DataView(out.buffer);
+    const { x, y, unit } = t.resolutionPos;
+    if (x >= 0 && y >= 0 && unit >= 0) {
+        [x, y].forEach((pos) => {
+            view.setUint32(pos, dpi, t.le);
+            view.setUint32(pos + 4, 1, t.le);
+        });
+        view.setUint16(unit, 2, t.le);
+        return out;
+    }
+
+    const ifd0 = view.getUint32(4, t.le);
+    const count = view.getUint16(ifd0, t.le);
+    const resolutionTags = [TAG.xResolution, TAG.yResolution, TAG.resolutionUnit];
+    const entries = []; // { tag, bytes (the 12-byte entry) }
+    for (let i = 0; i < count; i++) {
+        const e = ifd0 + 2 + i * 12;
+        const tag = view.getUint16(e, t.le);
+        if (!resolutionTags.includes(tag)) entries.push({ tag, bytes: out.subarray(e, e + 12) });
+    }
+    const nextIfd = view.getUint32(ifd0 + 2 + count * 12, t.le);
+
+    const at = out.length + (out.length & 1);
+    const n = entries.length + 3;
+    const data = at + 2 + n * 12 + 4; // the two rationals
+    const grown = new Uint8Array(data + 16);
+    grown.set(out);
+    const gv = new DataView(grown.buffer);
+    const entry = (tag, type, value) => {
+        const bytes = new Uint8Array(12);
+        const ev = new DataView(bytes.buffer);
+        ev.setUint16(0, tag, t.le);
+        ev.setUint16(2, type, t.le);
+        ev.setUint32(4, 1, t.le);
+        if (type === 3) ev.setUint16(8, value, t.le);
+        else ev.setUint32(8, value, t.le);
+        return { tag, bytes };
+    };
+    entries.push(entry(TAG.xResolution, 5, data), entry(TAG.yResolution, 5, data + 8), entry(TAG.resolutionUnit, 3, 2));
+    entries.sort((a, b) => a.tag - b.tag);
+
+    gv.setUint16(at, n, t.le);
+    entries.forEach((e, i) => grown.set(e.bytes, at + 2 + i * 12));
+    gv.setUint32(at + 2 + n * 12, nextIfd, t.le);
+    [data, data + 8].forEach((pos) => {
+        gv.setUint32(pos, dpi, t.le);
+        gv.setUint32(pos + 4, 1, t.le);
+    });
+    gv.setUint32(4, at, t.le);
+    return grown;
+}
+
+/**
+ * Pick what to write back for a mode: { exif, icc, xmp } (null = omit).
+ * Orientation is always reset to 1 - the pixels are already upright.
+ * opts.dpi sets the EXIF resolution, adding the tags when the kept EXIF has none;
+ * opts.exifDensity forces an EXIF block just to carry it (WebP has no other place for DPI).
+ */
+export function selectMetadata(meta, mode, { dpi = 0, exifDensity = false } = {}) {
+    const none = { exif: null, icc: null, xmp: null };
+    const densityOnly = dpi && exifDensity ? { ...none, exif: buildExif({}, dpi) } : none;
+    if (!meta || mode === "strip" || !METADATA_MODES.includes(mode)) return densityOnly;
+    const t = meta.tags;
+
+    if (mode === "copyright") {
+        if (!t || !(t.copyright || t.artist || t.dateTime || t.dateTimeOriginal)) return densityOnly;
+        return { ...none, exif: buildExif(t, dpi) };
+    }
+
+    let exif = densityOnly.exif;
+    if (meta.exif && t) {
+        exif = meta.exif.slice();
+        if (t.orientationPos >= 0) new DataView(exif.buffer).setUint16(t.orientationPos, 1, t.le);
+        if (dpi) exif = withResolution(exif, t, dpi);
+    }
+    return { exif, icc: meta.icc, xmp: meta.xmp };
+}
+
+/* Bytes the selected metadata adds to a file (upper bound incl. segment/chunk headers) */
+export function metadataSize({ exif, icc, xmp }) {
+    let n = 0;
+    if (exif) n += exif.length + 16;
+    if (icc) n += icc.length + 18 * Math.ceil(icc.length / 65519) + 32;
+    if (xmp) n += new TextEncoder().encode(xmp).length + 48;
+    return n;
+}
+
+/* ------------ writers ------------ */
+
+function jpegSegment(marker, payload) {
+    const out = new Uint8Array(4 + payload.length);
+    out[0] = 0xff;
+    out[1] = marker;
+    out[2] = ((payload.length + 2) >> 8) & 255;
+    out[3] = (payload.length + 2) & 255;
+    out.set(payload, 4);
+    return out;
+}
+
+function injectJpeg(bytes, { exif, icc, xmp }) {
+    const enc = new TextEncoder();
+    const segments = [];
+    if (exif && exif.length + 8 <= 65535) segments.push(jpegSegment(0xe1, concat([Uint8Array.from(EXIF_HEADER), exif])));
+    if (xmp) {
+        const payload = concat([enc.encode(XMP_NS), enc.encode(xmp)]);
+        if (payload.length + 2 <= 65535) segments.push(jpegSegment(0xe1, payload));
+    }
+    if (icc) {
+        const CHUNK = 65519;
+        const count = Math.ceil(icc.length / CHUNK);
+        if (count <= 255) {
+            for (let i = 0; i < count; i++) {
+                const head = concat([enc.encode(ICC_NAME), Uint8Array.from([i + 1, count])]);
+                segments.push(jpegSegment(0xe2, concat([head, icc.subarray(i * CHUNK, (i + 1) * CHUNK)])));
+            }
+        }
+    }
+    if (!segments.length) return bytes;
+
+    // after SOI and a leading JFIF APP0
+    let at = 2;
+    if (bytes[2] === 0xff && bytes[3] === 0xe0) at = 4 + ((bytes[4] << 8) | bytes[5]);
+    return concat([bytes.subarray(0, at), ...segments, bytes.subarray(at)]);
+}
+
+function pngChunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+function injectPng(bytes, { exif, icc, xmp }, iccName) {
+    const enc = new TextEncoder();
+    const add = [];
+    if (icc) {
+        const name = enc.encode((iccName || "ICC profile").replace(/[^\x20-\x7e]/g, "").slice(0, 79) || "ICC profile");
+        add.push(pngChunk("iCCP", concat([name, Uint8Array.from([0, 0]), zlibDeflate(icc, 9)])));
+    }
+    if (exif) add.push(pngChunk("eXIf", exif));
+    if (xmp) {
+        add.push(pngChunk("iTXt", concat([enc.encode("XML:com.adobe.xmp"), Uint8Array.from([0, 0, 0, 0, 0]), enc.encode(xmp)])));
+    }
+    if (!add.length) return bytes;
+
+    // right after IHDR (satisfies "before PLTE/IDAT"); drop sRGB/iCCP if a profile is added
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const parts = [bytes.subarray(0, 8)];
+    let p = 8;
+    while (p + 12 <= bytes.length) {
+        const len = view.getUint32(p);
+        const type = ascii(bytes, p + 4, 4);
+        const whole = bytes.subarray(p, p + 12 + len);
+        if (!(icc && (type === "sRGB" || type === "iCCP"))) parts.push(whole);
+        if (type === "IHDR") parts.push(...add);
+        p += 12 + len;
+    }
+    return concat(parts);
+}
+
+function riffChunk(type, data) {
+    const out = new Uint8Array(8 + data.length + (data.length & 1));
+    for (let i = 0; i < 4; i++) out[i] = type.charCodeAt(i);
+    new DataView(out.buffer).setUint32(4, data.length, true);
+    out.set(data, 8);
+    return out;
+}
+
+function injectWebp(bytes, { exif, icc, xmp }) {
+    if (!exif && !icc && !xmp) return bytes;
+    const chunks = webpChunks(bytes).filter((c) => !["ICCP", "EXIF", "XMP "].includes(c.type));
+
+    let vp8x = chunks.find((c) => c.type === "VP8X");
+    const body = chunks.filter((c) => c.type !== "VP8X");
+    let flags;
+    if (vp8x) {
+        flags = vp8x.data[0] & ~(0x20 | 0x08 | 0x04);
+        vp8x = vp8x.data.slice();
+    } else {
+        const info = body.map((c) => webpImageInfo(c.type, c.data)).find(Boolean);
+        if (!info) return bytes;
+        flags = info.alpha || body.some((c) => c.type === "ALPH") ? 0x10 : 0;
+        vp8x = new Uint8Array(10);
+        const w = info.width - 1;
+        const h = info.height - 1;
+        vp8x.set([w & 255, (w >> 8) & 255, (w >> 16) & 255, h & 255, (h >> 8) & 255, (h >> 16) & 255], 4);
+    }
+    if (icc) flags |= 0x20;
+    if (exif) flags |= 0x08;
+    if (xmp) flags |= 0x04;
+    vp8x[0] = flags;
+
+    const enc = new TextEncoder();
+    const parts = [riffChunk("VP8X", vp8x)];
+    if (icc) parts.push(riffChunk("ICCP", icc));
+    body.forEach((c) => parts.push(riffChunk(c.type, c.data)));
+    if (exif) parts.push(riffChunk("EXIF", exif));
+    if (xmp) parts.push(riffChunk("XMP ", enc.encode(xmp)));
+
+    const payload = concat(parts);
+    const head = new Uint8Array(12);
+    head.set([0x52, 0x49, 0x46, 0x46], 0);
+    new DataView(head.buffer).setUint32(4, payload.length + 4, true);
+    head.set([0x57, 0x45, 0x42, 0x50], 8);
+    return concat([head, payload]);
+}
+
+/* Output types injectMetadata can write into (AVIF can't carry EXIF or a profile here) */
+export const METADATA_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+/**
+ * Write { exif, icc, xmp } (see selectMetadata) into an encoded JPEG / PNG / WebP blob.
+ * Other formats, or nothing to write, return the blob unchanged.
+ */
+export async function injectMetadata(blob, keep, { iccName = null } = {}) {
+    if (!blob || !keep || (!keep.exif && !keep.icc && !keep.xmp)) return blob;
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const format = sniff(bytes);
+    let out = bytes;
+    if (format === "jpeg") out = injectJpeg(bytes, keep);
+    else if (format === "png") out = injectPng(bytes, keep, iccName);
+    else if (format === "webp") out = injectWebp(bytes, keep);
+    return out === bytes ? blob : new Blob([out], { type: blob.type });
+}
+
+/* ------------ physical density ------------ */
+
+/**
+ * Stamp a physical resolution into an encoded file: JFIF density (JPEG, added when the
+ * encoder wrote no APP0) or pHYs (PNG). WebP carries DPI only via EXIF - see selectMetadata.
+ */
+export async function writeDensity(blob, dpi) {
+    dpi = Math.round(dpi);
+    if (!blob || !(dpi > 0) || dpi > 65535) return blob;
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const format = sniff(bytes);
+    let out = bytes;
+
+    if (format === "jpeg") {
+        const hasJfif = bytes[2] === 0xff && bytes[3] === 0xe0 && startsWith(bytes, 6, "JFIF\0");
+        if (hasJfif) {
+            out = bytes.slice();
+            out[13] = 1; // units = dots per inch
+            out[14] = (dpi >> 8) & 255;
+            out[15] = dpi & 255;
+            out[16] = (dpi >> 8) & 255;
+            out[17] = dpi & 255;
+        } else {
+            const app0 = Uint8Array.from([
+                0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 1,
+                (dpi >> 8) & 255, dpi & 255, (dpi >> 8) & 255, dpi & 255, 0, 0,
+            ]);
+            out = concat([bytes.subarray(0, 2), jpegSegment(0xe0, app0), bytes.subarray(2)]);
+        }
+    } else if (format === "png") {
+        const ppm = Math.round(dpi / 0.0254);
+        const phys = new Uint8Array(9);
+        const pv = new DataView(phys.buffer);
+        pv.setUint32(0, ppm);
+        pv.setUint32(4, ppm);
+        phys[8] = 1; // unit = metre
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const parts = [bytes.subarray(0, 8)];
+        let p = 8;
+        while (p + 12 <= bytes.length) {
+            const len = view.getUint32(p);
+            const type = ascii(bytes, p + 4, 4);
+            if (type !== "pHYs") parts.push(bytes.subarray(p, p + 12 + len));
+            if (type === "IHDR") parts.push(pngChunk("pHYs", phys));
+            p += 12 + len;
+        }
+        out = concat(parts);
+    }
+    return out === bytes ? blob : new Blob([out], { type: blob.type });
+}
+
+/* Physical print size -> pixels at a DPI. unit: "in" | "cm" | "mm" */
+export function printSizeToPixels(size, unit, dpi) {
+    const perInch = unit === "cm" ? 2.54 : unit === "mm" ? 25.4 : 1;
+    return Math.max(1, Math.round((Number(size) / perInch) * dpi));
+}
@@ -0,0 +1,66 @@
+// pages.js - multi-page TIFF input (scanner output, faxes): which files are TIFFs, how many
+// pages they hold and a small JPEG preview of each page for the page picker. Compression
+// itself decodes the chosen page at full size through compress()'s `page` option.
+
+import {
+    decodeImage,
+    renderScaled,
+    canvasToBlobWithFallback,
+    releaseCanvas,
+    releaseSource,
+    abortable,
+} from "./engine";
+import { tiffPageCount } from "./tiff";
+
+const PREVIEW_PIXELS = 2 * 1024 * 1024;
+const PREVIEW_QUALITY = 0.85;
+
+/* TIFF by MIME type or file extension */
+export function isTiffFile(f) {
+    if (!f) return false;
+    const t = (f.type || "").toLowerCase();
+    const name = (f.name || "").toLowerCase();
+    return t === "image/tiff" || t === "image/tif" || name.endsWith(".tif") || name.endsWith(".tiff");
+}
+
+async function renderPages(blob, progressCb) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const count = tiffPageCount(bytes);
+    if (!count) throw new Error("This TIFF has no readable images - the file may be damaged or truncated.");
+
+    const pages = [];
+    for (let i = 0; i < count; i++) {
+        progressCb(Math.round(10 + (i / count) * 85), count > 1 ? `Reading page ${i + 1} of ${count}...` : "Reading TIFF...");
+        const decoded = await decodeImage(blob, { page: i, maxPixels: PREVIEW_PIXELS });
+        let canvas = null;
+        try {
+            canvas = await renderScaled(decoded, decoded.width, decoded.height);
+            pages.push(await canvasToBlobWithFallback(canvas, "image/jpeg", PREVIEW_QUALITY));
+        } finally {
+            releaseCanvas(canvas);
+            releaseSource(decoded);
+        }
+    }
+    return pages;
+}
+
+/* Previews are rendered once per file and shared by every caller */
+const pagesCache = new WeakMap();
+
+/**
+ * A JPEG preview (up to ~2 MP) of every page of a TIFF, in file order; reduced-resolution
+ * thumbnails stored alongside the pages are skipped. Throws on damaged / unsupported files.
+ * Aborting `signal` stops this caller waiting - the shared rendering itself keeps going.
+ * @param {Blob} tiffBlob
+ * @param {{progress?: (pct: number, note: string) => void, signal?: AbortSignal|null}} [options]
+ * @returns {Promise<Blob[]>}
+ */
+export function tiffPages(tiffBlob, { progress = () => { }, signal = null } = {}) {
+    let pending = pagesCache.get(tiffBlob);
+    if (!pending) {
+        pending = renderPages(tiffBlob, progress);
+        pagesCache.set(tiffBlob, pending);
+        pending.catch(() => pagesCache.delete(tiffBlob));
+    }
+    return abortable(pending, signal);
+}
@@ -0,0 +1,273 @@
+// palette.js - RGBA palette selection (median cut) + Floyd–Steinberg dithering.
+// Produces a palette and one index per pixel, ready for an indexed (PNG-8) encode.
+
+/* 5 bits per channel -> 20-bit histogram key */
+function binKey(r, g, b, a) {
+    return ((r >> 3) << 15) | ((g >> 3) << 10) | ((b >> 3) << 5) | (a >> 3);
+}
+
+/* The image's own colours (RGBA packed as uint32 -> index) when there are at most
+   maxColors of them, else null. Fully transparent pixels all count as one colour. */
+export function collectExactColors(data, maxColors) {
+    const map = new Map();
+    let last = -1;
+    for (let i = 0; i < data.length; i += 4) {
+        const a = data[i + 3];
+        const c = a === 0
+            ? 0
+            : ((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | a) >>> 0;
+        if (c === last) continue;
+        last = c;
+        if (!map.has(c)) {
+            if (map.size >= maxColors) return null;
+            map.set(c, map.size);
+        }
+    }
+    return map;
+}
+
+/* Median cut over the colour histogram. Returns [[r,g,b,a], ...] */
+function medianCut(data, maxColors) {
+    const BINS = 1 << 20;
+    const binIndex = new Int32Array(BINS).fill(-1);
+    let unique = 0;
+
+    // pass 1: find used bins (fully transparent pixels are handled separately)
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        const k = binKey(data[i], data[i + 1], data[i + 2], data[i + 3]);
+        if (binIndex[k] === -1) binIndex[k] = unique++;
+    }
+    if (unique === 0) return [];
+
+    // pass 2: accumulate counts and channel sums per used bin
+    const cnt = new Float64Array(unique);
+    const sums = [
+        new Float64Array(unique),
+        new Float64Array(unique),
+        new Float64Array(unique),
+        new Float64Array(unique),
+    ];
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        const b = binIndex[binKey(data[i], data[i + 1], data[i + 2], data[i + 3])];
+        cnt[b]++;
+        sums[0][b] += data[i];
+        sums[1][b] += data[i + 1];
+        sums[2][b] += data[i + 2];
+        sums[3][b] += data[i + 3];
+    }
+
+    // mean colour of each bin
+    const mean = sums.map((s) => {
+        const m = new Float32Array(unique);
+        for (let b = 0; b < unique; b++) m[b] = s[b] / cnt[b];
+        return m;
+    });
+
+    const order = new Int32Array(unique);
+    for (let b = 0; b < unique; b++) order[b] = b;
+
+    function makeBox(start, end) {
+        let n = 0;
+        const s1 = [0, 0, 0, 0];
+        const s2 = [0, 0, 0, 0];
+        for (let i = start; i < end; i++) {
+            const b = order[i];
+            const w = cnt[b];
+            n += w;
+            for (let c = 0; c < 4; c++) {
+                const v = mean[c][b];
+                s1[c] += w * v;
+                s2[c] += w * v * v;
+            }
+        }
+        // per-channel squared error; alpha counts double so edges stay clean
+        const err = s2.map((v, c) => (v - (s1[c] * s1[c]) / n) * (c === 3 ? 2 : 1));
+        let axis = 0;
+        for (let c = 1; c < 4; c++) if (err[c] > err[axis]) axis = c;
+        return { start, end, n, s1, score: err[0] + err[1] + err[2] + err[3], axis };
+    }
+
+    const boxes = [makeBox(0, unique)];
+
+    while (boxes.length < maxColors) {
+        let pick = -1;
+        for (let i = 0; i < boxes.length; i++) {
+            const bx = boxes[i];
+            if (bx.end - bx.start < 2 || bx.score <= 0) continue;
+            if (pick === -1 || bx.score > boxes[pick].score) pick = i;
+        }
+        if (pick === -1) break;
+
+        const box = boxes[pick];
+        const axisMean = mean[box.axis];
+        const slice = order.subarray(box.start, box.end);
+        slice.sort((a, b) => axisMean[a] - axisMean[b]);
+
+        // split at the weighted median
+        let acc = 0;
+        let cut = box.start + 1;
+        for (let i = box.start; i < box.end - 1; i++) {
+            acc += cnt[order[i]];
+            if (acc >= box.n / 2) {
+                cut = i + 1;
+                break;
+            }
+        }
+
+        boxes.splice(pick, 1, makeBox(box.start, cut), makeBox(cut, box.end));
+    }
+
+    return boxes.map((bx) => bx.s1.map((v) => Math.round(v / bx.n)));
+}
+
+/**
+ * Quantize RGBA pixels to at most `maxColors` entries (2..256).
+ * Returns { palette: Uint8Array(n*4) RGBA, indices: Uint8Array(w*h), colors: n, exact }.
+ * Palette entries with alpha < 255 are placed first so tRNS can stay short.
+ */
+export function quantizeRGBA(data, width, height, opts = {}) {
+    const maxColors = Math.max(2, Math.min(256, Math.round(opts.maxColors || 256)));
+    const dither = opts.dither !== false;
+    const strength = opts.ditherStrength == null ? 1 : opts.ditherStrength;
+    const pixels = width * height;
+
+    let hasTransparent = false;
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] === 0) {
+            hasTransparent = true;
+            break;
+        }
+    }
+
+    // 1) Few enough colours already -> lossless palette, no dithering needed
+    const exact = collectExactColors(data, maxColors);
+    let colors;
+    if (exact) {
+        colors = [];
+        for (const c of exact.keys()) {
+            colors.push([c >>> 24, (c >>> 16) & 255, (c >>> 8) & 255, c & 255]);
+        }
+    } else {
+        colors = medianCut(data, hasTransparent ? maxColors - 1 : maxColors);
+        if (hasTransparent) colors.push([0, 0, 0, 0]);
+    }
+
+    // translucent entries first (shorter tRNS chunk)
+    const sorted = colors
+        .map((c, i) => ({ c, i }))
+        .sort((a, b) => (a.c[3] === 255) - (b.c[3] === 255));
+    const palette = new Uint8Array(sorted.length * 4);
+    sorted.forEach((e, i) => palette.set(e.c, i * 4));
+
+    const indices = new Uint8Array(pixels);
+    const transparentIndex = sorted.findIndex((e) => e.c[3] === 0);
+
+    if (exact) {
+        const remap = new Map();
+        sorted.forEach((e, i) => {
+            const [r, g, b, a] = e.c;
+            remap.set(a === 0 ? 0 : ((r << 24) | (g << 16) | (b << 8) | a) >>> 0, i);
+        });
+        for (let p = 0, i = 0; p < pixels; p++, i += 4) {
+            const a = data[i + 3];
+            const c = a === 0
+                ? 0
+                : ((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | a) >>> 0;
+            indices[p] = remap.get(c);
+        }
+        return { palette, indices, colors: sorted.length, exact: true };
+    }
+
+    // nearest-colour lookups are cached per 5-bit bin
+    const cache = new Int16Array(1 << 20).fill(-1);
+    const n = sorted.length;
+    function nearest(r, g, b, a) {
+        const k = binKey(r, g, b, a);
+        const hit = cache[k];
+        if (hit !== -1) return hit;
+        let best = 0;
+        let bestD = Infinity;
+        for (let j = 0; j < n; j++) {
+            const o = j * 4;
+            if (palette[o + 3] === 0 && a !== 0) continue;
+            const dr = r - palette[o];
+            const dg = g - palette[o + 1];
+            const db = b - palette[o + 2];
+            const da = a - palette[o + 3];
+            const d = dr * dr + dg * dg + db * db + 2 * da * da;
+            if (d < bestD) {
+                bestD = d;
+                best = j;
+            }
+        }
+        cache[k] = best;
+        return best;
+    }
+
+    const clamp = (v) => (v < 0 ? 0 : v > 255 ? 255 : v);
+
+    if (!dither) {
+        for (let p = 0, i = 0; p < pixels; p++, i += 4) {
+            indices[p] = data[i + 3] === 0 && transparentIndex !== -1
+                ? transparentIndex
+                : nearest(data[i], data[i + 1], data[i + 2], data[i + 3]);
+        }
+        return { palette, indices, colors: n, exact: false };
+    }
+
+    // Floyd–Steinberg on RGB (alpha is mapped, not dithered - avoids noisy edges)
+    let errCur = new Float32Array((width + 2) * 3);
+    let errNext = new Float32Array((width + 2) * 3);
+
+    for (let y = 0; y < height; y++) {
+        errNext.fill(0);
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            const i = p * 4;
+            const a = data[i + 3];
+
+            if (a === 0 && transparentIndex !== -1) {
+                indices[p] = transparentIndex;
+                continue;
+            }
+
+            const e = (x + 1) * 3;
+            const r = clamp(Math.round(data[i] + errCur[e]));
+            const g = clamp(Math.round(data[i + 1] + errCur[e + 1]));
+            const b = clamp(Math.round(data[i + 2] + errCur[e + 2]));
+
+            const idx = nearest(r, g, b, a);
+            indices[p] = idx;
+
+            const o = idx * 4;
+            const er = (r - palette[o]) * strength;
+            const eg = (g - palette[o + 1]) * strength;
+            const eb = (b - palette[o + 2]) * strength;
+
+            errCur[e + 3] += er * 7 / 16;
+            errCur[e + 4] += eg * 7 / 16;
+            errCur[e + 5] += eb * 7 / 16;
+            errNext[e - 3] += er * 3 / 16;
+            errNext[e - 2] += eg * 3 / 16;
+            errNext[e - 1] += eb * 3 / 16;
+            errNext[e] += er * 5 / 16;
+            errNext[e + 1] += eg * 5 / 16;
+            errNext[e + 2] += eb * 5 / 16;
+            errNext[e + 3] += er / 16;
+            errNext[e + 4] += eg / 16;
+            errNext[e + 5] += eb / 16;
+        }
+        const t = errCur;
+        errCur = errNext;
+        errNext = t;
+    }
+
+    return { palette, indices, colors: n, exact: false };
+}
+
+/* Map the 0..1 quality slider to a palette size (4..256 colours) */
+export function colorsForQuality(q) {
+    return Math.max(4, Math.min(256, Math.round(Math.pow(2, 2 + q * 6.2))));
+}
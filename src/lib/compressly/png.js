@@ -0,0 +1,269 @@
+// png.js - in-project PNG encoder.
+// Picks the smallest lossless colour type / bit depth for the pixels it is given,
+// chooses a filter per row, and deflates with a configurable effort level.
+
+import { crc32, zlibDeflate } from "./deflate";
+import { collectExactColors } from "./palette";
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+/* Ancillary chunks that must come before PLTE; everything else goes after it */
+const BEFORE_PLTE = new Set(["iCCP", "sRGB", "gAMA", "cHRM", "sBIT"]);
+
+function chunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+/* ------------ filtering ------------ */
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    if (pb <= pc) return b;
+    return c;
+}
+
+/* Filter one row into out[1..] with the given filter type */
+function filterRow(type, cur, prev, bpp, out) {
+    const len = cur.length;
+    out[0] = type;
+    for (let i = 0; i < len; i++) {
+        const a = i >= bpp ? cur[i - bpp] : 0;
+        const b = prev ? prev[i] : 0;
+        const c = prev && i >= bpp ? prev[i - bpp] : 0;
+        let v;
+        switch (type) {
+            case 1: v = cur[i] - a; break;
+            case 2: v = cur[i] - b; break;
+            case 3: v = cur[i] - ((a + b) >> 1); break;
+            case 4: v = cur[i] - paeth(a, b, c); break;
+            default: v = cur[i];
+        }
+        out[i + 1] = v & 255;
+    }
+}
+
+/* Sum of absolute signed bytes - the usual "minimum sum" heuristic */
+function rowScore(out) {
+    let s = 0;
+    for (let i = 1; i < out.length; i++) {
+        const v = out[i];
+        s += v < 128 ? v : 256 - v;
+    }
+    return s;
+}
+
+/* mode: "none" (filter 0 everywhere) or "adaptive" (best of 0-4 per row) */
+function filterImage(raw, height, rowBytes, bpp, mode) {
+    const stride = rowBytes + 1;
+    const out = new Uint8Array(stride * height);
+    const trial = new Uint8Array(stride);
+
+    for (let y = 0; y < height; y++) {
+        const cur = raw.subarray(y * rowBytes, (y + 1) * rowBytes);
+        const prev = y > 0 ? raw.subarray((y - 1) * rowBytes, y * rowBytes) : null;
+        const dest = out.subarray(y * stride, (y + 1) * stride);
+
+        if (mode === "none") {
+            filterRow(0, cur, prev, bpp, dest);
+            continue;
+        }
+
+        let bestScore = Infinity;
+        for (let type = 0; type <= 4; type++) {
+            filterRow(type, cur, prev, bpp, trial);
+            const score = rowScore(trial);
+            if (score < bestScore) {
+                bestScore = score;
+                dest.set(trial);
+            }
+        }
+    }
+    return out;
+}
+
+/* ------------ pixel packing ------------ */
+
+/* One value per pixel (gray level or palette index) packed at 1/2/4/8 bits */
+function packSamples(values, width, height, depth) {
+    const rowBytes = Math.ceil((width * depth) / 8);
+    const raw = new Uint8Array(rowBytes * height);
+    if (depth === 8) {
+        raw.set(values);
+        return { raw, rowBytes };
+    }
+    const perByte = 8 / depth;
+    for (let y = 0; y < height; y++) {
+        const rowOff = y * rowBytes;
+        for (let x = 0; x < width; x++) {
+            const shift = 8 - depth * ((x % perByte) + 1);
+            raw[rowOff + Math.floor(x / perByte)] |= values[y * width + x] << shift;
+        }
+    }
+    return { raw, rowBytes };
+}
+
+/* Smallest gray bit depth that represents every level exactly */
+function grayDepth(data) {
+    let fits1 = true;
+    let fits2 = true;
+    let fits4 = true;
+    for (let i = 0; i < data.length; i += 4) {
+        const v = data[i];
+        if (v !== 0 && v !== 255) fits1 = false;
+        if (v % 85) fits2 = false;
+        if (v % 17) {
+            fits4 = false;
+            break;
+        }
+    }
+    return fits1 ? 1 : fits2 ? 2 : fits4 ? 4 : 8;
+}
+
+function paletteDepth(colors) {
+    return colors <= 2 ? 1 : colors <= 4 ? 2 : colors <= 16 ? 4 : 8;
+}
+
+/* ------------ writer ------------ */
+
+function ihdrChunk(width, height, depth, colorType) {
+    const ihdr = new Uint8Array(13);
+    const hv = new DataView(ihdr.buffer);
+    hv.setUint32(0, width);
+    hv.setUint32(4, height);
+    ihdr[8] = depth;
+    ihdr[9] = colorType;
+    return chunk("IHDR", ihdr);
+}
+
+function plteChunks(palette) {
+    const colors = palette.length / 4;
+    const plte = new Uint8Array(colors * 3);
+    let trnsLen = 0;
+    for (let i = 0; i < colors; i++) {
+        plte[i * 3] = palette[i * 4];
+        plte[i * 3 + 1] = palette[i * 4 + 1];
+        plte[i * 3 + 2] = palette[i * 4 + 2];
+        if (palette[i * 4 + 3] !== 255) trnsLen = i + 1;
+    }
+    const trns = new Uint8Array(trnsLen);
+    for (let i = 0; i < trnsLen; i++) trns[i] = palette[i * 4 + 3];
+    return trnsLen ? [chunk("PLTE", plte), chunk("tRNS", trns)] : [chunk("PLTE", plte)];
+}
+
+/* Filter + deflate. At effort >= 7 both filter strategies are tried and the smaller kept. */
+function compressScanlines(raw, height, rowBytes, bpp, preferNone, effort) {
+    const modes = preferNone ? ["none"] : effort >= 7 ? ["adaptive", "none"] : ["adaptive"];
+    let best = null;
+    for (const mode of modes) {
+        const z = zlibDeflate(filterImage(raw, height, rowBytes, bpp, mode), effort);
+        if (!best || z.length < best.length) best = z;
+    }
+    return best;
+}
+
+function assemble({ width, height, depth, colorType, palette, idat, metadata, stripMetadata }) {
+    const meta = stripMetadata ? [] : metadata || [];
+    const parts = [PNG_SIGNATURE, ihdrChunk(width, height, depth, colorType)];
+
+    meta.filter((c) => BEFORE_PLTE.has(c.type)).forEach((c) => parts.push(chunk(c.type, c.data)));
+    if (palette) parts.push(...plteChunks(palette));
+    meta.filter((c) => !BEFORE_PLTE.has(c.type)).forEach((c) => parts.push(chunk(c.type, c.data)));
+
+    parts.push(chunk("IDAT", idat), chunk("IEND", new Uint8Array(0)));
+    return new Blob(parts, { type: "image/png" });
+}
+
+/**
+ * Encode palette indices as an indexed PNG (bit depth reduced to 1/2/4/8 by palette size).
+ * palette: Uint8Array RGBA (n*4, n <= 256); indices: one byte per pixel.
+ * opts: { effort = 6, metadata = [], stripMetadata = true }
+ */
+export async function encodeIndexedPng(indices, width, height, palette, opts = {}) {
+    const { effort = 6, metadata = [], stripMetadata = true } = opts;
+    const depth = paletteDepth(palette.length / 4);
+    const { raw, rowBytes } = packSamples(indices, width, height, depth);
+    // filter type 0 on every row - recommended for palette images
+    const idat = compressScanlines(raw, height, rowBytes, 1, true, effort);
+    return assemble({ width, height, depth, colorType: 3, palette, idat, metadata, stripMetadata });
+}
+
+/**
+ * Lossless PNG from RGBA pixels. Chooses gray / palette / RGB / RGBA and the lowest
+ * bit depth that keeps every pixel exact.
+ * opts: { effort = 6 (0-9 deflate effort), metadata = [{ type, data }], stripMetadata = true }
+ */
+export async function encodePng(rgba, width, height, opts = {}) {
+    const { effort = 6, metadata = [], stripMetadata = true } = opts;
+    const pixels = width * height;
+
+    let opaque = true;
+    let gray = true;
+    for (let i = 0; i < rgba.length; i += 4) {
+        if (rgba[i + 3] !== 255) opaque = false;
+        if (rgba[i] !== rgba[i + 1] || rgba[i] !== rgba[i + 2]) gray = false;
+        if (!opaque && !gray) break;
+    }
+
+    const exact = collectExactColors(rgba, 256);
+    const common = { width, height, metadata, stripMetadata };
+
+    // 1) opaque grayscale at 1/2/4/8 bits
+    const gDepth = gray && opaque ? grayDepth(rgba) : 0;
+    if (gDepth && (!exact || gDepth <= paletteDepth(exact.size))) {
+        const values = new Uint8Array(pixels);
+        const scale = 255 / ((1 << gDepth) - 1);
+        for (let p = 0; p < pixels; p++) values[p] = Math.round(rgba[p * 4] / scale);
+        const { raw, rowBytes } = packSamples(values, width, height, gDepth);
+        const idat = compressScanlines(raw, height, rowBytes, 1, gDepth < 8, effort);
+        return assemble({ ...common, depth: gDepth, colorType: 0, idat });
+    }
+
+    // 2) few colours -> lossless palette
+    if (exact) {
+        const palette = new Uint8Array(exact.size * 4);
+        for (const [c, i] of exact) {
+            palette[i * 4] = c >>> 24;
+            palette[i * 4 + 1] = (c >>> 16) & 255;
+            palette[i * 4 + 2] = (c >>> 8) & 255;
+            palette[i * 4 + 3] = c & 255;
+        }
+        const indices = new Uint8Array(pixels);
+        for (let p = 0, i = 0; p < pixels; p++, i += 4) {
+            const a = rgba[i + 3];
+            const c = a === 0
+                ? 0
+                : ((rgba[i] << 24) | (rgba[i + 1] << 16) | (rgba[i + 2] << 8) | a) >>> 0;
+            indices[p] = exact.get(c);
+        }
+        return encodeIndexedPng(indices, width, height, palette, opts);
+    }
+
+    // 3) truecolour: gray+alpha, RGB or RGBA at 8 bits
+    const channels = gray ? 2 : opaque ? 3 : 4;
+    const colorType = gray ? 4 : opaque ? 2 : 6;
+    const rowBytes = width * channels;
+    const raw = new Uint8Array(rowBytes * height);
+    for (let p = 0, i = 0, o = 0; p < pixels; p++, i += 4) {
+        if (gray) {
+            raw[o++] = rgba[i];
+            raw[o++] = rgba[i + 3];
+        } else {
+            raw[o++] = rgba[i];
+            raw[o++] = rgba[i + 1];
+            raw[o++] = rgba[i + 2];
+            if (!opaque) raw[o++] = rgba[i + 3];
+        }
+    }
+    const idat = compressScanlines(raw, height, rowBytes, channels, false, effort);
+    return assemble({ ...common, depth: 8, colorType, idat });
+}
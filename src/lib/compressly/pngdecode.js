@@ -0,0 +1,164 @@
+// pngdecode.js - in-project PNG decoder. Browsers truncate 16-bit samples when they decode to a
+// canvas; this one rounds them to 8 bits, and it reads every colour type, bit depth and
+// Adam7 interlacing, so it also serves as the fallback when the browser's decoder fails.
+
+import { inflateZlib } from "./deflate";
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/* Adam7 passes: [xStart, yStart, xStep, yStep] */
+const ADAM7 = [
+    [0, 0, 8, 8],
+    [4, 0, 8, 8],
+    [0, 4, 4, 8],
+    [2, 0, 4, 4],
+    [0, 2, 2, 4],
+    [1, 0, 2, 2],
+    [0, 1, 1, 2],
+];
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    if (pb <= pc) return b;
+    return c;
+}
+
+/* Undo the per-row filters of one (sub)image; returns its rows without the filter bytes */
+function unfilter(src, offset, rowBytes, rows, bpp) {
+    const out = new Uint8Array(rowBytes * rows);
+    for (let y = 0; y < rows; y++) {
+        const type = src[offset + y * (rowBytes + 1)];
+        const inp = offset + y * (rowBytes + 1) + 1;
+        const cur = y * rowBytes;
+        const prev = cur - rowBytes;
+        for (let i = 0; i < rowBytes; i++) {
+            const a = i >= bpp ? out[cur + i - bpp] : 0;
+            const b = y > 0 ? out[prev + i] : 0;
+            const c = i >= bpp && y > 0 ? out[prev + i - bpp] : 0;
+            const x = src[inp + i];
+            if (type === 0) out[cur + i] = x;
+            else if (type === 1) out[cur + i] = x + a;
+            else if (type === 2) out[cur + i] = x + b;
+            else if (type === 3) out[cur + i] = x + ((a + b) >> 1);
+            else if (type === 4) out[cur + i] = x + paeth(a, b, c);
+            else throw new Error("PNG has an invalid row filter - the file is damaged.");
+        }
+    }
+    return out;
+}
+
+/**
+ * Decode PNG bytes to 8-bit RGBA (16-bit samples rounded, not truncated).
+ * Returns { width, height, data (Uint8ClampedArray RGBA), bitDepth, colorType }.
+ * Throws with a readable message on damaged or truncated files.
+ */
+export async function decodePng(bytes) {
+    if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) throw new Error("Not a PNG file.");
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let header = null;
+    let palette = null;
+    let trns = null;
+    const idat = [];
+
+    for (let p = 8; p + 12 <= bytes.length;) {
+        const len = view.getUint32(p);
+        const type = String.fromCharCode(bytes[p + 4], bytes[p + 5], bytes[p + 6], bytes[p + 7]);
+        const data = bytes.subarray(p + 8, Math.min(bytes.length, p + 8 + len));
+        if (type === "IHDR") {
+            header = {
+                width: view.getUint32(p + 8),
+                height: view.getUint32(p + 12),
+                bitDepth: bytes[p + 16],
+                colorType: bytes[p + 17],
+                interlace: bytes[p + 20],
+            };
+        } else if (type === "PLTE") {
+            palette = data;
+        } else if (type === "tRNS") {
+            trns = data;
+        } else if (type === "IDAT") {
+            idat.push(data);
+        } else if (type === "IEND") {
+            break;
+        }
+        p += 12 + len;
+    }
+    if (!header || !CHANNELS[header.colorType]) throw new Error("PNG header is missing or invalid.");
+    if (!idat.length) throw new Error("PNG has no image data.");
+
+    const joined = new Uint8Array(idat.reduce((n, d) => n + d.length, 0));
+    for (let i = 0, o = 0; i < idat.length; o += idat[i].length, i++) joined.set(idat[i], o);
+    const raw = await inflateZlib(joined);
+    if (!raw) throw new Error("PNG image data couldn't be decompressed - the file is damaged or truncated.");
+
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = CHANNELS[colorType];
+    const bitsPerPixel = channels * bitDepth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    const maxValue = (1 << bitDepth) - 1;
+    const out = new Uint8ClampedArray(width * height * 4);
+
+    // tRNS: a palette alpha table, or the single transparent grey / RGB value
+    const paletteAlpha = colorType === 3 ? trns : null;
+    const keyColor = trns && (colorType === 0 || colorType === 2)
+        ? Array.from({ length: colorType === 0 ? 1 : 3 }, (_, i) => (trns[i * 2] << 8) | trns[i * 2 + 1])
+        : null;
+
+    const sample = (rows, rowStart, x, c) => {
+        if (bitDepth === 16) {
+            const i = rowStart + (x * channels + c) * 2;
+            return (rows[i] << 8) | rows[i + 1];
+        }
+        if (bitDepth === 8) return rows[rowStart + x * channels + c];
+        const bit = (x * channels + c) * bitDepth;
+        return (rows[rowStart + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+    };
+    const to8 = (v) => (bitDepth === 16 ? Math.round(v / 257) : bitDepth === 8 ? v : Math.round((v * 255) / maxValue));
+
+    const put = (rows, rowStart, x, dst) => {
+        if (colorType === 3) {
+            const idx = sample(rows, rowStart, x, 0);
+            out[dst] = palette ? palette[idx * 3] : 0;
+            out[dst + 1] = palette ? palette[idx * 3 + 1] : 0;
+            out[dst + 2] = palette ? palette[idx * 3 + 2] : 0;
+            out[dst + 3] = paletteAlpha && idx < paletteAlpha.length ? paletteAlpha[idx] : 255;
+            return;
+        }
+        const gray = colorType === 0 || colorType === 4;
+        const v0 = sample(rows, rowStart, x, 0);
+        const v1 = gray ? v0 : sample(rows, rowStart, x, 1);
+        const v2 = gray ? v0 : sample(rows, rowStart, x, 2);
+        out[dst] = to8(v0);
+        out[dst + 1] = to8(v1);
+        out[dst + 2] = to8(v2);
+        if (colorType === 4 || colorType === 6) out[dst + 3] = to8(sample(rows, rowStart, x, gray ? 1 : 3));
+        else if (keyColor && v0 === keyColor[0] && (gray || (v1 === keyColor[1] && v2 === keyColor[2]))) out[dst + 3] = 0;
+        else out[dst + 3] = 255;
+    };
+
+    const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+    let offset = 0;
+    for (const [x0, y0, dx, dy] of passes) {
+        const passW = Math.ceil((width - x0) / dx);
+        const passH = Math.ceil((height - y0) / dy);
+        if (passW <= 0 || passH <= 0) continue;
+        const rowBytes = Math.ceil((passW * bitsPerPixel) / 8);
+        if (offset + (rowBytes + 1) * passH > raw.length) {
+            throw new Error("PNG image data is truncated.");
+        }
+        const rows = unfilter(raw, offset, rowBytes, passH, bpp);
+        offset += (rowBytes + 1) * passH;
+        for (let y = 0; y < passH; y++) {
+            const rowStart = y * rowBytes;
+            const outRow = (y0 + y * dy) * width;
+            for (let x = 0; x < passW; x++) put(rows, rowStart, x, (outRow + x0 + x * dx) * 4);
+        }
+    }
+
+    return { width, height, data: out, bitDepth, colorType };
+}
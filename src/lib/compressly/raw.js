@@ -0,0 +1,195 @@
+// raw.js - camera RAW input (DNG, CR2, NEF, ARW, PEF) through the JPEG preview the camera
+// stores next to the sensor data. Nothing here demosaics: the largest embedded preview -
+// full size on most current bodies - is taken out, given the RAW's orientation and then
+// compressed like any other JPEG. Only TIFF/EP-based containers can be read.
+
+import { readIfd, readIfdChain } from "./tiff";
+import { injectMetadata, orientationExif } from "./metadata";
+
+const RAW_EXTENSIONS = ["dng", "cr2", "nef", "nrw", "arw", "srf", "sr2", "pef"];
+
+const TAG = {
+    compression: 259,
+    photometric: 262,
+    make: 271,
+    stripOffsets: 273,
+    orientation: 274,
+    stripByteCounts: 279,
+    subIfds: 330,
+    jpegOffset: 513,
+    jpegLength: 514,
+    dngVersion: 50706,
+};
+
+/* Photometric interpretations of sensor data (never a preview) */
+const CFA = 32803;
+const LINEAR_RAW = 34892;
+
+/* Make prefix -> RAW type, for files that only say "TIFF with sensor data" */
+const MAKES = [
+    ["NIKON", "NEF"],
+    ["SONY", "ARW"],
+    ["PENTAX", "PEF"],
+    ["RICOH", "PEF"],
+    ["CANON", "CR2"],
+];
+
+/* RAW by MIME type or file extension */
+export function isRawFile(f) {
+    if (!f) return false;
+    const t = (f.type || "").toLowerCase();
+    const ext = (f.name || "").toLowerCase().split(".").pop();
+    return RAW_EXTENSIONS.includes(ext) || RAW_EXTENSIONS.some((e) => t.endsWith(`-${e}`) || t.endsWith(`/${e}`));
+}
+
+const first = (tags, tag) => tags.get(tag)?.[0];
+
+function text(value) {
+    let s = "";
+    for (let i = 0; value && i < value.length && value[i]; i++) s += String.fromCharCode(value[i]);
+    return s.trim();
+}
+
+function header(bytes) {
+    if (bytes.length < 8) return null;
+    const sig = String.fromCharCode(bytes[0], bytes[1]);
+    if (sig !== "II" && sig !== "MM") return null;
+    const little = sig === "II";
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint16(2, little) !== 42) return null;
+    return { little, offset: view.getUint32(4, little) };
+}
+
+/* The main IFD chain plus the SubIFDs hanging off it (where DNG and NEF keep their images) */
+function allIfds(bytes, { little, offset }) {
+    const out = [];
+    const seen = new Set();
+    const visit = (chain, depth) => {
+        for (const tags of chain) {
+            out.push(tags);
+            if (depth >= 2) continue;
+            for (const sub of tags.get(TAG.subIfds) || []) {
+                if (seen.has(sub) || sub + 2 > bytes.length) continue;
+                seen.add(sub);
+                visit([readIfd(bytes, sub, little).tags], depth + 1);
+            }
+        }
+    };
+    visit(readIfdChain(bytes, offset, little), 0);
+    return out;
+}
+
+function typeOf(bytes, ifds, name) {
+    if (String.fromCharCode(bytes[8], bytes[9]) === "CR") return "CR2";
+    if (ifds[0]?.has(TAG.dngVersion)) return "DNG";
+    const sensor = ifds.some((tags) => [CFA, LINEAR_RAW].includes(first(tags, TAG.photometric)));
+    if (sensor) {
+        const make = text(ifds[0].get(TAG.make)).toUpperCase();
+        return MAKES.find(([prefix]) => make.startsWith(prefix))?.[1] || "RAW";
+    }
+    // The sensor IFDs may lie past the bytes we were given - trust the extension then
+    const ext = (name || "").toLowerCase().split(".").pop();
+    return RAW_EXTENSIONS.includes(ext) ? ext.toUpperCase() : null;
+}
+
+/**
+ * Which RAW format a TIFF-structured file is ("DNG" | "CR2" | "NEF" | "ARW" | "PEF" | "RAW"),
+ * or null for an ordinary TIFF. `bytes` may be just the head of the file.
+ */
+export function rawType(bytes, name = "") {
+    const h = header(bytes);
+    return h ? typeOf(bytes, allIfds(bytes, h), name) : null;
+}
+
+/* Pixel size of a baseline / extended / progressive JPEG, or null (lossless JPEG is sensor data) */
+function jpegSize(bytes, start, end) {
+    if (bytes[start] !== 0xff || bytes[start + 1] !== 0xd8) return null;
+    for (let p = start + 2; p + 9 <= end;) {
+        if (bytes[p] !== 0xff) return null;
+        const marker = bytes[p + 1];
+        if (marker === 0xff) {
+            p++;
+            continue;
+        }
+        if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+            const height = (bytes[p + 5] << 8) | bytes[p + 6];
+            const width = (bytes[p + 7] << 8) | bytes[p + 8];
+            return width && height ? { width, height } : null;
+        }
+        if (marker === 0xda || marker === 0xd9 || (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xcc)) {
+            return null;
+        }
+        p += 2 + ((bytes[p + 2] << 8) | bytes[p + 3]);
+    }
+    return null;
+}
+
+/* Every embedded JPEG: JPEGInterchangeFormat pointers and single-strip JPEG-compressed IFDs */
+function previews(bytes, ifds) {
+    const found = [];
+    const add = (offset, length) => {
+        const end = Math.min(bytes.length, offset + length);
+        const size = length > 0 ? jpegSize(bytes, offset, end) : null;
+        if (size && !found.some((f) => f.offset === offset)) found.push({ offset, end, ...size });
+    };
+    for (const tags of ifds) {
+        const photometric = first(tags, TAG.photometric);
+        if (photometric === CFA || photometric === LINEAR_RAW) continue;
+        if (tags.has(TAG.jpegOffset)) add(first(tags, TAG.jpegOffset), first(tags, TAG.jpegLength) || 0);
+        const compression = first(tags, TAG.compression);
+        const strips = tags.get(TAG.stripOffsets);
+        if ((compression === 6 || compression === 7) && strips?.length === 1) {
+            add(strips[0], first(tags, TAG.stripByteCounts) || 0);
+        }
+    }
+    return found;
+}
+
+/* The JPEG without its own EXIF - preview EXIF is often a stub with the wrong orientation */
+function withoutExif(jpeg) {
+    const parts = [jpeg.subarray(0, 2)];
+    let p = 2;
+    while (p + 4 <= jpeg.length && jpeg[p] === 0xff && jpeg[p + 1] !== 0xda) {
+        const len = (jpeg[p + 2] << 8) | jpeg[p + 3];
+        const exif = jpeg[p + 1] === 0xe1 && String.fromCharCode(...jpeg.subarray(p + 4, p + 8)) === "Exif";
+        if (!exif) parts.push(jpeg.subarray(p, p + 2 + len));
+        p += 2 + len;
+    }
+    parts.push(jpeg.subarray(p));
+    return parts;
+}
+
+async function extractPreview(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const h = header(bytes);
+    if (!h) throw new Error("This RAW format isn't supported - only TIFF-based RAW files (DNG, CR2, NEF, ARW, PEF) can be read.");
+    const ifds = allIfds(bytes, h);
+    const type = typeOf(bytes, ifds, blob.name) || "RAW";
+    const best = previews(bytes, ifds).reduce((a, b) => (!a || b.width * b.height > a.width * a.height ? b : a), null);
+    if (!best) throw new Error(`This ${type} file has no embedded JPEG preview - export it from a RAW editor first.`);
+
+    const orientation = first(ifds[0], TAG.orientation) || 1;
+    let jpeg = new Blob(withoutExif(bytes.subarray(best.offset, best.end)), { type: "image/jpeg" });
+    if (orientation > 1) jpeg = await injectMetadata(jpeg, { exif: orientationExif(orientation) });
+    return { blob: jpeg, width: best.width, height: best.height, orientation, type };
+}
+
+/* Extracted once per file and shared by every caller */
+const previewCache = new WeakMap();
+
+/**
+ * The largest JPEG preview embedded in a camera RAW, with the RAW's orientation written into
+ * its EXIF. Returns { blob, width, height (as stored), orientation, type: "NEF" | ... }.
+ * Throws with a readable message for non-TIFF RAWs and files without a preview.
+ * @param {Blob} rawBlob
+ * @returns {Promise<{blob: Blob, width: number, height: number, orientation: number, type: string}>}
+ */
+export function cameraPreview(rawBlob) {
+    let pending = previewCache.get(rawBlob);
+    if (!pending) {
+        pending = extractPreview(rawBlob);
+        previewCache.set(rawBlob, pending);
+        pending.catch(() => previewCache.delete(rawBlob));
+    }
+    return pending;
+}
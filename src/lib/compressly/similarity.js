@@ -0,0 +1,102 @@
+// similarity.js - how close a compressed image is to its source: SSIM (structure, on luma)
+// and PSNR (per-pixel error, on RGB). Both inputs are RGBA of the same size; transparent
+// pixels are compared as if composited over white.
+
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+const WINDOW = 8;
+const STRIDE = 4;
+
+/* SSIM goals offered in the UI (quality-target mode) */
+export const SSIM_PRESETS = [
+    { value: 0.99, label: "Visually lossless" },
+    { value: 0.97, label: "High" },
+    { value: 0.95, label: "Good" },
+    { value: 0.9, label: "Acceptable" },
+];
+
+/* Short verdict for an SSIM score */
+export function describeSsim(ssim) {
+    if (ssim >= 0.99) return "visually lossless";
+    if (ssim >= 0.97) return "excellent";
+    if (ssim >= 0.95) return "good";
+    if (ssim >= 0.9) return "acceptable";
+    return "visible loss";
+}
+
+/* RGBA -> luma (BT.601) and white-composited RGB */
+function flatten(rgba, count) {
+    const rgb = new Float32Array(count * 3);
+    const luma = new Float32Array(count);
+    for (let i = 0, p = 0; i < count; i++, p += 4) {
+        const a = rgba[p + 3] / 255;
+        const r = rgba[p] * a + 255 * (1 - a);
+        const g = rgba[p + 1] * a + 255 * (1 - a);
+        const b = rgba[p + 2] * a + 255 * (1 - a);
+        rgb[i * 3] = r;
+        rgb[i * 3 + 1] = g;
+        rgb[i * 3 + 2] = b;
+        luma[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+    return { rgb, luma };
+}
+
+/* Mean SSIM over 8×8 windows (stride 4) of two luma planes */
+function ssimLuma(x, y, width, height) {
+    if (width < WINDOW || height < WINDOW) {
+        return windowSsim(x, y, width, 0, 0, width, height);
+    }
+    let sum = 0;
+    let n = 0;
+    for (let wy = 0; wy + WINDOW <= height; wy += STRIDE) {
+        for (let wx = 0; wx + WINDOW <= width; wx += STRIDE) {
+            sum += windowSsim(x, y, width, wx, wy, WINDOW, WINDOW);
+            n++;
+        }
+    }
+    return n ? sum / n : 1;
+}
+
+function windowSsim(x, y, stride, x0, y0, w, h) {
+    let sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+    for (let j = y0; j < y0 + h; j++) {
+        for (let i = x0, k = j * stride + x0; i < x0 + w; i++, k++) {
+            const a = x[k];
+            const b = y[k];
+            sx += a;
+            sy += b;
+            sxx += a * a;
+            syy += b * b;
+            sxy += a * b;
+        }
+    }
+    const n = w * h;
+    const mx = sx / n;
+    const my = sy / n;
+    const vx = sxx / n - mx * mx;
+    const vy = syy / n - my * my;
+    const cov = sxy / n - mx * my;
+    return ((2 * mx * my + C1) * (2 * cov + C2)) / ((mx * mx + my * my + C1) * (vx + vy + C2));
+}
+
+/**
+ * Compare two RGBA buffers of width × height.
+ * Returns { ssim: 0..1, psnr: dB (Infinity when identical) }.
+ */
+export function measureSimilarity(reference, candidate, width, height) {
+    const count = width * height;
+    const a = flatten(reference, count);
+    const b = flatten(candidate, count);
+
+    let se = 0;
+    for (let i = 0; i < a.rgb.length; i++) {
+        const d = a.rgb[i] - b.rgb[i];
+        se += d * d;
+    }
+    const mse = se / a.rgb.length;
+
+    return {
+        ssim: Math.max(0, Math.min(1, ssimLuma(a.luma, b.luma, width, height))),
+        psnr: mse > 0 ? 10 * Math.log10((255 * 255) / mse) : Infinity,
+    };
+}
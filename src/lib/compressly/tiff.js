@@ -0,0 +1,473 @@
+// tiff.js - in-project TIFF decoder for office scanners and print workflows: every page of a
+// multi-page file, strips or tiles, uncompressed / PackBits / LZW / Deflate / JPEG / CCITT fax,
+// 1- to 16-bit grey, palette, RGB(A) and CMYK. BigTIFF, floating-point samples and
+// old-style JPEG are rejected with a clear message.
+
+import { decodeCcitt } from "./ccitt";
+import { decodeJpeg } from "./jpegdecode";
+import { inflateZlib } from "./deflate";
+
+const TYPE_SIZE = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8, 4];
+
+const TAG = {
+    subfileType: 254,
+    width: 256,
+    height: 257,
+    bitsPerSample: 258,
+    compression: 259,
+    photometric: 262,
+    fillOrder: 266,
+    stripOffsets: 273,
+    orientation: 274,
+    samplesPerPixel: 277,
+    rowsPerStrip: 278,
+    stripByteCounts: 279,
+    planar: 284,
+    t4Options: 292,
+    t6Options: 293,
+    predictor: 317,
+    colorMap: 320,
+    tileWidth: 322,
+    tileLength: 323,
+    tileOffsets: 324,
+    tileByteCounts: 325,
+    inkSet: 332,
+    extraSamples: 338,
+    sampleFormat: 339,
+    jpegTables: 347,
+    icc: 34675,
+};
+
+/**
+ * One IFD: { tags: Map(tag -> number[] | Uint8Array), entries: Map(tag -> { type, count, pos }), next }.
+ * BYTE / ASCII / UNDEFINED values come as byte views, the rest as numbers (rationals divided
+ * out); `pos` is where the value sits in `bytes`, for patching it in place; `next` is 0 after
+ * the last IFD. The one IFD reader: TIFF pages, RAW containers (raw.js) and EXIF (metadata.js).
+ */
+export function readIfd(bytes, offset, little) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const read = (type, at) => {
+        switch (type) {
+            case 3: return view.getUint16(at, little);
+            case 4: return view.getUint32(at, little);
+            case 5: return view.getUint32(at, little) / (view.getUint32(at + 4, little) || 1);
+            case 8: return view.getInt16(at, little);
+            case 9: return view.getInt32(at, little);
+            case 10: return view.getInt32(at, little) / (view.getInt32(at + 4, little) || 1);
+            case 11: return view.getFloat32(at, little);
+            case 12: return view.getFloat64(at, little);
+            case 13: return view.getUint32(at, little);
+            case 6: return view.getInt8(at);
+            default: return bytes[at];
+        }
+    };
+
+    const tags = new Map();
+    const entries = new Map();
+    if (!(offset > 0) || offset + 2 > bytes.length) return { tags, entries, next: 0 };
+    const count = view.getUint16(offset, little);
+    for (let i = 0; i < count; i++) {
+        const e = offset + 2 + i * 12;
+        if (e + 12 > bytes.length) break;
+        const tag = view.getUint16(e, little);
+        const type = view.getUint16(e + 2, little);
+        const n = view.getUint32(e + 4, little);
+        const size = (TYPE_SIZE[type] || 1) * n;
+        const at = size <= 4 ? e + 8 : view.getUint32(e + 8, little);
+        if (at + size > bytes.length) continue;
+        entries.set(tag, { type, count: n, pos: at });
+        if (type === 1 || type === 2 || type === 7) {
+            tags.set(tag, bytes.subarray(at, at + n));
+        } else {
+            const values = new Array(n);
+            for (let k = 0; k < n; k++) values[k] = read(type, at + k * (TYPE_SIZE[type] || 1));
+            tags.set(tag, values);
+        }
+    }
+    const next = offset + 2 + count * 12;
+    return { tags, entries, next: next + 4 <= bytes.length ? view.getUint32(next, little) : 0 };
+}
+
+/* Every IFD in the chain starting at `offset` (loops in damaged files end it) */
+export function readIfdChain(bytes, offset, little) {
+    const ifds = [];
+    const seen = new Set();
+    while (offset && offset + 2 <= bytes.length && !seen.has(offset)) {
+        seen.add(offset);
+        const { tags, next } = readIfd(bytes, offset, little);
+        ifds.push(tags);
+        offset = next;
+    }
+    return ifds;
+}
+
+/* Every IFD in the main chain */
+function readIfds(bytes) {
+    const sig = String.fromCharCode(bytes[0], bytes[1]);
+    if (sig !== "II" && sig !== "MM") throw new Error("Not a TIFF file.");
+    const little = sig === "II";
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = view.getUint16(2, little);
+    if (magic === 43) throw new Error("BigTIFF files aren't supported - save the scan as a standard TIFF.");
+    if (magic !== 42) throw new Error("Not a TIFF file.");
+    return { ifds: readIfdChain(bytes, view.getUint32(4, little), little), little };
+}
+
+function pageInfo(tags) {
+    const one = (tag, fallback) => {
+        const v = tags.get(tag);
+        return v && v.length ? v[0] : fallback;
+    };
+    const list = (tag) => {
+        const v = tags.get(tag);
+        return v ? Array.from(v) : null;
+    };
+    const samples = one(TAG.samplesPerPixel, 1);
+    const bits = list(TAG.bitsPerSample) || [1];
+    return {
+        width: one(TAG.width, 0),
+        height: one(TAG.height, 0),
+        subfileType: one(TAG.subfileType, 0),
+        bits: bits[0],
+        samples,
+        compression: one(TAG.compression, 1),
+        photometric: one(TAG.photometric, samples >= 3 ? 2 : 1),
+        fillOrder: one(TAG.fillOrder, 1),
+        orientation: one(TAG.orientation, 1),
+        rowsPerStrip: one(TAG.rowsPerStrip, 0xffffffff),
+        planar: one(TAG.planar, 1),
+        predictor: one(TAG.predictor, 1),
+        t4Options: one(TAG.t4Options, 0),
+        inkSet: one(TAG.inkSet, 1),
+        sampleFormat: one(TAG.sampleFormat, 1),
+        extraSamples: list(TAG.extraSamples) || [],
+        colorMap: list(TAG.colorMap),
+        jpegTables: tags.get(TAG.jpegTables) || null,
+        icc: tags.get(TAG.icc) || null,
+        tileWidth: one(TAG.tileWidth, 0),
+        tileLength: one(TAG.tileLength, 0),
+        offsets: list(TAG.tileOffsets) || list(TAG.stripOffsets) || [],
+        byteCounts: list(TAG.tileByteCounts) || list(TAG.stripByteCounts) || [],
+    };
+}
+
+/* The pages of a TIFF: every full-resolution image in the IFD chain (thumbnails skipped) */
+function listPages(bytes) {
+    const { ifds, little } = readIfds(bytes);
+    const all = ifds.map(pageInfo).filter((p) => p.width > 0 && p.height > 0);
+    const full = all.filter((p) => (p.subfileType & 1) === 0);
+    return { pages: full.length ? full : all, little };
+}
+
+/* ------------ strip / tile decompression ------------ */
+
+function unpackBits(data, size) {
+    const out = new Uint8Array(size);
+    let o = 0;
+    for (let i = 0; i < data.length && o < size;) {
+        const n = (data[i++] << 24) >> 24;
+        if (n >= 0) {
+            for (let k = 0; k <= n && o < size; k++) out[o++] = data[i++];
+        } else if (n !== -128) {
+            const v = data[i++];
+            for (let k = 0; k < 1 - n && o < size; k++) out[o++] = v;
+        }
+    }
+    return out;
+}
+
+/* TIFF LZW: MSB-first codes of 9 to 12 bits, widened one code early */
+function lzwDecode(data, size) {
+    if (data[0] === 0 && (data[1] & 1) === 1) throw new Error("Old-style TIFF LZW isn't supported.");
+    const prefix = new Int16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const length = new Uint16Array(4096);
+    const first = new Uint8Array(4096);
+    for (let i = 0; i < 256; i++) {
+        suffix[i] = i;
+        first[i] = i;
+        length[i] = 1;
+    }
+    let out = new Uint8Array(size || data.length * 3);
+    let o = 0;
+    let bitPos = 0;
+    const totalBits = data.length * 8;
+    let width = 9;
+    let next = 258;
+    let old = -1;
+
+    const emit = (code) => {
+        const len = length[code];
+        if (o + len > out.length) {
+            const grown = new Uint8Array(Math.max(out.length * 2, o + len));
+            grown.set(out);
+            out = grown;
+        }
+        for (let i = len - 1, c = code; i >= 0; i--, c = prefix[c]) out[o + i] = suffix[c];
+        o += len;
+    };
+    const add = (from, byte) => {
+        if (next >= 4096) return;
+        prefix[next] = from;
+        suffix[next] = byte;
+        length[next] = length[from] + 1;
+        first[next] = first[from];
+        next++;
+        if (next >= (1 << width) - 1 && width < 12) width++;
+    };
+
+    while (bitPos + width <= totalBits) {
+        let code = 0;
+        for (let i = 0; i < width; i++, bitPos++) code = (code << 1) | ((data[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+        if (code === 257) break;
+        if (code === 256) {
+            width = 9;
+            next = 258;
+            old = -1;
+            continue;
+        }
+        if (old === -1) {
+            if (code > 255) break;
+            emit(code);
+        } else if (code < next) {
+            emit(code);
+            add(old, first[code]);
+        } else if (code === next) {
+            add(old, first[old]);
+            emit(code);
+        } else {
+            break; // damaged: keep what was decoded
+        }
+        old = code;
+        if (size && o >= size) break;
+    }
+    return size ? out.subarray(0, size) : out.subarray(0, o);
+}
+
+/* Undo horizontal differencing (predictor 2) on one chunk of rows */
+function undoPredictor(raw, rowSamples, rows, stride, bits, little) {
+    if (bits === 8) {
+        for (let y = 0; y < rows; y++) {
+            const row = y * rowSamples;
+            for (let i = stride; i < rowSamples; i++) raw[row + i] = (raw[row + i] + raw[row + i - stride]) & 255;
+        }
+    } else if (bits === 16) {
+        const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+        for (let y = 0; y < rows; y++) {
+            const row = y * rowSamples * 2;
+            for (let i = stride; i < rowSamples; i++) {
+                const v = (view.getUint16(row + i * 2, little) + view.getUint16(row + (i - stride) * 2, little)) & 0xffff;
+                view.setUint16(row + i * 2, v, little);
+            }
+        }
+    } else {
+        throw new Error(`TIFF predictor on ${bits}-bit samples isn't supported.`);
+    }
+}
+
+async function decompress(page, data, width, rows, rowBytes) {
+    const size = rowBytes * rows;
+    switch (page.compression) {
+        case 1:
+            return data;
+        case 2:
+        case 3:
+        case 4:
+            return decodeCcitt(data, width, rows, {
+                compression: page.compression,
+                options: page.t4Options,
+                lsbFirst: page.fillOrder === 2,
+                blackIsOne: page.photometric === 0,
+            });
+        case 5:
+            return lzwDecode(data, size);
+        case 8:
+        case 32946: {
+            const out = await inflateZlib(data);
+            if (!out) throw new Error("TIFF image data couldn't be decompressed - the file is damaged.");
+            return out;
+        }
+        case 32773:
+            return unpackBits(data, size);
+        case 6:
+            throw new Error("Old-style JPEG TIFF isn't supported - re-save the scan with another compression.");
+        default:
+            throw new Error(`TIFF compression ${page.compression} isn't supported.`);
+    }
+}
+
+/* One JPEG-compressed strip or tile: the shared JPEGTables stream + the chunk's own stream */
+function decodeJpegChunk(page, data) {
+    let stream = data;
+    if (page.jpegTables && page.jpegTables.length > 4) {
+        const tables = page.jpegTables.subarray(0, page.jpegTables.length - 2); // without EOI
+        stream = new Uint8Array(tables.length + data.length - 2);
+        stream.set(tables);
+        stream.set(data.subarray(2), tables.length); // without SOI
+    }
+    return decodeJpeg(stream, { ycc: page.photometric === 6 ? true : page.photometric === 2 ? false : null });
+}
+
+/* ------------ samples -> RGBA ------------ */
+
+/* (buffer, row start, sample index within the row) -> sample value */
+function sampleReader(bits, little) {
+    if (bits === 8) return (buf, row, i) => buf[row + i];
+    if (bits === 16) {
+        return little
+            ? (buf, row, i) => buf[row + i * 2] | (buf[row + i * 2 + 1] << 8)
+            : (buf, row, i) => (buf[row + i * 2] << 8) | buf[row + i * 2 + 1];
+    }
+    const mask = (1 << bits) - 1;
+    return (buf, row, i) => {
+        const bit = i * bits;
+        return (buf[row + (bit >> 3)] >> (8 - bits - (bit & 7))) & mask;
+    };
+}
+
+/* Convert a page's sample planes (one buffer of rows per plane) to 8-bit RGBA */
+function toRgba(page, planes, rowBytes, little) {
+    const { width, height, bits, samples, photometric } = page;
+    const out = new Uint8ClampedArray(width * height * 4);
+    const get = sampleReader(bits, little);
+    const max = (2 ** bits) - 1;
+    const to8 = bits === 8 ? (v) => v : (v) => Math.round((v * 255) / max);
+    const chunky = planes.length === 1;
+    const alphaIndex = page.extraSamples.length ? (photometric === 5 ? 4 : photometric === 2 ? 3 : 1) : -1;
+    const premultiplied = page.extraSamples[0] === 1;
+    const map = page.colorMap;
+    const px = new Array(samples).fill(0);
+
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * rowBytes;
+        for (let x = 0; x < width; x++) {
+            for (let s = 0; s < samples; s++) {
+                px[s] = chunky ? get(planes[0], rowStart, x * samples + s) : get(planes[s], rowStart, x);
+            }
+            const o = (y * width + x) * 4;
+            if (photometric === 0 || photometric === 1) {
+                const v = to8(photometric === 0 ? max - px[0] : px[0]);
+                out[o] = out[o + 1] = out[o + 2] = v;
+            } else if (photometric === 3) {
+                if (!map) throw new Error("Palette TIFF without a colour map.");
+                const n = 2 ** bits;
+                out[o] = map[px[0]] >> 8;
+                out[o + 1] = map[n + px[0]] >> 8;
+                out[o + 2] = map[2 * n + px[0]] >> 8;
+            } else if (photometric === 5) {
+                // stored as ink amounts; the same uncalibrated conversion as CMYK JPEGs
+                const k = 255 - to8(px[3]);
+                out[o] = ((255 - to8(px[0])) * k) / 255;
+                out[o + 1] = ((255 - to8(px[1])) * k) / 255;
+                out[o + 2] = ((255 - to8(px[2])) * k) / 255;
+            } else {
+                out[o] = to8(px[0]);
+                out[o + 1] = to8(px[1]);
+                out[o + 2] = to8(px[2]);
+            }
+            out[o + 3] = alphaIndex >= 0 && alphaIndex < samples ? to8(px[alphaIndex]) : 255;
+            if (premultiplied && out[o + 3] > 0 && out[o + 3] < 255) {
+                const a = out[o + 3] / 255;
+                out[o] /= a;
+                out[o + 1] /= a;
+                out[o + 2] /= a;
+            }
+        }
+    }
+    return out;
+}
+
+function checkSupported(page) {
+    if (page.sampleFormat === 3) throw new Error("Floating-point TIFF isn't supported.");
+    if (page.predictor === 3) throw new Error("TIFF floating-point predictor isn't supported.");
+    if (page.compression === 7) return;
+    if (![1, 2, 4, 8, 16].includes(page.bits)) throw new Error(`${page.bits}-bit TIFF isn't supported.`);
+    if (![0, 1, 2, 3, 5].includes(page.photometric)) {
+        const names = { 4: "transparency mask", 6: "uncompressed YCbCr", 8: "CIELab", 9: "ICCLab", 10: "ITULab" };
+        throw new Error(`${names[page.photometric] || `Photometric ${page.photometric}`} TIFF isn't supported.`);
+    }
+    if (page.photometric === 5 && (page.inkSet !== 1 || page.samples < 4)) throw new Error("Only CMYK separated TIFFs are supported.");
+}
+
+/**
+ * Number of pages (full-resolution images) in a TIFF.
+ * @param {Uint8Array} bytes
+ */
+export function tiffPageCount(bytes) {
+    return listPages(bytes).pages.length;
+}
+
+/**
+ * Decode one page of a TIFF to 8-bit RGBA.
+ * Returns { width, height, data (Uint8ClampedArray RGBA), pages, orientation, icc, colorModel }.
+ * Throws with a readable message for what isn't supported.
+ * @param {Uint8Array} bytes The whole file.
+ * @param {number} [page=0]
+ */
+export async function decodeTiff(bytes, page = 0) {
+    const { pages, little } = listPages(bytes);
+    if (!pages.length) throw new Error("This TIFF has no readable images - the file may be damaged or truncated.");
+    const info = pages[Math.min(Math.max(0, page), pages.length - 1)];
+    checkSupported(info);
+
+    const { width, height, samples } = info;
+    const tiled = info.tileWidth > 0 && info.tileLength > 0;
+    const chunkW = tiled ? info.tileWidth : width;
+    const chunkH = tiled ? info.tileLength : Math.min(height, info.rowsPerStrip);
+    const across = Math.ceil(width / chunkW);
+    const down = Math.ceil(height / chunkH);
+    const perPlane = across * down;
+    const planar = info.planar === 2 && samples > 1;
+    const planeSamples = planar ? 1 : samples;
+    const chunkAt = (i) => {
+        const off = info.offsets[i];
+        const len = info.byteCounts[i] ?? bytes.length - off;
+        return off < bytes.length ? bytes.subarray(off, Math.min(bytes.length, off + len)) : new Uint8Array(0);
+    };
+    const meta = { pages: pages.length, orientation: info.orientation, icc: info.icc };
+
+    if (info.compression === 7) {
+        // JPEG chunks decode straight to RGBA
+        const out = new Uint8ClampedArray(width * height * 4);
+        let colorModel = "rgb";
+        for (let i = 0; i < perPlane; i++) {
+            const chunk = decodeJpegChunk(info, chunkAt(i));
+            colorModel = chunk.colorModel;
+            const x0 = (i % across) * chunkW;
+            const y0 = Math.floor(i / across) * chunkH;
+            const w = Math.min(chunk.width, width - x0);
+            for (let y = 0; y < chunk.height && y0 + y < height; y++) {
+                out.set(chunk.data.subarray(y * chunk.width * 4, (y * chunk.width + w) * 4), ((y0 + y) * width + x0) * 4);
+            }
+        }
+        return { width, height, data: out, colorModel, ...meta };
+    }
+
+    // Gather every chunk into full-size sample planes, then convert once
+    const rowBytes = Math.ceil((width * planeSamples * info.bits) / 8);
+    const chunkRowBytes = Math.ceil((chunkW * planeSamples * info.bits) / 8);
+    const planes = Array.from({ length: planar ? samples : 1 }, () => new Uint8Array(rowBytes * height));
+
+    for (let plane = 0; plane < planes.length; plane++) {
+        for (let i = 0; i < perPlane; i++) {
+            const x0 = (i % across) * chunkW;
+            const y0 = Math.floor(i / across) * chunkH;
+            const rows = tiled ? chunkH : Math.min(chunkH, height - y0);
+            let raw = await decompress(info, chunkAt(plane * perPlane + i), chunkW, rows, chunkRowBytes);
+            if (info.predictor === 2) {
+                if (info.compression === 1) raw = raw.slice(); // don't difference the file's own bytes
+                undoPredictor(raw, chunkW * planeSamples, rows, planeSamples, info.bits, little);
+            }
+            const xByte = Math.floor((x0 * planeSamples * info.bits) / 8);
+            const copy = Math.min(chunkRowBytes, rowBytes - xByte);
+            for (let y = 0; y < rows && y0 + y < height; y++) {
+                const from = y * chunkRowBytes;
+                if (from >= raw.length) break;
+                planes[plane].set(raw.subarray(from, Math.min(raw.length, from + copy)), (y0 + y) * rowBytes + xByte);
+            }
+        }
+    }
+
+    const colorModel = info.photometric === 5 ? "cmyk" : info.photometric <= 1 ? "gray" : "rgb";
+    return { width, height, data: toRgba(info, planes, rowBytes, little), colorModel, ...meta };
+}
@@ -0,0 +1,31 @@
+// tool-pages.js - the compressly engine for the standalone tool pages (MPSC, SSC, PSC, Amazon).
+// Their classic scripts call window.compressly rather than keeping their own resize / sharpen /
+// quality-search copies; this module script runs before any of them can process a file.
+
+import { compress } from "./lib/compressly";
+
+/**
+ * An <img> or canvas as a lossless PNG for compress(), flattened onto white (the tools all
+ * write JPEG, where transparency would turn black).
+ * @param {HTMLImageElement|HTMLCanvasElement} image
+ * @returns {Promise<Blob>}
+ */
+function imageBlob(image) {
+    const canvas = document.createElement("canvas");
+    canvas.width = image.naturalWidth || image.width;
+    canvas.height = image.naturalHeight || image.height;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(image, 0, 0);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            canvas.width = 0;
+            canvas.height = 0;
+            if (blob) resolve(blob);
+            else reject(new Error("The image could not be read."));
+        }, "image/png");
+    });
+}
+
+window.compressly = { compress, imageBlob };
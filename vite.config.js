@@ -7,12 +7,27 @@ const resolvePath = (path) => fileURLToPath(new URL(path, import.meta.url))
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // compress.worker.js is a module worker and lazily loads the AVIF encoder chunk
+  worker: {
+    format: 'es',
+  },
   build: {
     rollupOptions: {
       input: {
         main: resolvePath('./index.html'),
         compressImage: resolvePath('./compress-image/index.html'),
+        // Standalone tool pages - built here (not copied from public/) so they share the engine
+        mpscPhotoResizer: resolvePath('./mpsc-photo-resizer/index.html'),
+        sscPhotoResizer: resolvePath('./ssc-photo-resizer/index.html'),
+        pscPhotoTool: resolvePath('./psc-photo-tool.html'),
+        amazonImageResizer: resolvePath('./amazon-image-resizer/index.html'),
       },
     },
   },
+  // Engine tests run headless in Node; the shim stands in for the browser canvas APIs
+  test: {
+    environment: 'node',
+    include: ['src/**/__tests__/*.test.js'],
+    setupFiles: ['./src/lib/compressly/__tests__/canvasShim.js'],
+  },
 })